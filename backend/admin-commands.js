@@ -0,0 +1,353 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const crypto = require('crypto');
+const { getKeyInfo } = require('./pgp');
+
+/*
+ * Operator commands shared by the admin CLI (admin.js) and the server.
+ * While the server runs it owns the data directory: the JSON driver
+ * keeps everything in memory and rewrites whole files, and connected
+ * sockets must be signed out when an account is suspended.  So the
+ * server listens on a local control socket in the data directory and
+ * runs the commands itself; the CLI only opens the store directly when
+ * no server answers there.  Access to the socket is limited by file
+ * permissions to the user running the server.
+ *
+ * The protocol is one JSON object per line: the CLI sends
+ * { command, args } and the server answers { ok: true, result } or
+ * { ok: false, error }.
+ */
+
+/**
+ * Path of the control socket for the server using `dataDir`.  Windows
+ * has no Unix sockets, so a named pipe derived from the directory is
+ * used there instead.
+ * @param {string} dataDir
+ */
+function adminSocketPath(dataDir) {
+  if (process.platform === 'win32') {
+    const hash = crypto.createHash('sha1').update(path.resolve(dataDir)).digest('hex').slice(0, 16);
+    return `\\\\.\\pipe\\pgp-messenger-admin-${hash}`;
+  }
+  return path.join(dataDir, 'admin.sock');
+}
+
+/**
+ * Parse a date given on the command line (an ISO date such as
+ * 2024-01-31, or a timestamp in milliseconds) into a timestamp.
+ * @param {string|number} value
+ */
+function parseDate(value) {
+  const timestamp = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(timestamp)) {
+    throw new Error(`not a date: ${value}`);
+  }
+  return timestamp;
+}
+
+/**
+ * Total size of the files below `dir`.
+ * @param {string} dir
+ */
+function directorySize(dir) {
+  let total = 0;
+  fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      total += directorySize(file);
+    } else if (entry.isFile()) {
+      total += fs.statSync(file).size;
+    }
+  });
+  return total;
+}
+
+/**
+ * Count the queued relays per host: [{ host, queued, oldestAt }].
+ * @param {object[]} relays  storage.listRelays()
+ */
+function summarizeRelayQueue(relays) {
+  const hosts = new Map();
+  relays.forEach((relay) => {
+    const entry = hosts.get(relay.host) || { host: relay.host, queued: 0, oldestAt: relay.createdAt };
+    entry.queued += 1;
+    hosts.set(relay.host, entry);
+  });
+  return Array.from(hosts.values());
+}
+
+/**
+ * Create the operator commands for a store.  `runtime` is only passed
+ * by the running server and provides { disconnectUser(username, reason),
+ * isOnline(username), traffic(), relayQueue() }, where relayQueue()
+ * returns null when federation is off.  Every command takes an object of
+ * arguments and resolves to a plain, JSON-serialisable result; invalid
+ * arguments throw an Error whose message is shown to the operator.
+ * @param {{ storage: object, blobs: object, dataDir: string, runtime?: object }} options
+ */
+function createAdminCommands({ storage, blobs, dataDir, runtime = null }) {
+  function requireUser(username) {
+    const user = typeof username === 'string' ? storage.getUser(username) : null;
+    if (!user) {
+      throw new Error(`no such user: ${username}`);
+    }
+    return user;
+  }
+
+  async function fingerprintOf(publicKey) {
+    const info = await getKeyInfo(publicKey);
+    return info ? info.fingerprint : null;
+  }
+
+  return {
+    /**
+     * List users, optionally only those whose username contains
+     * `search` or whose key fingerprint or key id matches it.
+     */
+    async users({ search = '' } = {}) {
+      const query = String(search).toLowerCase().replace(/\s+/g, '');
+      const list = [];
+      for (const user of storage.listUsers()) {
+        const fingerprint = await fingerprintOf(user.publicKey);
+        const devices = storage.listDevices(user.username);
+        const deviceFingerprints = devices.map((d) => d.fingerprint);
+        const matches =
+          !query ||
+          user.username.toLowerCase().includes(query) ||
+          [fingerprint].concat(deviceFingerprints).some((fp) => fp && fp.endsWith(query));
+        if (!matches) continue;
+        list.push({
+          username: user.username,
+          fingerprint,
+          devices: devices.length,
+          keyRevoked: Boolean(user.keyRevokedAt),
+          suspendedAt: user.suspendedAt,
+          online: runtime ? runtime.isOnline(user.username) : null,
+        });
+      }
+      return list;
+    },
+
+    /**
+     * Show one user's keys, devices, groups and account state.
+     */
+    async user({ username } = {}) {
+      const user = requireUser(username);
+      const keys = storage.listUserKeys(username).map(({ fingerprint, addedAt, replacedAt, revokedAt }) => ({
+        fingerprint,
+        addedAt,
+        replacedAt,
+        revokedAt,
+      }));
+      return {
+        username,
+        fingerprint: await fingerprintOf(user.publicKey),
+        keyRevokedAt: user.keyRevokedAt,
+        suspendedAt: user.suspendedAt,
+        suspendReason: user.suspendReason,
+        lastSeen: storage.getPresence(username).lastSeen,
+        online: runtime ? runtime.isOnline(username) : null,
+        keys,
+        devices: storage.listDevices(username).map(({ fingerprint, name, addedAt }) => ({ fingerprint, name, addedAt })),
+        groups: storage.listGroupsForUser(username).map((g) => ({ id: g.id, name: g.name })),
+        blocked: storage.listBlocked(username).length,
+      };
+    },
+
+    /**
+     * Suspend an account.  The user's sockets are signed out and they
+     * cannot sign in or make signed requests until unsuspended; their
+     * data is kept.
+     */
+    async suspend({ username, reason = null } = {}) {
+      requireUser(username);
+      const suspendedAt = Date.now();
+      storage.setUserSuspended(username, { suspendedAt, reason });
+      if (runtime) runtime.disconnectUser(username, 'account suspended');
+      return { username, suspendedAt, reason };
+    },
+
+    async unsuspend({ username } = {}) {
+      const user = requireUser(username);
+      if (!user.suspendedAt) {
+        throw new Error(`${username} is not suspended`);
+      }
+      storage.setUserSuspended(username, null);
+      return { username };
+    },
+
+    /**
+     * Delete an account with its keys, messages, group memberships and
+     * attachments.  The username becomes free to register again.
+     */
+    async delete({ username } = {}) {
+      requireUser(username);
+      if (runtime) runtime.disconnectUser(username, 'account deleted');
+      storage.deleteUser(username);
+      const attachments = blobs.removeOwnedBy(username);
+      return { username, attachments };
+    },
+
+    /**
+     * Delete every stored message older than `before`.
+     */
+    async purge({ before } = {}) {
+      const timestamp = parseDate(before);
+      return { before: timestamp, messages: storage.purgeMessagesBefore(timestamp) };
+    },
+
+    /**
+     * Storage figures, and traffic since start when the server runs.
+     */
+    async stats() {
+      return {
+        driver: storage.driver,
+        dataDir,
+        diskBytes: directorySize(dataDir),
+        storage: storage.stats(),
+        attachments: blobs.stats(),
+        traffic: runtime ? runtime.traffic() : null,
+      };
+    },
+
+    /**
+     * Write a consistent copy of the data directory to `dest`, which
+     * must not exist yet or be empty.  The copy can be loaded with the
+     * CLI's `import` command.
+     */
+    async export({ dest } = {}) {
+      if (typeof dest !== 'string' || !dest) {
+        throw new Error('a destination directory is required');
+      }
+      const target = path.resolve(dest);
+      if (fs.existsSync(target) && fs.readdirSync(target).length > 0) {
+        throw new Error(`${target} is not empty`);
+      }
+      fs.mkdirSync(target, { recursive: true });
+      await storage.backup(target);
+      blobs.backup(path.join(target, 'blobs'));
+      const federationKey = path.join(dataDir, 'federation-key.json');
+      if (fs.existsSync(federationKey)) {
+        fs.copyFileSync(federationKey, path.join(target, 'federation-key.json'));
+      }
+      return { dest: target, driver: storage.driver, diskBytes: directorySize(target) };
+    },
+
+    /**
+     * List the servers whose federation keys are pinned and what is
+     * queued for relaying to other servers.  While the server runs the
+     * queue includes the last error of hosts being retried.
+     */
+    async peers() {
+      const queue = (runtime && runtime.relayQueue()) || summarizeRelayQueue(storage.listRelays());
+      return {
+        peers: storage.listPeers().map(({ host, fingerprint, pinnedAt }) => ({ host, fingerprint, pinnedAt })),
+        queue,
+      };
+    },
+
+    /**
+     * Remove the pinned key of a server, so the key it publishes is
+     * fetched and pinned again the next time it relays to us.  Needed
+     * when a server's federation key changed.
+     */
+    async 'forget-peer'({ host } = {}) {
+      if (!storage.removePeer(typeof host === 'string' ? host.toLowerCase() : host)) {
+        throw new Error(`no key pinned for ${host}`);
+      }
+      return { host };
+    },
+  };
+}
+
+/**
+ * Serve `commands` on the control socket at `socketPath`.  A socket
+ * file left behind by a server that did not shut down cleanly is
+ * replaced.  Resolves to the net.Server.
+ * @param {object} commands
+ * @param {string} socketPath
+ */
+function serveAdminCommands(commands, socketPath) {
+  if (process.platform !== 'win32' && fs.existsSync(socketPath)) {
+    fs.unlinkSync(socketPath);
+  }
+  const server = net.createServer((conn) => {
+    let buffer = '';
+    conn.setEncoding('utf8');
+    conn.on('data', async (data) => {
+      buffer += data;
+      const newline = buffer.indexOf('\n');
+      if (newline === -1) return;
+      const line = buffer.slice(0, newline);
+      buffer = '';
+      let reply;
+      try {
+        const { command, args } = JSON.parse(line);
+        if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+          throw new Error(`unknown command: ${command}`);
+        }
+        reply = { ok: true, result: await commands[command](args || {}) };
+      } catch (err) {
+        reply = { ok: false, error: err.message };
+      }
+      conn.end(JSON.stringify(reply) + '\n');
+    });
+    conn.on('error', () => {});
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(socketPath, () => {
+      if (process.platform !== 'win32') fs.chmodSync(socketPath, 0o600);
+      resolve(server);
+    });
+  });
+}
+
+/**
+ * Run a command on the server listening at `socketPath`.  Resolves to
+ * its result, or to undefined when no server is listening there.
+ * Rejects with the server's error message if the command failed.
+ * @param {string} socketPath
+ * @param {string} command
+ * @param {object} args
+ */
+function sendAdminCommand(socketPath, command, args) {
+  return new Promise((resolve, reject) => {
+    const conn = net.createConnection(socketPath);
+    let buffer = '';
+    let connected = false;
+    conn.setEncoding('utf8');
+    conn.on('connect', () => {
+      connected = true;
+      conn.write(JSON.stringify({ command, args }) + '\n');
+    });
+    conn.on('data', (data) => {
+      buffer += data;
+    });
+    conn.on('end', () => {
+      try {
+        const reply = JSON.parse(buffer);
+        if (reply.ok) resolve(reply.result);
+        else reject(new Error(reply.error));
+      } catch (err) {
+        reject(new Error('invalid reply from server'));
+      }
+    });
+    conn.on('error', (err) => {
+      if (!connected && ['ENOENT', 'ECONNREFUSED'].includes(err.code)) {
+        resolve(undefined);
+      } else {
+        reject(err);
+      }
+    });
+  });
+}
+
+module.exports = {
+  adminSocketPath,
+  createAdminCommands,
+  serveAdminCommands,
+  sendAdminCommand,
+  parseDate,
+};
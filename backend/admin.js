@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { createStorage, resolveDataDir } = require('./storage');
+const { createBlobStore } = require('./blob-store');
+const { loadLimits } = require('./rate-limit');
+const { adminSocketPath, createAdminCommands, sendAdminCommand } = require('./admin-commands');
+
+/*
+ * Operator command-line tool.  Run it from the backend directory with
+ * the same STORAGE_DRIVER and DATA_DIR as the server:
+ *
+ *   node admin.js users [search]          list users, or search by name or fingerprint
+ *   node admin.js user <username>         show a user's keys, devices and groups
+ *   node admin.js suspend <username> [reason]
+ *   node admin.js unsuspend <username>
+ *   node admin.js delete <username> --yes delete an account and all its data
+ *   node admin.js purge <date> --yes      delete messages older than a date
+ *   node admin.js stats                   storage and traffic statistics
+ *   node admin.js export <dir>            copy the data directory to <dir>
+ *   node admin.js import <dir> --yes      replace the data directory with <dir>
+ *   node admin.js peers                   federated servers and the relay queue
+ *   node admin.js forget-peer <host>      drop the pinned key of a server
+ *
+ * Add --json to print results as JSON.  When the server is running the
+ * commands are sent to it over its control socket (see
+ * admin-commands.js), so they are safe to use on a live server;
+ * otherwise the store is opened directly.  `import` replaces the data
+ * directory wholesale and therefore refuses to run while the server
+ * is up.
+ */
+
+const USAGE = `Usage: node admin.js <command> [arguments] [--json]
+
+  users [search]            list users, or search by name or fingerprint
+  user <username>           show a user's keys, devices and groups
+  suspend <username> [why]  sign a user out and block their account
+  unsuspend <username>      lift a suspension
+  delete <username> --yes   delete an account and all its data
+  purge <date> --yes        delete messages older than a date (e.g. 2024-01-31)
+  stats                     storage and traffic statistics
+  export <dir>              copy the data directory to an empty directory
+  import <dir> --yes        replace the data directory (server must be stopped)
+  peers                     federated servers and the relay queue
+  forget-peer <host>        drop the pinned key of a server so a new one is accepted`;
+
+/**
+ * Format a timestamp for display, or '-' when there is none.
+ * @param {number|null} timestamp
+ */
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString().replace('T', ' ').slice(0, 19) : '-';
+}
+
+/**
+ * Format a byte count for display, e.g. 1.5 MB.
+ * @param {number} bytes
+ */
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+// Human-readable output for each command's result
+const PRINTERS = {
+  users(list) {
+    if (list.length === 0) {
+      console.log('No users found');
+      return;
+    }
+    list.forEach((u) => {
+      const flags = [
+        u.online ? 'online' : null,
+        u.suspendedAt ? 'suspended' : null,
+        u.keyRevoked ? 'key revoked' : null,
+        u.devices ? `${u.devices} extra device${u.devices === 1 ? '' : 's'}` : null,
+      ].filter(Boolean);
+      console.log(`${u.username.padEnd(24)} ${u.fingerprint || '(unreadable key)'}${flags.length ? '  [' + flags.join(', ') + ']' : ''}`);
+    });
+  },
+  user(u) {
+    console.log(`User:        ${u.username}`);
+    console.log(`Fingerprint: ${u.fingerprint || '(unreadable key)'}${u.keyRevokedAt ? ' (revoked ' + formatTime(u.keyRevokedAt) + ')' : ''}`);
+    console.log(`Status:      ${u.suspendedAt ? 'suspended ' + formatTime(u.suspendedAt) + (u.suspendReason ? ': ' + u.suspendReason : '') : 'active'}`);
+    console.log(`Online:      ${u.online === null ? 'unknown (server not running)' : u.online ? 'yes' : 'no'}`);
+    console.log(`Last seen:   ${formatTime(u.lastSeen)}`);
+    console.log(`Blocked:     ${u.blocked} user(s)`);
+    console.log('Devices:');
+    if (u.devices.length === 0) console.log('  (primary key only)');
+    u.devices.forEach((d) => console.log(`  ${d.fingerprint}  ${d.name}  added ${formatTime(d.addedAt)}`));
+    console.log('Key history:');
+    u.keys.forEach((k) => {
+      const state = k.revokedAt ? `revoked ${formatTime(k.revokedAt)}` : k.replacedAt ? `replaced ${formatTime(k.replacedAt)}` : 'current';
+      console.log(`  ${k.fingerprint}  added ${formatTime(k.addedAt)}  ${state}`);
+    });
+    console.log('Groups:');
+    if (u.groups.length === 0) console.log('  (none)');
+    u.groups.forEach((g) => console.log(`  ${g.id}  ${g.name}`));
+  },
+  suspend(r) {
+    console.log(`Suspended ${r.username}${r.reason ? ': ' + r.reason : ''}`);
+  },
+  unsuspend(r) {
+    console.log(`Lifted the suspension of ${r.username}`);
+  },
+  delete(r) {
+    console.log(`Deleted ${r.username} and ${r.attachments} attachment(s)`);
+  },
+  purge(r) {
+    console.log(`Deleted ${r.messages} message(s) older than ${formatTime(r.before)}`);
+  },
+  stats(s) {
+    console.log(`Data directory: ${s.dataDir} (${s.driver}, ${formatBytes(s.diskBytes)} on disk)`);
+    console.log(`Users:          ${s.storage.users} (${s.storage.suspendedUsers} suspended)`);
+    console.log(`Messages:       ${s.storage.messages} (oldest ${formatTime(s.storage.oldestMessageAt)}, newest ${formatTime(s.storage.newestMessageAt)})`);
+    console.log(`Groups:         ${s.storage.groups}`);
+    console.log(`Attachments:    ${s.attachments.blobs} (${formatBytes(s.attachments.bytes)}, ${s.attachments.incomplete} incomplete)`);
+    if (!s.traffic) {
+      console.log('Traffic:        server not running');
+      return;
+    }
+    const t = s.traffic;
+    console.log(`Traffic since ${formatTime(t.startedAt)}:`);
+    console.log(`  Online now:        ${t.usersOnline} user(s) on ${t.socketsConnected} connection(s)`);
+    console.log(`  HTTP requests:     ${t.httpRequests}`);
+    console.log(`  Messages relayed:  ${t.messagesRelayed} (${formatBytes(t.messageBytes)})`);
+    console.log(`  Attachment upload: ${formatBytes(t.attachmentBytesReceived)}`);
+  },
+  export(r) {
+    console.log(`Exported ${formatBytes(r.diskBytes)} (${r.driver}) to ${r.dest}`);
+  },
+  import(r) {
+    console.log(`Imported ${r.source}; the previous data directory was moved to ${r.previous || '(none)'}`);
+  },
+  peers(r) {
+    console.log('Pinned servers:');
+    if (r.peers.length === 0) console.log('  (none)');
+    r.peers.forEach((p) => console.log(`  ${p.host.padEnd(32)} ${p.fingerprint}  pinned ${formatTime(p.pinnedAt)}`));
+    console.log('Relay queue:');
+    if (r.queue.length === 0) console.log('  (empty)');
+    r.queue.forEach((q) => {
+      const retry = q.lastError ? `  retrying ${formatTime(q.retryAt)}: ${q.lastError}` : '';
+      console.log(`  ${q.host.padEnd(32)} ${q.queued} waiting since ${formatTime(q.oldestAt)}${retry}`);
+    });
+  },
+  'forget-peer'(r) {
+    console.log(`Forgot the key of ${r.host}; the next key it presents will be pinned`);
+  },
+};
+
+/**
+ * Replace the data directory with a copy of `source`, keeping the old
+ * directory next to it.  Only called while the server is stopped.
+ * @param {string} source
+ * @param {string} dataDir
+ */
+function importDataDir(source, dataDir) {
+  const from = path.resolve(source);
+  const hasData = ['messenger.db', 'users.json'].some((f) => fs.existsSync(path.join(from, f)));
+  if (!hasData) {
+    throw new Error(`${from} does not look like an exported data directory`);
+  }
+  let previous = null;
+  if (fs.existsSync(dataDir)) {
+    previous = `${dataDir}.before-import-${Date.now()}`;
+    fs.renameSync(dataDir, previous);
+  }
+  fs.cpSync(from, dataDir, { recursive: true });
+  return { source: from, previous };
+}
+
+/**
+ * Turn the command line into { command, args, json, yes, missing },
+ * where `missing` is set when a required argument was left out.
+ * @param {string[]} argv
+ */
+function parseArgs(argv) {
+  const flags = argv.filter((a) => a.startsWith('--'));
+  const [command, ...rest] = argv.filter((a) => !a.startsWith('--'));
+  const json = flags.includes('--json');
+  const yes = flags.includes('--yes');
+  switch (command) {
+    case 'users':
+      return { command, args: { search: rest[0] || '' }, json, yes };
+    case 'user':
+    case 'unsuspend':
+    case 'delete':
+      return { command, args: { username: rest[0] }, json, yes, missing: !rest[0] };
+    case 'suspend':
+      return { command, args: { username: rest[0], reason: rest.slice(1).join(' ') || null }, json, yes, missing: !rest[0] };
+    case 'purge':
+      return { command, args: { before: rest[0] }, json, yes, missing: !rest[0] };
+    case 'stats':
+    case 'peers':
+      return { command, args: {}, json, yes };
+    case 'forget-peer':
+      return { command, args: { host: rest[0] }, json, yes, missing: !rest[0] };
+    case 'export':
+      // The server resolves paths against its own working directory
+      return { command, args: { dest: rest[0] && path.resolve(rest[0]) }, json, yes, missing: !rest[0] };
+    case 'import':
+      return { command, args: { source: rest[0] }, json, yes, missing: !rest[0] };
+    default:
+      return { command: null };
+  }
+}
+
+async function main() {
+  const { command, args, json, yes, missing } = parseArgs(process.argv.slice(2));
+  if (!command || missing) {
+    console.error(USAGE);
+    return 2;
+  }
+  if (['delete', 'purge', 'import'].includes(command) && !yes) {
+    console.error(`${command} cannot be undone; run it again with --yes to confirm`);
+    return 2;
+  }
+  const dataDir = resolveDataDir();
+  const socketPath = adminSocketPath(dataDir);
+  let result;
+  if (command === 'import') {
+    if ((await sendAdminCommand(socketPath, 'stats', {})) !== undefined) {
+      throw new Error('the server is running; stop it before importing a data directory');
+    }
+    result = importDataDir(args.source, dataDir);
+  } else {
+    result = await sendAdminCommand(socketPath, command, args);
+    if (result === undefined) {
+      // No server is running: work on the store directly
+      const limits = loadLimits();
+      const storage = createStorage({ importLegacy: false });
+      const blobs = createBlobStore({
+        dir: path.join(dataDir, 'blobs'),
+        quotaBytes: limits.blobQuotaBytes,
+        maxBlobBytes: limits.maxBlobBytes,
+      });
+      try {
+        result = await createAdminCommands({ storage, blobs, dataDir })[command](args);
+      } finally {
+        storage.close();
+      }
+    }
+  }
+  if (json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    PRINTERS[command](result);
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  main().then(
+    (code) => {
+      process.exitCode = code;
+    },
+    (err) => {
+      console.error('Error: ' + err.message);
+      process.exitCode = 1;
+    }
+  );
+}
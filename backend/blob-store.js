@@ -0,0 +1,231 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { writeFileAtomic } = require('./storage/json');
+
+/*
+ * Blob store for file attachments.  Clients encrypt a file before
+ * uploading it, so the server only ever holds ciphertext it cannot
+ * read.  A blob is created with its final size, which is reserved
+ * against the owner's quota, and its bytes are then appended in chunks
+ * at the offset the server reports.  An interrupted upload resumes by
+ * asking for that offset and continuing from there.
+ *
+ * Each blob is a pair of files in the blob directory: `<id>` holding
+ * the bytes received so far and `<id>.json` with its metadata.  The
+ * number of bytes received is the size of the data file, so appending
+ * a chunk needs no metadata write.  Uploads that are not completed
+ * within INCOMPLETE_TTL_MS are removed.
+ */
+
+const INCOMPLETE_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Open the blob store in `dir`.  `quotaBytes` limits the total size of
+ * the blobs one user may own and `maxBlobBytes` the size of a single
+ * blob.  Methods that can be refused resolve to { ok: true, ... } or
+ * { ok: false, status, error } ready to send back to the client.
+ * @param {{ dir: string, quotaBytes: number, maxBlobBytes: number }} options
+ */
+function createBlobStore({ dir, quotaBytes, maxBlobBytes }) {
+  fs.mkdirSync(dir, { recursive: true });
+  // id -> { id, owner, size, uploadToken, createdAt, completedAt, received }
+  const blobs = new Map();
+
+  const dataPath = (id) => path.join(dir, id);
+  const metaPath = (id) => path.join(dir, `${id}.json`);
+
+  function persistMeta(blob) {
+    const { received, ...meta } = blob;
+    writeFileAtomic(metaPath(blob.id), JSON.stringify(meta, null, 2));
+  }
+
+  function describe(blob) {
+    return {
+      id: blob.id,
+      owner: blob.owner,
+      size: blob.size,
+      received: blob.received,
+      complete: blob.completedAt !== null,
+      createdAt: blob.createdAt,
+    };
+  }
+
+  function remove(id) {
+    blobs.delete(id);
+    [dataPath(id), metaPath(id)].forEach((file) => fs.rmSync(file, { force: true }));
+  }
+
+  function sweepIncomplete(now) {
+    blobs.forEach((blob) => {
+      if (blob.completedAt === null && now - blob.createdAt > INCOMPLETE_TTL_MS) remove(blob.id);
+    });
+  }
+
+  fs.readdirSync(dir)
+    .filter((file) => file.endsWith('.json'))
+    .forEach((file) => {
+      try {
+        const meta = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        const received = fs.existsSync(dataPath(meta.id)) ? fs.statSync(dataPath(meta.id)).size : 0;
+        blobs.set(meta.id, { ...meta, received });
+      } catch (err) {
+        console.error(`Skipping unreadable blob metadata ${file}:`, err.message);
+      }
+    });
+
+  return {
+    /**
+     * Total size of the blobs owned by `owner`, complete or not.
+     * @param {string} owner
+     */
+    usage(owner) {
+      let total = 0;
+      blobs.forEach((blob) => {
+        if (blob.owner === owner) total += blob.size;
+      });
+      return total;
+    },
+
+    /**
+     * Reserve a blob of `size` bytes for `owner`.  Resolves to
+     * { ok: true, blob, uploadToken }; the token authorises the chunk
+     * uploads and is only returned here.
+     * @param {string} owner
+     * @param {number} size
+     */
+    create(owner, size) {
+      if (!Number.isInteger(size) || size < 1) {
+        return { ok: false, status: 400, error: 'size must be a positive integer' };
+      }
+      if (size > maxBlobBytes) {
+        return { ok: false, status: 413, error: `file is too large (at most ${maxBlobBytes} bytes)` };
+      }
+      const now = Date.now();
+      sweepIncomplete(now);
+      if (this.usage(owner) + size > quotaBytes) {
+        return { ok: false, status: 507, error: `storage quota exceeded (${quotaBytes} bytes per user)` };
+      }
+      const blob = {
+        id: uuidv4(),
+        owner,
+        size,
+        uploadToken: crypto.randomBytes(32).toString('hex'),
+        createdAt: now,
+        completedAt: null,
+        received: 0,
+      };
+      fs.writeFileSync(dataPath(blob.id), Buffer.alloc(0));
+      persistMeta(blob);
+      blobs.set(blob.id, blob);
+      return { ok: true, blob: describe(blob), uploadToken: blob.uploadToken };
+    },
+
+    /**
+     * Describe a blob: { id, owner, size, received, complete, createdAt }
+     * or null if it does not exist.
+     * @param {string} id
+     */
+    get(id) {
+      const blob = blobs.get(id);
+      return blob ? describe(blob) : null;
+    },
+
+    /**
+     * Append `chunk` to a blob.  `offset` must equal the number of bytes
+     * received so far; otherwise the upload is refused with status 409
+     * and the current offset so the client can resume from there.
+     * @param {string} id
+     * @param {string} uploadToken
+     * @param {number} offset
+     * @param {Buffer} chunk
+     */
+    append(id, uploadToken, offset, chunk) {
+      const blob = blobs.get(id);
+      if (!blob) {
+        return { ok: false, status: 404, error: 'blob not found' };
+      }
+      const expected = Buffer.from(blob.uploadToken);
+      const given = Buffer.from(typeof uploadToken === 'string' ? uploadToken : '');
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return { ok: false, status: 403, error: 'invalid upload token' };
+      }
+      if (blob.completedAt !== null) {
+        return { ok: false, status: 409, error: 'blob is already complete', received: blob.received };
+      }
+      if (offset !== blob.received) {
+        return { ok: false, status: 409, error: `upload must continue at offset ${blob.received}`, received: blob.received };
+      }
+      if (!Buffer.isBuffer(chunk) || chunk.length === 0) {
+        return { ok: false, status: 400, error: 'chunk is empty' };
+      }
+      if (blob.received + chunk.length > blob.size) {
+        return { ok: false, status: 400, error: 'chunk extends past the declared size' };
+      }
+      fs.appendFileSync(dataPath(id), chunk);
+      blob.received += chunk.length;
+      if (blob.received === blob.size) {
+        blob.completedAt = Date.now();
+        persistMeta(blob);
+      }
+      return { ok: true, received: blob.received, complete: blob.completedAt !== null };
+    },
+
+    /**
+     * Path of a blob's data file, for streaming it to a client.
+     * @param {string} id
+     */
+    filePath(id) {
+      return dataPath(id);
+    },
+
+    /**
+     * Delete a blob and release its quota.
+     * @param {string} id
+     */
+    remove,
+
+    /**
+     * Delete every blob owned by `owner`.  Returns how many were removed.
+     * @param {string} owner
+     */
+    removeOwnedBy(owner) {
+      const owned = Array.from(blobs.values()).filter((blob) => blob.owner === owner);
+      owned.forEach((blob) => remove(blob.id));
+      return owned.length;
+    },
+
+    /**
+     * Count the stored blobs: { blobs, bytes, incomplete }, where bytes
+     * is what is on disk.
+     */
+    stats() {
+      let bytes = 0;
+      let incomplete = 0;
+      blobs.forEach((blob) => {
+        bytes += blob.received;
+        if (blob.completedAt === null) incomplete += 1;
+      });
+      return { blobs: blobs.size, bytes, incomplete };
+    },
+
+    /**
+     * Copy every blob and its metadata to `destDir`.  Completed blobs
+     * never change and an upload in progress is copied as far as it
+     * got, which is a valid state to resume from.
+     * @param {string} destDir
+     */
+    backup(destDir) {
+      fs.mkdirSync(destDir, { recursive: true });
+      blobs.forEach((blob) => {
+        fs.copyFileSync(metaPath(blob.id), path.join(destDir, `${blob.id}.json`));
+        fs.copyFileSync(dataPath(blob.id), path.join(destDir, blob.id));
+      });
+    },
+  };
+}
+
+module.exports = {
+  createBlobStore,
+};
@@ -0,0 +1,434 @@
+const dns = require('dns');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { getKeyInfo, generateServerKey, signDetached } = require('./pgp');
+const { createRateLimiter } = require('./rate-limit');
+const { createSignedRequestVerifier } = require('./signed-request');
+
+/*
+ * Federation between servers.  A user of another server is addressed
+ * as `user@host`, where host is the name (and port) that server is
+ * reached at.  Clients fetch a remote user's keys from the remote
+ * server's own API and encrypt as usual; servers only relay the
+ * ciphertext to each other.
+ *
+ * Servers sign what they relay.  Each server has an OpenPGP key of its
+ * own, kept in `federation-key.json` in the data directory and
+ * published with its host at `GET /api/federation`.  A relay is POSTed
+ * to the peer's `/api/federation/inbox` as a signed statement (see
+ * signed-request.js) whose `username` is the origin host.  The first
+ * time a peer hears from a host it fetches that host's key from the
+ * host itself and pins it; from then on only that key is accepted.
+ * To accept a new key the operator removes the pin with
+ * `node admin.js forget-peer <host>`.  Anyone can claim to be a host,
+ * so these fetches are rate limited, and without an allow-list hosts
+ * on loopback or private addresses are refused, so the inbox cannot
+ * be used to make the server probe its own network.
+ *
+ * Outgoing relays wait in a queue in the store and are sent to each
+ * host in the order they were queued.  While a host is unreachable its
+ * relays stay queued and are retried with exponential backoff; those
+ * still undelivered after QUEUE_TTL_MS are given up.  A host refusing a
+ * relay (a 4xx answer other than 408 and 429) is final.
+ */
+
+// Content type of relay requests.  It differs from application/json so
+// the server's general JSON parser, with its smaller size limit, leaves
+// the inbox to a parser of its own.
+const FEDERATION_CONTENT_TYPE = 'application/vnd.pgp-messenger.relay+json';
+const QUEUE_INTERVAL_MS = 5 * 1000;
+const RETRY_BASE_MS = 5 * 1000;
+const RETRY_MAX_MS = 10 * 60 * 1000;
+const QUEUE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+const KEY_FETCH_WINDOW_MS = 10 * 60 * 1000;
+const KEY_FETCHES_PER_HOST = 3;
+const KEY_FETCHES = 60;
+
+// Addresses a peer found without an allow-list may not have: loopback,
+// private, link-local, carrier-grade NAT and unspecified
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Lower-case a host name with an optional port, or return null if it
+ * is not one.
+ * @param {string} host
+ */
+function normalizeHost(host) {
+  if (typeof host !== 'string') return null;
+  const value = host.trim().toLowerCase();
+  return /^([a-z0-9-]+(\.[a-z0-9-]+)*|\[[0-9a-f:.]+\])(:\d{1,5})?$/.test(value) ? value : null;
+}
+
+/**
+ * Split a `user@host` address into { username, host }, or return null
+ * for anything else, such as a plain username.
+ * @param {string} address
+ */
+function parseAddress(address) {
+  if (typeof address !== 'string') return null;
+  const at = address.lastIndexOf('@');
+  if (at <= 0) return null;
+  const username = address.slice(0, at);
+  const host = normalizeHost(address.slice(at + 1));
+  return host && !username.includes(':') ? { username, host } : null;
+}
+
+/**
+ * Base URL of a server.  Onion services and the local machine are
+ * reached over plain HTTP (an onion address already authenticates the
+ * service), everything else over HTTPS.
+ * @param {string} host
+ */
+function peerBaseUrl(host) {
+  const name = host.replace(/:\d+$/, '');
+  const plain = name.endsWith('.onion') || name === 'localhost' || name.startsWith('127.') || name === '[::1]';
+  return `${plain ? 'http' : 'https'}://${host}`;
+}
+
+/**
+ * Whether `address`, an IPv4 or IPv6 address, is loopback or private.
+ * IPv4 addresses mapped into IPv6 are checked as IPv4.
+ * @param {string} address
+ */
+function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return PRIVATE_ADDRESSES.check(mapped[1], 'ipv4');
+  const family = net.isIP(address);
+  return family === 0 || PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * An error carrying the HTTP status to answer a peer with.
+ * @param {number} status
+ * @param {string} message
+ */
+function peerError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Resolve `host` and reject if it is or resolves to a loopback or
+ * private address.  Onion services are reached through Tor and not
+ * resolved.
+ * @param {string} host
+ */
+async function checkPublicHost(host) {
+  const name = host.replace(/:\d+$/, '').replace(/^\[(.*)\]$/, '$1');
+  if (name.endsWith('.onion')) return;
+  const addresses = net.isIP(name) ? [{ address: name }] : await dns.promises.lookup(name, { all: true });
+  if (name === 'localhost' || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw peerError(403, `${host} is a local address; list it in FEDERATION_PEERS to federate with it`);
+  }
+}
+
+/**
+ * Set up federation for the server reached at `host`.  `allowedPeers`
+ * limits the servers it relays to and accepts relays from; empty
+ * allows any.  The callbacks handle what peers send and resolve to
+ * { ok: true } or { ok: false, status, error }:
+ *
+ *   onMessage(origin, message)  a message for a local user
+ *   onReceipt(origin, receipt)  a delivery or read receipt
+ *   onFailed(host, payload, error) a queued relay was given up
+ *
+ * @param {{ storage: object, dataDir: string, host: string, allowedPeers?: string[],
+ *   onMessage: Function, onReceipt: Function, onFailed: Function }} options
+ */
+function createFederation({ storage, dataDir, host, allowedPeers = [], onMessage, onReceipt, onFailed }) {
+  const ownHost = normalizeHost(host);
+  if (!ownHost) {
+    throw new Error(`not a valid host name: ${host}`);
+  }
+  const allowed = allowedPeers.map(normalizeHost).filter(Boolean);
+  const keyFile = path.join(dataDir, 'federation-key.json');
+  // host -> { failures, retryAt, lastError } while a host is unreachable
+  const backoff = new Map();
+  let timer = null;
+  let flushing = false;
+  let flushAgain = false;
+  const keyFetchesPerHost = createRateLimiter({ windowMs: KEY_FETCH_WINDOW_MS, max: KEY_FETCHES_PER_HOST });
+  const keyFetches = createRateLimiter({ windowMs: KEY_FETCH_WINDOW_MS, max: KEY_FETCHES });
+
+  const verifyRelay = createSignedRequestVerifier((peer) => {
+    const pinned = storage.getPeer(peer);
+    return pinned ? [pinned.publicKey] : null;
+  });
+
+  // Load the server key, generating it on first start
+  const ready = (async () => {
+    if (fs.existsSync(keyFile)) {
+      return JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+    }
+    const { privateKeyArmored, publicKeyArmored } = await generateServerKey(ownHost);
+    const key = { privateKey: privateKeyArmored, publicKey: publicKeyArmored, createdAt: Date.now() };
+    fs.mkdirSync(dataDir, { recursive: true });
+    fs.writeFileSync(keyFile, JSON.stringify(key, null, 2), { mode: 0o600, flag: 'wx' });
+    console.log(`Generated the federation key for ${ownHost}`);
+    return key;
+  })();
+
+  function isAllowed(peer) {
+    return allowed.length === 0 || allowed.includes(peer);
+  }
+
+  /**
+   * The pinned key of `peer`, fetched from the peer and pinned the
+   * first time.  Fetches are limited per host and in total, and hosts
+   * on local addresses are refused unless they are in the allow-list.
+   */
+  async function peerKey(peer) {
+    const pinned = storage.getPeer(peer);
+    if (pinned) return pinned;
+    if (!keyFetchesPerHost.hit(peer).allowed || !keyFetches.hit('all').allowed) {
+      throw peerError(429, 'too many key requests; try again later');
+    }
+    if (allowed.length === 0) await checkPublicHost(peer);
+    const res = await fetch(`${peerBaseUrl(peer)}/api/federation`, { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+    const data = await res.json();
+    if (!res.ok || !data.enabled || normalizeHost(data.host) !== peer) {
+      throw new Error(`${peer} does not federate under that name`);
+    }
+    const info = await getKeyInfo(data.publicKey);
+    if (!info) {
+      throw new Error(`${peer} published an unreadable key`);
+    }
+    storage.setPeer({ host: peer, publicKey: data.publicKey, fingerprint: info.fingerprint });
+    console.log(`Pinned the federation key of ${peer}: ${info.fingerprint}`);
+    return storage.getPeer(peer);
+  }
+
+  /**
+   * POST one relay to `peer`.  Resolves to { ok: true } or { ok: false,
+   * permanent, error }; network failures reject.
+   */
+  async function send(peer, payload) {
+    const { privateKey } = await ready;
+    const statement = JSON.stringify({ action: 'relay', username: ownHost, destination: peer, timestamp: Date.now(), ...payload });
+    const signature = await signDetached(privateKey, statement);
+    const res = await fetch(`${peerBaseUrl(peer)}/api/federation/inbox`, {
+      method: 'POST',
+      headers: { 'Content-Type': FEDERATION_CONTENT_TYPE },
+      body: JSON.stringify({ statement, signature }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    if (res.ok) return { ok: true };
+    const data = await res.json().catch(() => ({}));
+    const permanent = res.status >= 400 && res.status < 500 && res.status !== 408 && res.status !== 429;
+    return { ok: false, permanent, error: data.error || `HTTP ${res.status}` };
+  }
+
+  function giveUp(relay, error) {
+    storage.removeRelay(relay.id);
+    console.error(`Gave up relaying to ${relay.host}: ${error}`);
+    Promise.resolve(onFailed(relay.host, relay.payload, error)).catch((err) => {
+      console.error('Error handling a failed relay:', err);
+    });
+  }
+
+  /**
+   * Send what is queued, host by host and in order.  A host stops at its
+   * first relay that fails for a reason worth retrying.
+   */
+  async function flushOnce() {
+    const now = Date.now();
+    const byHost = new Map();
+    storage.listRelays().forEach((relay) => {
+      if (now - relay.createdAt > QUEUE_TTL_MS) {
+        giveUp(relay, `${relay.host} could not be reached`);
+        return;
+      }
+      if (!byHost.has(relay.host)) byHost.set(relay.host, []);
+      byHost.get(relay.host).push(relay);
+    });
+    for (const [peer, relays] of byHost) {
+      const state = backoff.get(peer);
+      if (state && state.retryAt > now) continue;
+      for (const relay of relays) {
+        let result;
+        try {
+          result = await send(peer, relay.payload);
+        } catch (err) {
+          result = { ok: false, permanent: false, error: err.message };
+        }
+        if (result.ok || result.permanent) {
+          backoff.delete(peer);
+          if (result.ok) storage.removeRelay(relay.id);
+          else giveUp(relay, result.error);
+          continue;
+        }
+        const previous = backoff.get(peer);
+        const failures = (previous ? previous.failures : 0) + 1;
+        const delay = Math.min(RETRY_BASE_MS * 2 ** (failures - 1), RETRY_MAX_MS);
+        backoff.set(peer, { failures, retryAt: Date.now() + delay, lastError: result.error });
+        console.error(`Relay to ${peer} failed (${result.error}); retrying in ${Math.round(delay / 1000)}s`);
+        break;
+      }
+    }
+  }
+
+  async function flush() {
+    if (flushing) {
+      flushAgain = true;
+      return;
+    }
+    flushing = true;
+    try {
+      do {
+        flushAgain = false;
+        await flushOnce();
+      } while (flushAgain);
+    } finally {
+      flushing = false;
+    }
+  }
+
+  function queue(peer, payload) {
+    storage.queueRelay({ id: uuidv4(), host: peer, payload, createdAt: Date.now() });
+    flush().catch((err) => console.error('Error relaying to other servers:', err));
+  }
+
+  return {
+    host: ownHost,
+
+    /**
+     * What `GET /api/federation` publishes: { enabled, host, publicKey,
+     * fingerprint }.
+     */
+    async info() {
+      const { publicKey } = await ready;
+      const keyInfo = await getKeyInfo(publicKey);
+      return { enabled: true, host: ownHost, publicKey, fingerprint: keyInfo ? keyInfo.fingerprint : null };
+    },
+
+    /**
+     * True for a `user@host` address on another server.
+     * @param {string} address
+     */
+    isRemote(address) {
+      const parsed = parseAddress(address);
+      return Boolean(parsed && parsed.host !== ownHost);
+    },
+
+    /**
+     * Why messages to `address` cannot be relayed, or null if they can.
+     * @param {string} address
+     */
+    relayError(address) {
+      const { host: peer } = parseAddress(address);
+      return isAllowed(peer) ? null : `this server does not federate with ${peer}`;
+    },
+
+    /**
+     * Queue a stored message whose recipient is on another server.
+     * @param {object} msg
+     */
+    relayMessage({ id, from, to, ciphertext, type, filename, timestamp }) {
+      const { username, host: peer } = parseAddress(to);
+      queue(peer, { kind: 'message', message: { id, from, to: username, ciphertext, type, filename, timestamp } });
+    },
+
+    /**
+     * Queue a receipt for a message from `sender` on another server:
+     * { id, status, recipient } where recipient is the local user the
+     * message was for.
+     * @param {string} sender
+     * @param {{ id: string, status: string, recipient: string }} receipt
+     */
+    relayReceipt(sender, receipt) {
+      queue(parseAddress(sender).host, { kind: 'receipt', receipt });
+    },
+
+    /**
+     * Handle the body of a request to the inbox.  Resolves to
+     * { ok: true } or { ok: false, status, error } for the peer.
+     * @param {object} body
+     */
+    async receive(body) {
+      let claimed = null;
+      try {
+        claimed = JSON.parse(body && body.statement);
+      } catch (err) {
+        // Reported below
+      }
+      const origin = claimed && normalizeHost(claimed.username);
+      if (!origin || origin !== claimed.username || origin === ownHost) {
+        return { ok: false, status: 400, error: 'statement must name the origin host as username' };
+      }
+      if (!isAllowed(origin)) {
+        return { ok: false, status: 403, error: `this server does not federate with ${origin}` };
+      }
+      try {
+        await peerKey(origin);
+      } catch (err) {
+        return { ok: false, status: err.status || 503, error: `cannot fetch the key of ${origin}: ${err.message}` };
+      }
+      const result = await verifyRelay(body, 'relay');
+      if (!result.ok) return result;
+      const { statement } = result;
+      if (statement.destination !== ownHost) {
+        return { ok: false, status: 400, error: `this server is ${ownHost}` };
+      }
+      if (statement.kind === 'message') return onMessage(origin, statement.message || {});
+      if (statement.kind === 'receipt') return onReceipt(origin, statement.receipt || {});
+      return { ok: false, status: 400, error: 'unknown relay kind' };
+    },
+
+    /**
+     * Queued relays per host with the last error of hosts that are
+     * being retried: [{ host, queued, oldestAt, lastError, retryAt }].
+     */
+    queueStatus() {
+      const hosts = new Map();
+      storage.listRelays().forEach((relay) => {
+        const entry = hosts.get(relay.host) || { host: relay.host, queued: 0, oldestAt: relay.createdAt };
+        entry.queued += 1;
+        hosts.set(relay.host, entry);
+      });
+      return Array.from(hosts.values()).map((entry) => {
+        const state = backoff.get(entry.host);
+        return { ...entry, lastError: state ? state.lastError : null, retryAt: state ? state.retryAt : null };
+      });
+    },
+
+    /**
+     * Start sending the queue in the background.
+     */
+    start() {
+      timer = setInterval(() => {
+        flush().catch((err) => console.error('Error relaying to other servers:', err));
+      }, QUEUE_INTERVAL_MS);
+      timer.unref();
+      flush().catch((err) => console.error('Error relaying to other servers:', err));
+    },
+
+    stop() {
+      clearInterval(timer);
+    },
+  };
+}
+
+module.exports = {
+  FEDERATION_CONTENT_TYPE,
+  createFederation,
+  normalizeHost,
+  parseAddress,
+  peerBaseUrl,
+};
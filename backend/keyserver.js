@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+
+/*
+ * Helpers for serving public keys to standard OpenPGP tools.  Two
+ * protocols are supported:
+ *
+ *  - HKP, the keyserver protocol GnuPG speaks with --recv-keys and
+ *    --search-keys (draft-shaw-openpgp-hkp).  `/pks/lookup` takes an
+ *    `op` (get or index) and a `search`, which is a fingerprint or key
+ *    id prefixed with 0x, or text matched against usernames and the
+ *    e-mail addresses in the keys' user IDs.
+ *  - Web Key Directory (draft-koch-openpgp-webkey-service), where the
+ *    key for an address is found at a path derived from its local part.
+ *    The client creates keys with the user ID `name <name@example.com>`,
+ *    so the local part is the username.
+ *
+ * The routes themselves live in server.js; this module only parses
+ * searches and formats answers.
+ */
+
+// z-base-32 alphabet used for WKD hashes
+const ZBASE32_ALPHABET = 'ybndrfg8ejkmcpqxot1uwisza345h769';
+
+/**
+ * Encode bytes with z-base-32.
+ * @param {Buffer} bytes
+ */
+function zbase32(bytes) {
+  let out = '';
+  let buffer = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += ZBASE32_ALPHABET[(buffer >> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    buffer &= (1 << bits) - 1;
+  }
+  if (bits > 0) {
+    out += ZBASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  }
+  return out;
+}
+
+/**
+ * The WKD hash of an address's local part: z-base-32 of the SHA-1 of
+ * its lower-cased form.
+ * @param {string} localPart
+ */
+function wkdHash(localPart) {
+  return zbase32(crypto.createHash('sha1').update(localPart.toLowerCase(), 'utf8').digest());
+}
+
+/**
+ * Parse an HKP `search` into { type, value }.  `type` is 'fingerprint'
+ * (40 hex digits), 'keyid' (8 or 16 hex digits, matched against the end
+ * of fingerprints) or 'text'.  Hex values are lower-cased; text is
+ * trimmed, lower-cased and stripped of surrounding angle brackets.
+ * Returns null for an empty search.
+ * @param {string} search
+ */
+function parseHkpSearch(search) {
+  if (typeof search !== 'string' || !search.trim()) return null;
+  const value = search.trim().toLowerCase();
+  const hex = value.replace(/^0x/, '').replace(/\s+/g, '');
+  if (value.startsWith('0x') && /^[0-9a-f]+$/.test(hex)) {
+    if (hex.length === 40) return { type: 'fingerprint', value: hex };
+    if (hex.length === 8 || hex.length === 16) return { type: 'keyid', value: hex };
+  }
+  return { type: 'text', value: value.replace(/^<(.*)>$/, '$1') };
+}
+
+/**
+ * Whether a key with `fingerprint` is what a fingerprint or key id
+ * search asks for.
+ * @param {{ type: string, value: string }} search
+ * @param {string} fingerprint
+ */
+function matchesKeySearch(search, fingerprint) {
+  if (!fingerprint) return false;
+  if (search.type === 'fingerprint') return fingerprint === search.value;
+  return fingerprint.endsWith(search.value);
+}
+
+/**
+ * E-mail address inside a user ID such as `name <name@example.com>`,
+ * lower-cased, or null.
+ * @param {string} userId
+ */
+function userIdEmail(userId) {
+  const match = /<([^<>]+@[^<>]+)>/.exec(userId) || /^([^\s<>]+@[^\s<>]+)$/.exec(userId);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Escape a user ID for a machine-readable index: ':' and '%' and
+ * anything outside printable ASCII are percent-encoded.
+ * @param {string} userId
+ */
+function escapeIndexField(userId) {
+  return Array.from(Buffer.from(userId, 'utf8'))
+    .map((byte) => (byte < 0x20 || byte > 0x7e || byte === 0x25 || byte === 0x3a ? '%' + byte.toString(16).toUpperCase().padStart(2, '0') : String.fromCharCode(byte)))
+    .join('');
+}
+
+/**
+ * Format keys described by describePublicKey() as an HKP
+ * machine-readable index (`options=mr`), the format GnuPG parses for
+ * --search-keys.
+ * @param {object[]} keys
+ */
+function formatMachineReadableIndex(keys) {
+  const seconds = (ms) => (ms ? String(Math.floor(ms / 1000)) : '');
+  const lines = [`info:1:${keys.length}`];
+  keys.forEach((key) => {
+    const expired = key.expiresAt !== null && key.expiresAt <= Date.now();
+    const flags = (key.revoked ? 'r' : '') + (expired ? 'e' : '');
+    lines.push(['pub', key.fingerprint.toUpperCase(), key.algorithm, key.bits || '', seconds(key.createdAt), seconds(key.expiresAt), flags].join(':'));
+    key.userIds.forEach((userId) => {
+      lines.push(['uid', escapeIndexField(userId), seconds(key.createdAt), '', flags].join(':'));
+    });
+  });
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  zbase32,
+  wkdHash,
+  parseHkpSearch,
+  matchesKeySearch,
+  userIdEmail,
+  formatMachineReadableIndex,
+};
@@ -0,0 +1,177 @@
+const openpgp = require('openpgp');
+
+/*
+ * Small helpers around openpgp.js for the few places where the server
+ * has to look inside a key or check a signature.  The server never
+ * decrypts anything; it only verifies that a statement (for example an
+ * authentication challenge) was signed by the private key that belongs
+ * to a public key it has on record, and reads key metadata such as
+ * fingerprints.  Its own key is only used to sign requests to other
+ * servers (see federation.js).  We use the same OpenPGP.js v4 API as
+ * the browser client so that signatures produced there verify here.
+ */
+
+/**
+ * Verify an armored detached signature over `text` against an
+ * armored public key.  Resolves to true only if the signature is
+ * well formed and was made by one of the keys in `publicKeyArmored`.
+ * Any parse or verification failure resolves to false rather than
+ * throwing, so callers can treat the result as a plain boolean.
+ * @param {string} publicKeyArmored
+ * @param {string} text
+ * @param {string} signatureArmored
+ * @returns {Promise<boolean>}
+ */
+async function verifyDetachedSignature(publicKeyArmored, text, signatureArmored) {
+  if (!publicKeyArmored || typeof text !== 'string' || typeof signatureArmored !== 'string') {
+    return false;
+  }
+  try {
+    const { keys, err } = await openpgp.key.readArmored(publicKeyArmored);
+    if (err || !keys || keys.length === 0) return false;
+    const signature = await openpgp.signature.readArmored(signatureArmored);
+    const result = await openpgp.verify({
+      message: openpgp.message.fromText(text),
+      signature,
+      publicKeys: keys,
+    });
+    if (!result.signatures || result.signatures.length === 0) return false;
+    // `verified` rejects when the digest does not match, so wrap it
+    return (await result.signatures[0].verified) === true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Parse an armored public key and describe it.  Resolves to
+ * { fingerprint, keyId, userIds } with hex strings in lower case, or
+ * null when the key cannot be read.
+ * @param {string} publicKeyArmored
+ */
+async function getKeyInfo(publicKeyArmored) {
+  try {
+    const { keys, err } = await openpgp.key.readArmored(publicKeyArmored);
+    if (err || !keys || keys.length === 0) return null;
+    const key = keys[0];
+    return {
+      fingerprint: key.getFingerprint(),
+      keyId: key.getKeyId().toHex(),
+      userIds: key.getUserIds(),
+    };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Check a revocation certificate against an armored public key.
+ * Resolves to the armored key with the revocation applied if the
+ * certificate was issued for this key, or null otherwise.
+ * @param {string} publicKeyArmored
+ * @param {string} certificate
+ */
+async function applyRevocationCertificate(publicKeyArmored, certificate) {
+  if (typeof certificate !== 'string') return null;
+  try {
+    const { keys } = await openpgp.key.readArmored(publicKeyArmored);
+    const revoked = await keys[0].applyRevocationCertificate(certificate);
+    return (await revoked.isRevoked()) ? revoked.armor() : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Bit lengths of the elliptic curves, which openpgp.js does not report
+const CURVE_BITS = {
+  ed25519: 255,
+  curve25519: 255,
+  p256: 256,
+  p384: 384,
+  p521: 521,
+  secp256k1: 256,
+  brainpoolP256r1: 256,
+  brainpoolP384r1: 384,
+  brainpoolP512r1: 512,
+};
+
+/**
+ * Describe an armored public key for a keyserver listing.  Resolves to
+ * { fingerprint, keyId, algorithm, bits, createdAt, expiresAt, revoked,
+ * userIds, binary } or null when the key cannot be read.  `algorithm`
+ * is the OpenPGP algorithm number, times are in milliseconds with
+ * `expiresAt` null for keys that do not expire, and `binary` is the
+ * unarmored key.
+ * @param {string} publicKeyArmored
+ */
+async function describePublicKey(publicKeyArmored) {
+  try {
+    const { keys, err } = await openpgp.key.readArmored(publicKeyArmored);
+    if (err || !keys || keys.length === 0) return null;
+    const key = keys[0];
+    const info = key.primaryKey.getAlgorithmInfo();
+    const expiration = await key.getExpirationTime();
+    return {
+      fingerprint: key.getFingerprint(),
+      keyId: key.getKeyId().toHex(),
+      algorithm: openpgp.enums.write(openpgp.enums.publicKey, info.algorithm),
+      bits: info.bits || CURVE_BITS[info.curve] || null,
+      createdAt: key.primaryKey.getCreationTime().getTime(),
+      expiresAt: expiration instanceof Date ? expiration.getTime() : null,
+      revoked: await key.isRevoked(),
+      userIds: key.getUserIds(),
+      binary: Buffer.from(key.toPacketlist().write()),
+    };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Armor one or more binary public keys as a single PUBLIC KEY BLOCK.
+ * @param {Buffer[]} binaries
+ */
+function armorPublicKeys(binaries) {
+  return openpgp.armor.encode(openpgp.enums.armor.public_key, Buffer.concat(binaries));
+}
+
+/**
+ * Generate the unprotected key pair a server signs its requests to
+ * other servers with.  Resolves to { privateKeyArmored,
+ * publicKeyArmored }.
+ * @param {string} name  User ID of the key, the server's host
+ */
+async function generateServerKey(name) {
+  const { privateKeyArmored, publicKeyArmored } = await openpgp.generateKey({
+    type: 'ecc',
+    curve: 'curve25519',
+    userIds: [{ name }],
+  });
+  return { privateKeyArmored, publicKeyArmored };
+}
+
+/**
+ * Make an armored detached signature over `text` with an unprotected
+ * armored private key.
+ * @param {string} privateKeyArmored
+ * @param {string} text
+ */
+async function signDetached(privateKeyArmored, text) {
+  const { keys } = await openpgp.key.readArmored(privateKeyArmored);
+  const { signature } = await openpgp.sign({
+    message: openpgp.message.fromText(text),
+    privateKeys: keys,
+    detached: true,
+  });
+  return signature;
+}
+
+module.exports = {
+  verifyDetachedSignature,
+  getKeyInfo,
+  applyRevocationCertificate,
+  describePublicKey,
+  armorPublicKeys,
+  generateServerKey,
+  signDetached,
+};
@@ -0,0 +1,122 @@
+const { verifyDetachedSignature } = require('./pgp');
+
+/*
+ * Prekeys for the optional ratchet session layer.  Clients that turn on
+ * forward secrecy set up a session with each device of a contact using
+ * X3DH and then encrypt every message with a Double Ratchet (see the
+ * ratchet section of app.js).  To let a session start while its other
+ * end is offline, every device publishes a prekey bundle here:
+ *
+ *  - an identity key, an ECDH P-256 public key that stays with the
+ *    device, signed by the device's OpenPGP key;
+ *  - a signed prekey, replaced from time to time, also signed by the
+ *    OpenPGP key;
+ *  - a supply of one-time prekeys, each handed out once.
+ *
+ * Public keys are base64 encoded raw (uncompressed) points.  The
+ * signatures are detached OpenPGP signatures over the strings built by
+ * identityStatement() and signedPrekeyStatement(), so anybody who
+ * trusts a device's OpenPGP key can check the bundle without trusting
+ * the server.  The server checks them too, so it never hands out a
+ * bundle its device did not sign.
+ */
+
+// One-time prekeys kept per device; clients top up below this
+const MAX_ONE_TIME_PREKEYS = 100;
+
+// Base64 of an uncompressed P-256 point: 0x04 followed by X and Y
+const P256_PUBLIC_KEY = /^B[A-P][A-Za-z0-9+/]{85}=$/;
+
+/**
+ * The string a device signs to bind its identity key to its OpenPGP
+ * key.
+ * @param {string} fingerprint  fingerprint of the device's OpenPGP key
+ * @param {string} identityKey
+ */
+function identityStatement(fingerprint, identityKey) {
+  return JSON.stringify(['ratchet-identity', fingerprint, identityKey]);
+}
+
+/**
+ * The string a device signs to publish a signed prekey.
+ * @param {string} fingerprint
+ * @param {number} id
+ * @param {string} publicKey
+ */
+function signedPrekeyStatement(fingerprint, id, publicKey) {
+  return JSON.stringify(['ratchet-signed-prekey', fingerprint, id, publicKey]);
+}
+
+function isPrekeyId(id) {
+  return Number.isInteger(id) && id >= 0 && id <= 0xffffffff;
+}
+
+function isPublicKey(key) {
+  return typeof key === 'string' && P256_PUBLIC_KEY.test(key);
+}
+
+/**
+ * Check the fields of a `publishPrekeys` statement.  A statement may
+ * carry a bundle ({ identityKey, identitySignature, signedPrekeyId,
+ * signedPrekey, signedPrekeySignature }), one-time prekeys
+ * (`oneTimePrekeys`: [{ id, publicKey }]) or both.  Returns
+ * { ok: true, bundle, oneTimePrekeys } with `bundle` null when none was
+ * sent, or { ok: false, status, error }.  Signatures are checked by
+ * verifyPrekeyBundle().
+ * @param {object} statement
+ */
+function parsePrekeyUpload(statement) {
+  const { identityKey, identitySignature, signedPrekeyId, signedPrekey, signedPrekeySignature } = statement;
+  let bundle = null;
+  if (identityKey !== undefined) {
+    if (!isPublicKey(identityKey) || !isPublicKey(signedPrekey)) {
+      return { ok: false, status: 400, error: 'identityKey and signedPrekey must be P-256 public keys' };
+    }
+    if (!isPrekeyId(signedPrekeyId)) {
+      return { ok: false, status: 400, error: 'signedPrekeyId must be an unsigned 32-bit integer' };
+    }
+    if (typeof identitySignature !== 'string' || typeof signedPrekeySignature !== 'string') {
+      return { ok: false, status: 400, error: 'identitySignature and signedPrekeySignature are required' };
+    }
+    bundle = { identityKey, identitySignature, signedPrekeyId, signedPrekey, signedPrekeySignature };
+  }
+  const oneTimePrekeys = statement.oneTimePrekeys === undefined ? [] : statement.oneTimePrekeys;
+  if (!Array.isArray(oneTimePrekeys) || oneTimePrekeys.length > MAX_ONE_TIME_PREKEYS) {
+    return { ok: false, status: 400, error: `oneTimePrekeys must be a list of at most ${MAX_ONE_TIME_PREKEYS} keys` };
+  }
+  if (!oneTimePrekeys.every((k) => k && isPrekeyId(k.id) && isPublicKey(k.publicKey))) {
+    return { ok: false, status: 400, error: 'every one-time prekey needs an id and a P-256 public key' };
+  }
+  if (!bundle && oneTimePrekeys.length === 0) {
+    return { ok: false, status: 400, error: 'nothing to publish' };
+  }
+  return { ok: true, bundle, oneTimePrekeys: oneTimePrekeys.map(({ id, publicKey }) => ({ id, publicKey })) };
+}
+
+/**
+ * Check that both signatures of a bundle were made by the OpenPGP key
+ * of the device it is published for.
+ * @param {string} publicKeyArmored  the device's OpenPGP key
+ * @param {string} fingerprint
+ * @param {object} bundle
+ * @returns {Promise<boolean>}
+ */
+async function verifyPrekeyBundle(publicKeyArmored, fingerprint, bundle) {
+  const [identity, prekey] = await Promise.all([
+    verifyDetachedSignature(publicKeyArmored, identityStatement(fingerprint, bundle.identityKey), bundle.identitySignature),
+    verifyDetachedSignature(
+      publicKeyArmored,
+      signedPrekeyStatement(fingerprint, bundle.signedPrekeyId, bundle.signedPrekey),
+      bundle.signedPrekeySignature
+    ),
+  ]);
+  return identity && prekey;
+}
+
+module.exports = {
+  MAX_ONE_TIME_PREKEYS,
+  identityStatement,
+  signedPrekeyStatement,
+  parsePrekeyUpload,
+  verifyPrekeyBundle,
+};
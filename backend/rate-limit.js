@@ -0,0 +1,127 @@
+/*
+ * Rate limiting and size limits for the relay.  Every limit can be set
+ * through an environment variable so operators can tune them without
+ * touching the code; `loadLimits()` reads them once at startup.
+ *
+ * Rate limits use a fixed window per key (an IP address, a username or
+ * a constant for server-wide limits).  Counters live in memory, so they
+ * reset when the server restarts, which is acceptable for abuse
+ * protection on a single instance.
+ */
+
+/**
+ * Read a positive integer from the environment, falling back to
+ * `fallback` when it is unset or invalid.
+ * @param {string} name
+ * @param {number} fallback
+ */
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Load the configured limits.
+ *
+ *   RATE_LIMIT_WINDOW_MS       window for the per-IP and per-user limits (60000)
+ *   RATE_LIMIT_IP              HTTP requests and socket events per IP per window (300)
+ *   RATE_LIMIT_USER_MESSAGES   messages a user may send per window (60)
+ *   REGISTRATION_WINDOW_MS     window for registration limits (3600000)
+ *   REGISTRATION_LIMIT_IP      registrations per IP per window (5)
+ *   REGISTRATION_LIMIT         registrations on the whole server per window (100)
+ *   MAX_TEXT_BYTES             largest ciphertext of a text message (65536)
+ *   MAX_IMAGE_BYTES            largest ciphertext of an image message (4194304)
+ *   MAX_OTHER_BYTES            largest ciphertext of any other message type (65536)
+ *   MAX_REQUEST_BYTES          largest JSON body of an HTTP request (262144)
+ *   MAX_BLOB_BYTES             largest encrypted file attachment (104857600)
+ *   BLOB_QUOTA_BYTES           attachment storage per user (536870912)
+ *   MAX_CHUNK_BYTES            largest attachment chunk in one upload request (4194304)
+ */
+function loadLimits() {
+  return {
+    windowMs: envInt('RATE_LIMIT_WINDOW_MS', 60 * 1000),
+    perIp: envInt('RATE_LIMIT_IP', 300),
+    messagesPerUser: envInt('RATE_LIMIT_USER_MESSAGES', 60),
+    registrationWindowMs: envInt('REGISTRATION_WINDOW_MS', 60 * 60 * 1000),
+    registrationsPerIp: envInt('REGISTRATION_LIMIT_IP', 5),
+    registrations: envInt('REGISTRATION_LIMIT', 100),
+    maxCiphertextBytes: {
+      text: envInt('MAX_TEXT_BYTES', 64 * 1024),
+      image: envInt('MAX_IMAGE_BYTES', 4 * 1024 * 1024),
+      other: envInt('MAX_OTHER_BYTES', 64 * 1024),
+    },
+    maxRequestBytes: envInt('MAX_REQUEST_BYTES', 256 * 1024),
+    maxBlobBytes: envInt('MAX_BLOB_BYTES', 100 * 1024 * 1024),
+    blobQuotaBytes: envInt('BLOB_QUOTA_BYTES', 512 * 1024 * 1024),
+    maxChunkBytes: envInt('MAX_CHUNK_BYTES', 4 * 1024 * 1024),
+  };
+}
+
+/**
+ * Largest ciphertext accepted for a message of `type`.
+ * @param {ReturnType<typeof loadLimits>} limits
+ * @param {string} type
+ */
+function maxCiphertextBytes(limits, type) {
+  const sizes = limits.maxCiphertextBytes;
+  return Object.prototype.hasOwnProperty.call(sizes, type) ? sizes[type] : sizes.other;
+}
+
+/**
+ * Create a fixed-window rate limiter allowing `max` hits per key in
+ * each window of `windowMs`.  `hit(key)` counts one hit and returns
+ * { allowed: true } or { allowed: false, retryAfterMs }.
+ * @param {{ windowMs: number, max: number }} options
+ */
+function createRateLimiter({ windowMs, max }) {
+  const windows = new Map(); // key -> { start, count }
+  let lastSweep = Date.now();
+
+  function sweep(now) {
+    if (now - lastSweep < windowMs) return;
+    lastSweep = now;
+    for (const [key, entry] of windows) {
+      if (now - entry.start >= windowMs) windows.delete(key);
+    }
+  }
+
+  return {
+    hit(key) {
+      const now = Date.now();
+      sweep(now);
+      let entry = windows.get(key);
+      if (!entry || now - entry.start >= windowMs) {
+        entry = { start: now, count: 0 };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+      if (entry.count > max) {
+        return { allowed: false, retryAfterMs: entry.start + windowMs - now };
+      }
+      return { allowed: true };
+    },
+  };
+}
+
+/**
+ * Express middleware that applies `limiter` per client IP and answers
+ * 429 with a Retry-After header once the limit is reached.
+ * @param {ReturnType<typeof createRateLimiter>} limiter
+ * @param {string} error  Message sent back to the client
+ */
+function rateLimitByIp(limiter, error) {
+  return (req, res, next) => {
+    const result = limiter.hit(req.ip);
+    if (result.allowed) return next();
+    const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error, retryAfter });
+  };
+}
+
+module.exports = {
+  loadLimits,
+  maxCiphertextBytes,
+  createRateLimiter,
+  rateLimitByIp,
+};
@@ -3,12 +3,33 @@ const http = require('http');
 const { Server: SocketIOServer } = require('socket.io');
 const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
-const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const {
+  verifyDetachedSignature,
+  getKeyInfo,
+  applyRevocationCertificate,
+  describePublicKey,
+  armorPublicKeys,
+} = require('./pgp');
+const { createSignedRequestVerifier } = require('./signed-request');
+const { createStorage, resolveDataDir } = require('./storage');
+const { createBlobStore } = require('./blob-store');
+const {
+  wkdHash,
+  parseHkpSearch,
+  matchesKeySearch,
+  userIdEmail,
+  formatMachineReadableIndex,
+} = require('./keyserver');
+const { FEDERATION_CONTENT_TYPE, createFederation, parseAddress } = require('./federation');
+const { adminSocketPath, createAdminCommands, serveAdminCommands } = require('./admin-commands');
+const { MAX_ONE_TIME_PREKEYS, parsePrekeyUpload, verifyPrekeyBundle } = require('./prekeys');
+const { loadLimits, maxCiphertextBytes, createRateLimiter, rateLimitByIp } = require('./rate-limit');
 
 /*
- * Simple chat server that stores users and public keys in memory and
- * relays encrypted messages between connected clients.  This server
+ * Simple chat server that stores users and public keys in a persistent
+ * store and relays encrypted messages between connected clients.  This server
  * deliberately avoids any encryption/decryption logic; encryption is
  * handled on the client using openpgp.js.  Each user registers with a
  * username and publicKey.  Messages are sent via Socket.io and
@@ -16,6 +37,24 @@ const path = require('path');
  * retrieve public keys by username.
  */
 
+// Rate and size limits, configurable through environment variables
+// (see rate-limit.js).  The per-IP limiter is shared by HTTP requests
+// and socket events.
+const limits = loadLimits();
+const ipLimiter = createRateLimiter({ windowMs: limits.windowMs, max: limits.perIp });
+const messageLimiter = createRateLimiter({ windowMs: limits.windowMs, max: limits.messagesPerUser });
+const registrationIpLimiter = createRateLimiter({ windowMs: limits.registrationWindowMs, max: limits.registrationsPerIp });
+const registrationLimiter = createRateLimiter({ windowMs: limits.registrationWindowMs, max: limits.registrations });
+
+// Traffic since the server started, reported by `node admin.js stats`
+const traffic = {
+  startedAt: Date.now(),
+  httpRequests: 0,
+  messagesRelayed: 0,
+  messageBytes: 0,
+  attachmentBytesReceived: 0,
+};
+
 const app = express();
 const server = http.createServer(app);
 const io = new SocketIOServer(server, {
@@ -23,10 +62,17 @@ const io = new SocketIOServer(server, {
     origin: '*',
     methods: ['GET', 'POST'],
   },
+  // Room for the largest ciphertext plus the rest of the packet
+  maxHttpBufferSize: Math.max(...Object.values(limits.maxCiphertextBytes)) + 64 * 1024,
 });
 
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: limits.maxRequestBytes }));
+app.use(['/api', '/pks', '/.well-known'], (req, res, next) => {
+  traffic.httpRequests += 1;
+  next();
+});
+app.use(['/api', '/pks', '/.well-known'], rateLimitByIp(ipLimiter, 'too many requests; slow down'));
 
 // -----------------------------------------------------------------------------
 // Serve the frontend via Express
@@ -45,92 +91,658 @@ const FRONTEND_DIR = path.join(__dirname, '..', 'frontend');
 app.use(express.static(FRONTEND_DIR));
 
 // Catch‑all route for non‑API GET requests.  This should be placed after
-// API routes so that `/api/*` paths are handled normally.  When a user
+// API routes so that `/api/*` paths (and the keyserver paths under `/pks/`
+// and `/.well-known/`) are handled normally.  When a user
 // navigates directly to `/` or any other non‑API path, the SPA entry point
 // `index.html` is returned.
-app.get(/^\/(?!api).*/, (req, res) => {
+app.get(/^\/(?!api|pks\/|\.well-known\/).*/, (req, res) => {
   res.sendFile(path.join(FRONTEND_DIR, 'index.html'));
 });
 
-// Data persistence.  Users and messages are stored in JSON files
-// under the `data` directory.  On startup we load existing data
-// into in‑memory structures.  After any change we write the data
-// back to disk.  This provides simple persistence across restarts
-// without requiring a database.
-const DATA_DIR = path.join(__dirname, 'data');
-const USERS_FILE = path.join(DATA_DIR, 'users.json');
-const MESSAGES_FILE = path.join(DATA_DIR, 'messages.json');
-
-// Ensure the data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR);
-}
-
-// In‑memory storage for users and messages.  Each user maps to an
-// object containing their public key.  Messages are an array of
-// objects { id, from, to, ciphertext, timestamp }.
-const users = new Map();
-const messages = [];
-
-// Load persisted users
-try {
-  if (fs.existsSync(USERS_FILE)) {
-    const userList = JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
-    userList.forEach((u) => {
-      users.set(u.username, { publicKey: u.publicKey });
-    });
-  }
-} catch (err) {
-  console.error('Error loading users file:', err);
+// Data persistence.  Users and messages are kept in a pluggable store
+// (see storage/index.js).  By default this is an embedded SQLite
+// database under the `data` directory; set STORAGE_DRIVER=json to use
+// the original JSON files instead.  Existing `users.json` and
+// `messages.json` files are imported into the database on first start.
+const storage = createStorage();
+
+// Encrypted file attachments are kept as blobs under `blobs` in the
+// data directory (see blob-store.js).
+const blobs = createBlobStore({
+  dir: path.join(resolveDataDir(), 'blobs'),
+  quotaBytes: limits.blobQuotaBytes,
+  maxBlobBytes: limits.maxBlobBytes,
+});
+
+// Requests that change state on behalf of a user must carry a statement
+// signed with one of that user's active keys (see signed-request.js).
+// A revoked primary key signs nothing: whoever holds it may not be the
+// user any more.
+const verifySignedRequest = createSignedRequestVerifier((username) => {
+  const user = storage.getUser(username);
+  if (!user) return null;
+  const primary = user.keyRevokedAt ? [] : [user.publicKey];
+  return primary.concat(storage.listDevices(username).map((d) => d.publicKey));
+});
+
+/**
+ * Express middleware that only lets requests through whose body is a
+ * valid signed statement for `action`.  The verified statement is made
+ * available as `req.signed` = { statement, username, raw, signature,
+ * publicKey }, where `raw` and `signature` are kept so the proof can be
+ * passed on and `publicKey` is the device key that signed.
+ * @param {string} action
+ */
+function requireSignedRequest(action) {
+  return async (req, res, next) => {
+    const result = await verifySignedRequest(req.body, action);
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    if (storage.getUser(result.username).suspendedAt) {
+      return res.status(403).json({ error: 'account suspended' });
+    }
+    req.signed = {
+      statement: result.statement,
+      username: result.username,
+      raw: req.body.statement,
+      signature: req.body.signature,
+      publicKey: result.publicKey,
+    };
+    return next();
+  };
 }
 
-// Load persisted messages
-try {
-  if (fs.existsSync(MESSAGES_FILE)) {
-    const msgs = JSON.parse(fs.readFileSync(MESSAGES_FILE, 'utf8'));
-    msgs.forEach((m) => messages.push(m));
-  }
-} catch (err) {
-  console.error('Error loading messages file:', err);
+// Group ids share the message `to` field with usernames, so they carry
+// a prefix that usernames are not allowed to contain.
+const GROUP_ID_PREFIX = 'group:';
+
+function isGroupId(id) {
+  return typeof id === 'string' && id.startsWith(GROUP_ID_PREFIX);
 }
 
+/**
+ * Tell clients which limits apply, so they can refuse oversized
+ * messages before encrypting and uploading them.
+ */
+app.get('/api/limits', (req, res) => {
+  res.json({
+    windowMs: limits.windowMs,
+    messagesPerUser: limits.messagesPerUser,
+    maxCiphertextBytes: limits.maxCiphertextBytes,
+    maxBlobBytes: limits.maxBlobBytes,
+    blobQuotaBytes: limits.blobQuotaBytes,
+    maxChunkBytes: limits.maxChunkBytes,
+  });
+});
+
 /**
  * Register a user by username and public key.  If the username is
  * already taken, respond with an error.  Otherwise store the user and
- * return success.
+ * return success.  Registrations are limited per IP and server-wide.
  */
-app.post('/api/register', (req, res) => {
+const registrationRateLimit = rateLimitByIp(registrationIpLimiter, 'too many registrations from this address; try again later');
+app.post('/api/register', registrationRateLimit, async (req, res) => {
   const { username, publicKey } = req.body;
   if (!username || !publicKey) {
     return res.status(400).json({ error: 'username and publicKey are required' });
   }
-  if (users.has(username)) {
+  if (typeof username !== 'string' || /[:@]/.test(username)) {
+    return res.status(400).json({ error: 'username may not contain ":" or "@"' });
+  }
+  if (storage.hasUser(username)) {
     return res.status(400).json({ error: 'username already exists' });
   }
-  users.set(username, { publicKey });
-  console.log(`Registered user ${username}`);
-  // Persist users to disk.  Convert the map to an array of plain
-  // objects for JSON serialization.
+  const keyInfo = await getKeyInfo(publicKey);
+  if (!keyInfo) {
+    return res.status(400).json({ error: 'publicKey is not a valid OpenPGP key' });
+  }
+  const allowed = registrationLimiter.hit('server');
+  if (!allowed.allowed) {
+    const retryAfter = Math.ceil(allowed.retryAfterMs / 1000);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: 'the server is not accepting more registrations right now', retryAfter });
+  }
   try {
-    const userArray = Array.from(users.entries()).map(([uname, data]) => ({ username: uname, publicKey: data.publicKey }));
-    fs.writeFileSync(USERS_FILE, JSON.stringify(userArray, null, 2));
+    storage.addUser({ username, publicKey, fingerprint: keyInfo.fingerprint });
   } catch (err) {
-    console.error('Error writing users file:', err);
+    console.error('Error storing user:', err);
+    return res.status(500).json({ error: 'failed to store user' });
   }
+  console.log(`Registered user ${username}`);
   return res.json({ success: true });
 });
 
 /**
- * Get a user by username.  Returns the publicKey so clients can
- * encrypt messages to this user.
+ * Describe the keys a user can currently sign in with, one per device:
+ * their primary key (the one they registered or rotated to, unless it
+ * was revoked) followed by the devices they added.  Senders encrypt to
+ * all of them.
+ * @param {{ username: string, publicKey: string, keyRevokedAt: number|null }} user
+ */
+async function listActiveDevices(user) {
+  const devices = storage.listDevices(user.username).map(({ fingerprint, name, publicKey, addedAt, addedBy }) => ({
+    fingerprint,
+    name,
+    publicKey,
+    addedAt,
+    addedBy,
+    primary: false,
+  }));
+  if (!user.keyRevokedAt) {
+    const keyInfo = await getKeyInfo(user.publicKey);
+    devices.unshift({
+      fingerprint: keyInfo ? keyInfo.fingerprint : null,
+      name: 'Primary',
+      publicKey: user.publicKey,
+      addedAt: null,
+      addedBy: null,
+      primary: true,
+    });
+  }
+  return devices;
+}
+
+/**
+ * Check whether a fingerprint already belongs to one of a user's keys,
+ * past or present, so a key is never registered twice.
+ * @param {{ username: string, publicKey: string }} user
+ * @param {string} fingerprint
+ */
+async function isKnownKey(user, fingerprint) {
+  if (storage.getDevice(user.username, fingerprint)) return true;
+  if (storage.listUserKeys(user.username).some((k) => k.fingerprint === fingerprint)) return true;
+  const primary = await getKeyInfo(user.publicKey);
+  return Boolean(primary && primary.fingerprint === fingerprint);
+}
+
+/**
+ * Get a user by username.  Returns the primary publicKey, its
+ * fingerprint and whether it has been revoked, plus `devices`: every
+ * key the user can currently sign in with.  Clients encrypt messages to
+ * all device keys.
+ */
+app.get('/api/users/:username', async (req, res) => {
+  const { username } = req.params;
+  const user = storage.getUser(username);
+  if (!user) {
+    return res.status(404).json({ error: 'user not found' });
+  }
+  const keyInfo = await getKeyInfo(user.publicKey);
+  return res.json({
+    username,
+    publicKey: user.publicKey,
+    fingerprint: keyInfo ? keyInfo.fingerprint : null,
+    revoked: Boolean(user.keyRevokedAt),
+    suspended: Boolean(user.suspendedAt),
+    devices: await listActiveDevices(user),
+  });
+});
+
+/**
+ * List every primary key a user has registered, oldest first, with the
+ * time it was added, replaced and revoked.  Revocation certificates are
+ * included so clients can check them themselves.
+ */
+app.get('/api/users/:username/keys', (req, res) => {
+  const { username } = req.params;
+  if (!storage.hasUser(username)) {
+    return res.status(404).json({ error: 'user not found' });
+  }
+  return res.json(storage.listUserKeys(username));
+});
+
+/**
+ * Tell everyone who may hold a user's keys that they changed.  The
+ * server does not know anybody's contact list, so it notifies every
+ * connected user the person has exchanged messages with, every member
+ * of their groups and the user's own devices with a `keyChanged` event.
+ * The event carries the user's current `devices`.
+ * @param {string} username
+ * @param {object} change  { reason, publicKey, fingerprint, revoked, ... }
+ */
+async function notifyKeyChange(username, change) {
+  const user = storage.getUser(username);
+  const devices = await listActiveDevices(user);
+  const recipients = new Set([username]);
+  storage.listConversationPartners(username).forEach((partner) => {
+    if (!isGroupId(partner)) recipients.add(partner);
+  });
+  storage.listGroupsForUser(username).forEach((group) => {
+    group.members.forEach((member) => recipients.add(member));
+  });
+  recipients.forEach((recipient) => {
+    emitToUser(recipient, 'keyChanged', { username, ...change, devices });
+  });
+}
+
+/**
+ * Replace one of a user's keys.  Requires a signed `updateKey`
+ * statement with { newPublicKey }.  The key that signed the statement
+ * is the one replaced: the primary key stays in the key history, a
+ * device key is revoked and its device keeps its name under the new
+ * key.  A revoked primary key cannot sign, so it is replaced from one
+ * of the user's devices instead: a statement with `replacePrimary: true`
+ * signed by a device key makes `newPublicKey` the primary key, and the
+ * device keeps its own key.  Contacts receive `keyChanged`.
+ */
+app.post('/api/users/:username/key', requireSignedRequest('updateKey'), async (req, res) => {
+  const { statement, username } = req.signed;
+  if (username !== req.params.username) {
+    return res.status(400).json({ error: 'statement does not match this user' });
+  }
+  const user = storage.getUser(username);
+  const signedByPrimary = req.signed.publicKey === user.publicKey;
+  if (signedByPrimary && user.keyRevokedAt) {
+    return res.status(403).json({ error: 'this key was revoked' });
+  }
+  const replacePrimary = statement.replacePrimary === true;
+  if (replacePrimary && (signedByPrimary || !user.keyRevokedAt)) {
+    return res.status(409).json({ error: 'only a revoked primary key can be replaced from another device' });
+  }
+  const isPrimary = signedByPrimary || replacePrimary;
+  const oldPublicKey = replacePrimary ? user.publicKey : req.signed.publicKey;
+  const [oldInfo, newInfo] = await Promise.all([getKeyInfo(oldPublicKey), getKeyInfo(statement.newPublicKey)]);
+  if (!newInfo) {
+    return res.status(400).json({ error: 'newPublicKey is not a valid OpenPGP key' });
+  }
+  if (oldInfo && oldInfo.fingerprint === newInfo.fingerprint) {
+    return res.status(400).json({ error: 'new key is the same as the current key' });
+  }
+  if (await isKnownKey(user, newInfo.fingerprint)) {
+    return res.status(400).json({ error: 'this key is already registered' });
+  }
+  try {
+    if (isPrimary) {
+      storage.replaceUserKey(username, {
+        publicKey: statement.newPublicKey,
+        fingerprint: newInfo.fingerprint,
+        oldPublicKey,
+        oldFingerprint: oldInfo ? oldInfo.fingerprint : 'unknown',
+      });
+    } else {
+      storage.replaceDeviceKey(username, oldInfo.fingerprint, {
+        publicKey: statement.newPublicKey,
+        fingerprint: newInfo.fingerprint,
+      });
+    }
+    // Prekeys were signed by the old key
+    if (oldInfo) storage.deletePrekeys(username, oldInfo.fingerprint);
+  } catch (err) {
+    console.error('Error updating key:', err);
+    return res.status(500).json({ error: 'failed to update key' });
+  }
+  console.log(`User ${username} ${replacePrimary ? 'replaced their revoked primary key with' : 'rotated a key to'} ${newInfo.fingerprint}`);
+  await notifyKeyChange(username, {
+    reason: 'rotated',
+    publicKey: statement.newPublicKey,
+    fingerprint: newInfo.fingerprint,
+    previousFingerprint: oldInfo ? oldInfo.fingerprint : null,
+    revoked: false,
+  });
+  return res.json({ username, fingerprint: newInfo.fingerprint });
+});
+
+/**
+ * Upload a revocation certificate for one of a user's keys: the
+ * current primary key, a previous one or a device key.  Expects
+ * { revocationCertificate }.  The certificate proves itself, so no
+ * further signature is needed.  If it revokes the primary key, that
+ * key can no longer authenticate until the user rotates to a new key;
+ * a revoked device is signed out.  Contacts receive `keyChanged` with
+ * `revoked: true`.
  */
-app.get('/api/users/:username', (req, res) => {
+app.post('/api/users/:username/revoke', async (req, res) => {
   const { username } = req.params;
-  const user = users.get(username);
+  const { revocationCertificate } = req.body || {};
+  const user = storage.getUser(username);
   if (!user) {
     return res.status(404).json({ error: 'user not found' });
   }
-  return res.json({ username, publicKey: user.publicKey });
+  const candidates = [{ publicKey: user.publicKey, current: true }]
+    .concat(storage.listDevices(username).map((d) => ({ publicKey: d.publicKey, device: true })))
+    .concat(storage.listUserKeys(username).map((k) => ({ publicKey: k.publicKey, current: k.publicKey === user.publicKey })));
+  let match = null;
+  for (const candidate of candidates) {
+    if (await applyRevocationCertificate(candidate.publicKey, revocationCertificate)) {
+      match = candidate;
+      break;
+    }
+  }
+  if (!match) {
+    return res.status(400).json({ error: 'revocation certificate does not match any key of this user' });
+  }
+  const { fingerprint } = await getKeyInfo(match.publicKey);
+  try {
+    storage.deletePrekeys(username, fingerprint);
+    if (match.device) {
+      storage.revokeDevice(username, fingerprint);
+    } else {
+      storage.revokeUserKey(username, {
+        fingerprint,
+        publicKey: match.publicKey,
+        certificate: revocationCertificate,
+        current: match.current,
+      });
+    }
+  } catch (err) {
+    console.error('Error revoking key:', err);
+    return res.status(500).json({ error: 'failed to revoke key' });
+  }
+  console.log(`User ${username} revoked key ${fingerprint}`);
+  disconnectDevice(username, fingerprint);
+  await notifyKeyChange(username, {
+    reason: match.device ? 'deviceRevoked' : 'revoked',
+    publicKey: user.publicKey,
+    fingerprint,
+    revoked: true,
+    current: Boolean(match.current),
+  });
+  return res.json({ username, fingerprint, current: Boolean(match.current) });
+});
+
+/**
+ * Add a device to an account.  Requires a signed `addDevice` statement
+ * with { name, publicKey }, signed by one of the user's existing
+ * devices; the new device generated `publicKey` and its owner copied it
+ * over.  Responds with the user's devices.
+ */
+app.post('/api/users/:username/devices', requireSignedRequest('addDevice'), async (req, res) => {
+  const { statement, username } = req.signed;
+  if (username !== req.params.username) {
+    return res.status(400).json({ error: 'statement does not match this user' });
+  }
+  const name = typeof statement.name === 'string' ? statement.name.trim() : '';
+  if (!name) {
+    return res.status(400).json({ error: 'device name is required' });
+  }
+  const keyInfo = await getKeyInfo(statement.publicKey);
+  if (!keyInfo) {
+    return res.status(400).json({ error: 'publicKey is not a valid OpenPGP key' });
+  }
+  if (await isKnownKey(storage.getUser(username), keyInfo.fingerprint)) {
+    return res.status(400).json({ error: 'this key is already registered' });
+  }
+  const signerInfo = await getKeyInfo(req.signed.publicKey);
+  try {
+    storage.addDevice(username, {
+      fingerprint: keyInfo.fingerprint,
+      name,
+      publicKey: statement.publicKey,
+      addedBy: signerInfo ? signerInfo.fingerprint : null,
+    });
+  } catch (err) {
+    console.error('Error adding device:', err);
+    return res.status(500).json({ error: 'failed to add device' });
+  }
+  console.log(`User ${username} added device ${keyInfo.fingerprint}`);
+  await notifyKeyChange(username, {
+    reason: 'deviceAdded',
+    publicKey: statement.publicKey,
+    fingerprint: keyInfo.fingerprint,
+    name,
+    revoked: false,
+  });
+  return res.json(await listActiveDevices(storage.getUser(username)));
+});
+
+/**
+ * Revoke a device.  Requires a signed `revokeDevice` statement with
+ * { fingerprint } from any of the user's devices, including the one
+ * being revoked.  Its sockets are signed out.  The primary key cannot
+ * be removed this way; rotate it or upload a revocation certificate.
+ */
+app.delete('/api/users/:username/devices/:fingerprint', requireSignedRequest('revokeDevice'), async (req, res) => {
+  const { statement, username } = req.signed;
+  const { fingerprint } = req.params;
+  if (username !== req.params.username || statement.fingerprint !== fingerprint) {
+    return res.status(400).json({ error: 'statement does not match this device' });
+  }
+  const device = storage.getDevice(username, fingerprint);
+  if (!device || device.revokedAt) {
+    return res.status(404).json({ error: 'device not found' });
+  }
+  try {
+    storage.revokeDevice(username, fingerprint);
+    storage.deletePrekeys(username, fingerprint);
+  } catch (err) {
+    console.error('Error revoking device:', err);
+    return res.status(500).json({ error: 'failed to revoke device' });
+  }
+  console.log(`User ${username} revoked device ${fingerprint}`);
+  disconnectDevice(username, fingerprint);
+  await notifyKeyChange(username, {
+    reason: 'deviceRevoked',
+    publicKey: device.publicKey,
+    fingerprint,
+    name: device.name,
+    revoked: true,
+    current: false,
+  });
+  return res.json(await listActiveDevices(storage.getUser(username)));
+});
+
+/**
+ * Publish prekeys for the ratchet session layer (see prekeys.js).
+ * Requires a signed `publishPrekeys` statement carrying a bundle,
+ * one-time prekeys or both; they are stored for the device whose key
+ * signed the statement, and the bundle's own signatures must have been
+ * made by that key too.  One-time prekeys can only be added once the
+ * device has a bundle, up to MAX_ONE_TIME_PREKEYS.  Responds with
+ * { fingerprint, oneTimePrekeys }, the number of one-time prekeys the
+ * server now holds for the device.
+ */
+app.post('/api/users/:username/prekeys', requireSignedRequest('publishPrekeys'), async (req, res) => {
+  const { statement, username } = req.signed;
+  if (username !== req.params.username) {
+    return res.status(400).json({ error: 'statement does not match this user' });
+  }
+  const upload = parsePrekeyUpload(statement);
+  if (!upload.ok) {
+    return res.status(upload.status).json({ error: upload.error });
+  }
+  const { fingerprint } = await getKeyInfo(req.signed.publicKey);
+  if (upload.bundle && !(await verifyPrekeyBundle(req.signed.publicKey, fingerprint, upload.bundle))) {
+    return res.status(400).json({ error: 'prekey bundle is not signed by this device' });
+  }
+  let current = storage.listPrekeyBundles(username).find((b) => b.fingerprint === fingerprint);
+  if (!upload.bundle && !current) {
+    return res.status(409).json({ error: 'publish a prekey bundle first' });
+  }
+  const held = current && (!upload.bundle || current.identityKey === upload.bundle.identityKey) ? current.oneTimePrekeys : 0;
+  if (held + upload.oneTimePrekeys.length > MAX_ONE_TIME_PREKEYS) {
+    return res.status(400).json({ error: `at most ${MAX_ONE_TIME_PREKEYS} one-time prekeys can be held per device` });
+  }
+  try {
+    storage.transaction(() => {
+      if (upload.bundle) storage.setPrekeyBundle(username, { fingerprint, ...upload.bundle });
+      storage.addOneTimePrekeys(username, fingerprint, upload.oneTimePrekeys);
+    });
+  } catch (err) {
+    console.error('Error publishing prekeys:', err);
+    return res.status(500).json({ error: 'failed to publish prekeys' });
+  }
+  current = storage.listPrekeyBundles(username).find((b) => b.fingerprint === fingerprint);
+  return res.json({ fingerprint, oneTimePrekeys: current.oneTimePrekeys });
+});
+
+/**
+ * List a user's prekey bundles, one per device that turned on forward
+ * secrecy, with the number of one-time prekeys left instead of the keys
+ * themselves.  Clients use it to tell whether all of a contact's
+ * devices can take ratcheted messages and whether a device's identity
+ * key changed.
+ */
+app.get('/api/users/:username/prekeys', (req, res) => {
+  const { username } = req.params;
+  if (!storage.hasUser(username)) {
+    return res.status(404).json({ error: 'user not found' });
+  }
+  return res.json(storage.listPrekeyBundles(username));
+});
+
+/**
+ * Fetch the prekey bundles of some of a user's devices to start
+ * sessions with them.  Requires a signed `claimPrekeys` statement from
+ * the user starting the sessions with { owner, devices }, the owner of
+ * the bundles and the fingerprints wanted.  Each bundle comes with one
+ * of its device's one-time prekeys (`oneTimePrekey`, null when they ran
+ * out), which is removed so no other session uses it.  Devices without
+ * a bundle are left out of the response.
+ */
+app.post('/api/users/:username/prekeys/claim', requireSignedRequest('claimPrekeys'), (req, res) => {
+  const { statement, username } = req.signed;
+  const owner = req.params.username;
+  if (statement.owner !== owner || !Array.isArray(statement.devices)) {
+    return res.status(400).json({ error: 'statement does not match these prekeys' });
+  }
+  if (!storage.hasUser(owner)) {
+    return res.status(404).json({ error: 'user not found' });
+  }
+  if (storage.isBlocked(owner, username)) {
+    return res.status(403).json({ error: 'you cannot message this user' });
+  }
+  const wanted = new Set(statement.devices);
+  let bundles;
+  try {
+    bundles = storage.transaction(() =>
+      storage
+        .listPrekeyBundles(owner)
+        .filter((bundle) => wanted.has(bundle.fingerprint))
+        .map(({ oneTimePrekeys, ...bundle }) => ({
+          ...bundle,
+          oneTimePrekey: storage.claimOneTimePrekey(owner, bundle.fingerprint),
+        }))
+    );
+  } catch (err) {
+    console.error('Error claiming prekeys:', err);
+    return res.status(500).json({ error: 'failed to claim prekeys' });
+  }
+  return res.json(bundles);
+});
+
+/**
+ * Withdraw the prekeys of the device that signed a `deletePrekeys`
+ * statement, when it turns forward secrecy off.  Sessions already set
+ * up with it keep working until their other ends drop them.
+ */
+app.delete('/api/users/:username/prekeys', requireSignedRequest('deletePrekeys'), async (req, res) => {
+  const { username } = req.signed;
+  if (username !== req.params.username) {
+    return res.status(400).json({ error: 'statement does not match this user' });
+  }
+  const { fingerprint } = await getKeyInfo(req.signed.publicKey);
+  if (!storage.deletePrekeys(username, fingerprint)) {
+    return res.status(404).json({ error: 'this device has not published prekeys' });
+  }
+  return res.json({ fingerprint });
+});
+
+/**
+ * Add a user to the signer's block list.  Requires a signed `blockUser`
+ * statement with { blocked }.  Messages from blocked users are dropped
+ * without being stored and left out of conversation history.  The
+ * user's devices receive `blocksUpdated` with the new list, which is
+ * also the response.
+ */
+app.post('/api/users/:username/blocks', requireSignedRequest('blockUser'), (req, res) => {
+  const { statement, username } = req.signed;
+  const { blocked } = statement;
+  if (username !== req.params.username) {
+    return res.status(400).json({ error: 'statement does not match this user' });
+  }
+  if (typeof blocked !== 'string' || (!storage.hasUser(blocked) && !(federation && federation.isRemote(blocked)))) {
+    return res.status(404).json({ error: 'user to block not found' });
+  }
+  if (blocked === username) {
+    return res.status(400).json({ error: 'you cannot block yourself' });
+  }
+  try {
+    storage.blockUser(username, blocked);
+  } catch (err) {
+    console.error('Error blocking user:', err);
+    return res.status(500).json({ error: 'failed to block user' });
+  }
+  const list = storage.listBlocked(username);
+  emitToUser(username, 'blocksUpdated', list);
+  return res.json(list);
+});
+
+/**
+ * Remove a user from the signer's block list.  Requires a signed
+ * `unblockUser` statement with { blocked }.  Responds with the new
+ * list.
+ */
+app.delete('/api/users/:username/blocks/:blocked', requireSignedRequest('unblockUser'), (req, res) => {
+  const { statement, username } = req.signed;
+  if (username !== req.params.username || statement.blocked !== req.params.blocked) {
+    return res.status(400).json({ error: 'statement does not match this block' });
+  }
+  let removed;
+  try {
+    removed = storage.unblockUser(username, statement.blocked);
+  } catch (err) {
+    console.error('Error unblocking user:', err);
+    return res.status(500).json({ error: 'failed to unblock user' });
+  }
+  if (!removed) {
+    return res.status(404).json({ error: 'user is not blocked' });
+  }
+  const list = storage.listBlocked(username);
+  emitToUser(username, 'blocksUpdated', list);
+  return res.json(list);
+});
+
+/**
+ * Fetch a user's contact list.  The list is an OpenPGP message the
+ * client encrypted to its own device keys and signed, so the server
+ * only sees its size and when it changed.  Responds with
+ * { contacts, version, updatedAt }, or 404 when none was saved.
+ */
+app.get('/api/users/:username/contacts', (req, res) => {
+  const list = storage.getContactList(req.params.username);
+  if (!list) {
+    return res.status(404).json({ error: 'no contact list saved' });
+  }
+  return res.json({ contacts: list.blob, version: list.version, updatedAt: list.updatedAt });
+});
+
+/**
+ * Replace the signer's contact list.  Requires a signed `saveContacts`
+ * statement with { contacts, baseVersion }, where `contacts` is the
+ * armored OpenPGP message and `baseVersion` the version the client
+ * last read (0 when there was none).  If another device saved in the
+ * meantime the request fails with 409 and the current version, and the
+ * client merges and tries again.  The user's devices receive
+ * `contactsUpdated` with the new version, which is also the response.
+ */
+app.put('/api/users/:username/contacts', requireSignedRequest('saveContacts'), (req, res) => {
+  const { statement, username } = req.signed;
+  const { contacts, baseVersion } = statement;
+  if (username !== req.params.username) {
+    return res.status(400).json({ error: 'statement does not match this user' });
+  }
+  if (typeof contacts !== 'string' || !contacts.startsWith('-----BEGIN PGP MESSAGE-----')) {
+    return res.status(400).json({ error: 'contacts must be an armored OpenPGP message' });
+  }
+  if (!Number.isInteger(baseVersion) || baseVersion < 0) {
+    return res.status(400).json({ error: 'baseVersion must be a non-negative integer' });
+  }
+  const current = storage.getContactList(username);
+  const currentVersion = current ? current.version : 0;
+  if (baseVersion !== currentVersion) {
+    return res.status(409).json({ error: 'the contact list was changed by another device', version: currentVersion });
+  }
+  let list;
+  try {
+    list = storage.setContactList(username, contacts);
+  } catch (err) {
+    console.error('Error saving contact list:', err);
+    return res.status(500).json({ error: 'failed to save contact list' });
+  }
+  const result = { version: list.version, updatedAt: list.updatedAt };
+  emitToUser(username, 'contactsUpdated', result);
+  return res.json(result);
 });
 
 /**
@@ -138,94 +750,1431 @@ app.get('/api/users/:username', (req, res) => {
  * fingerprints, not private keys.
  */
 app.get('/api/users', (req, res) => {
-  const list = Array.from(users.entries()).map(([username, data]) => ({
+  const list = storage.listUsers().map(({ username, publicKey }) => ({
     username,
-    publicKey: data.publicKey,
+    publicKey,
   }));
   return res.json(list);
 });
 
+// Page sizes for the conversation history endpoint
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
 /**
- * Retrieve encrypted messages between two users.  Requires query
- * parameters `user1` and `user2`.  Returns all messages where
- * (from == user1 and to == user2) OR (from == user2 and to == user1),
- * ordered by timestamp.  If the parameters are missing, return
- * status 400.
+ * Retrieve encrypted messages between two users, one page at a time.
+ * Requires query parameters `user1` and `user2`.  Pagination is cursor
+ * based:
+ *
+ *   limit   page size (default 50, max 200)
+ *   before  message id; return the page of messages just older than it
+ *   after   message id; return the page of messages just newer than it
+ *
+ * Without a cursor the newest page is returned.  Responds with
+ * { messages, total, hasMore } where `messages` is ordered oldest
+ * first, `total` counts the whole conversation and `hasMore` tells
+ * whether further pages exist in the requested direction.  Missing
+ * parameters or an unknown cursor return status 400.
  */
 app.get('/api/messages', (req, res) => {
   const { user1, user2 } = req.query;
   if (!user1 || !user2) {
     return res.status(400).json({ error: 'user1 and user2 query parameters are required' });
   }
-  const conv = messages.filter(
-    (m) => (m.from === user1 && m.to === user2) || (m.from === user2 && m.to === user1)
-  );
-  // Sort by timestamp ascending
-  conv.sort((a, b) => a.timestamp - b.timestamp);
-  return res.json(conv);
+  const inConversation = (m) => (m.from === user1 && m.to === user2) || (m.from === user2 && m.to === user1);
+  const options = parsePageQuery(req.query, inConversation);
+  if (options.error) {
+    return res.status(400).json({ error: options.error });
+  }
+  return res.json(storage.getConversationPage(user1, user2, options));
 });
 
 /**
- * Socket.io connection handler.  Each client must supply its
- * username on connection.  The server tracks which socket belongs to
- * which username.
+ * Parse the `limit`, `before` and `after` pagination parameters shared
+ * by the history endpoints.  Cursor ids are resolved to messages and
+ * must satisfy `belongs`, i.e. be part of the requested conversation.
+ * Returns { before, after, limit } for the store or { error }.
+ * @param {object} query
+ * @param {(msg: object) => boolean} belongs
  */
-const socketsByUsername = new Map();
+function parsePageQuery(query, belongs) {
+  const { before, after } = query;
+  if (before && after) {
+    return { error: 'use either before or after, not both' };
+  }
+  let limit = DEFAULT_PAGE_SIZE;
+  if (query.limit !== undefined) {
+    limit = parseInt(query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return { error: 'limit must be a positive integer' };
+    }
+    limit = Math.min(limit, MAX_PAGE_SIZE);
+  }
+  // Resolve the cursor id to a message of this conversation
+  let cursor = null;
+  if (before || after) {
+    cursor = storage.getMessage(before || after);
+    if (!cursor || !belongs(cursor)) {
+      return { error: 'unknown cursor message id' };
+    }
+  }
+  return {
+    before: before ? cursor : null,
+    after: after ? cursor : null,
+    limit,
+  };
+}
 
-io.on('connection', (socket) => {
-  console.log('Socket connected', socket.id);
+// Edits and deletions are stored as messages of their own, created by
+// the server from signed requests
+const MESSAGE_CHANGE_TYPES = ['edit', 'delete'];
 
-  socket.on('registerUsername', (username) => {
-    console.log(`Socket ${socket.id} registered as ${username}`);
-    socketsByUsername.set(username, socket);
-  });
+/**
+ * Find the message a signed `editMessage` or `deleteMessage` request
+ * names.  Only its sender may change a message, and a deleted message
+ * stays deleted.  Returns { ok: true, msg } or { ok: false, status,
+ * error }.
+ * @param {object} signed  `req.signed` of the request
+ * @param {string} id  message id from the route
+ */
+function findChangeableMessage(signed, id) {
+  if (signed.statement.id !== id) {
+    return { ok: false, status: 400, error: 'statement id does not match the message' };
+  }
+  const msg = storage.getMessage(id);
+  if (!msg) {
+    return { ok: false, status: 404, error: 'message not found' };
+  }
+  if (msg.from !== signed.username) {
+    return { ok: false, status: 403, error: 'only the sender can change a message' };
+  }
+  if (msg.type === 'system' || MESSAGE_CHANGE_TYPES.includes(msg.type)) {
+    return { ok: false, status: 400, error: `${msg.type} messages cannot be changed` };
+  }
+  if (msg.deletedAt) {
+    return { ok: false, status: 409, error: 'message was deleted' };
+  }
+  return { ok: true, msg };
+}
 
-  /**
-   * Relay an encrypted message from sender to recipient.  Expect
-   * payload: { to, from, ciphertext }.  Store the message in
-   * messages array and emit to the recipient if connected.
-   */
-  socket.on('sendMessage', (payload) => {
-    // Accept arbitrary message payloads; enforce required fields
-    const { to, from, ciphertext, type = 'text', filename = null } = payload;
-    if (!to || !from || !ciphertext) return;
-    const msg = {
-      id: uuidv4(),
-      from,
-      to,
-      ciphertext,
-      type,
-      filename,
-      timestamp: Date.now(),
-    };
-    messages.push(msg);
-    // Persist messages to disk.  Write entire array; this is
-    // acceptable for small demo apps.  For larger apps a database
-    // should be used instead.
-    try {
-      fs.writeFileSync(MESSAGES_FILE, JSON.stringify(messages, null, 2));
-    } catch (err) {
-      console.error('Error writing messages file:', err);
-    }
-    console.log(`Message from ${from} to ${to}`);
-    const recipientSocket = socketsByUsername.get(to);
-    if (recipientSocket) {
-      recipientSocket.emit('message', msg);
-    }
-  });
+/**
+ * Record a signed change to `original` as a message of `type` ('edit'
+ * or 'delete') in the same conversation and deliver it the way the
+ * original was: to the recipient's devices, to every group member or
+ * to another server, and to the sender's devices.  As with group system
+ * messages its `ciphertext` field holds the signed statement
+ * { statement, signature }, so recipients can check that the sender
+ * made the change; an edit's statement carries the new ciphertext.
+ * Returns the stored message.
+ * @param {object} original
+ * @param {object} signed  `req.signed` of the change request
+ * @param {string} type
+ * @param {number} timestamp
+ */
+function postMessageChange(original, signed, type, timestamp) {
+  const msg = {
+    id: uuidv4(),
+    from: original.from,
+    to: original.to,
+    ciphertext: JSON.stringify({ statement: signed.raw, signature: signed.signature }),
+    type,
+    filename: null,
+    timestamp,
+  };
+  storage.addMessage(msg);
+  if (isGroupId(msg.to)) {
+    const group = storage.getGroup(msg.to);
+    (group ? group.members : [])
+      .filter((member) => !storage.isBlocked(member, msg.from))
+      .forEach((member) => deliverToUser(member, { ...msg, status: 'sent' }));
+    return msg;
+  }
+  if (federation && federation.isRemote(msg.to)) {
+    federation.relayMessage(msg);
+  } else if (!storage.isBlocked(msg.to, msg.from)) {
+    deliverToUser(msg.to, { ...msg, status: 'sent' });
+  }
+  emitToUser(msg.from, 'message', { ...msg, status: 'sent' });
+  return msg;
+}
 
-  socket.on('disconnect', () => {
-    console.log('Socket disconnected', socket.id);
-    // Remove the socket from the username map
-    for (const [username, s] of socketsByUsername.entries()) {
-      if (s === socket) {
-        socketsByUsername.delete(username);
-        break;
-      }
-    }
-  });
+/**
+ * Edit a text message.  Requires a signed `editMessage` statement with
+ * { id, ciphertext } from the message's sender, where `ciphertext` is
+ * the new text encrypted like any message.  The stored ciphertext is
+ * replaced and the change is delivered as an `edit` message (see
+ * postMessageChange()).  Responds with the edit's { id, timestamp }.
+ */
+app.put('/api/messages/:id', requireSignedRequest('editMessage'), (req, res) => {
+  const found = findChangeableMessage(req.signed, req.params.id);
+  if (!found.ok) {
+    return res.status(found.status).json({ error: found.error });
+  }
+  if (found.msg.type !== 'text') {
+    return res.status(400).json({ error: 'only text messages can be edited' });
+  }
+  const { ciphertext } = req.signed.statement;
+  if (typeof ciphertext !== 'string' || !ciphertext) {
+    return res.status(400).json({ error: 'ciphertext is required' });
+  }
+  const maxBytes = maxCiphertextBytes(limits, 'text');
+  if (Buffer.byteLength(ciphertext) > maxBytes) {
+    return res.status(413).json({ error: `message is too large (at most ${maxBytes} bytes for text messages)` });
+  }
+  const rate = messageLimiter.hit(req.signed.username);
+  if (!rate.allowed) {
+    return res.status(429).json({ error: `sending too fast; try again in ${Math.ceil(rate.retryAfterMs / 1000)}s` });
+  }
+  try {
+    const now = Date.now();
+    storage.editMessage(found.msg.id, ciphertext, now);
+    const change = postMessageChange(found.msg, req.signed, 'edit', now);
+    return res.json({ id: change.id, timestamp: change.timestamp });
+  } catch (err) {
+    console.error('Error editing message:', err);
+    return res.status(500).json({ error: 'failed to edit message' });
+  }
+});
+
+/**
+ * Delete a message.  Requires a signed `deleteMessage` statement with
+ * { id } from the message's sender.  The stored message becomes a
+ * tombstone without ciphertext and the change is delivered as a
+ * `delete` message.  Responds with the deletion's { id, timestamp }.
+ */
+app.delete('/api/messages/:id', requireSignedRequest('deleteMessage'), (req, res) => {
+  const found = findChangeableMessage(req.signed, req.params.id);
+  if (!found.ok) {
+    return res.status(found.status).json({ error: found.error });
+  }
+  try {
+    const now = Date.now();
+    storage.deleteMessage(found.msg.id, now);
+    const change = postMessageChange(found.msg, req.signed, 'delete', now);
+    return res.json({ id: change.id, timestamp: change.timestamp });
+  } catch (err) {
+    console.error('Error deleting message:', err);
+    return res.status(500).json({ error: 'failed to delete message' });
+  }
 });
 
+/**
+ * Record a signed group change as a system message in the group
+ * conversation and push it, together with the updated group, to every
+ * member.  `extraRecipients` also receive it, e.g. a member who was
+ * just removed.  System messages are not encrypted: the `ciphertext`
+ * field holds the signed statement { statement, signature } so that
+ * clients can check who made the change.
+ * @param {object} group
+ * @param {object} signed  `req.signed` of the change request
+ * @param {string[]} [extraRecipients]
+ */
+function postGroupSystemMessage(group, signed, extraRecipients = []) {
+  const msg = {
+    id: uuidv4(),
+    from: signed.username,
+    to: group.id,
+    ciphertext: JSON.stringify({ statement: signed.raw, signature: signed.signature }),
+    type: 'system',
+    filename: null,
+    timestamp: Date.now(),
+  };
+  try {
+    storage.addMessage(msg);
+  } catch (err) {
+    console.error('Error storing group system message:', err);
+    return;
+  }
+  const recipients = new Set(group.members.concat(extraRecipients));
+  recipients.forEach((member) => {
+    emitToUser(member, 'groupUpdated', group);
+    deliverToUser(member, { ...msg, status: 'sent' });
+  });
+}
+
+/**
+ * Create a group.  Requires a signed `createGroup` statement with
+ * { name, members }.  The signer becomes the owner and a member; every
+ * listed member must be a registered user.  Responds with the group.
+ */
+app.post('/api/groups', requireSignedRequest('createGroup'), (req, res) => {
+  const { statement, username } = req.signed;
+  const name = typeof statement.name === 'string' ? statement.name.trim() : '';
+  if (!name || name.length > 100) {
+    return res.status(400).json({ error: 'name must be between 1 and 100 characters' });
+  }
+  const listed = Array.isArray(statement.members) ? statement.members : [];
+  const unknown = listed.filter((member) => typeof member !== 'string' || !storage.hasUser(member));
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `unknown members: ${unknown.join(', ')}` });
+  }
+  const group = {
+    id: GROUP_ID_PREFIX + uuidv4(),
+    name,
+    owner: username,
+    createdAt: Date.now(),
+    members: Array.from(new Set([username, ...listed])),
+  };
+  try {
+    storage.createGroup(group);
+  } catch (err) {
+    console.error('Error storing group:', err);
+    return res.status(500).json({ error: 'failed to store group' });
+  }
+  console.log(`Group ${group.id} created by ${username}`);
+  postGroupSystemMessage(group, req.signed);
+  return res.json(group);
+});
+
+/**
+ * List the groups a user belongs to.  Requires query parameter
+ * `username`.
+ */
+app.get('/api/groups', (req, res) => {
+  const { username } = req.query;
+  if (!username) {
+    return res.status(400).json({ error: 'username query parameter is required' });
+  }
+  return res.json(storage.listGroupsForUser(username));
+});
+
+/**
+ * Get a group with its owner and members.
+ */
+app.get('/api/groups/:id', (req, res) => {
+  const group = storage.getGroup(req.params.id);
+  if (!group) {
+    return res.status(404).json({ error: 'group not found' });
+  }
+  return res.json(group);
+});
+
+/**
+ * List the members of a group.
+ */
+app.get('/api/groups/:id/members', (req, res) => {
+  const group = storage.getGroup(req.params.id);
+  if (!group) {
+    return res.status(404).json({ error: 'group not found' });
+  }
+  return res.json({ members: group.members });
+});
+
+/**
+ * Add a member to a group.  Requires a signed `addGroupMember`
+ * statement with { groupId, member } from an existing member.
+ */
+app.post('/api/groups/:id/members', requireSignedRequest('addGroupMember'), (req, res) => {
+  const { statement, username } = req.signed;
+  const group = storage.getGroup(req.params.id);
+  if (!group) {
+    return res.status(404).json({ error: 'group not found' });
+  }
+  if (statement.groupId !== group.id) {
+    return res.status(400).json({ error: 'statement does not match this group' });
+  }
+  if (!group.members.includes(username)) {
+    return res.status(403).json({ error: 'only members can add members' });
+  }
+  const { member } = statement;
+  if (typeof member !== 'string' || !storage.hasUser(member)) {
+    return res.status(400).json({ error: 'unknown member' });
+  }
+  if (group.members.includes(member)) {
+    return res.status(400).json({ error: 'already a member' });
+  }
+  try {
+    storage.addGroupMember(group.id, member, username);
+  } catch (err) {
+    console.error('Error adding group member:', err);
+    return res.status(500).json({ error: 'failed to add member' });
+  }
+  const updated = storage.getGroup(group.id);
+  postGroupSystemMessage(updated, req.signed);
+  return res.json(updated);
+});
+
+/**
+ * Remove a member from a group.  Requires a signed `removeGroupMember`
+ * statement with { groupId, member }.  The owner may remove anyone
+ * else; any member may remove themselves to leave the group.
+ */
+app.delete('/api/groups/:id/members/:member', requireSignedRequest('removeGroupMember'), (req, res) => {
+  const { statement, username } = req.signed;
+  const group = storage.getGroup(req.params.id);
+  if (!group) {
+    return res.status(404).json({ error: 'group not found' });
+  }
+  const { member } = req.params;
+  if (statement.groupId !== group.id || statement.member !== member) {
+    return res.status(400).json({ error: 'statement does not match this request' });
+  }
+  if (!group.members.includes(member)) {
+    return res.status(404).json({ error: 'not a member' });
+  }
+  if (member !== username && username !== group.owner) {
+    return res.status(403).json({ error: 'only the owner can remove other members' });
+  }
+  try {
+    storage.removeGroupMember(group.id, member);
+  } catch (err) {
+    console.error('Error removing group member:', err);
+    return res.status(500).json({ error: 'failed to remove member' });
+  }
+  const updated = storage.getGroup(group.id);
+  // The removed member still learns about the change
+  postGroupSystemMessage(updated, req.signed, [member]);
+  return res.json(updated);
+});
+
+/**
+ * Retrieve the messages of a group conversation, one page at a time.
+ * Takes the same `limit`, `before` and `after` parameters as
+ * /api/messages and responds with { messages, total, hasMore }.
+ */
+app.get('/api/groups/:id/messages', (req, res) => {
+  const group = storage.getGroup(req.params.id);
+  if (!group) {
+    return res.status(404).json({ error: 'group not found' });
+  }
+  const options = parsePageQuery(req.query, (m) => m.to === group.id);
+  if (options.error) {
+    return res.status(400).json({ error: options.error });
+  }
+  return res.json(storage.getGroupMessagesPage(group.id, options));
+});
+
+/**
+ * Reserve space for an encrypted file attachment.  Requires a signed
+ * `createBlob` statement with { size }, the size of the ciphertext in
+ * bytes, which counts against the signer's quota.  Responds with
+ * { id, size, received, uploadToken }; the chunks are then uploaded with
+ * PATCH /api/blobs/:id.
+ */
+app.post('/api/blobs', requireSignedRequest('createBlob'), (req, res) => {
+  const { statement, username } = req.signed;
+  let result;
+  try {
+    result = blobs.create(username, statement.size);
+  } catch (err) {
+    console.error('Error creating blob:', err);
+    return res.status(500).json({ error: 'failed to create blob' });
+  }
+  if (!result.ok) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  const { id, size, received } = result.blob;
+  return res.json({ id, size, received, uploadToken: result.uploadToken });
+});
+
+/**
+ * Report how much of a blob has been uploaded: { id, size, received,
+ * complete }.  A client resuming an interrupted upload continues at
+ * `received`.
+ */
+app.get('/api/blobs/:id/status', (req, res) => {
+  const blob = blobs.get(req.params.id);
+  if (!blob) {
+    return res.status(404).json({ error: 'blob not found' });
+  }
+  const { id, size, received, complete } = blob;
+  return res.json({ id, size, received, complete });
+});
+
+/**
+ * Append a chunk to a blob.  The body is the raw chunk; the
+ * `Upload-Offset` header must match the bytes received so far and
+ * `X-Upload-Token` must be the token returned when the blob was
+ * created.  Responds with { received, complete }, or 409 with the
+ * current `received` when the offset is wrong.
+ */
+app.patch(
+  '/api/blobs/:id',
+  express.raw({ type: 'application/octet-stream', limit: limits.maxChunkBytes }),
+  (req, res) => {
+    const offset = Number(req.get('Upload-Offset'));
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: 'Upload-Offset header is required' });
+    }
+    let result;
+    try {
+      result = blobs.append(req.params.id, req.get('X-Upload-Token'), offset, req.body);
+    } catch (err) {
+      console.error('Error storing blob chunk:', err);
+      return res.status(500).json({ error: 'failed to store chunk' });
+    }
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error, received: result.received });
+    }
+    traffic.attachmentBytesReceived += req.body.length;
+    return res.json({ received: result.received, complete: result.complete });
+  }
+);
+
+/**
+ * Download a complete blob.  Anyone who knows the id may fetch it; the
+ * content is only readable with the key carried in the encrypted chat
+ * message.  Range requests are supported.
+ */
+app.get('/api/blobs/:id', (req, res) => {
+  const blob = blobs.get(req.params.id);
+  if (!blob || !blob.complete) {
+    return res.status(404).json({ error: 'blob not found' });
+  }
+  return res.sendFile(blobs.filePath(blob.id), {
+    headers: { 'Content-Type': 'application/octet-stream', 'Cache-Control': 'private, max-age=31536000, immutable' },
+  });
+});
+
+/**
+ * Delete a blob and release its quota.  Requires a signed `deleteBlob`
+ * statement with { blobId } from the blob's owner.
+ */
+app.delete('/api/blobs/:id', requireSignedRequest('deleteBlob'), (req, res) => {
+  const { statement, username } = req.signed;
+  const blob = blobs.get(req.params.id);
+  if (statement.blobId !== req.params.id) {
+    return res.status(400).json({ error: 'statement does not match this blob' });
+  }
+  if (!blob || blob.owner !== username) {
+    return res.status(404).json({ error: 'blob not found' });
+  }
+  blobs.remove(blob.id);
+  return res.json({ success: true });
+});
+
+// -----------------------------------------------------------------------------
+// Keyserver endpoints
+//
+// Public keys are also published over HKP and Web Key Directory (see
+// keyserver.js) so GnuPG and other OpenPGP tools can fetch them and
+// users can check a contact's key outside the app.
+
+// Most keys one HKP lookup returns
+const HKP_MAX_RESULTS = 100;
+
+/**
+ * The keys published for a user as [{ fingerprint, publicKey,
+ * revocationCertificate }]: their current primary key, every key of
+ * theirs that was revoked (so tools learn about the revocation) and
+ * the keys of their active devices.  Keys they rotated away from
+ * without revoking them are left out.
+ * @param {object} user
+ */
+async function publishedKeys(user) {
+  const history = storage.listUserKeys(user.username);
+  const keys = history
+    .filter((k) => k.publicKey === user.publicKey || k.revokedAt)
+    .map(({ fingerprint, publicKey, revocationCertificate }) => ({ fingerprint, publicKey, revocationCertificate }));
+  if (!history.some((k) => k.publicKey === user.publicKey)) {
+    // Registered before the key history was kept
+    const keyInfo = await getKeyInfo(user.publicKey);
+    keys.unshift({ fingerprint: keyInfo ? keyInfo.fingerprint : null, publicKey: user.publicKey, revocationCertificate: null });
+  }
+  storage.listDevices(user.username).forEach(({ fingerprint, publicKey }) => {
+    keys.push({ fingerprint, publicKey, revocationCertificate: null });
+  });
+  return keys;
+}
+
+/**
+ * Describe a published key with describePublicKey(), applying its
+ * revocation certificate first if it has one.
+ * @param {{ publicKey: string, revocationCertificate: string|null }} key
+ */
+async function describePublishedKey({ publicKey, revocationCertificate }) {
+  const armored = revocationCertificate
+    ? (await applyRevocationCertificate(publicKey, revocationCertificate)) || publicKey
+    : publicKey;
+  return describePublicKey(armored);
+}
+
+/**
+ * Find the published keys matching a parsed HKP search.  A fingerprint
+ * or key id matches any published key; text matches usernames, exactly
+ * when `exact` is set and as a substring otherwise.  Text containing
+ * an '@' is an e-mail address and matches keys with that address in a
+ * user ID.  Resolves to described keys, at most HKP_MAX_RESULTS.
+ * @param {{ type: string, value: string }} search
+ * @param {boolean} exact
+ */
+async function findPublishedKeys(search, exact) {
+  const found = [];
+  for (const user of storage.listUsers()) {
+    const name = user.username.toLowerCase();
+    let keys;
+    if (search.type !== 'text') {
+      keys = (await publishedKeys(user)).filter((k) => matchesKeySearch(search, k.fingerprint));
+    } else if (search.value.includes('@')) {
+      keys = name === search.value.split('@')[0] ? await publishedKeys(user) : [];
+    } else {
+      keys = (exact ? name === search.value : name.includes(search.value)) ? await publishedKeys(user) : [];
+    }
+    for (const key of keys) {
+      const described = await describePublishedKey(key);
+      if (!described) continue;
+      if (search.type === 'text' && search.value.includes('@') && !described.userIds.some((id) => userIdEmail(id) === search.value)) {
+        continue;
+      }
+      found.push(described);
+      if (found.length >= HKP_MAX_RESULTS) return found;
+    }
+  }
+  return found;
+}
+
+/**
+ * HKP lookup.  `op=get` answers with the matching keys as one armored
+ * key block and `op=index` (or `vindex`) with a machine-readable
+ * listing; the human-readable HTML index is not implemented, so the
+ * machine-readable one is sent whether or not `options=mr` is given.
+ * Answers 404 when nothing matches.
+ */
+app.get('/pks/lookup', async (req, res) => {
+  const { op, search: query, exact } = req.query;
+  if (!['get', 'index', 'vindex'].includes(op)) {
+    return res.status(501).type('text/plain').send(`operation not supported: ${op}\n`);
+  }
+  const search = parseHkpSearch(query);
+  if (!search) {
+    return res.status(400).type('text/plain').send('search is required\n');
+  }
+  const keys = await findPublishedKeys(search, exact === 'on');
+  if (keys.length === 0) {
+    return res.status(404).type('text/plain').send('no keys found\n');
+  }
+  if (op === 'get') {
+    return res.type('application/pgp-keys').send(armorPublicKeys(keys.map((k) => k.binary)));
+  }
+  return res.type('text/plain').send(formatMachineReadableIndex(keys));
+});
+
+/**
+ * Web Key Directory.  Both the direct (`/.well-known/openpgpkey/hu/`)
+ * and the advanced (`/.well-known/openpgpkey/<domain>/hu/`) layout are
+ * served, the latter for any domain, since the server cannot know the
+ * names it is reached by.  The hash is that of a username, which is the
+ * local part of the user IDs the client creates.  Answers with the
+ * user's published keys, unarmored.
+ */
+app.get(['/.well-known/openpgpkey/hu/:hash', '/.well-known/openpgpkey/:domain/hu/:hash'], async (req, res) => {
+  const { hash } = req.params;
+  const user = storage.listUsers().find((u) => wkdHash(u.username) === hash);
+  if (!user) {
+    return res.status(404).type('text/plain').send('no key for this address\n');
+  }
+  const keys = [];
+  for (const key of await publishedKeys(user)) {
+    const described = await describePublishedKey(key);
+    if (described) keys.push(described.binary);
+  }
+  if (keys.length === 0) {
+    return res.status(404).type('text/plain').send('no key for this address\n');
+  }
+  return res.type('application/octet-stream').send(Buffer.concat(keys));
+});
+
+/**
+ * The WKD policy file.  Clients check that it exists before using the
+ * directory; an empty one means the default policy.
+ */
+app.get(['/.well-known/openpgpkey/policy', '/.well-known/openpgpkey/:domain/policy'], (req, res) => {
+  res.type('text/plain').send('');
+});
+
+// -----------------------------------------------------------------------------
+// Federation
+//
+// With FEDERATION_HOST set to the name (and port) this server is
+// reached at, its users can exchange messages with users of other
+// servers, addressed as `user@host` (see federation.js).
+// FEDERATION_PEERS optionally limits this to a comma-separated list of
+// hosts.
+
+/**
+ * Check the size of a relayed message's ciphertext.  Resolves to null
+ * if it fits, or a refusal for the peer.  The ciphertext of an edit or
+ * deletion is the signed statement wrapped as JSON (see
+ * postMessageChange()), whose escaping makes an edit of the largest
+ * text bigger than the text limit.  So the new text inside is held to
+ * the text limit, as for a local edit, and the rest to the limit for
+ * other messages.
+ * @param {string} type
+ * @param {string} ciphertext
+ */
+function relayedSizeError(type, ciphertext) {
+  if (!MESSAGE_CHANGE_TYPES.includes(type)) {
+    const maxBytes = maxCiphertextBytes(limits, type);
+    if (Buffer.byteLength(ciphertext) <= maxBytes) return null;
+    return { ok: false, status: 413, error: `message is too large (at most ${maxBytes} bytes for ${type} messages)` };
+  }
+  let wrapper;
+  let statement;
+  try {
+    wrapper = JSON.parse(ciphertext);
+    statement = JSON.parse(wrapper.statement);
+  } catch (err) {
+    statement = null;
+  }
+  if (!statement || typeof statement !== 'object') {
+    return { ok: false, status: 400, error: `${type} messages must carry a signed statement` };
+  }
+  const text = typeof statement.ciphertext === 'string' ? statement.ciphertext : '';
+  const maxText = maxCiphertextBytes(limits, 'text');
+  if (Buffer.byteLength(text) > maxText) {
+    return { ok: false, status: 413, error: `message is too large (at most ${maxText} bytes for text messages)` };
+  }
+  const rest = JSON.stringify({ ...wrapper, statement: JSON.stringify({ ...statement, ciphertext: '' }) });
+  const maxBytes = maxCiphertextBytes(limits, type);
+  if (Buffer.byteLength(rest) > maxBytes) {
+    return { ok: false, status: 413, error: `message is too large (at most ${maxBytes} bytes for ${type} messages)` };
+  }
+  return null;
+}
+
+/**
+ * Store and deliver a message relayed by the server `origin`.  The
+ * sender becomes `user@origin`.  A message that was already stored is
+ * acknowledged again, since the origin retries when it did not hear
+ * back.  Ids are chosen by the origin, so an id already taken by
+ * another message is refused rather than acknowledged.
+ * @param {string} origin
+ * @param {object} message
+ */
+function receiveRelayedMessage(origin, message) {
+  const { id, from, to, ciphertext, type = 'text', filename = null } = message;
+  if (typeof id !== 'string' || !id || id.length > 100 || typeof from !== 'string' || !from || /[@:]/.test(from)) {
+    return { ok: false, status: 400, error: 'message must have an id and a sender' };
+  }
+  if (typeof to !== 'string' || !storage.hasUser(to)) {
+    return { ok: false, status: 404, error: `no user ${to} on this server` };
+  }
+  if (typeof ciphertext !== 'string' || !ciphertext || typeof type !== 'string' || type === 'system') {
+    return { ok: false, status: 400, error: 'message must carry ciphertext' };
+  }
+  const sizeError = relayedSizeError(type, ciphertext);
+  if (sizeError) return sizeError;
+  const sender = `${from}@${origin}`;
+  const existing = storage.getMessage(id);
+  if (existing) {
+    // A retry of a relay we stored but could not acknowledge; any other
+    // message with the id, from another peer or a local one, is kept
+    if (existing.from === sender && existing.to === to) return { ok: true };
+    return { ok: false, status: 409, error: 'message id already in use' };
+  }
+  const rate = messageLimiter.hit(sender);
+  if (!rate.allowed) {
+    return { ok: false, status: 429, error: 'sending too fast' };
+  }
+  if (storage.isBlocked(to, sender)) {
+    // Dropped without a trace, as for local senders
+    return { ok: true };
+  }
+  const msg = {
+    id,
+    from: sender,
+    to,
+    ciphertext,
+    type,
+    filename: typeof filename === 'string' ? filename : null,
+    timestamp: Date.now(),
+  };
+  try {
+    storage.addMessage(msg);
+  } catch (err) {
+    console.error('Error storing relayed message:', err);
+    return { ok: false, status: 500, error: 'failed to store message' };
+  }
+  if (MESSAGE_CHANGE_TYPES.includes(type)) {
+    applyRelayedChange(msg);
+  }
+  console.log(`Message from ${sender} to ${to}`);
+  traffic.messagesRelayed += 1;
+  traffic.messageBytes += Buffer.byteLength(ciphertext);
+  deliverToUser(to, { ...msg, status: 'sent' });
+  return { ok: true };
+}
+
+/**
+ * Apply an edit or deletion relayed from another server to our copy of
+ * the message it names.  The sender's server checked the signature of
+ * the change; recipients check it again.  Changes naming a message
+ * that is not from the same sender to the same recipient are ignored.
+ * @param {object} change  the stored `edit` or `delete` message
+ */
+function applyRelayedChange(change) {
+  let statement;
+  try {
+    statement = JSON.parse(JSON.parse(change.ciphertext).statement);
+  } catch (err) {
+    return;
+  }
+  const original = statement && typeof statement.id === 'string' ? storage.getMessage(statement.id) : null;
+  if (!original || original.from !== change.from || original.to !== change.to || original.deletedAt) return;
+  if (change.type === 'delete' && statement.action === 'deleteMessage') {
+    storage.deleteMessage(original.id, change.timestamp);
+  } else if (change.type === 'edit' && statement.action === 'editMessage' && original.type === 'text') {
+    if (typeof statement.ciphertext === 'string' && statement.ciphertext) {
+      storage.editMessage(original.id, statement.ciphertext, change.timestamp);
+    }
+  }
+}
+
+/**
+ * Apply a delivery or read receipt relayed by the server `origin` for a
+ * message one of our users sent to `recipient@origin`.
+ * @param {string} origin
+ * @param {{ id: string, status: string, recipient: string }} receipt
+ */
+function receiveRelayedReceipt(origin, { id, status, recipient }) {
+  if (!['delivered', 'read'].includes(status) || typeof recipient !== 'string') {
+    return { ok: false, status: 400, error: 'receipt must name a status and a recipient' };
+  }
+  advanceMessageStatus(id, status, `${recipient}@${origin}`);
+  return { ok: true };
+}
+
+/**
+ * A message could not be relayed to `host`: mark it failed and tell
+ * the sender's devices with `messageFailed`.  Lost receipts are only
+ * logged.
+ * @param {string} host
+ * @param {object} payload
+ * @param {string} error
+ */
+function relayFailed(host, payload, error) {
+  if (payload.kind !== 'message') return;
+  const { id, from, to } = payload.message;
+  if (storage.getMessage(id)) storage.setMessageStatus(id, 'failed');
+  emitToUser(from, 'messageFailed', { id, to: `${to}@${host}`, error });
+}
+
+const federation = process.env.FEDERATION_HOST
+  ? createFederation({
+      storage,
+      dataDir: resolveDataDir(),
+      host: process.env.FEDERATION_HOST,
+      allowedPeers: (process.env.FEDERATION_PEERS || '').split(',').filter((peer) => peer.trim()),
+      onMessage: receiveRelayedMessage,
+      onReceipt: receiveRelayedReceipt,
+      onFailed: relayFailed,
+    })
+  : null;
+
+/**
+ * Describe this server for other servers and for clients:
+ * { enabled, host, publicKey, fingerprint }, where the key is the one
+ * it signs relays with.
+ */
+app.get('/api/federation', async (req, res) => {
+  if (!federation) {
+    return res.json({ enabled: false, host: null });
+  }
+  return res.json(await federation.info());
+});
+
+/**
+ * Relays from other servers: a statement signed by the origin server
+ * carrying a message for one of our users or a receipt for a message
+ * one of them sent.  Messages get their own body limit, the size of
+ * the largest ciphertext plus room for the statement.
+ */
+app.post(
+  '/api/federation/inbox',
+  express.json({ type: FEDERATION_CONTENT_TYPE, limit: Math.max(...Object.values(limits.maxCiphertextBytes)) + 64 * 1024 }),
+  async (req, res) => {
+    if (!federation) {
+      return res.status(404).json({ error: 'federation is not enabled on this server' });
+    }
+    let result;
+    try {
+      result = await federation.receive(req.body);
+    } catch (err) {
+      console.error('Error handling relay:', err);
+      return res.status(500).json({ error: 'failed to handle relay' });
+    }
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    return res.json({ success: true });
+  }
+);
+
+/**
+ * Socket.io connection handler.  A socket has to prove that it holds
+ * the private key of a registered user before it is bound to that
+ * username.  The client announces the username it wants with
+ * `registerUsername`, the server answers with an `authChallenge`
+ * containing a random nonce, and the client returns a detached
+ * signature over the challenge in `authResponse`.  Only when the
+ * signature verifies against one of the user's device keys is the
+ * socket added to `socketsByUsername`.  A user may be connected from
+ * several devices at once, so each username maps to a set of sockets
+ * and every event for the user goes to all of them.  Failures are
+ * reported with an `authError` event.
+ */
+const socketsByUsername = new Map(); // username -> Set of sockets
+
+/**
+ * Emit an event to every connected socket of a user.
+ * @param {string} username
+ * @param {string} event
+ * @param {*} payload
+ */
+function emitToUser(username, event, payload) {
+  const sockets = socketsByUsername.get(username);
+  if (sockets) sockets.forEach((s) => s.emit(event, payload));
+}
+
+/**
+ * Deliver a stored message to every connected socket of a user except
+ * `exceptSocket` (the sending device).
+ * @param {string} username
+ * @param {object} msg
+ * @param {import('socket.io').Socket} [exceptSocket]
+ */
+function deliverToUser(username, msg, exceptSocket = null) {
+  const sockets = socketsByUsername.get(username);
+  if (!sockets) return;
+  sockets.forEach((s) => {
+    if (s !== exceptSocket) deliverMessage(s, msg);
+  });
+}
+
+/**
+ * Remove a socket from its user's set.
+ * @param {import('socket.io').Socket} socket
+ */
+function releaseSocket(socket) {
+  const { username } = socket.data;
+  const sockets = username && socketsByUsername.get(username);
+  if (!sockets) return;
+  sockets.delete(socket);
+  if (sockets.size === 0) socketsByUsername.delete(username);
+}
+
+/**
+ * Sign out every socket that authenticated with a device key that has
+ * just been revoked or replaced.
+ * @param {string} username
+ * @param {string} fingerprint
+ */
+function disconnectDevice(username, fingerprint) {
+  const sockets = socketsByUsername.get(username);
+  if (!sockets) return;
+  Array.from(sockets).forEach((s) => {
+    if (s.data.device !== fingerprint) return;
+    s.emit('authError', { error: 'device revoked' });
+    s.disconnect(true);
+  });
+}
+
+/*
+ * Presence.  Clients tell the server which users they accepted as
+ * contacts (`setContacts`); a user's presence (online, offline with the
+ * time they were last seen, or hidden) and typing state are only sent
+ * to users who accepted them and whom they accepted, and never between
+ * users where either has blocked the other.  A user can hide both with
+ * `setPresenceHidden`; their contacts then see them as `hidden`.
+ */
+const MAX_CONTACTS = 1000;
+// A client announces that it is typing at most this often
+const TYPING_INTERVAL_MS = 2000;
+
+/**
+ * True when neither user has blocked the other.
+ * @param {string} a
+ * @param {string} b
+ */
+function sharesPresence(a, b) {
+  return !storage.isBlocked(a, b) && !storage.isBlocked(b, a);
+}
+
+/**
+ * Users who may see `username`'s presence.
+ * @param {string} username
+ */
+function presenceAudience(username) {
+  return storage.listMutualContacts(username).filter((contact) => sharesPresence(username, contact));
+}
+
+/**
+ * Describe a user's presence as { username, status, lastSeen }, where
+ * status is 'online', 'offline' or 'hidden' and lastSeen is only set
+ * for offline users.
+ * @param {string} username
+ */
+function presenceOf(username) {
+  const presence = storage.getPresence(username);
+  if (!presence || presence.hidden) return { username, status: 'hidden', lastSeen: null };
+  if (socketsByUsername.has(username)) return { username, status: 'online', lastSeen: null };
+  return { username, status: 'offline', lastSeen: presence.lastSeen };
+}
+
+/**
+ * Send a user's current presence to everyone allowed to see it.
+ * @param {string} username
+ */
+function broadcastPresence(username) {
+  const presence = presenceOf(username);
+  presenceAudience(username).forEach((contact) => emitToUser(contact, 'presence', presence));
+}
+
+/**
+ * Build the challenge string a client must sign to claim a username.
+ * The username is part of the signed text so a signature for one
+ * account can never be replayed to claim another.  Clients sign only
+ * text of exactly this shape (see isAuthChallenge() in the frontend).
+ * @param {string} username
+ * @param {string} nonce  64 hex digits
+ */
+function buildAuthChallenge(username, nonce) {
+  return `pgp-messenger-auth:${username}:${nonce}`;
+}
+
+// Delivery states a message moves through, in order.  A message only
+// ever moves forward: a late delivery ack never downgrades `read`.
+const MESSAGE_STATUSES = ['sent', 'delivered', 'read'];
+
+/**
+ * Advance the stored status of a message addressed to `recipient` and
+ * notify the sender.  The sender's socket receives `messageDelivered`
+ * or `messageRead` with the message id and recipient.  Returns true if
+ * the status changed.
+ * @param {string} id
+ * @param {'delivered'|'read'} status
+ * @param {string} recipient  Username claiming to be the recipient
+ */
+function advanceMessageStatus(id, status, recipient) {
+  const msg = typeof id === 'string' ? storage.getMessage(id) : null;
+  if (!msg || msg.to !== recipient) return false;
+  const current = MESSAGE_STATUSES.indexOf(msg.status || 'sent');
+  if (MESSAGE_STATUSES.indexOf(status) <= current) return false;
+  try {
+    storage.setMessageStatus(id, status);
+  } catch (err) {
+    console.error('Error updating message status:', err);
+    return false;
+  }
+  const event = status === 'read' ? 'messageRead' : 'messageDelivered';
+  emitToUser(msg.from, event, { id, to: msg.to });
+  if (federation && federation.isRemote(msg.from)) {
+    federation.relayReceipt(msg.from, { id, status, recipient: msg.to });
+  }
+  return true;
+}
+
+/**
+ * Push a stored message to the recipient's socket.  The client
+ * acknowledges the `message` event once it has handled it, which marks
+ * the message as delivered.
+ * @param {import('socket.io').Socket} recipientSocket
+ * @param {object} msg
+ */
+function deliverMessage(recipientSocket, msg) {
+  recipientSocket.emit('message', msg, () => {
+    advanceMessageStatus(msg.id, 'delivered', msg.to);
+  });
+}
+
+/**
+ * Send a freshly authenticated socket every message it may have missed:
+ * those newer than `since` (inclusive, the client drops duplicates)
+ * plus any that were never delivered, including messages to the
+ * user's groups.  Without `since` only undelivered direct messages are
+ * replayed.
+ * @param {import('socket.io').Socket} socket
+ * @param {string} username
+ * @param {number|null} since
+ */
+function replayMissedMessages(socket, username, since) {
+  let missed;
+  try {
+    missed = storage.getMessagesForRecipient(username, since === null ? Number.MAX_SAFE_INTEGER : since);
+    // Group messages are never marked delivered, so they are only
+    // replayed relative to `since`
+    if (since !== null) {
+      storage.listGroupsForUser(username).forEach((group) => {
+        const groupMissed = storage.getGroupMessagesSince(group.id, since).filter((m) => m.from !== username);
+        missed = missed.concat(groupMissed);
+      });
+      missed.sort((a, b) => a.timestamp - b.timestamp);
+    }
+  } catch (err) {
+    console.error('Error loading missed messages:', err);
+    return;
+  }
+  if (missed.length > 0) {
+    console.log(`Replaying ${missed.length} messages to ${username}`);
+  }
+  missed.forEach((msg) => deliverMessage(socket, msg));
+}
+
+io.on('connection', (socket) => {
+  console.log('Socket connected', socket.id);
+
+  // Every event counts against the per-IP limit.  Refused events are
+  // answered through their acknowledgement callback when they have one,
+  // and with a `limitError` event otherwise.
+  socket.use((packet, next) => {
+    const result = ipLimiter.hit(socket.handshake.address);
+    if (result.allowed) return next();
+    const [event] = packet;
+    const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+    const error = `too many requests; try again in ${retryAfter}s`;
+    const ack = packet[packet.length - 1];
+    if (typeof ack === 'function') {
+      ack({ error });
+    } else {
+      socket.emit('limitError', { event, error, retryAfter });
+    }
+  });
+
+  /**
+   * Start authentication.  The payload is either the bare username or
+   * { username, since }, where `since` is the timestamp of the newest
+   * message the client has already seen.  Once authenticated, every
+   * message addressed to the user from that point on (and anything
+   * never delivered) is replayed so nothing sent while the client was
+   * offline is lost.  Clients de-duplicate replayed messages by id.
+   */
+  socket.on('registerUsername', (payload) => {
+    const username = typeof payload === 'string' ? payload : payload && payload.username;
+    if (typeof username !== 'string' || !storage.hasUser(username)) {
+      socket.emit('authError', { error: 'unknown username' });
+      return;
+    }
+    if (storage.getUser(username).suspendedAt) {
+      socket.emit('authError', { error: 'account suspended' });
+      return;
+    }
+    const since = payload && Number.isFinite(payload.since) ? payload.since : null;
+    const nonce = crypto.randomBytes(32).toString('hex');
+    const challenge = buildAuthChallenge(username, nonce);
+    socket.data.pendingAuth = { username, challenge, since };
+    socket.emit('authChallenge', { challenge });
+  });
+
+  socket.on('authResponse', async (payload) => {
+    const pending = socket.data.pendingAuth;
+    // A challenge may only be answered once
+    socket.data.pendingAuth = null;
+    if (!pending) {
+      socket.emit('authError', { error: 'no authentication challenge pending' });
+      return;
+    }
+    const signature = payload && payload.signature;
+    const user = storage.getUser(pending.username);
+    const devices = user ? await listActiveDevices(user) : [];
+    let device = null;
+    for (const candidate of devices) {
+      if (await verifyDetachedSignature(candidate.publicKey, pending.challenge, signature)) {
+        device = candidate;
+        break;
+      }
+    }
+    if (!device) {
+      console.log(`Socket ${socket.id} failed to authenticate as ${pending.username}`);
+      const revoked = user && user.keyRevokedAt && (await verifyDetachedSignature(user.publicKey, pending.challenge, signature));
+      socket.emit('authError', {
+        error: revoked ? 'key revoked; replace it from another of your devices' : 'signature verification failed',
+      });
+      return;
+    }
+    // Release any username this socket held before
+    releaseSocket(socket);
+    socket.data.username = pending.username;
+    socket.data.device = device.fingerprint;
+    const cameOnline = !socketsByUsername.has(pending.username);
+    if (cameOnline) {
+      socketsByUsername.set(pending.username, new Set());
+    }
+    socketsByUsername.get(pending.username).add(socket);
+    console.log(`Socket ${socket.id} registered as ${pending.username}`);
+    const { hidden } = storage.getPresence(pending.username);
+    socket.emit('authenticated', { username: pending.username, presenceHidden: hidden });
+    if (cameOnline) broadcastPresence(pending.username);
+    replayMissedMessages(socket, pending.username, pending.since);
+  });
+
+  /**
+   * Relay an encrypted message from sender to recipient.  Expect
+   * payload: { to, from, ciphertext }.  Store the message and emit
+   * it to every connected device of the recipient, and to the sender's
+   * other devices so their history stays in step.  When `to` is a group
+   * id the message is fanned out to every member's devices instead; the
+   * client has already encrypted it to all members' keys.  When `to` is
+   * `user@host` on another server the message is queued for relaying
+   * there (see federation.js).  If the sender passes an acknowledgement
+   * callback it receives the stored message's id and timestamp, which
+   * it needs to match later delivery and read receipts to its local
+   * copy, or { error } if the message was refused, for example because
+   * it is larger than the limit for its type or the sender is sending
+   * too fast.  Senders without a callback get a `limitError` event for
+   * those two cases.
+   */
+  socket.on('sendMessage', (payload, callback) => {
+    // Accept arbitrary message payloads; enforce required fields
+    const { to, from, ciphertext, type = 'text', filename = null } = payload || {};
+    if (!to || !from || typeof ciphertext !== 'string' || !ciphertext) return;
+    // Only an authenticated socket may send, and only as itself
+    if (!socket.data.username || socket.data.username !== from) {
+      socket.emit('authError', { error: 'not authenticated' });
+      return;
+    }
+    const reject = (error, retryAfter) => {
+      if (typeof callback === 'function') {
+        callback({ error });
+      } else if (retryAfter !== undefined) {
+        socket.emit('limitError', { event: 'sendMessage', error, retryAfter });
+      }
+    };
+    // System messages are only created by the server, edits and
+    // deletions from signed requests
+    if (type === 'system' || MESSAGE_CHANGE_TYPES.includes(type)) {
+      reject(`${type} messages cannot be sent by clients`);
+      return;
+    }
+    const maxBytes = maxCiphertextBytes(limits, type);
+    if (Buffer.byteLength(ciphertext) > maxBytes) {
+      reject(`message is too large (at most ${maxBytes} bytes for ${type} messages)`, 0);
+      return;
+    }
+    const rate = messageLimiter.hit(from);
+    if (!rate.allowed) {
+      const retryAfter = Math.ceil(rate.retryAfterMs / 1000);
+      reject(`sending too fast; try again in ${retryAfter}s`, retryAfter);
+      return;
+    }
+    let group = null;
+    let remote = false;
+    if (isGroupId(to)) {
+      group = storage.getGroup(to);
+      if (!group || !group.members.includes(from)) {
+        reject('not a member of this group');
+        return;
+      }
+    } else if (!storage.hasUser(to) && parseAddress(to)) {
+      // user@host: relayed to another server
+      if (!federation) {
+        reject('this server does not relay messages to other servers');
+        return;
+      }
+      remote = federation.isRemote(to);
+      const error = remote && federation.relayError(to);
+      if (error) {
+        reject(error);
+        return;
+      }
+    }
+    const msg = {
+      id: uuidv4(),
+      from,
+      to,
+      ciphertext,
+      type,
+      filename,
+      timestamp: Date.now(),
+    };
+    if (!group && storage.isBlocked(to, from)) {
+      // Dropped without a trace.  The sender is told it was sent, as
+      // for any other message, so blocking cannot be detected.
+      if (typeof callback === 'function') {
+        callback({ id: msg.id, timestamp: msg.timestamp, status: 'sent' });
+      }
+      return;
+    }
+    try {
+      storage.addMessage(msg);
+    } catch (err) {
+      console.error('Error storing message:', err);
+      reject('failed to store message');
+      return;
+    }
+    console.log(`Message from ${from} to ${to}`);
+    traffic.messagesRelayed += 1;
+    traffic.messageBytes += Buffer.byteLength(ciphertext);
+    if (typeof callback === 'function') {
+      callback({ id: msg.id, timestamp: msg.timestamp, status: 'sent' });
+    }
+    if (group) {
+      // Members who blocked the sender find the message in the group
+      // history but are not pushed it
+      group.members
+        .filter((member) => !storage.isBlocked(member, from))
+        .forEach((member) => deliverToUser(member, { ...msg, status: 'sent' }, socket));
+      return;
+    }
+    if (remote) {
+      federation.relayMessage(msg);
+    } else {
+      deliverToUser(to, { ...msg, status: 'sent' });
+    }
+    // Our other devices only mirror the message; they do not acknowledge it
+    socketsByUsername.get(from).forEach((s) => {
+      if (s !== socket) s.emit('message', { ...msg, status: 'sent' });
+    });
+  });
+
+  /**
+   * The recipient opened a conversation.  Expect payload: { ids }, the
+   * ids of received messages that are now read.  Each message that is
+   * addressed to this socket's user is marked read and its sender is
+   * notified with `messageRead`.  Clients that have read receipts
+   * switched off never send this event.
+   */
+  socket.on('messagesRead', (payload) => {
+    const reader = socket.data.username;
+    if (!reader) {
+      socket.emit('authError', { error: 'not authenticated' });
+      return;
+    }
+    const ids = payload && Array.isArray(payload.ids) ? payload.ids : [];
+    ids.forEach((id) => advanceMessageStatus(id, 'read', reader));
+  });
+
+  /**
+   * Send the authenticated user their block list through the
+   * acknowledgement callback.  The list is private, so it is only
+   * available over an authenticated socket.
+   */
+  socket.on('listBlocks', (callback) => {
+    if (typeof callback !== 'function') return;
+    if (!socket.data.username) {
+      callback({ error: 'not authenticated' });
+      return;
+    }
+    callback(storage.listBlocked(socket.data.username));
+  });
+
+  /**
+   * Replace the list of users this user accepted as contacts.  Expect
+   * payload: { contacts }.  The acknowledgement callback receives the
+   * presence of every contact who accepted the user in return.  Users
+   * who became mutual contacts are sent the user's presence; those who
+   * no longer are see the user as hidden.
+   */
+  socket.on('setContacts', (payload, callback) => {
+    const { username } = socket.data;
+    const reply = typeof callback === 'function' ? callback : () => {};
+    if (!username) {
+      reply({ error: 'not authenticated' });
+      return;
+    }
+    const list = payload && Array.isArray(payload.contacts) ? payload.contacts : null;
+    if (!list || list.length > MAX_CONTACTS) {
+      reply({ error: `contacts must be a list of at most ${MAX_CONTACTS} usernames` });
+      return;
+    }
+    const contacts = list.filter((c) => typeof c === 'string' && c !== username && storage.hasUser(c));
+    const before = presenceAudience(username);
+    storage.setContacts(username, contacts);
+    const after = presenceAudience(username);
+    const presence = presenceOf(username);
+    after.filter((c) => !before.includes(c)).forEach((c) => emitToUser(c, 'presence', presence));
+    before
+      .filter((c) => !after.includes(c))
+      .forEach((c) => emitToUser(c, 'presence', { username, status: 'hidden', lastSeen: null }));
+    reply(after.map(presenceOf));
+  });
+
+  /**
+   * Show or hide this user's presence and typing state.  Expect
+   * payload: { hidden }.  Contacts are sent the new presence and the
+   * user's devices receive `presenceSettings`.
+   */
+  socket.on('setPresenceHidden', (payload, callback) => {
+    const { username } = socket.data;
+    const reply = typeof callback === 'function' ? callback : () => {};
+    if (!username) {
+      reply({ error: 'not authenticated' });
+      return;
+    }
+    const hidden = Boolean(payload && payload.hidden);
+    storage.setPresenceHidden(username, hidden);
+    broadcastPresence(username);
+    emitToUser(username, 'presenceSettings', { hidden });
+    reply({ hidden });
+  });
+
+  /**
+   * Tell a contact that this user started or stopped typing to them.
+   * Expect payload: { to, typing }.  Forwarded as `typing` { from,
+   * typing } only when the two share presence and the sender has not
+   * hidden it.  Start events are throttled per socket.
+   */
+  socket.on('typing', (payload) => {
+    const from = socket.data.username;
+    const { to, typing } = payload || {};
+    if (!from || typeof to !== 'string' || to === from || !socketsByUsername.has(to)) return;
+    const now = Date.now();
+    if (typing) {
+      if (now - (socket.data.lastTypingAt || 0) < TYPING_INTERVAL_MS) return;
+      socket.data.lastTypingAt = now;
+    } else {
+      socket.data.lastTypingAt = 0;
+    }
+    if (storage.getPresence(from).hidden || !presenceAudience(from).includes(to)) return;
+    emitToUser(to, 'typing', { from, typing: Boolean(typing) });
+  });
+
+  socket.on('disconnect', () => {
+    console.log('Socket disconnected', socket.id);
+    // Remove the socket from the username map
+    releaseSocket(socket);
+    const { username } = socket.data;
+    if (username && !socketsByUsername.has(username) && storage.hasUser(username)) {
+      storage.setLastSeen(username, Date.now());
+      broadcastPresence(username);
+    }
+  });
+});
+
+// Oversized request bodies are rejected by express.json(); answer them
+// in the same JSON shape as every other API error.
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: `request body is too large (at most ${err.limit} bytes)` });
+  }
+  return next(err);
+});
+
+// Operator commands from `node admin.js` arrive on a control socket in
+// the data directory and run here, against the live store (see
+// admin-commands.js).
+const adminCommands = createAdminCommands({
+  storage,
+  blobs,
+  dataDir: resolveDataDir(),
+  runtime: {
+    disconnectUser(username, reason) {
+      const sockets = socketsByUsername.get(username);
+      if (!sockets) return;
+      Array.from(sockets).forEach((s) => {
+        s.emit('authError', { error: reason });
+        s.disconnect(true);
+      });
+    },
+    isOnline(username) {
+      return socketsByUsername.has(username);
+    },
+    traffic() {
+      return { ...traffic, usersOnline: socketsByUsername.size, socketsConnected: io.engine.clientsCount };
+    },
+    relayQueue() {
+      return federation ? federation.queueStatus() : null;
+    },
+  },
+});
+serveAdminCommands(adminCommands, adminSocketPath(resolveDataDir())).catch((err) => {
+  console.error('Admin control socket unavailable; admin.js will only work while the server is stopped:', err.message);
+});
+
+if (federation) {
+  federation.start();
+  console.log(`Federating as ${federation.host}`);
+}
+
 const PORT = process.env.PORT || 3001;
 server.listen(PORT, () => {
   console.log(`Server listening on port ${PORT}`);
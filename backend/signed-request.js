@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const { verifyDetachedSignature } = require('./pgp');
+
+/*
+ * Signed requests.  REST endpoints that change state on behalf of a
+ * user cannot rely on the authenticated socket, so the request body
+ * itself carries the proof:
+ *
+ *   { statement: '<JSON string>', signature: '<armored detached signature>' }
+ *
+ * The statement is a JSON object with at least
+ * { action, username, timestamp } plus whatever fields the action
+ * needs.  It is signed as an exact string, so the server verifies the
+ * bytes the client signed and only then parses them.  A statement is
+ * accepted once, for the action it names, by the user it names, and
+ * only while its timestamp is within MAX_CLOCK_SKEW_MS of the server
+ * clock.  Signed statements can be stored and shown to other users
+ * (for example as group system messages), who can verify them again.
+ */
+
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Create a verifier bound to a function that looks up a user's
+ * armored public keys, one per device.  A statement signed by any of
+ * them is accepted.  The verifier keeps a hash of each statement it
+ * accepted until it expires so a captured request cannot be replayed.
+ * The hash covers the signed bytes, which name the user, and not the
+ * signature: the same signature can be armored in many ways.
+ * @param {(username: string) => string[]|null} getPublicKeys
+ */
+function createSignedRequestVerifier(getPublicKeys) {
+  const seen = new Map(); // SHA-256 of the statement -> expiry time
+
+  function pruneSeen(now) {
+    for (const [digest, expires] of seen) {
+      if (expires < now) seen.delete(digest);
+    }
+  }
+
+  /**
+   * Check a signed request body for `action`.  Resolves to
+   * { ok: true, statement, username, publicKey }, where `publicKey` is
+   * the key that made the signature, or
+   * { ok: false, status, error } ready to send back to the client.
+   * @param {object} body
+   * @param {string} action
+   */
+  return async function verifySignedRequest(body, action) {
+    const { statement: raw, signature } = body || {};
+    if (typeof raw !== 'string' || typeof signature !== 'string') {
+      return { ok: false, status: 400, error: 'statement and signature are required' };
+    }
+    let statement;
+    try {
+      statement = JSON.parse(raw);
+    } catch (err) {
+      return { ok: false, status: 400, error: 'statement is not valid JSON' };
+    }
+    if (!statement || statement.action !== action) {
+      return { ok: false, status: 400, error: `statement action must be ${action}` };
+    }
+    const now = Date.now();
+    if (!Number.isFinite(statement.timestamp) || Math.abs(now - statement.timestamp) > MAX_CLOCK_SKEW_MS) {
+      return { ok: false, status: 400, error: 'statement timestamp is missing or too far from server time' };
+    }
+    pruneSeen(now);
+    const digest = crypto.createHash('sha256').update(raw, 'utf8').digest('hex');
+    if (seen.has(digest)) {
+      return { ok: false, status: 409, error: 'statement has already been used' };
+    }
+    const publicKeys = typeof statement.username === 'string' ? getPublicKeys(statement.username) : null;
+    if (!publicKeys) {
+      return { ok: false, status: 404, error: 'user not found' };
+    }
+    // Claimed before verifying, so the same request sent twice at once
+    // cannot pass both times; released again if the signature is bad
+    seen.set(digest, now + 2 * MAX_CLOCK_SKEW_MS);
+    let signer = null;
+    try {
+      for (const publicKey of publicKeys) {
+        if (await verifyDetachedSignature(publicKey, raw, signature)) {
+          signer = publicKey;
+          break;
+        }
+      }
+    } finally {
+      if (!signer) seen.delete(digest);
+    }
+    if (!signer) {
+      return { ok: false, status: 401, error: 'signature verification failed' };
+    }
+    return { ok: true, statement, username: statement.username, publicKey: signer };
+  };
+}
+
+module.exports = {
+  createSignedRequestVerifier,
+  MAX_CLOCK_SKEW_MS,
+};
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+
+/*
+ * One-time importer for the legacy JSON data files.  Older versions of
+ * the server kept everything in `data/users.json` and
+ * `data/messages.json`.  When the server starts with a database driver
+ * and finds those files, it copies their contents into the database
+ * in a single transaction and renames the files to `*.imported` so the
+ * import never runs twice.  Records that already exist in the target
+ * store (same username or message id) are skipped.  A file that cannot
+ * be parsed stops the import and is left where it is, to be fixed and
+ * imported on the next start.
+ *
+ * The importer can also be run by hand:
+ *
+ *   node storage/import-json.js [dataDir]
+ */
+
+/**
+ * Read a legacy file as a JSON array.  Unlike the JSON driver's
+ * readJsonArray() this throws when the file cannot be parsed, since
+ * the file is renamed once imported and would never be read again.
+ * @param {string} file
+ * @returns {Array}
+ */
+function readLegacyArray(file) {
+  if (!fs.existsSync(file)) return [];
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot import ${path.basename(file)}: ${err.message}`);
+  }
+  if (!Array.isArray(data)) {
+    throw new Error(`Cannot import ${path.basename(file)}: expected a JSON array`);
+  }
+  return data;
+}
+
+/**
+ * Import legacy JSON files from `dataDir` into `storage`.  Returns the
+ * number of imported users and messages, or null when there was
+ * nothing to import.  Throws, without importing or renaming anything,
+ * when a file cannot be parsed.
+ * @param {object} storage  A store created by createStorage()
+ * @param {string} dataDir
+ * @returns {{ users: number, messages: number } | null}
+ */
+function importJsonData(storage, dataDir) {
+  const usersFile = path.join(dataDir, 'users.json');
+  const messagesFile = path.join(dataDir, 'messages.json');
+  const files = [usersFile, messagesFile].filter((f) => fs.existsSync(f));
+  if (files.length === 0) return null;
+
+  const userList = readLegacyArray(usersFile);
+  const messageList = readLegacyArray(messagesFile);
+  const counts = { users: 0, messages: 0 };
+  storage.transaction(() => {
+    for (const u of userList) {
+      if (!u || !u.username || !u.publicKey || storage.hasUser(u.username)) continue;
+      storage.addUser({ username: u.username, publicKey: u.publicKey });
+      counts.users++;
+    }
+    for (const m of messageList) {
+      if (!m || !m.id || !m.from || !m.to || !m.ciphertext || storage.getMessage(m.id)) continue;
+      storage.addMessage({
+        id: m.id,
+        from: m.from,
+        to: m.to,
+        ciphertext: m.ciphertext,
+        type: m.type || 'text',
+        filename: m.filename || null,
+        timestamp: m.timestamp || 0,
+        status: m.status || 'sent',
+      });
+      counts.messages++;
+    }
+  });
+  // Only rename once everything has been committed
+  files.forEach((f) => fs.renameSync(f, `${f}.imported`));
+  return counts;
+}
+
+module.exports = {
+  importJsonData,
+};
+
+if (require.main === module) {
+  const { createStorage, DEFAULT_DATA_DIR } = require('./index');
+  const dataDir = process.argv[2] ? path.resolve(process.argv[2]) : DEFAULT_DATA_DIR;
+  const storage = createStorage({ driver: 'sqlite', dataDir, importLegacy: false });
+  try {
+    const counts = importJsonData(storage, dataDir);
+    if (counts) {
+      console.log(`Imported ${counts.users} users and ${counts.messages} messages`);
+    } else {
+      console.log('No users.json or messages.json found; nothing to import');
+    }
+  } finally {
+    storage.close();
+  }
+}
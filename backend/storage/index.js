@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+
+/*
+ * Pluggable storage for users and messages.  The server talks to a
+ * store object with a small synchronous API and does not care which
+ * driver sits behind it:
+ *
+ *   getUser(username)            -> { username, publicKey, keyRevokedAt,
+ *                                   suspendedAt, suspendReason } | null
+ *   hasUser(username)            -> boolean
+ *   addUser({ username, publicKey, fingerprint })
+ *   listUsers()                  -> same shape as getUser, ordered by username
+ *   setUserSuspended(username, { suspendedAt, reason } | null)
+ *   deleteUser(username)         -> boolean; also removes the user's keys,
+ *                                   devices, prekeys, blocks, contacts, contact
+ *                                   list, group memberships and messages
+ *   replaceUserKey(username, { publicKey, fingerprint, oldPublicKey, oldFingerprint })
+ *   revokeUserKey(username, { fingerprint, publicKey, certificate, current })
+ *   listUserKeys(username)       -> every key the user has registered, with
+ *                                   addedAt, replacedAt, revokedAt and the
+ *                                   revocation certificate
+ *   addDevice(username, { fingerprint, name, publicKey, addedBy })
+ *   getDevice(username, fingerprint) -> device | null, revoked ones too
+ *   listDevices(username)        -> [{ fingerprint, name, publicKey, addedAt,
+ *                                   addedBy }] that are not revoked
+ *   revokeDevice(username, fingerprint) -> boolean
+ *   replaceDeviceKey(username, oldFingerprint, { fingerprint, publicKey })
+ *   setPrekeyBundle(username, { fingerprint, identityKey, identitySignature,
+ *                   signedPrekeyId, signedPrekey, signedPrekeySignature })
+ *                                -> replaces the device's bundle; its one-time
+ *                                   prekeys are dropped if the identity key changed
+ *   addOneTimePrekeys(username, fingerprint, [{ id, publicKey }])
+ *   listPrekeyBundles(username)  -> bundles with `oneTimePrekeys`, the number
+ *                                   of one-time prekeys left
+ *   claimOneTimePrekey(username, fingerprint) -> { id, publicKey } | null,
+ *                                   removed so it is handed out only once
+ *   deletePrekeys(username, fingerprint) -> boolean
+ *   addMessage(msg)
+ *   getMessage(id)               -> msg | null
+ *   setMessageStatus(id, status) -> status is 'sent', 'delivered' or 'read'
+ *   editMessage(id, ciphertext, editedAt)
+ *   deleteMessage(id, deletedAt) -> keeps the message as a tombstone
+ *                                   without ciphertext or filename
+ *   purgeMessagesBefore(timestamp) -> number of messages deleted
+ *   stats()                      -> { users, suspendedUsers, messages,
+ *                                   oldestMessageAt, newestMessageAt, groups }
+ *   queueRelay({ id, host, payload, createdAt }) -> payload is any
+ *                                   JSON value waiting to be relayed to host
+ *   listRelays()                 -> every queued relay, oldest first
+ *   removeRelay(id)
+ *   getPeer(host)                -> { host, publicKey, fingerprint, pinnedAt } | null
+ *   setPeer({ host, publicKey, fingerprint }) -> pins a server's signing key
+ *   listPeers()                  -> pinned servers ordered by host
+ *   removePeer(host)             -> boolean
+ *   getConversation(user1, user2) -> msgs ordered by timestamp
+ *   listConversationPartners(username) -> everyone (and every group id)
+ *                                   the user has exchanged messages with
+ *   blockUser(username, blocked) / unblockUser(username, blocked) -> boolean
+ *   listBlocked(username)        -> [{ username, blockedAt }]
+ *   isBlocked(username, sender)  -> boolean
+ *   setContacts(username, contacts) -> replaces the users `username` accepted
+ *   listMutualContacts(username) -> users who accepted `username` and whom
+ *                                   `username` accepted
+ *   getContactList(username)     -> { blob, version, updatedAt } | null
+ *   setContactList(username, blob) -> replaces the user's encrypted contact
+ *                                   list and returns it with the next version
+ *   getPresence(username)        -> { hidden, lastSeen } | null
+ *   setPresenceHidden(username, hidden)
+ *   setLastSeen(username, timestamp)
+ *   getConversationPage(user1, user2, { before, after, limit })
+ *                                -> { messages, total, hasMore }; before and
+ *                                   after are cursor messages, pages are
+ *                                   ordered oldest first.  Messages from a
+ *                                   sender the recipient blocked are left out
+ *   getMessagesForRecipient(username, since)
+ *                                -> msgs to username that are newer than
+ *                                   `since` or not delivered yet, except
+ *                                   those from blocked senders
+ *   getGroupMessagesPage(groupId, { before, after, limit })
+ *                                -> same as getConversationPage for a group
+ *   getGroupMessagesSince(groupId, since) -> msgs to the group since `since`
+ *   createGroup({ id, name, owner, createdAt, members })
+ *   getGroup(id)                 -> { id, name, owner, createdAt, members } | null
+ *   listGroupsForUser(username)  -> groups the user is a member of
+ *   addGroupMember(groupId, username, addedBy)
+ *   removeGroupMember(groupId, username)
+ *   transaction(fn)              -> runs fn atomically where supported
+ *   backup(destDir)              -> Promise; writes a consistent copy of the
+ *                                   store's files to destDir
+ *   close()
+ *
+ * Two drivers exist.  `sqlite` (the default) keeps everything in an
+ * embedded database.  `json` is the original whole-file persistence
+ * and is kept as a fallback.  Select one with the STORAGE_DRIVER
+ * environment variable.  DATA_DIR overrides the data directory.
+ */
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
+
+const DRIVERS = {
+  sqlite: (options) => require('./sqlite').createSqliteStorage(options),
+  json: (options) => require('./json').createJsonStorage(options),
+};
+
+/**
+ * Resolve the data directory: `options.dataDir`, the DATA_DIR
+ * environment variable or DEFAULT_DATA_DIR.  Attachments are kept
+ * next to the store in the same directory.
+ * @param {{ dataDir?: string }} [options]
+ */
+function resolveDataDir(options = {}) {
+  return options.dataDir || process.env.DATA_DIR || DEFAULT_DATA_DIR;
+}
+
+/**
+ * Open a store.  When the SQLite driver is used and legacy JSON files
+ * are found in the data directory, they are imported once.
+ * @param {{ driver?: string, dataDir?: string, importLegacy?: boolean }} [options]
+ */
+function createStorage(options = {}) {
+  const driver = options.driver || process.env.STORAGE_DRIVER || 'sqlite';
+  const dataDir = resolveDataDir(options);
+  const factory = DRIVERS[driver];
+  if (!factory) {
+    throw new Error(`Unknown storage driver "${driver}" (expected one of ${Object.keys(DRIVERS).join(', ')})`);
+  }
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+  const storage = factory({ dataDir });
+  if (driver !== 'json' && options.importLegacy !== false) {
+    const { importJsonData } = require('./import-json');
+    const counts = importJsonData(storage, dataDir);
+    if (counts) {
+      console.log(`Imported ${counts.users} users and ${counts.messages} messages from legacy JSON files`);
+    }
+  }
+  return storage;
+}
+
+module.exports = {
+  createStorage,
+  resolveDataDir,
+  DEFAULT_DATA_DIR,
+};
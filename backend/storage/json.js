@@ -0,0 +1,611 @@
+const fs = require('fs');
+const path = require('path');
+
+/*
+ * JSON file storage driver.  This is the original persistence scheme
+ * of the server kept as a fallback for environments where the native
+ * SQLite module cannot be built.  Users and messages are held in
+ * memory and written back to `users.json` and `messages.json` after
+ * every change.  Writes go to a temporary file which is flushed and
+ * then renamed over the target, so a crash in the middle of a write
+ * leaves the previous file intact instead of a truncated one.
+ */
+
+/**
+ * Atomically replace `file` with `contents`.  The data is written to
+ * a sibling temporary file, fsynced and renamed into place.  rename()
+ * is atomic on POSIX filesystems, so readers see either the old or
+ * the new file, never a partial one.
+ * @param {string} file
+ * @param {string} contents
+ */
+function writeFileAtomic(file, contents) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeFileSync(fd, contents);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Read and parse a JSON array from disk.  Returns an empty array when
+ * the file does not exist.  A file that exists but cannot be parsed
+ * is reported and treated as empty.
+ * @param {string} file
+ * @returns {Array}
+ */
+function readJsonArray(file) {
+  try {
+    if (fs.existsSync(file)) {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return Array.isArray(data) ? data : [];
+    }
+  } catch (err) {
+    console.error(`Error loading ${path.basename(file)}:`, err);
+  }
+  return [];
+}
+
+/**
+ * Order messages by timestamp, breaking ties by id, the same order the
+ * SQLite driver uses for pagination cursors.
+ */
+function compareMessages(a, b) {
+  if (a.timestamp !== b.timestamp) return a.timestamp - b.timestamp;
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+/**
+ * Cut one page out of a conversation sorted with compareMessages().
+ * Mirrors the cursor semantics of the SQLite driver: without a cursor
+ * the newest page, with `before`/`after` the page adjacent to that
+ * message.  Returns { messages, total, hasMore }.
+ */
+function pageOf(conv, { before = null, after = null, limit }) {
+  let start = Math.max(conv.length - limit, 0);
+  let end = conv.length;
+  if (before) {
+    end = conv.filter((m) => compareMessages(m, before) < 0).length;
+    start = Math.max(end - limit, 0);
+  } else if (after) {
+    start = conv.filter((m) => compareMessages(m, after) <= 0).length;
+    end = Math.min(start + limit, conv.length);
+  }
+  const hasMore = after ? end < conv.length : start > 0;
+  return { messages: conv.slice(start, end), total: conv.length, hasMore };
+}
+
+/**
+ * Create a JSON file backed store in `dataDir`.
+ * @param {{ dataDir: string }} options
+ */
+function createJsonStorage({ dataDir }) {
+  const usersFile = path.join(dataDir, 'users.json');
+  const messagesFile = path.join(dataDir, 'messages.json');
+  const groupsFile = path.join(dataDir, 'groups.json');
+  const relayQueueFile = path.join(dataDir, 'relay-queue.json');
+  const peersFile = path.join(dataDir, 'peers.json');
+
+  // In‑memory copies of the files.  Each user maps to an object
+  // containing their public key, when it was revoked, the history of
+  // keys they have registered (`keys`), their additional device keys
+  // (`devices`), the users they blocked (`blocked`), the contacts they
+  // accepted (`contacts`), their presence settings (`presenceHidden`,
+  // `lastSeen`), a prekey bundle per device for the ratchet session
+  // layer (`prekeys`) and their encrypted contact list (`contactList`:
+  // { blob, version, updatedAt }).  Messages are an array of objects
+  // { id, from, to, ciphertext, type, filename, timestamp, status },
+  // plus `editedAt` or `deletedAt` once their sender changed them.
+  const users = new Map();
+  const messages = [];
+  // Groups map an id to { name, owner, createdAt, members }
+  const groups = new Map();
+  // Federation: relays waiting for another server, oldest first, and
+  // the signing key pinned for each server, by host
+  const relayQueue = [];
+  const peers = new Map();
+
+  readJsonArray(usersFile).forEach((u) => {
+    users.set(u.username, {
+      publicKey: u.publicKey,
+      keyRevokedAt: u.keyRevokedAt || null,
+      keys: u.keys || [],
+      devices: u.devices || [],
+      blocked: u.blocked || [],
+      contacts: u.contacts || [],
+      presenceHidden: Boolean(u.presenceHidden),
+      lastSeen: u.lastSeen || null,
+      suspendedAt: u.suspendedAt || null,
+      suspendReason: u.suspendReason || null,
+      prekeys: u.prekeys || [],
+      contactList: u.contactList || null,
+    });
+  });
+  readJsonArray(messagesFile).forEach((m) => messages.push({ status: 'sent', ...m }));
+  readJsonArray(groupsFile).forEach(({ id, ...data }) => groups.set(id, data));
+  readJsonArray(relayQueueFile).forEach((relay) => relayQueue.push(relay));
+  readJsonArray(peersFile).forEach((peer) => peers.set(peer.host, peer));
+
+  function persistUsers(file = usersFile) {
+    const userArray = Array.from(users.entries()).map(([username, data]) => ({ username, ...data }));
+    writeFileAtomic(file, JSON.stringify(userArray, null, 2));
+  }
+
+  function persistMessages(file = messagesFile) {
+    writeFileAtomic(file, JSON.stringify(messages, null, 2));
+  }
+
+  function persistGroups(file = groupsFile) {
+    const groupArray = Array.from(groups.entries()).map(([id, data]) => ({ id, ...data }));
+    writeFileAtomic(file, JSON.stringify(groupArray, null, 2));
+  }
+
+  function persistRelayQueue(file = relayQueueFile) {
+    writeFileAtomic(file, JSON.stringify(relayQueue, null, 2));
+  }
+
+  function persistPeers(file = peersFile) {
+    writeFileAtomic(file, JSON.stringify(Array.from(peers.values()), null, 2));
+  }
+
+  // Remove the messages matching `predicate` in place; returns how many
+  function removeMessages(predicate) {
+    const kept = messages.filter((m) => !predicate(m));
+    const removed = messages.length - kept.length;
+    if (removed > 0) {
+      messages.splice(0, messages.length, ...kept);
+      persistMessages();
+    }
+    return removed;
+  }
+
+  function groupMessages(groupId) {
+    return messages.filter((m) => m.to === groupId).sort(compareMessages);
+  }
+
+  return {
+    driver: 'json',
+
+    getUser(username) {
+      const data = users.get(username);
+      if (!data) return null;
+      return {
+        username,
+        publicKey: data.publicKey,
+        keyRevokedAt: data.keyRevokedAt,
+        suspendedAt: data.suspendedAt,
+        suspendReason: data.suspendReason,
+      };
+    },
+
+    hasUser(username) {
+      return users.has(username);
+    },
+
+    addUser({ username, publicKey, fingerprint }) {
+      const keys = fingerprint ? [{ fingerprint, publicKey, addedAt: Date.now() }] : [];
+      users.set(username, {
+        publicKey,
+        keyRevokedAt: null,
+        keys,
+        devices: [],
+        blocked: [],
+        contacts: [],
+        presenceHidden: false,
+        lastSeen: null,
+        suspendedAt: null,
+        suspendReason: null,
+        prekeys: [],
+        contactList: null,
+      });
+      persistUsers();
+    },
+
+    listUsers() {
+      return Array.from(users.keys())
+        .sort()
+        .map((username) => this.getUser(username));
+    },
+
+    setUserSuspended(username, suspension) {
+      const data = users.get(username);
+      const { suspendedAt = null, reason = null } = suspension || {};
+      data.suspendedAt = suspendedAt;
+      data.suspendReason = reason;
+      persistUsers();
+    },
+
+    deleteUser(username) {
+      if (!users.has(username)) return false;
+      users.delete(username);
+      users.forEach((data) => {
+        data.blocked = data.blocked.filter((b) => b.username !== username);
+        data.contacts = data.contacts.filter((c) => c !== username);
+      });
+      persistUsers();
+      groups.forEach((data) => {
+        data.members = data.members.filter((m) => m !== username);
+      });
+      persistGroups();
+      removeMessages((m) => m.from === username || m.to === username);
+      return true;
+    },
+
+    purgeMessagesBefore(timestamp) {
+      return removeMessages((m) => m.timestamp < timestamp);
+    },
+
+    queueRelay({ id, host, payload, createdAt }) {
+      relayQueue.push({ id, host, payload, createdAt });
+      persistRelayQueue();
+    },
+
+    listRelays() {
+      return relayQueue.map((relay) => ({ ...relay }));
+    },
+
+    removeRelay(id) {
+      const index = relayQueue.findIndex((relay) => relay.id === id);
+      if (index === -1) return;
+      relayQueue.splice(index, 1);
+      persistRelayQueue();
+    },
+
+    getPeer(host) {
+      const peer = peers.get(host);
+      return peer ? { ...peer } : null;
+    },
+
+    setPeer({ host, publicKey, fingerprint }) {
+      peers.set(host, { host, publicKey, fingerprint, pinnedAt: Date.now() });
+      persistPeers();
+    },
+
+    listPeers() {
+      return Array.from(peers.values())
+        .sort((a, b) => (a.host < b.host ? -1 : a.host > b.host ? 1 : 0))
+        .map((peer) => ({ ...peer }));
+    },
+
+    removePeer(host) {
+      const removed = peers.delete(host);
+      if (removed) persistPeers();
+      return removed;
+    },
+
+    setPrekeyBundle(username, bundle) {
+      const data = users.get(username);
+      const current = data.prekeys.find((b) => b.fingerprint === bundle.fingerprint);
+      // One-time prekeys belong to the identity key they were made with
+      const oneTimePrekeys = current && current.identityKey === bundle.identityKey ? current.oneTimePrekeys : [];
+      data.prekeys = data.prekeys.filter((b) => b.fingerprint !== bundle.fingerprint);
+      data.prekeys.push({ ...bundle, updatedAt: Date.now(), oneTimePrekeys });
+      persistUsers();
+    },
+
+    addOneTimePrekeys(username, fingerprint, prekeys) {
+      const bundle = users.get(username).prekeys.find((b) => b.fingerprint === fingerprint);
+      if (!bundle) return;
+      prekeys.forEach(({ id, publicKey }) => {
+        bundle.oneTimePrekeys = bundle.oneTimePrekeys.filter((k) => k.id !== id);
+        bundle.oneTimePrekeys.push({ id, publicKey });
+      });
+      bundle.oneTimePrekeys.sort((a, b) => a.id - b.id);
+      persistUsers();
+    },
+
+    listPrekeyBundles(username) {
+      const data = users.get(username);
+      if (!data) return [];
+      return data.prekeys
+        .map(({ oneTimePrekeys, ...bundle }) => ({ ...bundle, oneTimePrekeys: oneTimePrekeys.length }))
+        .sort((a, b) => (a.fingerprint < b.fingerprint ? -1 : a.fingerprint > b.fingerprint ? 1 : 0));
+    },
+
+    claimOneTimePrekey(username, fingerprint) {
+      const data = users.get(username);
+      const bundle = data && data.prekeys.find((b) => b.fingerprint === fingerprint);
+      if (!bundle || bundle.oneTimePrekeys.length === 0) return null;
+      const prekey = bundle.oneTimePrekeys.shift();
+      persistUsers();
+      return { ...prekey };
+    },
+
+    deletePrekeys(username, fingerprint) {
+      const data = users.get(username);
+      if (!data || !data.prekeys.some((b) => b.fingerprint === fingerprint)) return false;
+      data.prekeys = data.prekeys.filter((b) => b.fingerprint !== fingerprint);
+      persistUsers();
+      return true;
+    },
+
+    stats() {
+      let oldestMessageAt = null;
+      let newestMessageAt = null;
+      messages.forEach(({ timestamp }) => {
+        if (oldestMessageAt === null || timestamp < oldestMessageAt) oldestMessageAt = timestamp;
+        if (newestMessageAt === null || timestamp > newestMessageAt) newestMessageAt = timestamp;
+      });
+      return {
+        users: users.size,
+        suspendedUsers: Array.from(users.values()).filter((u) => u.suspendedAt).length,
+        messages: messages.length,
+        oldestMessageAt,
+        newestMessageAt,
+        groups: groups.size,
+      };
+    },
+
+    replaceUserKey(username, { publicKey, fingerprint, oldPublicKey, oldFingerprint }) {
+      const data = users.get(username);
+      const now = Date.now();
+      let old = data.keys.find((k) => k.fingerprint === oldFingerprint);
+      if (!old) {
+        // Users registered before key history existed
+        old = { fingerprint: oldFingerprint, publicKey: oldPublicKey, addedAt: 0 };
+        data.keys.push(old);
+      }
+      old.replacedAt = now;
+      if (!data.keys.some((k) => k.fingerprint === fingerprint)) {
+        data.keys.push({ fingerprint, publicKey, addedAt: now });
+      }
+      data.publicKey = publicKey;
+      data.keyRevokedAt = null;
+      persistUsers();
+    },
+
+    revokeUserKey(username, { fingerprint, publicKey, certificate, current }) {
+      const data = users.get(username);
+      const now = Date.now();
+      let entry = data.keys.find((k) => k.fingerprint === fingerprint);
+      if (!entry) {
+        entry = { fingerprint, publicKey, addedAt: 0 };
+        data.keys.push(entry);
+      }
+      entry.revokedAt = now;
+      entry.revocationCertificate = certificate;
+      if (current) data.keyRevokedAt = now;
+      persistUsers();
+    },
+
+    listUserKeys(username) {
+      const data = users.get(username);
+      return data ? data.keys.map((k) => ({ replacedAt: null, revokedAt: null, revocationCertificate: null, ...k })) : [];
+    },
+
+    addDevice(username, { fingerprint, name, publicKey, addedBy = null }) {
+      const data = users.get(username);
+      if (data.devices.some((d) => d.fingerprint === fingerprint)) {
+        throw new Error(`device ${fingerprint} already exists`);
+      }
+      data.devices.push({ fingerprint, name, publicKey, addedAt: Date.now(), addedBy, revokedAt: null });
+      persistUsers();
+    },
+
+    getDevice(username, fingerprint) {
+      const data = users.get(username);
+      const device = data && data.devices.find((d) => d.fingerprint === fingerprint);
+      return device ? { ...device } : null;
+    },
+
+    listDevices(username) {
+      const data = users.get(username);
+      return data ? data.devices.filter((d) => !d.revokedAt).map((d) => ({ ...d })) : [];
+    },
+
+    revokeDevice(username, fingerprint) {
+      const data = users.get(username);
+      const device = data && data.devices.find((d) => d.fingerprint === fingerprint && !d.revokedAt);
+      if (!device) return false;
+      device.revokedAt = Date.now();
+      persistUsers();
+      return true;
+    },
+
+    replaceDeviceKey(username, oldFingerprint, { fingerprint, publicKey }) {
+      const data = users.get(username);
+      const old = data.devices.find((d) => d.fingerprint === oldFingerprint);
+      const now = Date.now();
+      old.revokedAt = now;
+      data.devices.push({ fingerprint, name: old.name, publicKey, addedAt: now, addedBy: oldFingerprint, revokedAt: null });
+      persistUsers();
+    },
+
+    addMessage(msg) {
+      messages.push({ status: 'sent', ...msg });
+      persistMessages();
+    },
+
+    setMessageStatus(id, status) {
+      const msg = messages.find((m) => m.id === id);
+      if (!msg) return;
+      msg.status = status;
+      persistMessages();
+    },
+
+    editMessage(id, ciphertext, editedAt) {
+      const msg = messages.find((m) => m.id === id);
+      if (!msg) return;
+      msg.ciphertext = ciphertext;
+      msg.editedAt = editedAt;
+      persistMessages();
+    },
+
+    deleteMessage(id, deletedAt) {
+      const msg = messages.find((m) => m.id === id);
+      if (!msg) return;
+      msg.ciphertext = '';
+      msg.filename = null;
+      msg.deletedAt = deletedAt;
+      persistMessages();
+    },
+
+    getMessage(id) {
+      return messages.find((m) => m.id === id) || null;
+    },
+
+    getMessagesForRecipient(recipient, since) {
+      const list = messages.filter(
+        (m) => m.to === recipient && (m.timestamp >= since || m.status === 'sent') && !this.isBlocked(recipient, m.from)
+      );
+      list.sort((a, b) => a.timestamp - b.timestamp);
+      return list;
+    },
+
+    listConversationPartners(username) {
+      const partners = new Set();
+      messages.forEach((m) => {
+        if (m.from === username) partners.add(m.to);
+        if (m.to === username) partners.add(m.from);
+      });
+      return Array.from(partners);
+    },
+
+    getConversation(user1, user2) {
+      const conv = messages.filter(
+        (m) => (m.from === user1 && m.to === user2) || (m.from === user2 && m.to === user1)
+      );
+      conv.sort(compareMessages);
+      return conv;
+    },
+
+    getConversationPage(user1, user2, options) {
+      const conv = this.getConversation(user1, user2).filter((m) => !this.isBlocked(m.to, m.from));
+      return pageOf(conv, options);
+    },
+
+    blockUser(username, blocked) {
+      const data = users.get(username);
+      if (data.blocked.some((b) => b.username === blocked)) return;
+      data.blocked.push({ username: blocked, blockedAt: Date.now() });
+      persistUsers();
+    },
+
+    unblockUser(username, blocked) {
+      const data = users.get(username);
+      const before = data.blocked.length;
+      data.blocked = data.blocked.filter((b) => b.username !== blocked);
+      if (data.blocked.length === before) return false;
+      persistUsers();
+      return true;
+    },
+
+    listBlocked(username) {
+      const data = users.get(username);
+      if (!data) return [];
+      return data.blocked.map((b) => ({ ...b })).sort((a, b) => a.username.localeCompare(b.username));
+    },
+
+    isBlocked(username, sender) {
+      const data = users.get(username);
+      return Boolean(data && data.blocked.some((b) => b.username === sender));
+    },
+
+    setContacts(username, contacts) {
+      users.get(username).contacts = Array.from(new Set(contacts));
+      persistUsers();
+    },
+
+    getContactList(username) {
+      const data = users.get(username);
+      return data && data.contactList ? { ...data.contactList } : null;
+    },
+
+    setContactList(username, blob) {
+      const data = users.get(username);
+      const version = data.contactList ? data.contactList.version + 1 : 1;
+      data.contactList = { blob, version, updatedAt: Date.now() };
+      persistUsers();
+      return { ...data.contactList };
+    },
+
+    listMutualContacts(username) {
+      const data = users.get(username);
+      if (!data) return [];
+      return data.contacts
+        .filter((contact) => {
+          const other = users.get(contact);
+          return Boolean(other && other.contacts.includes(username));
+        })
+        .sort();
+    },
+
+    getPresence(username) {
+      const data = users.get(username);
+      return data ? { hidden: data.presenceHidden, lastSeen: data.lastSeen } : null;
+    },
+
+    setPresenceHidden(username, hidden) {
+      users.get(username).presenceHidden = Boolean(hidden);
+      persistUsers();
+    },
+
+    setLastSeen(username, timestamp) {
+      users.get(username).lastSeen = timestamp;
+      persistUsers();
+    },
+
+    getGroupMessagesPage(groupId, options) {
+      return pageOf(groupMessages(groupId), options);
+    },
+
+    getGroupMessagesSince(groupId, since) {
+      return groupMessages(groupId).filter((m) => m.timestamp >= since);
+    },
+
+    createGroup({ id, name, owner, createdAt, members }) {
+      groups.set(id, { name, owner, createdAt, members: Array.from(new Set(members)) });
+      persistGroups();
+    },
+
+    getGroup(id) {
+      const data = groups.get(id);
+      return data ? { id, ...data, members: data.members.slice() } : null;
+    },
+
+    listGroupsForUser(username) {
+      return Array.from(groups.keys())
+        .map((id) => this.getGroup(id))
+        .filter((g) => g.members.includes(username))
+        .sort((a, b) => a.createdAt - b.createdAt);
+    },
+
+    addGroupMember(groupId, username) {
+      const data = groups.get(groupId);
+      if (!data || data.members.includes(username)) return;
+      data.members.push(username);
+      persistGroups();
+    },
+
+    removeGroupMember(groupId, username) {
+      const data = groups.get(groupId);
+      if (!data) return;
+      data.members = data.members.filter((m) => m !== username);
+      persistGroups();
+    },
+
+    transaction(fn) {
+      return fn();
+    },
+
+    async backup(destDir) {
+      persistUsers(path.join(destDir, 'users.json'));
+      persistMessages(path.join(destDir, 'messages.json'));
+      persistGroups(path.join(destDir, 'groups.json'));
+      persistRelayQueue(path.join(destDir, 'relay-queue.json'));
+      persistPeers(path.join(destDir, 'peers.json'));
+    },
+
+    close() {},
+  };
+}
+
+module.exports = {
+  createJsonStorage,
+  writeFileAtomic,
+  readJsonArray,
+};
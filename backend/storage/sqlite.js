@@ -0,0 +1,833 @@
+const path = require('path');
+const Database = require('better-sqlite3');
+
+/*
+ * SQLite storage driver.  Users and messages live in a single
+ * embedded database file (`messenger.db`) in the data directory.
+ * The database runs in WAL mode, so every statement is committed
+ * atomically and a crash can at worst lose the last transaction,
+ * never corrupt what was written before it.  Nothing is loaded into
+ * memory at startup; conversations are fetched through an index on
+ * (sender, recipient, timestamp).
+ *
+ * The schema is versioned with `PRAGMA user_version`.  To change it,
+ * append a function to MIGRATIONS; it runs once on databases that are
+ * older than its position in the list.
+ */
+
+const MIGRATIONS = [
+  (db) => {
+    db.exec(`
+      CREATE TABLE users (
+        username   TEXT PRIMARY KEY,
+        public_key TEXT NOT NULL
+      );
+      CREATE TABLE messages (
+        id         TEXT PRIMARY KEY,
+        sender     TEXT NOT NULL,
+        recipient  TEXT NOT NULL,
+        ciphertext TEXT NOT NULL,
+        type       TEXT NOT NULL DEFAULT 'text',
+        filename   TEXT,
+        timestamp  INTEGER NOT NULL
+      );
+      CREATE INDEX idx_messages_sender_recipient_ts ON messages (sender, recipient, timestamp);
+    `);
+  },
+  (db) => {
+    // Delivery state of each message: sent, delivered or read
+    db.exec(`ALTER TABLE messages ADD COLUMN status TEXT NOT NULL DEFAULT 'sent'`);
+  },
+  (db) => {
+    // Lets a reconnecting client fetch everything addressed to it
+    db.exec('CREATE INDEX idx_messages_recipient_ts ON messages (recipient, timestamp)');
+  },
+  (db) => {
+    // Group conversations.  Messages to a group use the group id as
+    // their recipient, so they share the recipient index above.
+    db.exec(`
+      CREATE TABLE chat_groups (
+        id         TEXT PRIMARY KEY,
+        name       TEXT NOT NULL,
+        owner      TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+      );
+      CREATE TABLE group_members (
+        group_id TEXT NOT NULL REFERENCES chat_groups (id) ON DELETE CASCADE,
+        username TEXT NOT NULL,
+        added_by TEXT,
+        added_at INTEGER NOT NULL,
+        PRIMARY KEY (group_id, username)
+      );
+      CREATE INDEX idx_group_members_username ON group_members (username);
+    `);
+  },
+  (db) => {
+    // Key rotation and revocation.  user_keys holds every key a user
+    // has registered; users.public_key stays the current one.
+    db.exec(`
+      ALTER TABLE users ADD COLUMN key_revoked_at INTEGER;
+      CREATE TABLE user_keys (
+        username               TEXT NOT NULL,
+        fingerprint            TEXT NOT NULL,
+        public_key             TEXT NOT NULL,
+        added_at               INTEGER NOT NULL,
+        replaced_at            INTEGER,
+        revoked_at             INTEGER,
+        revocation_certificate TEXT,
+        PRIMARY KEY (username, fingerprint)
+      );
+    `);
+  },
+  (db) => {
+    // Additional device keys.  The key a user registered with stays in
+    // users.public_key as their primary key.
+    db.exec(`
+      CREATE TABLE devices (
+        username    TEXT NOT NULL,
+        fingerprint TEXT NOT NULL,
+        name        TEXT NOT NULL,
+        public_key  TEXT NOT NULL,
+        added_at    INTEGER NOT NULL,
+        added_by    TEXT,
+        revoked_at  INTEGER,
+        PRIMARY KEY (username, fingerprint)
+      );
+    `);
+  },
+  (db) => {
+    // Per-user block lists: `username` refuses messages from `blocked`
+    db.exec(`
+      CREATE TABLE blocks (
+        username   TEXT NOT NULL,
+        blocked    TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        PRIMARY KEY (username, blocked)
+      );
+    `);
+  },
+  (db) => {
+    // Presence.  `contacts` holds the users each user accepted; presence
+    // is only shared between users who accepted each other.
+    db.exec(`
+      ALTER TABLE users ADD COLUMN presence_hidden INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE users ADD COLUMN last_seen INTEGER;
+      CREATE TABLE contacts (
+        username TEXT NOT NULL,
+        contact  TEXT NOT NULL,
+        PRIMARY KEY (username, contact)
+      );
+    `);
+  },
+  (db) => {
+    // Accounts suspended by an operator cannot sign in
+    db.exec(`
+      ALTER TABLE users ADD COLUMN suspended_at INTEGER;
+      ALTER TABLE users ADD COLUMN suspend_reason TEXT;
+    `);
+  },
+  (db) => {
+    // Federation.  relay_queue holds what is waiting to be relayed to
+    // other servers; peers the signing key pinned for each server.
+    db.exec(`
+      CREATE TABLE relay_queue (
+        id         TEXT PRIMARY KEY,
+        host       TEXT NOT NULL,
+        payload    TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+      );
+      CREATE INDEX idx_relay_queue_created_at ON relay_queue (created_at);
+      CREATE TABLE peers (
+        host        TEXT PRIMARY KEY,
+        public_key  TEXT NOT NULL,
+        fingerprint TEXT NOT NULL,
+        pinned_at   INTEGER NOT NULL
+      );
+    `);
+  },
+  (db) => {
+    // Prekeys for the ratchet session layer, one bundle per device
+    db.exec(`
+      CREATE TABLE prekey_bundles (
+        username                TEXT NOT NULL,
+        fingerprint             TEXT NOT NULL,
+        identity_key            TEXT NOT NULL,
+        identity_signature      TEXT NOT NULL,
+        signed_prekey_id        INTEGER NOT NULL,
+        signed_prekey           TEXT NOT NULL,
+        signed_prekey_signature TEXT NOT NULL,
+        updated_at              INTEGER NOT NULL,
+        PRIMARY KEY (username, fingerprint)
+      );
+      CREATE TABLE one_time_prekeys (
+        username    TEXT NOT NULL,
+        fingerprint TEXT NOT NULL,
+        id          INTEGER NOT NULL,
+        public_key  TEXT NOT NULL,
+        PRIMARY KEY (username, fingerprint, id)
+      );
+    `);
+  },
+  (db) => {
+    // Each user's contact list, encrypted and signed by their client
+    db.exec(`
+      CREATE TABLE contact_lists (
+        username   TEXT PRIMARY KEY,
+        blob       TEXT NOT NULL,
+        version    INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+    `);
+  },
+  (db) => {
+    // Messages edited or deleted by their sender.  A deleted message
+    // stays as a tombstone without its ciphertext.
+    db.exec(`
+      ALTER TABLE messages ADD COLUMN edited_at INTEGER;
+      ALTER TABLE messages ADD COLUMN deleted_at INTEGER;
+    `);
+  },
+];
+
+/**
+ * Bring the schema up to date by running any migrations the database
+ * has not seen yet.  Each migration runs in its own transaction
+ * together with the version bump.
+ * @param {import('better-sqlite3').Database} db
+ */
+function migrate(db) {
+  const current = db.pragma('user_version', { simple: true });
+  for (let version = current; version < MIGRATIONS.length; version++) {
+    db.transaction(() => {
+      MIGRATIONS[version](db);
+      db.pragma(`user_version = ${version + 1}`);
+    })();
+  }
+}
+
+// Matches every message exchanged between @user1 and @user2
+const CONVERSATION_SQL = '((sender = @user1 AND recipient = @user2) OR (sender = @user2 AND recipient = @user1))';
+
+// Excludes messages whose recipient has blocked their sender
+const NOT_BLOCKED_SQL =
+  'NOT EXISTS (SELECT 1 FROM blocks WHERE blocks.username = messages.recipient AND blocks.blocked = messages.sender)';
+
+// Matches every message sent to the group @groupId
+const GROUP_CONVERSATION_SQL = 'recipient = @groupId';
+
+/**
+ * Prepare the statements used to page through the messages matched by
+ * `whereSql`.  Pages are fetched with one extra row to learn whether
+ * more exist.  The cursor is the (timestamp, id) pair of a message at
+ * the page boundary; ids break ties between equal timestamps.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} whereSql
+ */
+function preparePaging(db, whereSql) {
+  return {
+    count: db.prepare(`SELECT COUNT(*) AS total FROM messages WHERE ${whereSql}`),
+    newest: db.prepare(`
+      SELECT * FROM messages
+      WHERE ${whereSql}
+      ORDER BY timestamp DESC, id DESC LIMIT @limit
+    `),
+    before: db.prepare(`
+      SELECT * FROM messages
+      WHERE ${whereSql} AND (timestamp < @ts OR (timestamp = @ts AND id < @id))
+      ORDER BY timestamp DESC, id DESC LIMIT @limit
+    `),
+    after: db.prepare(`
+      SELECT * FROM messages
+      WHERE ${whereSql} AND (timestamp > @ts OR (timestamp = @ts AND id > @id))
+      ORDER BY timestamp ASC, id ASC LIMIT @limit
+    `),
+  };
+}
+
+/**
+ * Run a page query prepared by preparePaging().  Returns
+ * { messages, total, hasMore } with messages ordered oldest first.
+ */
+function runPage(paging, params, { before = null, after = null, limit }) {
+  const query = { ...params, limit: limit + 1 };
+  let rows;
+  if (before) {
+    rows = paging.before.all({ ...query, ts: before.timestamp, id: before.id });
+  } else if (after) {
+    rows = paging.after.all({ ...query, ts: after.timestamp, id: after.id });
+  } else {
+    rows = paging.newest.all(query);
+  }
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  // Descending queries are flipped so every page is oldest first
+  if (!after) page.reverse();
+  const { total } = paging.count.get(params);
+  return { messages: page.map(rowToMessage), total, hasMore };
+}
+
+function rowToDevice(row) {
+  return {
+    fingerprint: row.fingerprint,
+    name: row.name,
+    publicKey: row.public_key,
+    addedAt: row.added_at,
+    addedBy: row.added_by,
+    revokedAt: row.revoked_at,
+  };
+}
+
+function rowToUser(row) {
+  return {
+    username: row.username,
+    publicKey: row.public_key,
+    keyRevokedAt: row.key_revoked_at || null,
+    suspendedAt: row.suspended_at || null,
+    suspendReason: row.suspend_reason || null,
+  };
+}
+
+/**
+ * Convert a database row into the message shape used by the rest of
+ * the server and sent to clients.
+ */
+function rowToMessage(row) {
+  return {
+    id: row.id,
+    from: row.sender,
+    to: row.recipient,
+    ciphertext: row.ciphertext,
+    type: row.type,
+    filename: row.filename,
+    timestamp: row.timestamp,
+    status: row.status,
+    editedAt: row.edited_at,
+    deletedAt: row.deleted_at,
+  };
+}
+
+/**
+ * Convert a database row into a pinned peer server.
+ */
+function rowToPeer(row) {
+  return { host: row.host, publicKey: row.public_key, fingerprint: row.fingerprint, pinnedAt: row.pinned_at };
+}
+
+/**
+ * Convert a database row into a prekey bundle, with the number of
+ * one-time prekeys left for its device.
+ */
+function rowToPrekeyBundle(row) {
+  return {
+    fingerprint: row.fingerprint,
+    identityKey: row.identity_key,
+    identitySignature: row.identity_signature,
+    signedPrekeyId: row.signed_prekey_id,
+    signedPrekey: row.signed_prekey,
+    signedPrekeySignature: row.signed_prekey_signature,
+    updatedAt: row.updated_at,
+    oneTimePrekeys: row.one_time_prekeys,
+  };
+}
+
+/**
+ * Create an SQLite backed store in `dataDir`.
+ * @param {{ dataDir: string, filename?: string }} options
+ */
+function createSqliteStorage({ dataDir, filename = 'messenger.db' }) {
+  const db = new Database(path.join(dataDir, filename));
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = FULL');
+  db.pragma('foreign_keys = ON');
+  migrate(db);
+
+  const stmts = {
+    getUser: db.prepare('SELECT * FROM users WHERE username = ?'),
+    addUser: db.prepare('INSERT INTO users (username, public_key) VALUES (?, ?)'),
+    listUsers: db.prepare('SELECT * FROM users ORDER BY username'),
+    setUserSuspended: db.prepare('UPDATE users SET suspended_at = ?, suspend_reason = ? WHERE username = ?'),
+    deleteUser: [
+      'DELETE FROM users WHERE username = @username',
+      'DELETE FROM user_keys WHERE username = @username',
+      'DELETE FROM devices WHERE username = @username',
+      'DELETE FROM prekey_bundles WHERE username = @username',
+      'DELETE FROM one_time_prekeys WHERE username = @username',
+      'DELETE FROM contact_lists WHERE username = @username',
+      'DELETE FROM blocks WHERE username = @username OR blocked = @username',
+      'DELETE FROM contacts WHERE username = @username OR contact = @username',
+      'DELETE FROM group_members WHERE username = @username',
+      'DELETE FROM messages WHERE sender = @username OR recipient = @username',
+    ].map((sql) => db.prepare(sql)),
+    purgeMessagesBefore: db.prepare('DELETE FROM messages WHERE timestamp < ?'),
+    queueRelay: db.prepare('INSERT INTO relay_queue (id, host, payload, created_at) VALUES (?, ?, ?, ?)'),
+    listRelays: db.prepare('SELECT * FROM relay_queue ORDER BY created_at, rowid'),
+    removeRelay: db.prepare('DELETE FROM relay_queue WHERE id = ?'),
+    getPeer: db.prepare('SELECT * FROM peers WHERE host = ?'),
+    setPeer: db.prepare(`
+      INSERT INTO peers (host, public_key, fingerprint, pinned_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (host) DO UPDATE SET public_key = excluded.public_key, fingerprint = excluded.fingerprint,
+        pinned_at = excluded.pinned_at
+    `),
+    listPeers: db.prepare('SELECT * FROM peers ORDER BY host'),
+    removePeer: db.prepare('DELETE FROM peers WHERE host = ?'),
+    setPrekeyBundle: db.prepare(`
+      INSERT INTO prekey_bundles (username, fingerprint, identity_key, identity_signature, signed_prekey_id,
+        signed_prekey, signed_prekey_signature, updated_at)
+      VALUES (@username, @fingerprint, @identityKey, @identitySignature, @signedPrekeyId, @signedPrekey,
+        @signedPrekeySignature, @updatedAt)
+      ON CONFLICT (username, fingerprint) DO UPDATE SET identity_key = excluded.identity_key,
+        identity_signature = excluded.identity_signature, signed_prekey_id = excluded.signed_prekey_id,
+        signed_prekey = excluded.signed_prekey, signed_prekey_signature = excluded.signed_prekey_signature,
+        updated_at = excluded.updated_at
+    `),
+    getIdentityKey: db.prepare('SELECT identity_key FROM prekey_bundles WHERE username = ? AND fingerprint = ?'),
+    addOneTimePrekey: db.prepare(`
+      INSERT OR REPLACE INTO one_time_prekeys (username, fingerprint, id, public_key) VALUES (?, ?, ?, ?)
+    `),
+    listPrekeyBundles: db.prepare(`
+      SELECT b.*, (SELECT COUNT(*) FROM one_time_prekeys o
+        WHERE o.username = b.username AND o.fingerprint = b.fingerprint) AS one_time_prekeys
+      FROM prekey_bundles b WHERE b.username = ? ORDER BY b.fingerprint
+    `),
+    nextOneTimePrekey: db.prepare(`
+      SELECT * FROM one_time_prekeys WHERE username = ? AND fingerprint = ? ORDER BY id LIMIT 1
+    `),
+    removeOneTimePrekey: db.prepare('DELETE FROM one_time_prekeys WHERE username = ? AND fingerprint = ? AND id = ?'),
+    getContactList: db.prepare('SELECT * FROM contact_lists WHERE username = ?'),
+    setContactList: db.prepare(`
+      INSERT INTO contact_lists (username, blob, version, updated_at) VALUES (?, ?, 1, ?)
+      ON CONFLICT (username) DO UPDATE SET blob = excluded.blob, version = version + 1,
+        updated_at = excluded.updated_at
+    `),
+    deletePrekeyBundle: db.prepare('DELETE FROM prekey_bundles WHERE username = ? AND fingerprint = ?'),
+    deleteOneTimePrekeys: db.prepare('DELETE FROM one_time_prekeys WHERE username = ? AND fingerprint = ?'),
+    stats: db.prepare(`
+      SELECT
+        (SELECT COUNT(*) FROM users) AS users,
+        (SELECT COUNT(*) FROM users WHERE suspended_at IS NOT NULL) AS suspended_users,
+        (SELECT COUNT(*) FROM messages) AS messages,
+        (SELECT MIN(timestamp) FROM messages) AS oldest_message,
+        (SELECT MAX(timestamp) FROM messages) AS newest_message,
+        (SELECT COUNT(*) FROM chat_groups) AS groups
+    `),
+    setUserKey: db.prepare('UPDATE users SET public_key = ?, key_revoked_at = NULL WHERE username = ?'),
+    setUserKeyRevoked: db.prepare('UPDATE users SET key_revoked_at = ? WHERE username = ?'),
+    addUserKey: db.prepare(`
+      INSERT OR IGNORE INTO user_keys (username, fingerprint, public_key, added_at)
+      VALUES (?, ?, ?, ?)
+    `),
+    setUserKeyReplaced: db.prepare('UPDATE user_keys SET replaced_at = ? WHERE username = ? AND fingerprint = ?'),
+    setUserKeyRevocation: db.prepare(`
+      UPDATE user_keys SET revoked_at = ?, revocation_certificate = ?
+      WHERE username = ? AND fingerprint = ?
+    `),
+    listUserKeys: db.prepare('SELECT * FROM user_keys WHERE username = ? ORDER BY added_at'),
+    addDevice: db.prepare(`
+      INSERT INTO devices (username, fingerprint, name, public_key, added_at, added_by)
+      VALUES (@username, @fingerprint, @name, @publicKey, @addedAt, @addedBy)
+    `),
+    getDevice: db.prepare('SELECT * FROM devices WHERE username = ? AND fingerprint = ?'),
+    listDevices: db.prepare('SELECT * FROM devices WHERE username = ? AND revoked_at IS NULL ORDER BY added_at'),
+    revokeDevice: db.prepare(`
+      UPDATE devices SET revoked_at = ? WHERE username = ? AND fingerprint = ? AND revoked_at IS NULL
+    `),
+    listConversationPartners: db.prepare(`
+      SELECT recipient AS partner FROM messages WHERE sender = @username
+      UNION
+      SELECT sender AS partner FROM messages WHERE recipient = @username
+    `),
+    addMessage: db.prepare(`
+      INSERT INTO messages (id, sender, recipient, ciphertext, type, filename, timestamp, status)
+      VALUES (@id, @from, @to, @ciphertext, @type, @filename, @timestamp, @status)
+    `),
+    getMessagesForRecipient: db.prepare(`
+      SELECT * FROM messages
+      WHERE recipient = @recipient AND (timestamp >= @since OR status = 'sent') AND ${NOT_BLOCKED_SQL}
+      ORDER BY timestamp ASC
+    `),
+    setMessageStatus: db.prepare('UPDATE messages SET status = ? WHERE id = ?'),
+    editMessage: db.prepare('UPDATE messages SET ciphertext = ?, edited_at = ? WHERE id = ?'),
+    deleteMessage: db.prepare("UPDATE messages SET ciphertext = '', filename = NULL, deleted_at = ? WHERE id = ?"),
+    getMessage: db.prepare('SELECT * FROM messages WHERE id = ?'),
+    getConversation: db.prepare(`
+      SELECT * FROM messages
+      WHERE ${CONVERSATION_SQL}
+      ORDER BY timestamp ASC, id ASC
+    `),
+    conversationPaging: preparePaging(db, `${CONVERSATION_SQL} AND ${NOT_BLOCKED_SQL}`),
+    blockUser: db.prepare('INSERT OR IGNORE INTO blocks (username, blocked, created_at) VALUES (?, ?, ?)'),
+    unblockUser: db.prepare('DELETE FROM blocks WHERE username = ? AND blocked = ?'),
+    listBlocked: db.prepare('SELECT blocked, created_at FROM blocks WHERE username = ? ORDER BY blocked'),
+    isBlocked: db.prepare('SELECT 1 FROM blocks WHERE username = ? AND blocked = ?'),
+    clearContacts: db.prepare('DELETE FROM contacts WHERE username = ?'),
+    addContact: db.prepare('INSERT OR IGNORE INTO contacts (username, contact) VALUES (?, ?)'),
+    listMutualContacts: db.prepare(`
+      SELECT c.contact FROM contacts c
+      JOIN contacts r ON r.username = c.contact AND r.contact = c.username
+      WHERE c.username = ?
+      ORDER BY c.contact
+    `),
+    getPresence: db.prepare('SELECT presence_hidden, last_seen FROM users WHERE username = ?'),
+    setPresenceHidden: db.prepare('UPDATE users SET presence_hidden = ? WHERE username = ?'),
+    setLastSeen: db.prepare('UPDATE users SET last_seen = ? WHERE username = ?'),
+    groupPaging: preparePaging(db, GROUP_CONVERSATION_SQL),
+    getGroupMessagesSince: db.prepare(`
+      SELECT * FROM messages
+      WHERE recipient = @groupId AND timestamp >= @since
+      ORDER BY timestamp ASC
+    `),
+    createGroup: db.prepare('INSERT INTO chat_groups (id, name, owner, created_at) VALUES (@id, @name, @owner, @createdAt)'),
+    getGroup: db.prepare('SELECT * FROM chat_groups WHERE id = ?'),
+    getGroupMembers: db.prepare('SELECT username FROM group_members WHERE group_id = ? ORDER BY added_at, username'),
+    listGroupsForUser: db.prepare(`
+      SELECT g.* FROM chat_groups g
+      JOIN group_members m ON m.group_id = g.id
+      WHERE m.username = ?
+      ORDER BY g.created_at
+    `),
+    addGroupMember: db.prepare(`
+      INSERT OR IGNORE INTO group_members (group_id, username, added_by, added_at)
+      VALUES (?, ?, ?, ?)
+    `),
+    removeGroupMember: db.prepare('DELETE FROM group_members WHERE group_id = ? AND username = ?'),
+  };
+
+  function rowToGroup(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      owner: row.owner,
+      createdAt: row.created_at,
+      members: stmts.getGroupMembers.all(row.id).map((m) => m.username),
+    };
+  }
+
+  return {
+    driver: 'sqlite',
+    db,
+
+    getUser(username) {
+      const row = stmts.getUser.get(username);
+      return row ? rowToUser(row) : null;
+    },
+
+    hasUser(username) {
+      return Boolean(stmts.getUser.get(username));
+    },
+
+    addUser({ username, publicKey, fingerprint }) {
+      db.transaction(() => {
+        stmts.addUser.run(username, publicKey);
+        if (fingerprint) stmts.addUserKey.run(username, fingerprint, publicKey, Date.now());
+      })();
+    },
+
+    listUsers() {
+      return stmts.listUsers.all().map(rowToUser);
+    },
+
+    setUserSuspended(username, suspension) {
+      const { suspendedAt = null, reason = null } = suspension || {};
+      stmts.setUserSuspended.run(suspendedAt, reason, username);
+    },
+
+    deleteUser(username) {
+      if (!stmts.getUser.get(username)) return false;
+      db.transaction(() => {
+        stmts.deleteUser.forEach((stmt) => stmt.run({ username }));
+      })();
+      return true;
+    },
+
+    replaceUserKey(username, { publicKey, fingerprint, oldPublicKey, oldFingerprint }) {
+      const now = Date.now();
+      db.transaction(() => {
+        // Users registered before key history existed get their old key recorded here
+        stmts.addUserKey.run(username, oldFingerprint, oldPublicKey, 0);
+        stmts.setUserKeyReplaced.run(now, username, oldFingerprint);
+        stmts.addUserKey.run(username, fingerprint, publicKey, now);
+        stmts.setUserKey.run(publicKey, username);
+      })();
+    },
+
+    revokeUserKey(username, { fingerprint, publicKey, certificate, current }) {
+      const now = Date.now();
+      db.transaction(() => {
+        stmts.addUserKey.run(username, fingerprint, publicKey, 0);
+        stmts.setUserKeyRevocation.run(now, certificate, username, fingerprint);
+        if (current) stmts.setUserKeyRevoked.run(now, username);
+      })();
+    },
+
+    listUserKeys(username) {
+      return stmts.listUserKeys.all(username).map((row) => ({
+        fingerprint: row.fingerprint,
+        publicKey: row.public_key,
+        addedAt: row.added_at,
+        replacedAt: row.replaced_at,
+        revokedAt: row.revoked_at,
+        revocationCertificate: row.revocation_certificate,
+      }));
+    },
+
+    addDevice(username, { fingerprint, name, publicKey, addedBy = null }) {
+      stmts.addDevice.run({ username, fingerprint, name, publicKey, addedAt: Date.now(), addedBy });
+    },
+
+    getDevice(username, fingerprint) {
+      const row = stmts.getDevice.get(username, fingerprint);
+      return row ? rowToDevice(row) : null;
+    },
+
+    listDevices(username) {
+      return stmts.listDevices.all(username).map(rowToDevice);
+    },
+
+    revokeDevice(username, fingerprint) {
+      return stmts.revokeDevice.run(Date.now(), username, fingerprint).changes > 0;
+    },
+
+    replaceDeviceKey(username, oldFingerprint, { fingerprint, publicKey }) {
+      db.transaction(() => {
+        const old = stmts.getDevice.get(username, oldFingerprint);
+        stmts.revokeDevice.run(Date.now(), username, oldFingerprint);
+        stmts.addDevice.run({ username, fingerprint, name: old.name, publicKey, addedAt: Date.now(), addedBy: oldFingerprint });
+      })();
+    },
+
+    addMessage(msg) {
+      stmts.addMessage.run({ filename: null, type: 'text', status: 'sent', ...msg });
+    },
+
+    setMessageStatus(id, status) {
+      stmts.setMessageStatus.run(status, id);
+    },
+
+    editMessage(id, ciphertext, editedAt) {
+      stmts.editMessage.run(ciphertext, editedAt, id);
+    },
+
+    deleteMessage(id, deletedAt) {
+      stmts.deleteMessage.run(deletedAt, id);
+    },
+
+    getMessage(id) {
+      const row = stmts.getMessage.get(id);
+      return row ? rowToMessage(row) : null;
+    },
+
+    purgeMessagesBefore(timestamp) {
+      return stmts.purgeMessagesBefore.run(timestamp).changes;
+    },
+
+    queueRelay({ id, host, payload, createdAt }) {
+      stmts.queueRelay.run(id, host, JSON.stringify(payload), createdAt);
+    },
+
+    listRelays() {
+      return stmts.listRelays.all().map((row) => ({
+        id: row.id,
+        host: row.host,
+        payload: JSON.parse(row.payload),
+        createdAt: row.created_at,
+      }));
+    },
+
+    removeRelay(id) {
+      stmts.removeRelay.run(id);
+    },
+
+    getPeer(host) {
+      const row = stmts.getPeer.get(host);
+      return row ? rowToPeer(row) : null;
+    },
+
+    setPeer({ host, publicKey, fingerprint }) {
+      stmts.setPeer.run(host, publicKey, fingerprint, Date.now());
+    },
+
+    listPeers() {
+      return stmts.listPeers.all().map(rowToPeer);
+    },
+
+    removePeer(host) {
+      return stmts.removePeer.run(host).changes > 0;
+    },
+
+    setPrekeyBundle(username, bundle) {
+      db.transaction(() => {
+        const current = stmts.getIdentityKey.get(username, bundle.fingerprint);
+        // One-time prekeys belong to the identity key they were made with
+        if (current && current.identity_key !== bundle.identityKey) {
+          stmts.deleteOneTimePrekeys.run(username, bundle.fingerprint);
+        }
+        stmts.setPrekeyBundle.run({ username, ...bundle, updatedAt: Date.now() });
+      })();
+    },
+
+    addOneTimePrekeys(username, fingerprint, prekeys) {
+      db.transaction(() => {
+        prekeys.forEach(({ id, publicKey }) => stmts.addOneTimePrekey.run(username, fingerprint, id, publicKey));
+      })();
+    },
+
+    listPrekeyBundles(username) {
+      return stmts.listPrekeyBundles.all(username).map(rowToPrekeyBundle);
+    },
+
+    claimOneTimePrekey(username, fingerprint) {
+      return db.transaction(() => {
+        const row = stmts.nextOneTimePrekey.get(username, fingerprint);
+        if (!row) return null;
+        stmts.removeOneTimePrekey.run(username, fingerprint, row.id);
+        return { id: row.id, publicKey: row.public_key };
+      })();
+    },
+
+    deletePrekeys(username, fingerprint) {
+      return db.transaction(() => {
+        stmts.deleteOneTimePrekeys.run(username, fingerprint);
+        return stmts.deletePrekeyBundle.run(username, fingerprint).changes > 0;
+      })();
+    },
+
+    stats() {
+      const row = stmts.stats.get();
+      return {
+        users: row.users,
+        suspendedUsers: row.suspended_users,
+        messages: row.messages,
+        oldestMessageAt: row.oldest_message,
+        newestMessageAt: row.newest_message,
+        groups: row.groups,
+      };
+    },
+
+    getMessagesForRecipient(recipient, since) {
+      return stmts.getMessagesForRecipient.all({ recipient, since }).map(rowToMessage);
+    },
+
+    listConversationPartners(username) {
+      return stmts.listConversationPartners.all({ username }).map((row) => row.partner);
+    },
+
+    getConversation(user1, user2) {
+      return stmts.getConversation.all({ user1, user2 }).map(rowToMessage);
+    },
+
+    getConversationPage(user1, user2, options) {
+      return runPage(stmts.conversationPaging, { user1, user2 }, options);
+    },
+
+    blockUser(username, blocked) {
+      stmts.blockUser.run(username, blocked, Date.now());
+    },
+
+    unblockUser(username, blocked) {
+      return stmts.unblockUser.run(username, blocked).changes > 0;
+    },
+
+    listBlocked(username) {
+      return stmts.listBlocked.all(username).map((row) => ({ username: row.blocked, blockedAt: row.created_at }));
+    },
+
+    isBlocked(username, sender) {
+      return Boolean(stmts.isBlocked.get(username, sender));
+    },
+
+    setContacts(username, contacts) {
+      db.transaction(() => {
+        stmts.clearContacts.run(username);
+        contacts.forEach((contact) => stmts.addContact.run(username, contact));
+      })();
+    },
+
+    getContactList(username) {
+      const row = stmts.getContactList.get(username);
+      return row ? { blob: row.blob, version: row.version, updatedAt: row.updated_at } : null;
+    },
+
+    setContactList(username, blob) {
+      return db.transaction(() => {
+        stmts.setContactList.run(username, blob, Date.now());
+        return this.getContactList(username);
+      })();
+    },
+
+    listMutualContacts(username) {
+      return stmts.listMutualContacts.all(username).map((row) => row.contact);
+    },
+
+    getPresence(username) {
+      const row = stmts.getPresence.get(username);
+      return row ? { hidden: row.presence_hidden === 1, lastSeen: row.last_seen } : null;
+    },
+
+    setPresenceHidden(username, hidden) {
+      stmts.setPresenceHidden.run(hidden ? 1 : 0, username);
+    },
+
+    setLastSeen(username, timestamp) {
+      stmts.setLastSeen.run(timestamp, username);
+    },
+
+    getGroupMessagesPage(groupId, options) {
+      return runPage(stmts.groupPaging, { groupId }, options);
+    },
+
+    getGroupMessagesSince(groupId, since) {
+      return stmts.getGroupMessagesSince.all({ groupId, since }).map(rowToMessage);
+    },
+
+    createGroup({ id, name, owner, createdAt, members }) {
+      db.transaction(() => {
+        stmts.createGroup.run({ id, name, owner, createdAt });
+        members.forEach((member) => stmts.addGroupMember.run(id, member, owner, createdAt));
+      })();
+    },
+
+    getGroup(id) {
+      const row = stmts.getGroup.get(id);
+      return row ? rowToGroup(row) : null;
+    },
+
+    listGroupsForUser(username) {
+      return stmts.listGroupsForUser.all(username).map(rowToGroup);
+    },
+
+    addGroupMember(groupId, username, addedBy) {
+      stmts.addGroupMember.run(groupId, username, addedBy, Date.now());
+    },
+
+    removeGroupMember(groupId, username) {
+      stmts.removeGroupMember.run(groupId, username);
+    },
+
+    /**
+     * Run `fn` inside a single transaction.  Used by the importer so a
+     * partially imported data set is never committed.
+     * @param {Function} fn
+     */
+    transaction(fn) {
+      return db.transaction(fn)();
+    },
+
+    /**
+     * Write a consistent copy of the database to `destDir`.  Uses
+     * SQLite's online backup, so it is safe while other connections
+     * keep writing.
+     * @param {string} destDir
+     */
+    async backup(destDir) {
+      await db.backup(path.join(destDir, filename));
+    },
+
+    close() {
+      db.close();
+    },
+  };
+}
+
+module.exports = {
+  createSqliteStorage,
+};
@@ -18,6 +18,10 @@ const regImportPasteBtn = document.getElementById('regImportPasteBtn');
 const regRegisterBtn = document.getElementById('regRegisterBtn');
 const regStatus = document.getElementById('regStatus');
 const regLoginBtn = document.getElementById('regLoginBtn');
+const regCopyDeviceKeyBtn = document.getElementById('regCopyDeviceKeyBtn');
+const regBackupFile = document.getElementById('regBackupFile');
+const regBackupPass = document.getElementById('regBackupPass');
+const regRestoreBtn = document.getElementById('regRestoreBtn');
 
 // DOM references for server URL and the main chat interface
 const serverURLInput = document.getElementById('serverURLInput');
@@ -27,9 +31,31 @@ const userInfo = document.getElementById('userInfo');
 const exportKeyBtn = document.getElementById('exportKeyBtn');
 const copyPublicKeyBtn = document.getElementById('copyPublicKeyBtn');
 const userFingerprint = document.getElementById('userFingerprint');
+const readReceiptsToggle = document.getElementById('readReceiptsToggle');
+const hidePresenceToggle = document.getElementById('hidePresenceToggle');
+const forwardSecrecyToggle = document.getElementById('forwardSecrecyToggle');
+const notificationsToggle = document.getElementById('notificationsToggle');
+const notificationPreviewSelect = document.getElementById('notificationPreviewSelect');
+const rotateKeyBtn = document.getElementById('rotateKeyBtn');
+const uploadRevocationBtn = document.getElementById('uploadRevocationBtn');
+const logoutBtn = document.getElementById('logoutBtn');
+const backupToggleBtn = document.getElementById('backupToggleBtn');
+const backupPanel = document.getElementById('backupPanel');
+const backupPassInput = document.getElementById('backupPassInput');
+const backupPassConfirmInput = document.getElementById('backupPassConfirmInput');
+const exportBackupBtn = document.getElementById('exportBackupBtn');
+const revocationFileInput = document.getElementById('revocationFileInput');
+const devicesToggleBtn = document.getElementById('devicesToggleBtn');
+const devicesPanel = document.getElementById('devicesPanel');
+const devicesList = document.getElementById('devicesList');
+const newDeviceName = document.getElementById('newDeviceName');
+const newDeviceKey = document.getElementById('newDeviceKey');
+const authorizeDeviceBtn = document.getElementById('authorizeDeviceBtn');
 const addContactInput = document.getElementById('addContactInput');
 const addContactBtn = document.getElementById('addContactBtn');
 const contactSearchInput = document.getElementById('contactSearchInput');
+const messageSearchInput = document.getElementById('messageSearchInput');
+const searchResults = document.getElementById('searchResults');
 const contactsList = document.getElementById('contactsList');
 const requestsContainer = document.getElementById('requestsContainer');
 const requestsList = document.getElementById('requestsList');
@@ -37,12 +63,52 @@ const requestsBadge = document.getElementById('requestsBadge');
 const requestActions = document.getElementById('requestActions');
 const acceptRequestBtn = document.getElementById('acceptRequestBtn');
 const declineRequestBtn = document.getElementById('declineRequestBtn');
+const blockRequestBtn = document.getElementById('blockRequestBtn');
+const blockedToggleBtn = document.getElementById('blockedToggleBtn');
+const blockedPanel = document.getElementById('blockedPanel');
+const blockedList = document.getElementById('blockedList');
+const blockUserInput = document.getElementById('blockUserInput');
+const blockUserBtn = document.getElementById('blockUserBtn');
 const chatMessages = document.getElementById('chatMessages');
 const chatInput = document.getElementById('chatInput');
 const sendChatBtn = document.getElementById('sendChatBtn');
+const replyBar = document.getElementById('replyBar');
+const replyPreview = document.getElementById('replyPreview');
+const cancelReplyBtn = document.getElementById('cancelReplyBtn');
+const messageMenu = document.getElementById('messageMenu');
 const attachImageBtn = document.getElementById('attachImageBtn');
 const imageInput = document.getElementById('imageInput');
+const attachFileBtn = document.getElementById('attachFileBtn');
+const fileInput = document.getElementById('fileInput');
 const activeChatName = document.getElementById('activeChatName');
+const activeChatStatus = document.getElementById('activeChatStatus');
+const ratchetIndicator = document.getElementById('ratchetIndicator');
+const verifiedIndicator = document.getElementById('verifiedIndicator');
+const verifyContactBtn = document.getElementById('verifyContactBtn');
+const renameContactBtn = document.getElementById('renameContactBtn');
+const keyChangeBanner = document.getElementById('keyChangeBanner');
+const keyChangeText = document.getElementById('keyChangeText');
+const reviewKeyChangeBtn = document.getElementById('reviewKeyChangeBtn');
+const acceptKeyChangeBtn = document.getElementById('acceptKeyChangeBtn');
+const verifyPanel = document.getElementById('verifyPanel');
+const verifyPeerName = document.getElementById('verifyPeerName');
+const safetyNumberText = document.getElementById('safetyNumber');
+const safetyQr = document.getElementById('safetyQr');
+const safetyCompareInput = document.getElementById('safetyCompareInput');
+const safetyCompareResult = document.getElementById('safetyCompareResult');
+const markVerifiedBtn = document.getElementById('markVerifiedBtn');
+const closeVerifyBtn = document.getElementById('closeVerifyBtn');
+
+// DOM references for group conversations
+const newGroupName = document.getElementById('newGroupName');
+const newGroupMembers = document.getElementById('newGroupMembers');
+const createGroupBtn = document.getElementById('createGroupBtn');
+const groupsList = document.getElementById('groupsList');
+const groupActions = document.getElementById('groupActions');
+const groupAddMemberInput = document.getElementById('groupAddMemberInput');
+const groupAddMemberBtn = document.getElementById('groupAddMemberBtn');
+const groupLeaveBtn = document.getElementById('groupLeaveBtn');
+const groupMembersBar = document.getElementById('groupMembersBar');
 
 // Theme toggle
 const themeToggle = document.getElementById('themeToggle');
@@ -59,8 +125,30 @@ let passphrase = null;
 let privateKeyArmored = null;
 let publicKeyArmored = null;
 let privateKey = null; // OpenPGP private key object
-const friends = new Map(); // friendUsername -> { publicKeyArmored }
-const messagesByFriend = new Map(); // friendUsername -> array of { from, text }
+const friends = new Map(); // friendUsername -> { publicKeyArmored, deviceKeys, pendingKeys, nickname, updatedAt }
+// Pinned device key fingerprints of contacts, other group members and
+// our own account (see setContactKeys and setOwnDevices)
+const keyPins = new Map(); // username -> { fingerprints, verified, pinnedAt, updatedAt }
+const messagesByFriend = new Map(); // friendUsername or groupId -> array of { from, text }
+
+// Group conversations this user belongs to.  Group ids start with
+// GROUP_ID_PREFIX and are used as conversation keys like usernames.
+const GROUP_ID_PREFIX = 'group:';
+const groups = new Map(); // groupId -> { id, name, owner, members }
+// Device keys of users who are not contacts, e.g. other group members,
+// pinned like a contact's
+const publicKeyCache = new Map(); // username -> { publicKeyArmored, deviceKeys, pendingKeys }
+
+// Our own pinned devices, including this one.  Messages are encrypted to
+// all of them so every device can read our history.  Devices the server
+// lists that we have not pinned wait in `pendingDevices`.
+let myDevices = []; // [{ fingerprint, name, publicKey, primary }]
+let pendingDevices = [];
+let myFingerprint = null;
+
+// Users we blocked.  The server keeps the list and drops their messages;
+// we mirror it to mark contacts and disable sending to them.
+const blockedUsers = new Set();
 
 // Request state: messages from unknown senders
 const requestsMessagesByUser = new Map(); // username -> array of { from, text, timestamp, verified }
@@ -68,9 +156,63 @@ const requestsUnreadCounts = new Map(); // username -> count
 let currentFriend = null;
 let socket = null;
 
+// Server timestamp of the newest message we have received.  Sent with
+// `registerUsername` so the server can replay what we missed.
+let lastSeenTimestamp = null;
+
 // Track unread message counts per friend
 const unreadCounts = new Map();
 
+// The message the next one we send replies to: { chatId, id, from, excerpt }
+let replyTarget = null;
+// Reactions offered in a message's context menu
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
+
+// Server history is loaded a page at a time, newest first
+const HISTORY_PAGE_SIZE = 50;
+const historyPaging = new Map(); // friendUsername -> { oldestId, hasMore, total, loading }
+
+// Presence of our contacts as sent by the server: username ->
+// { status: 'online'|'offline'|'hidden', lastSeen }.  Contacts who are
+// typing to us map to the timer that clears the indicator.
+const presenceByUser = new Map();
+const typingUsers = new Map();
+// A contact's typing indicator is cleared if it is not renewed in time
+const TYPING_TIMEOUT_MS = 6000;
+// While we type, repeat the typing event this often and send a stop
+// event after this long without a keystroke
+const TYPING_REPEAT_MS = 3000;
+const TYPING_IDLE_MS = 4000;
+let typingTarget = null;
+let typingSentAt = 0;
+let typingIdleTimer = null;
+// Whether we hide our own presence; the server keeps this setting
+let presenceHidden = false;
+
+// File attachments are encrypted with AES-GCM in chunks of this many
+// bytes; each encrypted chunk carries a 16 byte authentication tag.
+const ATTACHMENT_CHUNK_BYTES = 1024 * 1024;
+const GCM_TAG_BYTES = 16;
+// Attempts per chunk before an upload is given up
+const UPLOAD_RETRIES = 5;
+// Uploads and downloads in progress: blobId -> { loaded, total, direction }
+const transfers = new Map();
+
+// Message size limits announced by the server (see loadServerLimits())
+let serverLimits = null;
+// This server's host when it federates with other servers, so users
+// there can reach us as username@host (see loadFederation())
+let federationHost = null;
+
+// Per-user preferences, persisted in local storage by saveSettings()
+const defaultSettings = {
+  readReceipts: true, // tell senders when we have read their messages
+  forwardSecrecy: false, // ratchet one-to-one messages (see setupRatchet())
+  notifications: false, // desktop notifications for new messages
+  notificationPreview: 'full', // what notifications show: 'full', 'sender' or 'none'
+};
+let settings = { ...defaultSettings };
+
 // Server URL (default).  Will be updated from the input field as needed.
 let serverUrl = serverURLInput ? serverURLInput.value.trim() : 'http://127.0.0.1:3001';
 
@@ -108,548 +250,4035 @@ if (attachImageBtn && imageInput) {
   });
 }
 
+// Attachments of any type are uploaded encrypted, see sendFile()
+if (attachFileBtn && fileInput) {
+  attachFileBtn.addEventListener('click', () => {
+    fileInput.click();
+  });
+  fileInput.addEventListener('change', () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (file) {
+      sendFile(file);
+    }
+  });
+}
+
 /**
- * Handle image selection from the hidden file input.  Reads the image as a
- * Data URL, encrypts it with the recipient's public key and sends it
- * over the socket with a type of 'image'.  The plaintext sent via PGP
- * contains a JSON string with the data URL and metadata so the
- * recipient can reconstruct and display the image.  The function
- * enforces a maximum file size of 2 MB to prevent performance issues.
- * @param {File} file
+ * Read a list of armored public keys into key objects, skipping any
+ * that fail to parse.
+ * @param {string[]} armoredKeys
  */
-async function sendImage(file) {
-  if (!currentFriend) {
-    alert('Select a contact to chat with');
-    return;
+async function readPublicKeys(armoredKeys) {
+  let keys = [];
+  for (const armored of armoredKeys) {
+    try {
+      keys = keys.concat((await openpgp.key.readArmored(armored)).keys);
+    } catch (err) {
+      console.error('Error reading public key', err);
+    }
   }
-  if (!file) return;
-  const maxSize = 2 * 1024 * 1024; // 2 MB
-  if (file.size > maxSize) {
-    alert('Image is too large (max 2MB)');
-    return;
+  return keys;
+}
+
+/**
+ * The device keys listed in a user record from `/api/users/:username`.
+ * Older servers only return the single `publicKey`.
+ * @param {{ publicKey: string, devices?: Array<{ publicKey: string }> }} data
+ * @returns {string[]}
+ */
+function deviceKeysOf(data) {
+  return Array.isArray(data.devices) ? data.devices.map((d) => d.publicKey) : [data.publicKey];
+}
+
+/**
+ * Our own public keys: this device's plus those of our other devices.
+ */
+async function ownPublicKeys() {
+  const others = myDevices.filter((d) => d.fingerprint !== myFingerprint).map((d) => d.publicKey);
+  return [privateKey.toPublic()].concat(await readPublicKeys(others));
+}
+
+/**
+ * Encrypt a plaintext for a one-to-one conversation and sign it with
+ * our private key.  The message is encrypted to every device key of
+ * the recipient and to our own devices, so the server copy of
+ * everything we send can be decrypted again when history is loaded on
+ * this or another device.  `meta` is the structured part of a reply or
+ * reaction (see encodeMessageMeta()).
+ * @param {string} plaintext
+ * @param {string[]} recipientKeysArmored
+ * @param {object|null} [meta]
+ * @returns {Promise<string>} armored PGP message
+ */
+async function encryptForConversation(plaintext, recipientKeysArmored, meta = null) {
+  const recipientKeys = await readPublicKeys(recipientKeysArmored);
+  if (recipientKeys.length === 0) {
+    throw new Error('Recipient has no usable public key');
+  }
+  const encrypted = await openpgp.encrypt({
+    message: openpgp.message.fromText(plaintext, encodeMessageMeta(meta)),
+    publicKeys: recipientKeys.concat(await ownPublicKeys()),
+    privateKeys: [privateKey],
+  });
+  return encrypted.data;
+}
+
+/**
+ * Encrypt a plaintext for every member of a group, ourselves included,
+ * and sign it with our private key.  Member keys come from the contact
+ * list or are fetched from the server.
+ * @param {string} plaintext
+ * @param {{ members: string[] }} group
+ * @param {object|null} [meta]
+ * @returns {Promise<string>} armored PGP message
+ */
+async function encryptForGroup(plaintext, group, meta = null) {
+  let publicKeys = await ownPublicKeys();
+  for (const member of group.members) {
+    if (member === username) continue;
+    publicKeys = publicKeys.concat(await readPublicKeys(await getPublicKeysArmored(member)));
+  }
+  const encrypted = await openpgp.encrypt({
+    message: openpgp.message.fromText(plaintext, encodeMessageMeta(meta)),
+    publicKeys,
+    privateKeys: [privateKey],
+  });
+  return encrypted.data;
+}
+
+/**
+ * Encrypt a plaintext for the conversation `chatId`, which is either a
+ * contact's username or a group id.  One-to-one messages go through the
+ * ratchet sessions when forward secrecy is on and possible.
+ * @param {string} chatId
+ * @param {string} plaintext
+ * @param {object|null} [meta]  structured part of a reply or reaction
+ * @returns {Promise<string>} armored PGP message or ratchet envelope
+ */
+async function encryptForChat(chatId, plaintext, meta = null) {
+  if (pendingDevices.length > 0) {
+    throw new Error('A new device was added to your account; confirm or revoke it under Devices first');
+  }
+  if (groups.has(chatId)) {
+    const changed = groups.get(chatId).members.filter((member) => isKeyChangePending(member));
+    if (changed.length > 0) {
+      throw new Error(`The key of ${changed.join(', ')} changed; compare safety numbers or accept the new key first`);
+    }
+    return encryptForGroup(plaintext, groups.get(chatId), meta);
+  }
+  const friend = friends.get(chatId);
+  if (friend && friend.pendingKeys) {
+    throw new Error(`The key of ${chatId} changed; compare safety numbers or accept the new key first`);
   }
-  // Ensure the friend exists and we have their public key
-  const friend = friends.get(currentFriend);
   if (!friend || !friend.publicKeyArmored) {
-    alert('Contact not found or missing public key');
-    return;
+    throw new Error('Contact not found or missing public key');
   }
-  // Read the file as a data URL
-  const dataUrl = await new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = () => resolve(reader.result);
-    reader.onerror = () => reject(reader.error);
-    reader.readAsDataURL(file);
+  const envelope = await encryptWithRatchet(chatId, plaintext, meta);
+  if (envelope) return envelope;
+  return encryptForConversation(plaintext, friend.deviceKeys || [friend.publicKeyArmored], meta);
+}
+
+/**
+ * Look up a user's pinned armored device keys: from the contact list if
+ * they are a friend, our own devices for ourselves, otherwise from the
+ * server (checked against the pin and cached for later use).
+ * @param {string} user
+ * @returns {Promise<string[]>}
+ */
+async function getPublicKeysArmored(user) {
+  if (user === username) {
+    return [publicKeyArmored].concat(myDevices.filter((d) => d.fingerprint !== myFingerprint).map((d) => d.publicKey));
+  }
+  // Only a contact's pinned keys, even while none of them is left
+  const friend = friends.get(user);
+  if (friend) return friend.deviceKeys;
+  if (!publicKeyCache.has(user)) {
+    const res = await fetch(userRecordUrl(user));
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || `Unable to fetch public key for ${user}`);
+    }
+    await setContactKeys(user, data.publicKey, deviceKeysOf(data), publicKeyCache);
+  }
+  return publicKeyCache.get(user).deviceKeys;
+}
+
+/*
+ * Ratchet session layer.  With the "Forward secrecy" setting on, one-to-
+ * one messages are not encrypted to the long-term OpenPGP keys but with
+ * a Double Ratchet session per device, set up with X3DH from the prekey
+ * bundles devices publish on the server (see prekeys.js in the backend).
+ * Every message advances the ratchet and its keys are thrown away once
+ * used, so a key leaked later cannot decrypt the copies the server
+ * stored.  The OpenPGP key remains the identity: it signs the prekey
+ * bundle and every message inside the session.
+ *
+ * The primitives are WebCrypto's: ECDH on P-256, HKDF and HMAC with
+ * SHA-256 and AES-GCM.  A ratcheted message's ciphertext is the JSON
+ * envelope
+ *
+ *   { ratchet: 1, from: <sender device fingerprint>, payload,
+ *     sessions: { <device fingerprint>: { header, body } } }
+ *
+ * `payload` is JSON { text, signature, meta }, the plaintext, our
+ * detached signature over it and the structured part of a reply or
+ * reaction if it is one, encrypted once with a fresh AES-GCM content key.
+ * Each device of the recipient and each of our other devices gets that
+ * key in its own part, encrypted with the ratchet: `header` is a JSON
+ * string { dh, pn, n } that also carries the X3DH values in `init`
+ * until the other side has answered, and is authenticated with the
+ * body.  When a device of the conversation has no bundle, or for groups
+ * and users of other servers, messages are sent with OpenPGP as before.
+ *
+ * This device's keys and sessions are kept in the encrypted local
+ * store (see loadRatchetStore()).  Our own copy of a ratcheted message cannot be
+ * decrypted again, so it only exists in the local history.
+ */
+
+// Message keys skipped in one chain, and kept per session, at most
+const MAX_SKIP = 100;
+const MAX_SKIPPED_KEYS = 1000;
+// Sessions kept per device; older ones still decrypt late messages
+const MAX_SESSIONS_PER_DEVICE = 3;
+// One-time prekeys are topped up to the target once the server holds
+// fewer than the low mark
+const ONE_TIME_PREKEY_TARGET = 100;
+const ONE_TIME_PREKEY_LOW = 20;
+// Private halves of one-time prekeys we keep for sessions not set up yet
+const MAX_LOCAL_ONE_TIME_PREKEYS = 500;
+// The signed prekey is replaced weekly; replaced ones are kept a while
+// for sessions started just before
+const SIGNED_PREKEY_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const OLD_SIGNED_PREKEY_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// A device found without a bundle is not asked for again this soon
+const PREKEY_RETRY_MS = 10 * 60 * 1000;
+const ECDH_P256 = { name: 'ECDH', namedCurve: 'P-256' };
+
+// This device's ratchet keys and sessions, null until set up.  Sessions
+// are kept by `${user}/${deviceFingerprint}`, newest first.
+let ratchetStore = null;
+// The write of ratchetStore to the local store in progress
+let ratchetStoreWrite = Promise.resolve();
+// Ratchet operations run one at a time so no session is used twice
+let ratchetQueue = Promise.resolve();
+// `${user}/${deviceFingerprint}` -> when we found no bundle for it
+const prekeyMisses = new Map();
+// Armored public key -> fingerprint
+const fingerprintCache = new Map();
+
+/**
+ * Run `fn` after every ratchet operation queued before it.
+ * @param {Function} fn
+ */
+function withRatchetLock(fn) {
+  const run = ratchetQueue.then(fn);
+  ratchetQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Concatenate byte arrays.
+ * @param {...Uint8Array} parts
+ */
+function concatBytes(...parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  parts.forEach((p) => {
+    out.set(p, offset);
+    offset += p.length;
+  });
+  return out;
+}
+
+/**
+ * Generate an ECDH key pair: { publicKey: base64 raw point,
+ * privateKey: JWK }, the form it is stored in.
+ */
+async function generateDhKeyPair() {
+  const pair = await crypto.subtle.generateKey(ECDH_P256, true, ['deriveBits']);
+  return {
+    publicKey: bytesToBase64(new Uint8Array(await crypto.subtle.exportKey('raw', pair.publicKey))),
+    privateKey: await crypto.subtle.exportKey('jwk', pair.privateKey),
+  };
+}
+
+/**
+ * ECDH between a stored private key and a base64 public key.
+ * @param {object} privateJwk
+ * @param {string} publicKey
+ */
+async function dh(privateJwk, publicKey) {
+  const priv = await crypto.subtle.importKey('jwk', privateJwk, ECDH_P256, false, ['deriveBits']);
+  const pub = await crypto.subtle.importKey('raw', base64ToBytes(publicKey), ECDH_P256, false, []);
+  return new Uint8Array(await crypto.subtle.deriveBits({ name: 'ECDH', public: pub }, priv, 256));
+}
+
+/**
+ * HKDF-SHA-256 of `ikm` into `length` bytes.
+ * @param {Uint8Array} ikm
+ * @param {Uint8Array} salt
+ * @param {string} info
+ * @param {number} length
+ */
+async function hkdf(ikm, salt, info, length) {
+  const key = await crypto.subtle.importKey('raw', ikm, 'HKDF', false, ['deriveBits']);
+  const params = { name: 'HKDF', hash: 'SHA-256', salt, info: new TextEncoder().encode(info) };
+  return new Uint8Array(await crypto.subtle.deriveBits(params, key, length * 8));
+}
+
+/**
+ * HMAC-SHA-256 of a single byte, the chain key step of the ratchet.
+ * @param {Uint8Array} keyBytes
+ * @param {number} byte
+ */
+async function hmacByte(keyBytes, byte) {
+  const key = await crypto.subtle.importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return new Uint8Array(await crypto.subtle.sign('HMAC', key, new Uint8Array([byte])));
+}
+
+/**
+ * Root key step: mix a DH output into the root key.  Returns
+ * [rootKey, chainKey] as base64.
+ * @param {string} rootKey
+ * @param {Uint8Array} dhOutput
+ */
+async function kdfRoot(rootKey, dhOutput) {
+  const out = await hkdf(dhOutput, base64ToBytes(rootKey), 'PGPMessenger ratchet', 64);
+  return [bytesToBase64(out.slice(0, 32)), bytesToBase64(out.slice(32))];
+}
+
+/**
+ * Chain key step.  Returns [chainKey, messageKey] as base64.
+ * @param {string} chainKey
+ */
+async function kdfChain(chainKey) {
+  const ck = base64ToBytes(chainKey);
+  const [messageKey, next] = await Promise.all([hmacByte(ck, 1), hmacByte(ck, 2)]);
+  return [bytesToBase64(next), bytesToBase64(messageKey)];
+}
+
+/**
+ * The AES-GCM key and IV for a message key.
+ * @param {string} messageKey
+ * @param {string[]} usages
+ */
+async function messageCipher(messageKey, usages) {
+  const bytes = await hkdf(base64ToBytes(messageKey), new Uint8Array(32), 'PGPMessenger message', 44);
+  const key = await crypto.subtle.importKey('raw', bytes.slice(0, 32), 'AES-GCM', false, usages);
+  return { key, iv: bytes.slice(32) };
+}
+
+/**
+ * Encrypt with a message key; the session's associated data and the
+ * header are authenticated along with the body.
+ */
+async function sealMessage(messageKey, ad, header, plaintext) {
+  const { key, iv } = await messageCipher(messageKey, ['encrypt']);
+  const additionalData = concatBytes(base64ToBytes(ad), new TextEncoder().encode(header));
+  const body = await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData }, key, new TextEncoder().encode(plaintext));
+  return bytesToBase64(new Uint8Array(body));
+}
+
+/**
+ * Decrypt what sealMessage() produced.  Throws if anything was changed.
+ */
+async function openMessage(messageKey, ad, header, body) {
+  const { key, iv } = await messageCipher(messageKey, ['decrypt']);
+  const additionalData = concatBytes(base64ToBytes(ad), new TextEncoder().encode(header));
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv, additionalData }, key, base64ToBytes(body));
+  return new TextDecoder().decode(plain);
+}
+
+/**
+ * Encrypt a message payload with a fresh content key.  Returns
+ * { contentKey, payload } as base64; the payload starts with its IV.
+ * @param {string} plaintext
+ */
+async function sealPayload(plaintext) {
+  const raw = crypto.getRandomValues(new Uint8Array(32));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt']);
+  const body = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+  return { contentKey: bytesToBase64(raw), payload: bytesToBase64(concatBytes(iv, new Uint8Array(body))) };
+}
+
+/**
+ * Decrypt what sealPayload() produced.
+ * @param {string} contentKey
+ * @param {string} payload
+ */
+async function openPayload(contentKey, payload) {
+  const bytes = base64ToBytes(payload);
+  const key = await crypto.subtle.importKey('raw', base64ToBytes(contentKey), 'AES-GCM', false, ['decrypt']);
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: bytes.slice(0, 12) }, key, bytes.slice(12));
+  return new TextDecoder().decode(plain);
+}
+
+/**
+ * The X3DH shared secret from the four DH outputs (the last one is
+ * empty without a one-time prekey).
+ * @param {Uint8Array[]} dhOutputs
+ */
+async function x3dhSecret(dhOutputs) {
+  const ikm = concatBytes(new Uint8Array(32).fill(0xff), ...dhOutputs);
+  return bytesToBase64(await hkdf(ikm, new Uint8Array(32), 'PGPMessenger X3DH', 32));
+}
+
+/**
+ * The strings a device signs to publish its identity key and signed
+ * prekey.  They must match identityStatement() and
+ * signedPrekeyStatement() in the backend's prekeys.js.
+ */
+function ratchetIdentityStatement(fingerprint, identityKey) {
+  return JSON.stringify(['ratchet-identity', fingerprint, identityKey]);
+}
+
+function signedPrekeyStatement(fingerprint, id, publicKey) {
+  return JSON.stringify(['ratchet-signed-prekey', fingerprint, id, publicKey]);
+}
+
+/**
+ * Make a detached signature over `text` with our private key.
+ * @param {string} text
+ */
+async function signDetached(text) {
+  const { signature } = await openpgp.sign({
+    message: openpgp.message.fromText(text),
+    privateKeys: [privateKey],
+    detached: true,
   });
+  return signature;
+}
+
+/**
+ * Check a detached signature over `text` against armored public keys.
+ * @param {string} text
+ * @param {string} signature
+ * @param {string[]} publicKeysArmored
+ */
+async function verifyDetached(text, signature, publicKeysArmored) {
   try {
-    // Prepare plaintext payload as JSON so we can include metadata
-    const payload = JSON.stringify({ dataUrl, filename: file.name, mime: file.type });
-    // Parse recipient public key
-    const recipientKeys = (await openpgp.key.readArmored(friend.publicKeyArmored)).keys;
-    const messageObj = openpgp.message.fromText(payload);
-    const encrypted = await openpgp.encrypt({
-      message: messageObj,
-      publicKeys: recipientKeys,
-      privateKeys: [privateKey],
-    });
-    const ciphertext = encrypted.data;
-    // Emit the encrypted message with image type and filename
-    socket.emit('sendMessage', {
-      to: currentFriend,
-      from: username,
-      ciphertext,
-      type: 'image',
-      filename: file.name,
+    const result = await openpgp.verify({
+      message: openpgp.message.fromText(text),
+      signature: await openpgp.signature.readArmored(signature),
+      publicKeys: await readPublicKeys(publicKeysArmored),
     });
-    // Locally update our conversation with the image
-    const timestamp = Date.now();
-    const msgs = messagesByFriend.get(currentFriend) || [];
-    msgs.push({ from: username, type: 'image', dataUrl, filename: file.name, timestamp, verified: true });
-    messagesByFriend.set(currentFriend, msgs);
-    unreadCounts.set(currentFriend, 0);
-    saveLocalHistory();
-    updateContactsList();
-    renderMessages(currentFriend);
+    return (await result.signatures[0].verified) === true;
   } catch (err) {
-    console.error('Error encrypting image', err);
-    alert('Error encrypting image: ' + err.message);
+    return false;
   }
 }
 
 /**
- * Initialize theme based on local storage.  Applies or removes
- * the `dark` class on the document's root element and updates
- * the theme icon accordingly.
+ * Fingerprint of an armored public key, or null if it does not parse.
+ * @param {string} armored
  */
-function initTheme() {
-  const savedTheme = localStorage.getItem('theme');
-  const root = document.documentElement;
-  if (savedTheme === 'dark') {
-    root.classList.add('dark');
-    themeIcon.textContent = '🌚';
-  } else {
-    root.classList.remove('dark');
-    themeIcon.textContent = '🌞';
+async function fingerprintOfKey(armored) {
+  if (!fingerprintCache.has(armored)) {
+    const [key] = await readPublicKeys([armored]);
+    fingerprintCache.set(armored, key ? key.getFingerprint() : null);
   }
+  return fingerprintCache.get(armored);
 }
 
-// Toggle between light and dark modes and persist preference
-themeToggle.addEventListener('click', () => {
-  const root = document.documentElement;
-  if (root.classList.contains('dark')) {
-    root.classList.remove('dark');
-    themeIcon.textContent = '🌞';
-    localStorage.setItem('theme', 'light');
-  } else {
-    root.classList.add('dark');
-    themeIcon.textContent = '🌚';
-    localStorage.setItem('theme', 'dark');
+/**
+ * The armored key of `user`'s device with `fingerprint`, or null.
+ * @param {string} user
+ * @param {string} fingerprint
+ */
+async function deviceKeyOf(user, fingerprint) {
+  for (const armored of await getPublicKeysArmored(user)) {
+    if ((await fingerprintOfKey(armored)) === fingerprint) return armored;
   }
-});
+  return null;
+}
 
-// Apply the saved theme on initial load
-initTheme();
+/**
+ * Key of this user's ratchet record in the local store, next to the
+ * history record kept under the plain username.
+ */
+function ratchetRecordKey() {
+  return [username, 'ratchet'];
+}
 
 /**
- * Helper function to display status messages in the registration panel.
- * @param {string} msg
+ * Remove the plaintext ratchet state older versions kept in
+ * localStorage, for every key this user had on this browser.
  */
-function setRegStatus(msg) {
-  regStatus.textContent = msg;
+function removeLegacyRatchetStores() {
+  const prefix = `pgpRatchet_${username}_`;
+  Object.keys(localStorage)
+    .filter((key) => key.startsWith(prefix))
+    .forEach((key) => localStorage.removeItem(key));
 }
 
 /**
- * Generate a new ECC key pair using OpenPGP.js v4.  Stores the
- * armored keys in global variables and decrypts the private key
- * immediately so it can be used for signing and decryption.
+ * Load this device's ratchet keys and sessions from the local store,
+ * where they are encrypted with the same key as the history (see
+ * unlockLocalStore()).  They belong to the device key, so a rotated key
+ * starts afresh.  State that older versions left in localStorage is
+ * moved into the store.  Without an unlocked store nothing is loaded
+ * and new state lives only in memory.
  */
-regGenerateBtn.addEventListener('click', async () => {
-  const uname = regUsernameInput.value.trim();
-  const pass = regPassInput.value;
-  if (!uname) {
-    alert('Please enter a username before generating keys');
-    return;
-  }
+async function loadRatchetStore() {
+  ratchetStore = null;
+  if (!username || !myFingerprint || !localStore) return;
   try {
-    // Use curve25519 for ECC keys in v4.  Provide a user ID with
-    // name and email to satisfy the OpenPGP v4 requirement.
-    const keyOptions = {
-      type: 'ecc',
-      curve: 'curve25519',
-      userIds: [{ name: uname, email: `${uname}@example.com` }],
-    };
-    // Only set passphrase if provided; otherwise the private key will be generated unencrypted
-    if (pass) {
-      keyOptions.passphrase = pass;
+    const db = await openLocalDb();
+    const record = await idbRequest(db.transaction(LOCAL_DB_STORE).objectStore(LOCAL_DB_STORE).get(ratchetRecordKey()));
+    if (record) {
+      const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: record.iv }, localStore.key, record.data);
+      const saved = JSON.parse(new TextDecoder().decode(plaintext));
+      if (saved.fingerprint === myFingerprint) ratchetStore = saved.store;
     }
-    const { privateKeyArmored: privArm, publicKeyArmored: pubArm } = await openpgp.generateKey(keyOptions);
-    privateKeyArmored = privArm;
-    publicKeyArmored = pubArm;
-    // Parse and decrypt the private key for later use
-    const privObj = (await openpgp.key.readArmored(privateKeyArmored)).keys[0];
-    // If a passphrase was provided, decrypt; otherwise key is already unlocked
-    if (pass) {
-      await privObj.decrypt(pass);
+    const legacy = localStorage.getItem(`pgpRatchet_${username}_${myFingerprint}`);
+    if (legacy && !ratchetStore) {
+      ratchetStore = JSON.parse(legacy);
+      await saveRatchetStore();
     }
-    privateKey = privObj;
-    setRegStatus('Generated a new key pair.  Remember to export your private key!');
-    console.log('Generated new keys');
+    removeLegacyRatchetStores();
   } catch (err) {
-    console.error(err);
-    alert('Error generating keys: ' + err.message);
+    console.error('Error loading ratchet sessions', err);
   }
-});
+}
 
 /**
- * Import an existing armored private key from a file.  Reads the
- * file, decrypts it using the provided passphrase and derives the
- * corresponding public key.  Stores the results in global variables.
+ * Encrypt the ratchet keys and sessions and write them to the local
+ * store.  Writes are serialised.  Callers await the write before a
+ * message encrypted with an advanced chain leaves this device: a chain
+ * key that went back after a reload would derive the same message key
+ * and IV again.  So the promise rejects when the state could not be
+ * written, including when the store is locked.
+ * @returns {Promise} settles once the current state is written
  */
-regImportBtn.addEventListener('click', async () => {
-  const file = regImportFile.files[0];
-  const uname = regUsernameInput.value.trim();
-  const pass = regPassInput.value;
-  if (!file) {
-    alert('Please choose a private key file');
-    return;
-  }
-  if (!uname) {
-    alert('Please enter a username before importing a key');
-    return;
+function saveRatchetStore() {
+  if (!ratchetStore) return ratchetStoreWrite;
+  if (!localStore) return Promise.reject(new Error('the local store is locked'));
+  const { key } = localStore;
+  const contents = new TextEncoder().encode(JSON.stringify({ fingerprint: myFingerprint, store: ratchetStore }));
+  const write = ratchetStoreWrite.then(async () => {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, contents);
+    const db = await openLocalDb();
+    await idbRequest(db.transaction(LOCAL_DB_STORE, 'readwrite').objectStore(LOCAL_DB_STORE).put({ iv, data }, ratchetRecordKey()));
+  });
+  // Later writes go ahead after a failed one
+  ratchetStoreWrite = write.catch(() => {});
+  return write;
+}
+
+/**
+ * Create a new signed prekey, signed by our OpenPGP key.
+ * @param {number} id
+ */
+async function createSignedPrekey(id) {
+  const pair = await generateDhKeyPair();
+  const signature = await signDetached(signedPrekeyStatement(myFingerprint, id, pair.publicKey));
+  return { id, ...pair, signature, createdAt: Date.now() };
+}
+
+/**
+ * Generate `count` one-time prekeys, keeping their private halves, and
+ * return their public halves for publishing.
+ * @param {number} count
+ */
+async function createOneTimePrekeys(count) {
+  const published = [];
+  for (let i = 0; i < count; i++) {
+    const id = ratchetStore.nextPrekeyId++;
+    const pair = await generateDhKeyPair();
+    ratchetStore.oneTimePrekeys[id] = pair;
+    published.push({ id, publicKey: pair.publicKey });
   }
-  const reader = new FileReader();
-  reader.onload = async () => {
-    try {
-      privateKeyArmored = reader.result;
-      const privObj = (await openpgp.key.readArmored(privateKeyArmored)).keys[0];
-      // Decrypt only if a passphrase was provided
-      if (pass) {
-        await privObj.decrypt(pass);
-      }
-      privateKey = privObj;
-      // Derive the public key from the private key
-      const pubObj = privObj.toPublic();
-      publicKeyArmored = typeof pubObj.armor === 'function' ? pubObj.armor() : pubObj.toString();
-      setRegStatus('Imported private key successfully.');
-    } catch (err) {
-      console.error(err);
-      alert('Error importing private key: ' + err.message);
+  // Keys handed out for sessions that never started are given up on
+  const ids = Object.keys(ratchetStore.oneTimePrekeys).map(Number).sort((a, b) => a - b);
+  ids.slice(0, Math.max(0, ids.length - MAX_LOCAL_ONE_TIME_PREKEYS)).forEach((id) => {
+    delete ratchetStore.oneTimePrekeys[id];
+  });
+  return published;
+}
+
+/**
+ * Set up forward secrecy for this device: create its identity key and
+ * prekeys the first time, replace the signed prekey when it is a week
+ * old and make sure the server holds our current bundle and enough
+ * one-time prekeys.  Called at sign-in and when the setting is turned
+ * on.  With the setting off, sessions set up earlier are still loaded
+ * so messages sent through them can be read.
+ */
+async function setupRatchet() {
+  return withRatchetLock(async () => {
+    await loadRatchetStore();
+    if (!settings.forwardSecrecy || !window.crypto || !window.crypto.subtle) return;
+    if (!ratchetStore) {
+      const identity = await generateDhKeyPair();
+      identity.signature = await signDetached(ratchetIdentityStatement(myFingerprint, identity.publicKey));
+      ratchetStore = {
+        identity,
+        signedPrekey: await createSignedPrekey(1),
+        oldSignedPrekeys: [],
+        oneTimePrekeys: {},
+        nextPrekeyId: 1,
+        sessions: {},
+      };
+    }
+    const now = Date.now();
+    if (now - ratchetStore.signedPrekey.createdAt > SIGNED_PREKEY_MAX_AGE_MS) {
+      ratchetStore.oldSignedPrekeys.push({ ...ratchetStore.signedPrekey, retiredAt: now });
+      ratchetStore.signedPrekey = await createSignedPrekey(ratchetStore.signedPrekey.id + 1);
     }
+    ratchetStore.oldSignedPrekeys = ratchetStore.oldSignedPrekeys.filter((k) => now - k.retiredAt < OLD_SIGNED_PREKEY_TTL_MS);
+    await saveRatchetStore();
+    await publishPrekeys();
+  });
+}
+
+/**
+ * Bring the server's copy of our prekeys up to date: publish the bundle
+ * if the server does not hold this one and add one-time prekeys when it
+ * is running low.
+ */
+async function publishPrekeys() {
+  const res = await fetch(`${serverUrl}/api/users/${encodeURIComponent(username)}/prekeys`);
+  const bundles = res.ok ? await res.json() : [];
+  const published = bundles.find((b) => b.fingerprint === myFingerprint);
+  const { identity, signedPrekey } = ratchetStore;
+  const current = published && published.identityKey === identity.publicKey && published.signedPrekeyId === signedPrekey.id;
+  const held = published && published.identityKey === identity.publicKey ? published.oneTimePrekeys : 0;
+  const fields = {};
+  if (!current) {
+    Object.assign(fields, {
+      identityKey: identity.publicKey,
+      identitySignature: identity.signature,
+      signedPrekeyId: signedPrekey.id,
+      signedPrekey: signedPrekey.publicKey,
+      signedPrekeySignature: signedPrekey.signature,
+    });
+  }
+  if (held < ONE_TIME_PREKEY_LOW) {
+    fields.oneTimePrekeys = await createOneTimePrekeys(ONE_TIME_PREKEY_TARGET - held);
+    await saveRatchetStore();
+  }
+  if (Object.keys(fields).length === 0) return;
+  const { res: publishRes, data } = await signedRequest(
+    'POST',
+    `/api/users/${encodeURIComponent(username)}/prekeys`,
+    'publishPrekeys',
+    fields
+  );
+  if (!publishRes.ok) {
+    throw new Error(data.error || 'Failed to publish prekeys');
+  }
+}
+
+/**
+ * Turn forward secrecy off for this device: withdraw its prekeys so no
+ * new sessions are set up with it.  Existing sessions are kept so
+ * messages already on their way can still be read.
+ */
+async function withdrawPrekeys() {
+  const { res, data } = await signedRequest('DELETE', `/api/users/${encodeURIComponent(username)}/prekeys`, 'deletePrekeys', {});
+  if (!res.ok && res.status !== 404) {
+    throw new Error(data.error || 'Failed to withdraw prekeys');
+  }
+}
+
+/**
+ * The devices a ratcheted message in a conversation with `friend` goes
+ * to: each of theirs and each of our other devices, as
+ * [{ user, fingerprint, publicKey }].
+ * @param {string} friend
+ */
+async function ratchetTargets(friend) {
+  const targets = [];
+  for (const publicKey of await getPublicKeysArmored(friend)) {
+    targets.push({ user: friend, fingerprint: await fingerprintOfKey(publicKey), publicKey });
+  }
+  myDevices
+    .filter((d) => d.fingerprint !== myFingerprint)
+    .forEach((d) => targets.push({ user: username, fingerprint: d.fingerprint, publicKey: d.publicKey }));
+  return targets;
+}
+
+function sessionKey(user, fingerprint) {
+  return `${user}/${fingerprint}`;
+}
+
+/**
+ * Start a session with a device from its claimed prekey bundle (X3DH,
+ * our side).  The bundle's signatures must have been made by the
+ * device's OpenPGP key, which we already trust.
+ * @param {{ user: string, fingerprint: string, publicKey: string }} target
+ * @param {object} bundle
+ */
+async function initiateSession(target, bundle) {
+  const signed = await Promise.all([
+    verifyDetached(ratchetIdentityStatement(target.fingerprint, bundle.identityKey), bundle.identitySignature, [target.publicKey]),
+    verifyDetached(
+      signedPrekeyStatement(target.fingerprint, bundle.signedPrekeyId, bundle.signedPrekey),
+      bundle.signedPrekeySignature,
+      [target.publicKey]
+    ),
+  ]);
+  if (!signed.every(Boolean)) {
+    throw new Error(`the prekeys of ${target.user}'s device ${target.fingerprint} are not signed by its key`);
+  }
+  const { identity } = ratchetStore;
+  const ephemeral = await generateDhKeyPair();
+  const opk = bundle.oneTimePrekey;
+  const outputs = await Promise.all([
+    dh(identity.privateKey, bundle.signedPrekey),
+    dh(ephemeral.privateKey, bundle.identityKey),
+    dh(ephemeral.privateKey, bundle.signedPrekey),
+    opk ? dh(ephemeral.privateKey, opk.publicKey) : new Uint8Array(0),
+  ]);
+  const secret = await x3dhSecret(outputs);
+  const dhSelf = await generateDhKeyPair();
+  const [rootKey, sendChain] = await kdfRoot(secret, await dh(dhSelf.privateKey, bundle.signedPrekey));
+  return {
+    user: target.user,
+    device: target.fingerprint,
+    remoteIdentity: bundle.identityKey,
+    ad: bytesToBase64(concatBytes(base64ToBytes(identity.publicKey), base64ToBytes(bundle.identityKey))),
+    rootKey,
+    sendChain,
+    recvChain: null,
+    dhSelf,
+    dhRemote: bundle.signedPrekey,
+    sendCount: 0,
+    recvCount: 0,
+    previousCount: 0,
+    skipped: {},
+    pendingInit: {
+      ik: identity.publicKey,
+      ikSig: identity.signature,
+      ek: ephemeral.publicKey,
+      spk: bundle.signedPrekeyId,
+      opk: opk ? opk.id : null,
+    },
+    initEk: null,
+    createdAt: Date.now(),
   };
-  reader.readAsText(file);
-});
+}
 
-// Import a private key pasted into the textarea.  This allows users
-// to manually provide an armored private key instead of selecting a
-// file.  The username must be provided.  If a passphrase is supplied
-// in the passphrase input, the key will be decrypted; otherwise it
-// is assumed to be unencrypted.
-regImportPasteBtn.addEventListener('click', async () => {
-  const uname = regUsernameInput.value.trim();
-  const pass = regPassInput.value;
-  const armored = regImportText?.value?.trim() || '';
-  if (!armored) {
-    alert('Please paste your private key');
-    return;
+/**
+ * Accept a session another device started (X3DH, their side), from
+ * the `init` values in its first messages.  Their identity key must be
+ * signed by the OpenPGP key of the device the envelope names.  Returns
+ * the session and the id of the one-time prekey it used, which is
+ * deleted once a message decrypts.
+ * @param {string} user
+ * @param {string} fingerprint
+ * @param {object} init  { ik, ikSig, ek, spk, opk }
+ */
+async function acceptSession(user, fingerprint, init) {
+  const deviceKey = await deviceKeyOf(user, fingerprint);
+  if (!deviceKey || !(await verifyDetached(ratchetIdentityStatement(fingerprint, init.ik), init.ikSig, [deviceKey]))) {
+    throw new Error(`session from ${user} is not signed by one of their devices`);
   }
-  if (!uname) {
-    alert('Please enter a username before importing a key');
-    return;
+  const { identity, signedPrekey, oldSignedPrekeys, oneTimePrekeys } = ratchetStore;
+  const spk = [signedPrekey].concat(oldSignedPrekeys).find((k) => k.id === init.spk);
+  if (!spk) {
+    throw new Error('session uses a signed prekey we no longer have');
   }
-  try {
-    privateKeyArmored = armored;
-    const privObj = (await openpgp.key.readArmored(privateKeyArmored)).keys[0];
-    if (pass) {
-      await privObj.decrypt(pass);
-    }
-    privateKey = privObj;
-    // Derive the public key from the private key
-    const pubObj = privObj.toPublic();
-    publicKeyArmored = typeof pubObj.armor === 'function' ? pubObj.armor() : pubObj.toString();
-    setRegStatus('Imported pasted private key successfully.');
-  } catch (err) {
-    console.error(err);
-    alert('Error importing pasted key: ' + err.message);
+  let opk = null;
+  if (init.opk !== null && init.opk !== undefined) {
+    opk = oneTimePrekeys[init.opk];
+    if (!opk) throw new Error('session uses a one-time prekey that was already used');
   }
-});
+  const outputs = await Promise.all([
+    dh(spk.privateKey, init.ik),
+    dh(identity.privateKey, init.ek),
+    dh(spk.privateKey, init.ek),
+    opk ? dh(opk.privateKey, init.ek) : new Uint8Array(0),
+  ]);
+  const session = {
+    user,
+    device: fingerprint,
+    remoteIdentity: init.ik,
+    ad: bytesToBase64(concatBytes(base64ToBytes(init.ik), base64ToBytes(identity.publicKey))),
+    rootKey: await x3dhSecret(outputs),
+    sendChain: null,
+    recvChain: null,
+    dhSelf: { publicKey: spk.publicKey, privateKey: spk.privateKey },
+    dhRemote: null,
+    sendCount: 0,
+    recvCount: 0,
+    previousCount: 0,
+    skipped: {},
+    pendingInit: null,
+    initEk: init.ek,
+    createdAt: Date.now(),
+  };
+  return { session, usedPrekey: opk ? init.opk : null };
+}
 
 /**
- * Register the user with the backend server.  Requires that a key
- * pair has been generated or imported.  On success, it connects
- * to the Socket.IO server, initializes state and shows the chat UI.
+ * Encrypt `plaintext` with a session, advancing its sending chain.
+ * Returns { header, body }.
+ * @param {object} session
+ * @param {string} plaintext
  */
-regRegisterBtn.addEventListener('click', async () => {
-  const uname = regUsernameInput.value.trim();
-  const pass = regPassInput.value;
-  if (!uname || !publicKeyArmored || !privateKeyArmored) {
-    alert('Please provide username and generate or import keys');
-    return;
+async function ratchetEncrypt(session, plaintext) {
+  const [sendChain, messageKey] = await kdfChain(session.sendChain);
+  session.sendChain = sendChain;
+  const header = { dh: session.dhSelf.publicKey, pn: session.previousCount, n: session.sendCount };
+  if (session.pendingInit) header.init = session.pendingInit;
+  session.sendCount += 1;
+  const headerText = JSON.stringify(header);
+  return { header: headerText, body: await sealMessage(messageKey, session.ad, headerText, plaintext) };
+}
+
+/**
+ * Keep the keys of messages up to `until` in the receiving chain that
+ * have not arrived yet, so they can still be decrypted out of order.
+ */
+async function skipMessageKeys(session, until) {
+  if (session.recvCount + MAX_SKIP < until) {
+    throw new Error('too many messages skipped');
   }
-  try {
-    // Send registration request
-    const res = await fetch(`${serverUrl}/api/register`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ username: uname, publicKey: publicKeyArmored }),
+  if (!session.recvChain) return;
+  while (session.recvCount < until) {
+    const [recvChain, messageKey] = await kdfChain(session.recvChain);
+    session.recvChain = recvChain;
+    session.skipped[`${session.dhRemote}:${session.recvCount}`] = messageKey;
+    session.recvCount += 1;
+  }
+  const ids = Object.keys(session.skipped);
+  ids.slice(0, Math.max(0, ids.length - MAX_SKIPPED_KEYS)).forEach((id) => delete session.skipped[id]);
+}
+
+/**
+ * Decrypt a message part with a session, advancing it.  The session is
+ * changed even if decryption fails, so callers pass a copy and only
+ * keep it on success.
+ * @param {object} session
+ * @param {string} headerText
+ * @param {string} body
+ */
+async function ratchetDecrypt(session, headerText, body) {
+  const header = JSON.parse(headerText);
+  const skippedId = `${header.dh}:${header.n}`;
+  if (session.skipped[skippedId]) {
+    const plaintext = await openMessage(session.skipped[skippedId], session.ad, headerText, body);
+    delete session.skipped[skippedId];
+    return plaintext;
+  }
+  if (header.dh !== session.dhRemote) {
+    // The other side turned the ratchet: start new chains
+    await skipMessageKeys(session, header.pn);
+    session.previousCount = session.sendCount;
+    session.sendCount = 0;
+    session.recvCount = 0;
+    session.dhRemote = header.dh;
+    [session.rootKey, session.recvChain] = await kdfRoot(session.rootKey, await dh(session.dhSelf.privateKey, header.dh));
+    session.dhSelf = await generateDhKeyPair();
+    [session.rootKey, session.sendChain] = await kdfRoot(session.rootKey, await dh(session.dhSelf.privateKey, header.dh));
+  }
+  await skipMessageKeys(session, header.n);
+  const [recvChain, messageKey] = await kdfChain(session.recvChain);
+  session.recvChain = recvChain;
+  session.recvCount += 1;
+  const plaintext = await openMessage(messageKey, session.ad, headerText, body);
+  // They have our session now, so our messages need no X3DH values
+  session.pendingInit = null;
+  return plaintext;
+}
+
+/**
+ * Make sure we have a session with every target device, claiming
+ * prekey bundles for those we have none with.  Resolves to false if a
+ * device has no bundle, in which case the message goes out with
+ * OpenPGP.
+ * @param {object[]} targets  from ratchetTargets()
+ */
+async function ensureSessions(targets) {
+  const missing = targets.filter((t) => !(ratchetStore.sessions[sessionKey(t.user, t.fingerprint)] || []).length);
+  if (missing.length === 0) return true;
+  const now = Date.now();
+  if (missing.some((t) => now - (prekeyMisses.get(sessionKey(t.user, t.fingerprint)) || 0) < PREKEY_RETRY_MS)) {
+    return false;
+  }
+  let complete = true;
+  for (const user of new Set(missing.map((t) => t.user))) {
+    const devices = missing.filter((t) => t.user === user);
+    const { res, data } = await signedRequest('POST', `/api/users/${encodeURIComponent(user)}/prekeys/claim`, 'claimPrekeys', {
+      owner: user,
+      devices: devices.map((t) => t.fingerprint),
     });
-    const data = await res.json();
     if (!res.ok) {
-      setRegStatus(data.error || 'Registration failed');
-      return;
+      throw new Error(data.error || 'Failed to fetch prekeys');
     }
-    // Update global state
-    username = uname;
-    passphrase = pass;
-    // Decrypt the private key again to ensure it's ready for use, but only if passphrase exists
-    const privObj = (await openpgp.key.readArmored(privateKeyArmored)).keys[0];
-    if (passphrase) {
-      await privObj.decrypt(passphrase);
+    for (const target of devices) {
+      const bundle = data.find((b) => b.fingerprint === target.fingerprint);
+      if (bundle) {
+        ratchetStore.sessions[sessionKey(target.user, target.fingerprint)] = [await initiateSession(target, bundle)];
+      } else {
+        prekeyMisses.set(sessionKey(target.user, target.fingerprint), now);
+        complete = false;
+      }
+    }
+  }
+  await saveRatchetStore();
+  return complete;
+}
+
+/**
+ * Encrypt a message to `friend` with ratchet sessions if forward
+ * secrecy is on and every device involved can take it.  Resolves to
+ * the envelope, or null when the message should be sent with OpenPGP.
+ * That includes when the advanced sessions cannot be saved: the
+ * envelope is then thrown away, so the message keys a reload would
+ * derive again were never used.
+ * @param {string} friend
+ * @param {string} plaintext
+ * @param {object|null} [meta]  structured part of a reply or reaction
+ */
+async function encryptWithRatchet(friend, plaintext, meta = null) {
+  if (!settings.forwardSecrecy || !ratchetStore || remoteAddress(friend)) return null;
+  const envelope = await withRatchetLock(async () => {
+    const targets = await ratchetTargets(friend);
+    if (targets.some((t) => !t.fingerprint) || !(await ensureSessions(targets))) return null;
+    const content = { text: plaintext, signature: await signDetached(plaintext) };
+    if (meta) content.meta = meta;
+    const { contentKey, payload } = await sealPayload(JSON.stringify(content));
+    const sessions = {};
+    for (const target of targets) {
+      const [session] = ratchetStore.sessions[sessionKey(target.user, target.fingerprint)];
+      sessions[target.fingerprint] = await ratchetEncrypt(session, contentKey);
     }
-    privateKey = privObj;
-    // Update UI
-    setRegStatus('Registered successfully!');
-    registrationPanel.classList.add('hidden');
-    contactsPanel.classList.remove('hidden');
-    chatPanel.classList.remove('hidden');
-    userInfo.textContent = username;
-    // Compute and display fingerprint
     try {
-      const pubObjForFp = (await openpgp.key.readArmored(publicKeyArmored)).keys[0];
-      const fp = pubObjForFp.getFingerprint ? pubObjForFp.getFingerprint() : (pubObjForFp.keyPacket && pubObjForFp.keyPacket.getFingerprint && pubObjForFp.keyPacket.getFingerprint());
-      if (fp) {
-        userFingerprint.textContent = 'Fingerprint: ' + fp;
-      }
+      await saveRatchetStore();
     } catch (err) {
-      console.error('Error computing fingerprint', err);
+      console.error('Error saving ratchet sessions; sending with OpenPGP instead', err);
+      return null;
     }
-    // Reset contacts and messages
-    friends.clear();
-    messagesByFriend.clear();
-    currentFriend = null;
-    updateContactsList();
-    // Connect to Socket.IO using helper
-    connectSocket();
-    // Load any local history and unread counts for this user
-    loadLocalHistory();
-    // Disable messaging until a contact or request is selected
-    sendChatBtn.disabled = true;
-    chatInput.disabled = true;
-    chatInput.placeholder = '';
+    return JSON.stringify({ ratchet: 1, from: myFingerprint, payload, sessions });
+  });
+  if (currentFriend === friend) updateRatchetIndicator();
+  return envelope;
+}
+
+/**
+ * Parse a message's ciphertext as a ratchet envelope, or return null
+ * for an OpenPGP message.
+ * @param {string} ciphertext
+ */
+function parseRatchetEnvelope(ciphertext) {
+  if (typeof ciphertext !== 'string' || !ciphertext.startsWith('{')) return null;
+  try {
+    const envelope = JSON.parse(ciphertext);
+    return envelope && envelope.ratchet === 1 && envelope.sessions && envelope.payload ? envelope : null;
   } catch (err) {
-    console.error(err);
-    alert('Error registering: ' + err.message);
+    return null;
   }
-});
+}
 
 /**
- * Log in an existing user.  Requires that the username and passphrase
- * are provided, and that the user has imported their private key.
- * The private key is used to derive the public key, which must match
- * the public key stored on the server for the given username.  On
- * success the UI is switched to the chat view and the socket
- * connection is established.
+ * Decrypt a ratcheted message meant for this device.  Sessions with the
+ * sending device are tried newest first; a message starting a session
+ * we do not know yet sets one up.  Resolves to { plaintext, verified,
+ * meta }, where `verified` tells whether the signature inside is the
+ * sender's and `meta` is the structured part of a reply or reaction.
+ * Rejects, like any message that cannot be read, if the advanced
+ * session cannot be saved.
+ * @param {{ from: string }} msg
+ * @param {object} envelope
  */
-regLoginBtn.addEventListener('click', async () => {
-  const uname = regUsernameInput.value.trim();
-  const pass = regPassInput.value;
-  if (!uname) {
-    alert('Please provide a username');
-    return;
-  }
-  // Update server URL from input
-  serverUrl = serverURLInput.value.trim() || serverUrl;
-  if (!privateKeyArmored) {
-    alert('Import or paste your private key before logging in');
-    return;
+async function decryptRatchetMessage(msg, envelope) {
+  const part = envelope.sessions[myFingerprint];
+  if (!part || !ratchetStore) {
+    throw new Error('message was not encrypted for this device');
   }
-  try {
-    // Parse the private key and decrypt only if passphrase provided
-    const privObj = (await openpgp.key.readArmored(privateKeyArmored)).keys[0];
-    if (pass) {
-      await privObj.decrypt(pass);
-    }
-    privateKey = privObj;
-    // Derive public key from private key
-    const pubObj = privObj.toPublic();
-    publicKeyArmored = typeof pubObj.armor === 'function' ? pubObj.armor() : pubObj.toString();
-    // Fetch user record from server
-    const res = await fetch(`${serverUrl}/api/users/${encodeURIComponent(uname)}`);
-    const data = await res.json();
-    if (!res.ok) {
-      alert(data.error || 'User not found on server.  Perhaps you need to register first.');
-      return;
-    }
-    if (data.publicKey !== publicKeyArmored) {
-      alert('Provided private key does not match the public key stored on the server for this username.');
-      return;
-    }
-    // Set global state and update UI
-    username = uname;
-    passphrase = pass;
-    registrationPanel.classList.add('hidden');
-    contactsPanel.classList.remove('hidden');
-    chatPanel.classList.remove('hidden');
-    userInfo.textContent = username;
-    // Compute and display fingerprint
-    try {
-      const pubObjForFp = (await openpgp.key.readArmored(publicKeyArmored)).keys[0];
-      const fp = pubObjForFp.getFingerprint ? pubObjForFp.getFingerprint() : (pubObjForFp.keyPacket && pubObjForFp.keyPacket.getFingerprint && pubObjForFp.keyPacket.getFingerprint());
-      if (fp) {
-        userFingerprint.textContent = 'Fingerprint: ' + fp;
+  const key = sessionKey(msg.from, envelope.from);
+  const contentKey = await withRatchetLock(async () => {
+    const header = JSON.parse(part.header);
+    const init = header.init || null;
+    const sessions = ratchetStore.sessions[key] || [];
+    for (let i = 0; i < sessions.length; i++) {
+      if (init && sessions[i].initEk !== init.ek) continue;
+      const copy = JSON.parse(JSON.stringify(sessions[i]));
+      try {
+        const plaintext = await ratchetDecrypt(copy, part.header, part.body);
+        ratchetStore.sessions[key] = [copy].concat(sessions.filter((s, j) => j !== i));
+        await saveRatchetStore();
+        return plaintext;
+      } catch (err) {
+        // try the next session
       }
-    } catch (err) {
-      console.error('Error computing fingerprint', err);
     }
-    friends.clear();
-    messagesByFriend.clear();
-    currentFriend = null;
-    updateContactsList();
-    setRegStatus('Logged in successfully!');
-    // Connect socket
-    connectSocket();
-    // Load any local history and unread counts
-    loadLocalHistory();
-    // Disable messaging until a contact or request is selected
-    sendChatBtn.disabled = true;
-    chatInput.disabled = true;
-    chatInput.placeholder = '';
+    if (!init) throw new Error('no session with the sending device');
+    const { session, usedPrekey } = await acceptSession(msg.from, envelope.from, init);
+    const plaintext = await ratchetDecrypt(session, part.header, part.body);
+    if (usedPrekey !== null) delete ratchetStore.oneTimePrekeys[usedPrekey];
+    ratchetStore.sessions[key] = [session].concat(sessions).slice(0, MAX_SESSIONS_PER_DEVICE);
+    await saveRatchetStore();
+    if (usedPrekey !== null && settings.forwardSecrecy) {
+      // Someone used up one of our one-time prekeys; top up if needed
+      withRatchetLock(publishPrekeys).catch((err) => console.error('Error publishing prekeys', err));
+    }
+    return plaintext;
+  });
+  const { text, signature, meta = null } = JSON.parse(await openPayload(contentKey, envelope.payload));
+  let verified = false;
+  try {
+    verified = await verifyDetached(text, signature, await getPublicKeysArmored(msg.from));
   } catch (err) {
-    console.error(err);
-    alert('Error logging in: ' + err.message);
+    verified = false;
   }
-});
+  if (currentFriend === msg.from || msg.from === username) updateRatchetIndicator();
+  return { plaintext: text, verified, meta: meta && typeof meta === 'object' ? meta : null };
+}
 
 /**
- * Export the user's private key as a downloadable file.  Creates
- * a temporary anchor element and triggers a download of the armored
- * key.  Prompts the user to choose a location to save the file.
+ * Drop sessions with `friend`'s devices that withdrew their prekeys or
+ * published a new identity key, e.g. after losing their sessions, so
+ * the next message sets up a fresh one.  Called when a conversation is
+ * opened.
+ * @param {string} friend
  */
-exportKeyBtn.addEventListener('click', () => {
-  if (!privateKeyArmored) {
-    alert('No private key to export.  Generate or import a key first.');
-    return;
+async function refreshRatchetSessions(friend) {
+  if (!ratchetStore || remoteAddress(friend)) return;
+  try {
+    const res = await fetch(`${serverUrl}/api/users/${encodeURIComponent(friend)}/prekeys`);
+    if (!res.ok) return;
+    const bundles = await res.json();
+    bundles.forEach((b) => prekeyMisses.delete(sessionKey(friend, b.fingerprint)));
+    await withRatchetLock(async () => {
+      Object.keys(ratchetStore.sessions)
+        .filter((key) => key.startsWith(`${friend}/`))
+        .forEach((key) => {
+          const bundle = bundles.find((b) => sessionKey(friend, b.fingerprint) === key);
+          const sessions = ratchetStore.sessions[key].filter((s) => bundle && s.remoteIdentity === bundle.identityKey);
+          if (sessions.length) ratchetStore.sessions[key] = sessions;
+          else delete ratchetStore.sessions[key];
+        });
+      await saveRatchetStore();
+    });
+  } catch (err) {
+    console.error('Error checking prekeys', err);
   }
-  const blob = new Blob([privateKeyArmored], { type: 'text/plain' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `${username || 'private'}-private-key.asc`;
-  document.body.appendChild(a);
-  a.click();
-  setTimeout(() => {
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-  }, 0);
-});
+  if (currentFriend === friend) updateRatchetIndicator();
+}
 
-// Copy the public key to clipboard
-copyPublicKeyBtn.addEventListener('click', () => {
-  if (!publicKeyArmored) {
-    alert('No public key to copy');
-    return;
+/**
+ * Show in the chat header whether messages to the open conversation
+ * are ratcheted: forward secrecy is on and we have a session with
+ * every device of the contact and every other device of ours.
+ */
+async function updateRatchetIndicator() {
+  if (!ratchetIndicator) return;
+  const friend = currentFriend;
+  let active = false;
+  if (friend && friends.has(friend) && settings.forwardSecrecy && ratchetStore) {
+    try {
+      const targets = await ratchetTargets(friend);
+      active = targets.every((t) => (ratchetStore.sessions[sessionKey(t.user, t.fingerprint)] || []).length > 0);
+    } catch (err) {
+      active = false;
+    }
   }
-  navigator.clipboard.writeText(publicKeyArmored).then(() => {
-    alert('Public key copied to clipboard');
-  }).catch((err) => {
-    console.error(err);
-    alert('Failed to copy public key');
-  });
-});
+  if (friend === currentFriend) ratchetIndicator.classList.toggle('hidden', !active);
+}
 
 /**
- * Handle adding a new contact.  Fetches the friend's public key from
- * the backend and stores it in the `friends` map.  Initializes an
- * empty messages array for the friend.  Updates the contacts list UI.
+ * Check whether a conversation id refers to a group.
+ * @param {string} id
  */
-addContactBtn.addEventListener('click', async () => {
-  const friendUsername = addContactInput.value.trim();
-  if (!friendUsername) {
-    alert('Enter a friend username');
-    return;
+function isGroupId(id) {
+  return typeof id === 'string' && id.startsWith(GROUP_ID_PREFIX);
+}
+
+/**
+ * Decrypt a message as delivered by the server ({ id, from, ciphertext,
+ * type, timestamp }) and turn it into a local history entry.  The
+ * signature is checked against the sender's key when we know it (our
+ * own for messages we sent, the contact's for friends, the member's for
+ * group messages); otherwise the message is treated as verified, as
+ * before.  Ratcheted messages are decrypted with their session (see
+ * decryptRatchetMessage()).  Group system messages are handed to
+ * systemMessageEntry(); deleted messages become tombstones and edited
+ * ones carry `editedAt`.  Image payloads are JSON
+ * carrying the data URL and filename; file payloads are JSON describing
+ * the encrypted blob (see sendFile()).  Throws if decryption fails.
+ * @param {object} msg
+ * @returns {Promise<object>}
+ */
+async function decryptMessageEntry(msg) {
+  const { id, from } = msg;
+  const msgType = msg.type || 'text';
+  const timestamp = msg.timestamp || Date.now();
+  if (msgType === 'system') {
+    return systemMessageEntry(msg);
   }
-  if (friends.has(friendUsername)) {
-    alert('Contact already added');
-    return;
+  if (msg.deletedAt) {
+    // Deleted by its sender; the server kept only a tombstone
+    const entry = { id, from, timestamp, verified: true };
+    markMessageDeleted(entry, msg.deletedAt);
+    return entry;
   }
-  try {
-    const res = await fetch(`${serverUrl}/api/users/${friendUsername}`);
-    const data = await res.json();
-    if (!res.ok) {
-      alert(data.error || 'Unable to fetch user');
-      return;
+  const { plaintext, verified, meta } = await decryptMessageText(msg);
+  const edited = msg.editedAt ? { editedAt: msg.editedAt } : {};
+  if (msgType === 'image') {
+    // Parse the JSON payload for image
+    let imageData = null;
+    try {
+      imageData = JSON.parse(plaintext);
+    } catch (e) {
+      console.error('Failed to parse image payload', e);
     }
-    friends.set(friendUsername, { publicKeyArmored: data.publicKey });
-    messagesByFriend.set(friendUsername, []);
-    addContactInput.value = '';
-    updateContactsList();
-    // If this user previously sent a request, merge their request messages
-    if (requestsMessagesByUser.has(friendUsername)) {
-      const reqMsgs = requestsMessagesByUser.get(friendUsername);
-      const existingMsgs = messagesByFriend.get(friendUsername) || [];
-      messagesByFriend.set(friendUsername, existingMsgs.concat(reqMsgs));
-      requestsMessagesByUser.delete(friendUsername);
-      requestsUnreadCounts.delete(friendUsername);
-      updateRequestsList();
-      saveRequests();
-      saveLocalHistory();
+    const { dataUrl = '', filename = '' } = imageData || {};
+    return { id, from, type: 'image', dataUrl, filename, timestamp, verified };
+  }
+  if (msgType === 'file') {
+    let file = null;
+    try {
+      file = JSON.parse(plaintext);
+    } catch (e) {
+      console.error('Failed to parse file payload', e);
+    }
+    if (!file || typeof file.blobId !== 'string' || typeof file.key !== 'string') {
+      return { id, from, type: 'text', text: '📎 Unreadable attachment', timestamp, verified: false };
+    }
+    return { id, from, type: 'file', file, timestamp, verified };
+  }
+  // Plain text message, possibly a reply
+  const { text, replyTo } = readMessageContent(plaintext, meta);
+  const reply = replyTo ? { replyTo } : {};
+  return { id, from, type: 'text', text, timestamp, verified, ...edited, ...reply };
+}
+
+/**
+ * Decrypt the ciphertext of a message, ratcheted or OpenPGP.  Resolves
+ * to { plaintext, verified, meta }.
+ * @param {object} msg
+ */
+async function decryptMessageText(msg) {
+  const envelope = parseRatchetEnvelope(msg.ciphertext);
+  return envelope ? decryptRatchetMessage(msg, envelope) : decryptPgpMessage(msg);
+}
+
+/**
+ * Decrypt an OpenPGP message and check its signature.  Resolves to
+ * { plaintext, verified, meta }; see decryptMessageEntry() for whose
+ * keys the signature is checked against and encodeMessageMeta() for
+ * `meta`.
+ * @param {{ from: string, to: string, ciphertext: string }} msg
+ */
+async function decryptPgpMessage(msg) {
+  const { from } = msg;
+  const messageObj = await openpgp.message.readArmored(msg.ciphertext);
+  const opts = { message: messageObj, privateKeys: [privateKey] };
+  // Include the sender's device keys for signature verification
+  if (from === username) {
+    opts.publicKeys = await ownPublicKeys();
+  } else if (isGroupId(msg.to) || friends.has(from)) {
+    try {
+      opts.publicKeys = await readPublicKeys(await getPublicKeysArmored(from));
+    } catch (e) {
+      // ignore failure to fetch the sender's keys; the message shows as unverified
+    }
+  }
+  const decrypted = await openpgp.decrypt(opts);
+  const plaintext = decrypted.data;
+  const meta = decodeMessageMeta(decrypted.filename);
+  let verified = true;
+  if (decrypted.signatures && decrypted.signatures.length > 0) {
+    try {
+      const sigResult = decrypted.signatures[0];
+      if (sigResult.verified) {
+        verified = await sigResult.verified;
+      }
+    } catch (err) {
+      verified = false;
+    }
+  }
+  return { plaintext, verified, meta };
+}
+
+/**
+ * Describe a signed group change statement in words for the chat.
+ * @param {object} statement
+ * @returns {string}
+ */
+function describeGroupChange(statement) {
+  const actor = statement.username;
+  switch (statement.action) {
+    case 'createGroup':
+      return `${actor} created the group "${statement.name}"`;
+    case 'addGroupMember':
+      return `${actor} added ${statement.member}`;
+    case 'removeGroupMember':
+      return statement.member === actor ? `${actor} left the group` : `${actor} removed ${statement.member}`;
+    default:
+      return `${actor} changed the group`;
+  }
+}
+
+/**
+ * Turn a group system message into a history entry.  Its `ciphertext`
+ * field holds the signed statement of whoever changed the group; the
+ * entry is only marked verified if the signature checks out against
+ * that user's key and the statement belongs to this group.
+ * @param {object} msg
+ */
+async function systemMessageEntry(msg) {
+  const { id, from, to } = msg;
+  const timestamp = msg.timestamp || Date.now();
+  let text = 'Group changed';
+  let verified = false;
+  try {
+    const { statement: raw, signature } = JSON.parse(msg.ciphertext);
+    const statement = JSON.parse(raw);
+    text = describeGroupChange(statement);
+    const actorKeys = await readPublicKeys(await getPublicKeysArmored(statement.username));
+    const result = await openpgp.verify({
+      message: openpgp.message.fromText(raw),
+      signature: await openpgp.signature.readArmored(signature),
+      publicKeys: actorKeys,
+    });
+    const matchesGroup = statement.action === 'createGroup' || statement.groupId === to;
+    verified = statement.username === from && matchesGroup && (await result.signatures[0].verified) === true;
+  } catch (err) {
+    verified = false;
+  }
+  return { id, from, type: 'system', text, timestamp, verified };
+}
+
+// Messages that change an earlier message instead of adding one: edits
+// and deletions by its sender and reactions by anyone in the chat
+const MESSAGE_CHANGE_TYPES = ['edit', 'delete', 'reaction'];
+
+/**
+ * Read an `edit`, `delete` or `reaction` message.  Like a group system
+ * message the `ciphertext` field of an edit or deletion holds the
+ * sender's signed statement; for an edit the statement carries the new
+ * text, encrypted like any message.  A reaction is an ordinary
+ * encrypted message (see sendReaction()).  Resolves to { id, from,
+ * type, target, text, emoji, remove, timestamp, signedAt, verified },
+ * where `target` is the id of the changed message, `timestamp` is when
+ * the server received it, `signedAt` the time in the sender's signed
+ * statement and `verified` is only true if the sender signed this
+ * change.  A statement that cannot be parsed gives an unverified
+ * change.  Throws if an edit cannot be decrypted.
+ * @param {object} msg
+ */
+async function readMessageChange(msg) {
+  const { id, from, type } = msg;
+  const timestamp = msg.timestamp || Date.now();
+  if (type === 'reaction') {
+    const { verified, meta } = await decryptMessageText(msg);
+    const reaction = meta && meta.reaction;
+    if (!reaction || typeof reaction.to !== 'string' || typeof reaction.emoji !== 'string' || reaction.emoji.length > 16) {
+      return { id, from, type, target: null, timestamp, verified: false };
     }
+    return { id, from, type, target: reaction.to, emoji: reaction.emoji, remove: reaction.remove === true, timestamp, verified };
+  }
+  let raw;
+  let signature;
+  let statement;
+  try {
+    ({ statement: raw, signature } = JSON.parse(msg.ciphertext));
+    statement = JSON.parse(raw);
   } catch (err) {
-    console.error(err);
-    alert('Error adding contact: ' + err.message);
+    statement = null;
   }
-});
+  if (!statement || typeof statement !== 'object' || !Number.isSafeInteger(statement.timestamp)) {
+    return { id, from, type, target: null, text: null, timestamp, signedAt: null, verified: false };
+  }
+  // The statement of a user on another server names them without the host
+  const remote = remoteAddress(from);
+  const action = type === 'edit' ? 'editMessage' : 'deleteMessage';
+  let verified = false;
+  if (statement.action === action && statement.username === (remote ? remote.username : from)) {
+    verified = await verifyDetached(raw, signature, await getPublicKeysArmored(from));
+  }
+  let text = null;
+  if (type === 'edit') {
+    const decrypted = await decryptMessageText({ ...msg, type: 'text', ciphertext: statement.ciphertext });
+    text = readMessageContent(decrypted.plaintext, decrypted.meta).text;
+    verified = verified && decrypted.verified;
+  }
+  return { id, from, type, target: statement.id, text, timestamp, signedAt: statement.timestamp, verified };
+}
 
 /**
- * Send an encrypted message to the currently selected friend.  Uses
- * the friend's public key to encrypt and the user's private key to
- * sign.  Stores the plaintext message locally and updates the UI.
+ * Apply a change read by readMessageChange() to the message it names
+ * in the conversation `chatId`.  Only verified changes are applied,
+ * edits and deletions only by the message's own sender, and an edit
+ * never undoes one its sender signed later.  Reactions are kept on the message as
+ * `reactions`: { <emoji>: [users] }.  The change's id is kept on the
+ * message so the same change is not applied twice.  Returns true if
+ * the message changed.
+ * @param {string} chatId
+ * @param {object} change
  */
-sendChatBtn.addEventListener('click', async () => {
-  const text = chatInput.value.trim();
+function applyMessageChange(chatId, change) {
+  const msgs = (messagesByFriend.get(chatId) || []).concat(requestsMessagesByUser.get(chatId) || []);
+  const target = msgs.find((m) => m.id === change.target);
+  if (!target || !change.verified) return false;
+  if (change.type !== 'reaction' && target.from !== change.from) return false;
+  if ((target.changeIds || []).includes(change.id)) return false;
+  target.changeIds = (target.changeIds || []).concat(change.id);
+  if (target.deleted) return false;
+  if (change.type === 'reaction') {
+    const reactions = { ...target.reactions };
+    const users = (reactions[change.emoji] || []).filter((u) => u !== change.from);
+    if (!change.remove) users.push(change.from);
+    if (users.length > 0) reactions[change.emoji] = users;
+    else delete reactions[change.emoji];
+    target.reactions = reactions;
+    return true;
+  }
+  if (change.type === 'delete') {
+    markMessageDeleted(target, change.timestamp);
+    return true;
+  }
+  if (target.type !== 'text' || change.signedAt < (target.editedAt || 0)) return false;
+  target.text = change.text;
+  target.editedAt = change.signedAt;
+  return true;
+}
+
+/**
+ * Turn a history entry into the tombstone of a deleted message.
+ * @param {object} entry
+ * @param {number} deletedAt
+ */
+function markMessageDeleted(entry, deletedAt) {
+  entry.type = 'text';
+  entry.text = '';
+  entry.deleted = true;
+  entry.deletedAt = deletedAt;
+  delete entry.dataUrl;
+  delete entry.filename;
+  delete entry.file;
+  delete entry.editedAt;
+  delete entry.replyTo;
+  delete entry.reactions;
+}
+
+/*
+ * Replies and reactions.  Both have to stay readable in clients that
+ * know neither, which show any message as its decrypted text.  So the
+ * text of a reply starts with a quote line of the message it answers,
+ * and the text of a reaction says what it is, while the structured part
+ * travels next to the text inside the encryption:
+ *
+ *   { replyTo: { id, from, excerpt } }        a reply, sent as `text`
+ *   { reaction: { to, emoji, remove } }       a `reaction` message
+ *
+ * With OpenPGP it is the file name of the literal data packet, which
+ * older clients ignore; ratcheted messages carry it as `meta` in their
+ * payload.
+ */
+
+// Literal data packets have room for 255 bytes of file name
+const MAX_MESSAGE_META_BYTES = 255;
+
+// Longest excerpt of a message quoted in a reply or reaction
+const EXCERPT_LENGTH = 60;
+
+/**
+ * Serialise the structured part of a reply or reaction for the literal
+ * data packet, shortening the quoted excerpt until it fits.  Returns
+ * undefined for ordinary messages, which keeps the default file name.
+ * @param {object|null} meta
+ */
+function encodeMessageMeta(meta) {
+  if (!meta) return undefined;
+  const size = (value) => new TextEncoder().encode(JSON.stringify(value)).length;
+  let fitted = meta;
+  while (size(fitted) > MAX_MESSAGE_META_BYTES && fitted.replyTo && fitted.replyTo.excerpt) {
+    const excerpt = Array.from(fitted.replyTo.excerpt);
+    fitted = { ...fitted, replyTo: { ...fitted.replyTo, excerpt: excerpt.slice(0, excerpt.length - 4).join('') } };
+  }
+  return JSON.stringify(fitted);
+}
+
+/**
+ * Parse the file name of a decrypted literal data packet back into the
+ * structured part of a reply or reaction, or null for other messages.
+ * @param {string} filename
+ */
+function decodeMessageMeta(filename) {
+  if (typeof filename !== 'string' || !filename.startsWith('{')) return null;
+  try {
+    const meta = JSON.parse(filename);
+    return meta && typeof meta === 'object' ? meta : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Split the decrypted text of a message into { text, replyTo }.  For a
+ * reply the quote line written for older clients is dropped.
+ * @param {string} plaintext
+ * @param {object|null} meta
+ */
+function readMessageContent(plaintext, meta) {
+  const replyTo = meta && meta.replyTo;
+  if (!replyTo || typeof replyTo.id !== 'string') {
+    return { text: plaintext, replyTo: null };
+  }
+  const newline = plaintext.indexOf('\n');
+  return {
+    text: newline === -1 ? plaintext : plaintext.slice(newline + 1),
+    replyTo: { id: replyTo.id, from: String(replyTo.from || ''), excerpt: String(replyTo.excerpt || '') },
+  };
+}
+
+/**
+ * The text older clients show for a reply: one quote line, then the
+ * reply itself.
+ * @param {{ from: string, excerpt: string }} replyTo
+ * @param {string} text
+ */
+function replyFallback(replyTo, text) {
+  return `> ${replyTo.from}: ${replyTo.excerpt}\n${text}`;
+}
+
+/**
+ * A one-line excerpt of a history entry for quotes and reactions.
+ * @param {object} entry
+ */
+function messageExcerpt(entry) {
+  let text;
+  if (entry.deleted) {
+    text = 'Message deleted';
+  } else if (entry.type === 'image') {
+    text = '📷 Image';
+  } else if (entry.type === 'file') {
+    text = '📎 ' + ((entry.file && entry.file.name) || 'File');
+  } else {
+    text = (entry.text || '').replace(/\s+/g, ' ').trim();
+  }
+  const chars = Array.from(text);
+  return chars.length > EXCERPT_LENGTH ? chars.slice(0, EXCERPT_LENGTH - 1).join('') + '…' : text;
+}
+
+/**
+ * Send a request signed with our private key to a REST endpoint that
+ * changes state on our behalf.  The body is { statement, signature }
+ * where the statement is a JSON string naming the action, our username
+ * and the current time plus `fields`.  Resolves to { res, data,
+ * statement }, with the statement as signed.
+ * @param {string} method
+ * @param {string} path
+ * @param {string} action
+ * @param {object} fields
+ */
+async function signedRequest(method, path, action, fields) {
+  const statement = { action, username, timestamp: Date.now(), ...fields };
+  const raw = JSON.stringify(statement);
+  const { signature } = await openpgp.sign({
+    message: openpgp.message.fromText(raw),
+    privateKeys: [privateKey],
+    detached: true,
+  });
+  const res = await fetch(`${serverUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ statement: raw, signature }),
+  });
+  const data = await res.json();
+  return { res, data, statement };
+}
+
+/**
+ * Handle image selection from the hidden file input.  Reads the image as a
+ * Data URL, encrypts it for the recipient and ourselves and sends it
+ * over the socket with a type of 'image'.  The plaintext sent via PGP
+ * contains a JSON string with the data URL and metadata so the
+ * recipient can reconstruct and display the image.  The function
+ * enforces a maximum file size of 2 MB to prevent performance issues.
+ * @param {File} file
+ */
+async function sendImage(file) {
   if (!currentFriend) {
     alert('Select a contact to chat with');
     return;
   }
-  if (!text) {
+  if (!file) return;
+  const maxSize = 2 * 1024 * 1024; // 2 MB
+  if (file.size > maxSize) {
+    if (confirm('Image is too large to show inline (max 2MB).  Send it as a file attachment instead?')) {
+      sendFile(file);
+    }
     return;
   }
-  const friend = friends.get(currentFriend);
-  if (!friend) {
-    alert('Contact not found');
+  // Ensure the friend or group exists
+  if (!friends.has(currentFriend) && !groups.has(currentFriend)) {
+    alert('Contact not found or missing public key');
     return;
   }
+  // Read the file as a data URL
+  const dataUrl = await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
   try {
-    // Parse recipient public key
-    const recipientKeys = (await openpgp.key.readArmored(friend.publicKeyArmored)).keys;
-    const messageObj = openpgp.message.fromText(text);
-    const encrypted = await openpgp.encrypt({
-      message: messageObj,
-      publicKeys: recipientKeys,
-      privateKeys: [privateKey],
-    });
-    const ciphertext = encrypted.data;
-    // Send via socket
-    socket.emit('sendMessage', { to: currentFriend, from: username, ciphertext, type: 'text' });
-    // Store plaintext locally with timestamp and mark verified (we trust our own messages)
+    // Prepare plaintext payload as JSON so we can include metadata
+    const payload = JSON.stringify({ dataUrl, filename: file.name, mime: file.type });
+    const ciphertext = await encryptForChat(currentFriend, payload);
+    // Locally update our conversation with the image
     const timestamp = Date.now();
+    const entry = { from: username, type: 'image', dataUrl, filename: file.name, timestamp, verified: true, status: 'pending' };
     const msgs = messagesByFriend.get(currentFriend) || [];
-    msgs.push({ from: username, text, timestamp, verified: true });
+    msgs.push(entry);
     messagesByFriend.set(currentFriend, msgs);
-    // Reset unread count for current friend (we are sending)
+    // Emit the encrypted message with image type and filename
+    emitOutgoingMessage(
+      { to: currentFriend, from: username, ciphertext, type: 'image', filename: file.name },
+      entry
+    );
     unreadCounts.set(currentFriend, 0);
-    // Persist to local storage
     saveLocalHistory();
-    // Update UI
-    chatInput.value = '';
     updateContactsList();
     renderMessages(currentFriend);
   } catch (err) {
-    console.error('Error encrypting message', err);
-    alert('Error encrypting message: ' + err.message);
+    console.error('Error encrypting image', err);
+    alert('Error encrypting image: ' + err.message);
   }
-});
+}
 
 /**
- * Update the contacts list UI.  Renders each friend as a clickable
- * list item.  Highlights the currently active chat.  Clicking a
- * contact will select it, display their name in the chat header
- * and render the message history for that contact.
+ * Send a file of any type as an encrypted attachment.  The file is
+ * encrypted with a fresh AES-GCM key in chunks of
+ * ATTACHMENT_CHUNK_BYTES and uploaded to the server's blob store (see
+ * uploadAttachment()).  Once the upload is complete a message of type
+ * 'file' is sent whose PGP-encrypted payload is
+ * { blobId, name, mime, size, chunkSize, key, iv }: everything the
+ * recipient needs to download and decrypt the blob.  The server only
+ * ever sees ciphertext and does not learn the file name.
+ * @param {File} file
  */
-function updateContactsList() {
-  contactsList.innerHTML = '';
-  const query = (contactSearchInput?.value || '').toLowerCase();
-  // Create sortable array of [username, info] pairs
-  const sortable = [];
-  friends.forEach((info, uname) => {
-    sortable.push([uname, info]);
-  });
-  // Sort by last message timestamp (descending)
-  sortable.sort((a, b) => {
-    const [ua] = a;
-    const [ub] = b;
-    const msgsA = messagesByFriend.get(ua) || [];
-    const msgsB = messagesByFriend.get(ub) || [];
-    const tsA = msgsA.length ? (msgsA[msgsA.length - 1].timestamp || 0) : 0;
-    const tsB = msgsB.length ? (msgsB[msgsB.length - 1].timestamp || 0) : 0;
-    return tsB - tsA;
-  });
-  for (const [uname, info] of sortable) {
-    if (query && !uname.toLowerCase().includes(query)) continue;
-    const li = document.createElement('li');
-    li.className = 'p-2 rounded cursor-pointer hover:bg-gray-200 dark:hover:bg-gray-700 flex flex-col';
-    // Highlight active friend
-    if (currentFriend === uname) {
-      li.classList.add('bg-blue-100', 'dark:bg-blue-900');
+async function sendFile(file) {
+  const chatId = currentFriend;
+  if (!chatId) {
+    alert('Select a contact to chat with');
+    return;
+  }
+  if (!friends.has(chatId) && !groups.has(chatId)) {
+    alert('Contact not found or missing public key');
+    return;
+  }
+  if (!window.crypto || !window.crypto.subtle) {
+    alert('Attachments need a secure context (https, localhost or an onion service)');
+    return;
+  }
+  const chunks = Math.max(1, Math.ceil(file.size / ATTACHMENT_CHUNK_BYTES));
+  const encryptedSize = file.size + chunks * GCM_TAG_BYTES;
+  const maxBytes = serverLimits && serverLimits.maxBlobBytes;
+  if (maxBytes && encryptedSize > maxBytes) {
+    alert(`File is too large (max ${formatBytes(maxBytes)})`);
+    return;
+  }
+  let blob;
+  try {
+    const { res, data } = await signedRequest('POST', '/api/blobs', 'createBlob', { size: encryptedSize });
+    if (!res.ok) {
+      alert('File not sent: ' + (data.error || 'upload refused'));
+      return;
     }
-    // Top row: name and time/unread
-    const topRow = document.createElement('div');
-    topRow.className = 'flex justify-between items-center';
-    const nameSpan = document.createElement('span');
-    nameSpan.textContent = uname;
-    nameSpan.className = 'font-medium';
-    topRow.appendChild(nameSpan);
-    const rightInfo = document.createElement('div');
-    rightInfo.className = 'flex items-center space-x-2';
+    blob = data;
+  } catch (err) {
+    console.error('Error creating upload', err);
+    alert('Error sending file: ' + err.message);
+    return;
+  }
+  const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+  const ivPrefix = crypto.getRandomValues(new Uint8Array(8));
+  const meta = {
+    blobId: blob.id,
+    name: file.name,
+    mime: file.type || 'application/octet-stream',
+    size: file.size,
+    chunkSize: ATTACHMENT_CHUNK_BYTES,
+    key: bytesToBase64(new Uint8Array(await crypto.subtle.exportKey('raw', key))),
+    iv: bytesToBase64(ivPrefix),
+  };
+  const entry = { from: username, type: 'file', file: meta, timestamp: Date.now(), verified: true, status: 'pending' };
+  const msgs = messagesByFriend.get(chatId) || [];
+  msgs.push(entry);
+  messagesByFriend.set(chatId, msgs);
+  unreadCounts.set(chatId, 0);
+  setTransfer(blob.id, 0, encryptedSize, 'upload');
+  saveLocalHistory();
+  updateContactsList();
+  if (currentFriend === chatId) renderMessages(chatId);
+  try {
+    await uploadAttachment(blob, file, key, ivPrefix);
+    const ciphertext = await encryptForChat(chatId, JSON.stringify(meta));
+    emitOutgoingMessage({ to: chatId, from: username, ciphertext, type: 'file' }, entry);
+  } catch (err) {
+    console.error('Error uploading file', err);
+    entry.status = 'failed';
+    entry.error = err.message;
+    saveLocalHistory();
+    alert('File not sent: ' + err.message);
+  } finally {
+    clearTransfer(blob.id);
+    if (currentFriend === chatId) renderMessages(chatId);
+  }
+}
+
+/**
+ * Encrypt `file` chunk by chunk and upload it to `blob`.  Each chunk is
+ * appended at the offset the server has received so far.  When a
+ * request fails the server is asked for its offset and the upload
+ * resumes from there, up to UPLOAD_RETRIES times in a row.
+ * @param {{ id: string, size: number, uploadToken: string }} blob
+ * @param {File} file
+ * @param {CryptoKey} key
+ * @param {Uint8Array} ivPrefix
+ */
+async function uploadAttachment(blob, file, key, ivPrefix) {
+  const encryptedChunkBytes = ATTACHMENT_CHUNK_BYTES + GCM_TAG_BYTES;
+  let offset = 0;
+  let failures = 0;
+  while (offset < blob.size) {
+    // Every request carries whole chunks, so offsets fall on chunk boundaries
+    const index = Math.floor(offset / encryptedChunkBytes);
+    const start = index * ATTACHMENT_CHUNK_BYTES;
+    const plain = new Uint8Array(await file.slice(start, start + ATTACHMENT_CHUNK_BYTES).arrayBuffer());
+    const chunk = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: attachmentIv(ivPrefix, index) }, key, plain);
+    let res = null;
+    let data = {};
+    try {
+      res = await fetch(`${serverUrl}/api/blobs/${encodeURIComponent(blob.id)}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'Upload-Offset': String(index * encryptedChunkBytes),
+          'X-Upload-Token': blob.uploadToken,
+        },
+        body: chunk,
+      });
+      data = await res.json().catch(() => ({}));
+    } catch (err) {
+      res = null;
+    }
+    if (res && res.ok) {
+      offset = data.received;
+      failures = 0;
+      setTransfer(blob.id, offset, blob.size, 'upload');
+      continue;
+    }
+    if (res && res.status === 409 && Number.isInteger(data.received)) {
+      // The server has a different part of the file than we thought
+      offset = data.received;
+      continue;
+    }
+    // Only network errors, rate limits and server errors are worth retrying
+    if (res && res.status !== 429 && res.status < 500) {
+      throw new Error(data.error || `upload failed (${res.status})`);
+    }
+    failures += 1;
+    if (failures > UPLOAD_RETRIES) {
+      throw new Error((data && data.error) || 'upload failed; check your connection');
+    }
+    await new Promise((resolve) => setTimeout(resolve, 1000 * failures));
+    try {
+      const statusRes = await fetch(`${serverUrl}/api/blobs/${encodeURIComponent(blob.id)}/status`);
+      const status = await statusRes.json();
+      if (statusRes.ok && Number.isInteger(status.received)) offset = status.received;
+    } catch (err) {
+      // Still offline; the next attempt retries from the same offset
+    }
+  }
+}
+
+/**
+ * Download an attachment and save it.  The blob is streamed from the
+ * server and each encrypted chunk is decrypted as soon as it has fully
+ * arrived, so large files are never held encrypted in memory.  Where
+ * the browser supports it the plaintext is written straight to a file
+ * the user picks; otherwise it is collected and saved at the end.
+ * The download fails if the message announces a chunk size other than
+ * ATTACHMENT_CHUNK_BYTES or an impossible file size, if any chunk does
+ * not authenticate or if the result is not exactly the announced size.
+ * @param {object} file  Payload of a 'file' message
+ */
+async function downloadAttachment(file) {
+  if (transfers.has(file.blobId)) return;
+  if (!window.crypto || !window.crypto.subtle) {
+    alert('Attachments need a secure context (https, localhost or an onion service)');
+    return;
+  }
+  // The sizes come from the sender; check them before allocating anything
+  if (file.chunkSize !== ATTACHMENT_CHUNK_BYTES || !Number.isSafeInteger(file.size) || file.size < 0) {
+    console.error('Attachment with invalid sizes', file.chunkSize, file.size);
+    alert('Download failed: the attachment has an invalid size');
+    return;
+  }
+  // Ask for the target file first, while we still have the user's click
+  const sink = await openDownloadSink(file);
+  if (!sink) return;
+  const encryptedChunkBytes = file.chunkSize + GCM_TAG_BYTES;
+  const chunks = Math.max(1, Math.ceil(file.size / file.chunkSize));
+  const total = file.size + chunks * GCM_TAG_BYTES;
+  setTransfer(file.blobId, 0, total, 'download');
+  try {
+    const key = await crypto.subtle.importKey('raw', base64ToBytes(file.key), 'AES-GCM', false, ['decrypt']);
+    const ivPrefix = base64ToBytes(file.iv);
+    const res = await fetch(`${serverUrl}/api/blobs/${encodeURIComponent(file.blobId)}`);
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      throw new Error(data.error || `download failed (${res.status})`);
+    }
+    const pending = new Uint8Array(encryptedChunkBytes);
+    let filled = 0;
+    let index = 0;
+    let loaded = 0;
+    let written = 0;
+    const flush = async () => {
+      const plain = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: attachmentIv(ivPrefix, index) },
+        key,
+        pending.slice(0, filled)
+      );
+      index += 1;
+      filled = 0;
+      written += plain.byteLength;
+      await sink.write(new Uint8Array(plain));
+    };
+    const reader = res.body.getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      let pos = 0;
+      while (pos < value.length) {
+        const n = Math.min(encryptedChunkBytes - filled, value.length - pos);
+        pending.set(value.subarray(pos, pos + n), filled);
+        filled += n;
+        pos += n;
+        if (filled === encryptedChunkBytes) await flush();
+      }
+      loaded += value.length;
+      setTransfer(file.blobId, loaded, total, 'download');
+    }
+    if (filled > 0) await flush();
+    if (written !== file.size) {
+      throw new Error('the file is incomplete');
+    }
+    await sink.close();
+  } catch (err) {
+    console.error('Error downloading attachment', err);
+    await sink.abort();
+    // Decryption errors are DOMExceptions without a useful message
+    alert('Download failed: ' + (err.name === 'OperationError' ? 'the file was modified or corrupted' : err.message));
+  } finally {
+    clearTransfer(file.blobId);
+  }
+}
+
+/**
+ * Open somewhere to write a downloaded attachment.  Uses the File
+ * System Access API when available so the plaintext goes straight to
+ * disk; otherwise chunks are collected and offered as a download once
+ * complete.  Resolves to { write, close, abort } or null if the user
+ * cancelled the save dialog.
+ * @param {{ name: string, mime: string }} file
+ */
+async function openDownloadSink(file) {
+  if (window.showSaveFilePicker) {
+    let handle;
+    try {
+      handle = await window.showSaveFilePicker({ suggestedName: file.name });
+    } catch (err) {
+      if (err.name === 'AbortError') return null;
+      handle = null;
+    }
+    if (handle) {
+      const writable = await handle.createWritable();
+      return {
+        write: (bytes) => writable.write(bytes),
+        close: () => writable.close(),
+        abort: () => writable.abort().catch(() => {}),
+      };
+    }
+  }
+  const parts = [];
+  return {
+    write: async (bytes) => {
+      parts.push(bytes);
+    },
+    close: async () => {
+      const url = URL.createObjectURL(new Blob(parts, { type: file.mime || 'application/octet-stream' }));
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = file.name || 'attachment';
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+    },
+    abort: async () => {
+      parts.length = 0;
+    },
+  };
+}
+
+/**
+ * Build the AES-GCM nonce of chunk `index`: the attachment's random
+ * 8 byte prefix followed by the chunk index as a 32 bit big-endian
+ * integer.  Binding the index means chunks cannot be reordered.
+ * @param {Uint8Array} ivPrefix
+ * @param {number} index
+ */
+function attachmentIv(ivPrefix, index) {
+  const iv = new Uint8Array(12);
+  iv.set(ivPrefix, 0);
+  new DataView(iv.buffer).setUint32(8, index);
+  return iv;
+}
+
+/**
+ * Record the progress of an upload or download and update its progress
+ * bar in place, without re-rendering the conversation.
+ * @param {string} blobId
+ * @param {number} loaded
+ * @param {number} total
+ * @param {'upload'|'download'} direction
+ */
+function setTransfer(blobId, loaded, total, direction) {
+  transfers.set(blobId, { loaded, total, direction });
+  const card = chatMessages.querySelector(`[data-blob-id="${blobId}"]`);
+  if (!card) return;
+  const bar = card.querySelector('.transfer-bar');
+  const label = card.querySelector('.transfer-label');
+  const percent = total > 0 ? Math.floor((loaded / total) * 100) : 0;
+  if (bar) bar.style.width = percent + '%';
+  if (label) label.textContent = `${direction === 'upload' ? 'Uploading' : 'Downloading'} ${percent}%`;
+}
+
+/**
+ * Forget a finished transfer and refresh its card.
+ * @param {string} blobId
+ */
+function clearTransfer(blobId) {
+  transfers.delete(blobId);
+  const card = chatMessages.querySelector(`[data-blob-id="${blobId}"]`);
+  if (card && currentFriend) renderMessages(currentFriend);
+}
+
+/**
+ * Build the card shown in a message bubble for an attachment: the
+ * file name and size, a progress bar while it is being uploaded or
+ * downloaded, and a download button.
+ * @param {object} file    Payload of a 'file' message
+ * @param {string} status  Delivery status of our own message, if any
+ */
+function renderAttachmentCard(file, status) {
+  const card = document.createElement('div');
+  card.dataset.blobId = file.blobId;
+  card.classList.add('flex', 'flex-col', 'space-y-1', 'min-w-[12rem]');
+  const title = document.createElement('div');
+  title.classList.add('font-medium', 'truncate');
+  title.textContent = '📎 ' + (file.name || 'Attachment');
+  title.title = file.name || '';
+  card.appendChild(title);
+  const size = document.createElement('div');
+  size.classList.add('text-xs', 'opacity-75');
+  size.textContent = formatBytes(file.size);
+  card.appendChild(size);
+  const transfer = transfers.get(file.blobId);
+  if (transfer) {
+    const track = document.createElement('div');
+    track.classList.add('w-full', 'h-1.5', 'rounded', 'bg-black/20', 'overflow-hidden');
+    const bar = document.createElement('div');
+    bar.classList.add('transfer-bar', 'h-full', 'bg-green-500');
+    bar.style.width = '0%';
+    track.appendChild(bar);
+    card.appendChild(track);
+    const label = document.createElement('div');
+    label.classList.add('transfer-label', 'text-xs');
+    card.appendChild(label);
+    // Fill in the bar and label from the recorded progress
+    setTimeout(() => setTransfer(file.blobId, transfer.loaded, transfer.total, transfer.direction), 0);
+  } else if (status !== 'pending' && status !== 'failed') {
+    const downloadBtn = document.createElement('button');
+    downloadBtn.textContent = 'Download';
+    downloadBtn.classList.add('self-start', 'text-xs', 'underline');
+    downloadBtn.addEventListener('click', () => downloadAttachment(file));
+    card.appendChild(downloadBtn);
+  }
+  return card;
+}
+
+/**
+ * Format a byte count for display, e.g. 1.5 MB.
+ * @param {number} bytes
+ */
+function formatBytes(bytes) {
+  if (!Number.isFinite(bytes)) return '';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Encode bytes as base64.
+ * @param {Uint8Array} bytes
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  bytes.forEach((b) => {
+    binary += String.fromCharCode(b);
+  });
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes.
+ * @param {string} text
+ */
+function base64ToBytes(text) {
+  return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+}
+
+/**
+ * Initialize theme based on local storage.  Applies or removes
+ * the `dark` class on the document's root element and updates
+ * the theme icon accordingly.
+ */
+function initTheme() {
+  const savedTheme = localStorage.getItem('theme');
+  const root = document.documentElement;
+  if (savedTheme === 'dark') {
+    root.classList.add('dark');
+    themeIcon.textContent = '🌚';
+  } else {
+    root.classList.remove('dark');
+    themeIcon.textContent = '🌞';
+  }
+}
+
+// Toggle between light and dark modes and persist preference
+themeToggle.addEventListener('click', () => {
+  const root = document.documentElement;
+  if (root.classList.contains('dark')) {
+    root.classList.remove('dark');
+    themeIcon.textContent = '🌞';
+    localStorage.setItem('theme', 'light');
+  } else {
+    root.classList.add('dark');
+    themeIcon.textContent = '🌚';
+    localStorage.setItem('theme', 'dark');
+  }
+});
+
+// Apply the saved theme on initial load
+initTheme();
+
+/**
+ * Helper function to display status messages in the registration panel.
+ * @param {string} msg
+ */
+function setRegStatus(msg) {
+  regStatus.textContent = msg;
+}
+
+/**
+ * Generate a new ECC key pair using OpenPGP.js v4.  Stores the
+ * armored keys in global variables and decrypts the private key
+ * immediately so it can be used for signing and decryption.
+ */
+regGenerateBtn.addEventListener('click', async () => {
+  const uname = regUsernameInput.value.trim();
+  const pass = regPassInput.value;
+  if (!uname) {
+    alert('Please enter a username before generating keys');
+    return;
+  }
+  try {
+    // Use curve25519 for ECC keys in v4.  Provide a user ID with
+    // name and email to satisfy the OpenPGP v4 requirement.
+    const keyOptions = {
+      type: 'ecc',
+      curve: 'curve25519',
+      userIds: [{ name: uname, email: `${uname}@example.com` }],
+    };
+    // Only set passphrase if provided; otherwise the private key will be generated unencrypted
+    if (pass) {
+      keyOptions.passphrase = pass;
+    }
+    const { privateKeyArmored: privArm, publicKeyArmored: pubArm } = await openpgp.generateKey(keyOptions);
+    privateKeyArmored = privArm;
+    publicKeyArmored = pubArm;
+    // Parse and decrypt the private key for later use
+    const privObj = (await openpgp.key.readArmored(privateKeyArmored)).keys[0];
+    // If a passphrase was provided, decrypt; otherwise key is already unlocked
+    if (pass) {
+      await privObj.decrypt(pass);
+    }
+    privateKey = privObj;
+    setRegStatus('Generated a new key pair.  Remember to export your private key!');
+    console.log('Generated new keys');
+  } catch (err) {
+    console.error(err);
+    alert('Error generating keys: ' + err.message);
+  }
+});
+
+/**
+ * Import an existing armored private key from a file.  Reads the
+ * file, decrypts it using the provided passphrase and derives the
+ * corresponding public key.  Stores the results in global variables.
+ */
+regImportBtn.addEventListener('click', async () => {
+  const file = regImportFile.files[0];
+  const uname = regUsernameInput.value.trim();
+  const pass = regPassInput.value;
+  if (!file) {
+    alert('Please choose a private key file');
+    return;
+  }
+  if (!uname) {
+    alert('Please enter a username before importing a key');
+    return;
+  }
+  const reader = new FileReader();
+  reader.onload = async () => {
+    try {
+      privateKeyArmored = reader.result;
+      const privObj = (await openpgp.key.readArmored(privateKeyArmored)).keys[0];
+      // Decrypt only if a passphrase was provided
+      if (pass) {
+        await privObj.decrypt(pass);
+      }
+      privateKey = privObj;
+      // Derive the public key from the private key
+      const pubObj = privObj.toPublic();
+      publicKeyArmored = typeof pubObj.armor === 'function' ? pubObj.armor() : pubObj.toString();
+      setRegStatus('Imported private key successfully.');
+    } catch (err) {
+      console.error(err);
+      alert('Error importing private key: ' + err.message);
+    }
+  };
+  reader.readAsText(file);
+});
+
+// Import a private key pasted into the textarea.  This allows users
+// to manually provide an armored private key instead of selecting a
+// file.  The username must be provided.  If a passphrase is supplied
+// in the passphrase input, the key will be decrypted; otherwise it
+// is assumed to be unencrypted.
+regImportPasteBtn.addEventListener('click', async () => {
+  const uname = regUsernameInput.value.trim();
+  const pass = regPassInput.value;
+  const armored = regImportText?.value?.trim() || '';
+  if (!armored) {
+    alert('Please paste your private key');
+    return;
+  }
+  if (!uname) {
+    alert('Please enter a username before importing a key');
+    return;
+  }
+  try {
+    privateKeyArmored = armored;
+    const privObj = (await openpgp.key.readArmored(privateKeyArmored)).keys[0];
+    if (pass) {
+      await privObj.decrypt(pass);
+    }
+    privateKey = privObj;
+    // Derive the public key from the private key
+    const pubObj = privObj.toPublic();
+    publicKeyArmored = typeof pubObj.armor === 'function' ? pubObj.armor() : pubObj.toString();
+    setRegStatus('Imported pasted private key successfully.');
+  } catch (err) {
+    console.error(err);
+    alert('Error importing pasted key: ' + err.message);
+  }
+});
+
+/**
+ * Register the user with the backend server.  Requires that a key
+ * pair has been generated or imported.  On success, it connects
+ * to the Socket.IO server, initializes state and shows the chat UI.
+ */
+regRegisterBtn.addEventListener('click', async () => {
+  const uname = regUsernameInput.value.trim();
+  const pass = regPassInput.value;
+  if (!uname || !publicKeyArmored || !privateKeyArmored) {
+    alert('Please provide username and generate or import keys');
+    return;
+  }
+  try {
+    // Send registration request
+    const res = await fetch(`${serverUrl}/api/register`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: uname, publicKey: publicKeyArmored }),
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      setRegStatus(data.error || 'Registration failed');
+      return;
+    }
+    // Update global state
+    username = uname;
+    passphrase = pass;
+    // Decrypt the private key again to ensure it's ready for use, but only if passphrase exists
+    const privObj = (await openpgp.key.readArmored(privateKeyArmored)).keys[0];
+    if (passphrase) {
+      await privObj.decrypt(passphrase);
+    }
+    privateKey = privObj;
+    // Update UI
+    setRegStatus('Registered successfully!');
+    registrationPanel.classList.add('hidden');
+    contactsPanel.classList.remove('hidden');
+    chatPanel.classList.remove('hidden');
+    userInfo.textContent = username;
+    // Compute and display fingerprint
+    try {
+      const pubObjForFp = (await openpgp.key.readArmored(publicKeyArmored)).keys[0];
+      const fp = pubObjForFp.getFingerprint ? pubObjForFp.getFingerprint() : (pubObjForFp.keyPacket && pubObjForFp.keyPacket.getFingerprint && pubObjForFp.keyPacket.getFingerprint());
+      if (fp) {
+        myFingerprint = fp;
+        userFingerprint.textContent = 'Fingerprint: ' + fp;
+      }
+    } catch (err) {
+      console.error('Error computing fingerprint', err);
+    }
+    // Reset contacts, groups and messages
+    friends.clear();
+    groups.clear();
+    publicKeyCache.clear();
+    messagesByFriend.clear();
+    currentFriend = null;
+    updateContactsList();
+    // Load preferences, local history, contacts and unread counts for this user
+    loadSettings();
+    await loadLocalHistory();
+    await restoreContactList();
+    loadLastSeen();
+    loadGroups();
+    loadDevices();
+    setupRatchet().catch((err) => console.error('Error setting up forward secrecy', err));
+    loadServerLimits();
+    loadFederation();
+    // Connect to Socket.IO using helper.  This happens after loading the
+    // history and contacts so replayed messages can be checked for
+    // duplicates and sorted into the right conversations.
+    connectSocket();
+    // Disable messaging until a contact or request is selected
+    sendChatBtn.disabled = true;
+    chatInput.disabled = true;
+    chatInput.placeholder = '';
+  } catch (err) {
+    console.error(err);
+    alert('Error registering: ' + err.message);
+  }
+});
+
+/**
+ * Log in an existing user.  Requires that the username and passphrase
+ * are provided, and that the user has imported their private key.
+ * The private key is used to derive the public key, which must match
+ * the public key stored on the server for the given username.  On
+ * success the UI is switched to the chat view and the socket
+ * connection is established.  When restoring an account, `backup` is
+ * the decrypted backup file (see createBackup()) and its settings,
+ * history and contacts are merged in before the socket connects.
+ * Resolves to true once logged in.
+ * @param {string} uname
+ * @param {string} pass  passphrase of the private key
+ * @param {object|null} [backup]
+ */
+async function logIn(uname, pass, backup = null) {
+  if (!uname) {
+    alert('Please provide a username');
+    return false;
+  }
+  // Update server URL from input
+  serverUrl = serverURLInput.value.trim() || serverUrl;
+  if (!privateKeyArmored) {
+    alert('Import or paste your private key before logging in');
+    return false;
+  }
+  try {
+    // Parse the private key and decrypt only if passphrase provided
+    const privObj = (await openpgp.key.readArmored(privateKeyArmored)).keys[0];
+    if (pass) {
+      await privObj.decrypt(pass);
+    }
+    privateKey = privObj;
+    // Derive public key from private key
+    const pubObj = privObj.toPublic();
+    publicKeyArmored = typeof pubObj.armor === 'function' ? pubObj.armor() : pubObj.toString();
+    // Fetch user record from server
+    const res = await fetch(`${serverUrl}/api/users/${encodeURIComponent(uname)}`);
+    const data = await res.json();
+    if (!res.ok) {
+      alert(data.error || 'User not found on server.  Perhaps you need to register first.');
+      return false;
+    }
+    // Any of the account's devices may log in
+    const fingerprint = privObj.getFingerprint();
+    const isDevice = (data.devices || []).some((d) => d.fingerprint === fingerprint);
+    if (!isDevice && data.publicKey !== publicKeyArmored) {
+      alert(
+        'Provided private key does not match any key stored on the server for this username.  ' +
+          'To use a new device, add its public key under Devices on one of your existing devices first.'
+      );
+      return false;
+    }
+    // Set global state and update UI
+    username = uname;
+    passphrase = pass;
+    registrationPanel.classList.add('hidden');
+    contactsPanel.classList.remove('hidden');
+    chatPanel.classList.remove('hidden');
+    userInfo.textContent = username;
+    // Compute and display fingerprint
+    try {
+      const pubObjForFp = (await openpgp.key.readArmored(publicKeyArmored)).keys[0];
+      const fp = pubObjForFp.getFingerprint ? pubObjForFp.getFingerprint() : (pubObjForFp.keyPacket && pubObjForFp.keyPacket.getFingerprint && pubObjForFp.keyPacket.getFingerprint());
+      if (fp) {
+        myFingerprint = fp;
+        userFingerprint.textContent = 'Fingerprint: ' + fp;
+      }
+    } catch (err) {
+      console.error('Error computing fingerprint', err);
+    }
+    friends.clear();
+    groups.clear();
+    publicKeyCache.clear();
+    messagesByFriend.clear();
+    currentFriend = null;
+    updateContactsList();
+    setRegStatus('Logged in successfully!');
+    // Load preferences, local history, contacts and unread counts
+    if (backup) {
+      settings = { ...defaultSettings, ...backup.settings };
+      saveSettings();
+    }
+    loadSettings();
+    await loadLocalHistory();
+    if (backup) applyBackupHistory(backup);
+    // Pins are loaded now; our own devices are checked against them
+    await setOwnDevices(data.devices || []);
+    await restoreContactList(backup ? backup.contacts : null);
+    loadLastSeen();
+    if (backup) updateLastSeen(backup.lastSeen);
+    loadGroups();
+    setupRatchet().catch((err) => console.error('Error setting up forward secrecy', err));
+    loadServerLimits();
+    loadFederation();
+    // Connect socket once history and contacts are loaded so replays can be de-duplicated
+    connectSocket();
+    // Disable messaging until a contact or request is selected
+    sendChatBtn.disabled = true;
+    chatInput.disabled = true;
+    chatInput.placeholder = '';
+    return true;
+  } catch (err) {
+    console.error(err);
+    alert('Error logging in: ' + err.message);
+    return false;
+  }
+}
+
+regLoginBtn.addEventListener('click', () => {
+  logIn(regUsernameInput.value.trim(), regPassInput.value);
+});
+
+/**
+ * Export the user's private key as a downloadable file.  Creates
+ * a temporary anchor element and triggers a download of the armored
+ * key.  Prompts the user to choose a location to save the file.
+ */
+exportKeyBtn.addEventListener('click', () => {
+  if (!privateKeyArmored) {
+    alert('No private key to export.  Generate or import a key first.');
+    return;
+  }
+  downloadTextFile(privateKeyArmored, `${username || 'private'}-private-key.asc`);
+});
+
+/**
+ * Offer `text` as a file download named `filename`.
+ * @param {string} text
+ * @param {string} filename
+ */
+function downloadTextFile(text, filename) {
+  const blob = new Blob([text], { type: 'text/plain' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  setTimeout(() => {
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }, 0);
+}
+
+// Copy the public key to clipboard
+copyPublicKeyBtn.addEventListener('click', () => {
+  if (!publicKeyArmored) {
+    alert('No public key to copy');
+    return;
+  }
+  navigator.clipboard.writeText(publicKeyArmored).then(() => {
+    alert('Public key copied to clipboard');
+  }).catch((err) => {
+    console.error(err);
+    alert('Failed to copy public key');
+  });
+});
+
+/**
+ * Upload a revocation certificate for one of our keys (or anyone's:
+ * the certificate proves itself).  Resolves to the server response
+ * { fingerprint, current } or throws with the server's error.
+ * @param {string} certificate  armored revocation certificate
+ */
+async function uploadRevocationCertificate(certificate) {
+  const res = await fetch(`${serverUrl}/api/users/${encodeURIComponent(username)}/revoke`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ revocationCertificate: certificate }),
+  });
+  const data = await res.json();
+  if (!res.ok) {
+    throw new Error(data.error || 'Failed to upload revocation certificate');
+  }
+  return data;
+}
+
+/**
+ * Replace our key pair.  A new key is generated with the same user ID
+ * and passphrase, and the server accepts it because the `updateKey`
+ * statement is signed with the old key.  Afterwards the user may revoke
+ * the old key and is asked to export the new private key, since the old
+ * one no longer logs in.
+ */
+rotateKeyBtn?.addEventListener('click', async () => {
+  if (!username || !privateKey) return;
+  if (!confirm('Generate a new key pair and replace your current key on the server?')) return;
+  try {
+    const keyOptions = {
+      type: 'ecc',
+      curve: 'curve25519',
+      userIds: [{ name: username, email: `${username}@example.com` }],
+    };
+    if (passphrase) {
+      keyOptions.passphrase = passphrase;
+    }
+    const { privateKeyArmored: privArm, publicKeyArmored: pubArm } = await openpgp.generateKey(keyOptions);
+    // Signed with the current (old) key
+    const { res, data } = await signedRequest('POST', `/api/users/${encodeURIComponent(username)}/key`, 'updateKey', {
+      newPublicKey: pubArm,
+    });
+    if (!res.ok) {
+      alert(data.error || 'Failed to update key');
+      return;
+    }
+    const oldPrivateKey = privateKey;
+    const privObj = (await openpgp.key.readArmored(privArm)).keys[0];
+    if (passphrase) {
+      await privObj.decrypt(passphrase);
+    }
+    privateKey = privObj;
+    privateKeyArmored = privArm;
+    publicKeyArmored = pubArm;
+    myFingerprint = data.fingerprint;
+    userFingerprint.textContent = 'Fingerprint: ' + data.fingerprint;
+    // The local history key is wrapped with the old key
+    rekeyLocalStore().catch((err) => console.error('Error re-encrypting local history', err));
+    saveContactList();
+    // Prekeys are signed by the device key, so the new key needs its own
+    setupRatchet().catch((err) => console.error('Error setting up forward secrecy', err));
+    if (confirm('Your key was replaced.  Also revoke the old key, so nobody can use it again?')) {
+      const { publicKey: revoked } = await openpgp.revokeKey({
+        key: oldPrivateKey,
+        reasonForRevocation: { flag: openpgp.enums.reasonForRevocation.key_superseded, string: 'Replaced by a new key' },
+      });
+      await uploadRevocationCertificate(await revoked.getRevocationCertificate());
+    }
+    // The socket authenticated with the old key; sign in again with the new one
+    connectSocket();
+    alert('Your new private key will now be downloaded.  Keep it safe: the old key no longer logs in.');
+    exportKeyBtn.click();
+  } catch (err) {
+    console.error(err);
+    alert('Error rotating key: ' + err.message);
+  }
+});
+
+// Upload a revocation certificate from a file, e.g. one made with
+// `gpg --gen-revoke` when a key was lost or compromised
+uploadRevocationBtn?.addEventListener('click', () => {
+  revocationFileInput.click();
+});
+revocationFileInput?.addEventListener('change', async () => {
+  const file = revocationFileInput.files[0];
+  revocationFileInput.value = '';
+  if (!file) return;
+  try {
+    const { fingerprint, current } = await uploadRevocationCertificate(await file.text());
+    if (current) {
+      alert(
+        `Your primary key ${fingerprint} is now revoked and can no longer sign in.  ` +
+          'Replace it under Devices on another of your devices to keep using this account.'
+      );
+      loadDevices();
+    } else {
+      alert(`Revoked old key ${fingerprint}.`);
+    }
+  } catch (err) {
+    console.error(err);
+    alert('Error uploading revocation certificate: ' + err.message);
+  }
+});
+
+/**
+ * Log out: write any pending history and ratchet state, forget the
+ * local store key and reload the page, which drops the private key,
+ * the ratchet keys, the decrypted messages and all other state from
+ * memory.  Plaintext ratchet state left by older versions is removed.
+ */
+logoutBtn?.addEventListener('click', async () => {
+  try {
+    await saveRatchetStore();
+  } catch (err) {
+    console.error('Error saving ratchet sessions', err);
+  }
+  ratchetStore = null;
+  removeLegacyRatchetStores();
+  try {
+    await lockLocalStore();
+  } catch (err) {
+    console.error('Error saving local history', err);
+  }
+  if (socket) socket.disconnect();
+  location.reload();
+});
+
+/*
+ * Account backup.  A backup file holds everything needed to move the
+ * account to another browser: the private key (still protected by its
+ * own passphrase, if it has one), settings, contacts with their pinned
+ * fingerprints and nicknames, message history and requests.  It is an
+ * OpenPGP message encrypted with a password chosen when it is made.
+ * Ratchet sessions are left out: they belong to this browser, and the
+ * restored one sets up its own.
+ */
+
+const BACKUP_FORMAT = 'pgp-messenger-backup';
+
+/**
+ * Collect the account's state and encrypt it with `password`.
+ * Resolves to the armored backup.
+ * @param {string} password
+ */
+async function createBackup(password) {
+  const backup = {
+    format: BACKUP_FORMAT,
+    version: 1,
+    createdAt: Date.now(),
+    username,
+    serverUrl,
+    privateKey: privateKeyArmored,
+    settings,
+    lastSeen: lastSeenTimestamp,
+    contacts: contactListEntries(),
+    history: Object.fromEntries(messagesByFriend),
+    requests: Object.fromEntries(requestsMessagesByUser),
+    requestsUnread: Object.fromEntries(requestsUnreadCounts),
+  };
+  const encrypted = await openpgp.encrypt({
+    message: openpgp.message.fromText(JSON.stringify(backup)),
+    passwords: [password],
+  });
+  return encrypted.data;
+}
+
+/**
+ * Decrypt a backup file and check that it is one.
+ * @param {string} armored
+ * @param {string} password
+ */
+async function readBackup(armored, password) {
+  let decrypted;
+  try {
+    decrypted = await openpgp.decrypt({
+      message: await openpgp.message.readArmored(armored),
+      passwords: [password],
+    });
+  } catch (err) {
+    console.error(err);
+    throw new Error('wrong password, or not a backup file');
+  }
+  const backup = JSON.parse(decrypted.data);
+  if (!backup || backup.format !== BACKUP_FORMAT || typeof backup.username !== 'string' || typeof backup.privateKey !== 'string') {
+    throw new Error('not a backup file');
+  }
+  if (backup.version !== 1) {
+    throw new Error('this backup was made by a newer version of the app');
+  }
+  return backup;
+}
+
+/**
+ * Merge the history and requests of a backup into the unlocked local
+ * history.  Requests already here are kept.
+ * @param {object} backup
+ */
+function applyBackupHistory(backup) {
+  const history = backup.history || {};
+  Object.keys(history).forEach((chatId) => {
+    mergeHistory(chatId, history[chatId]);
+    if (!unreadCounts.has(chatId)) unreadCounts.set(chatId, 0);
+  });
+  const requests = backup.requests || {};
+  Object.keys(requests).forEach((user) => {
+    if (!requestsMessagesByUser.has(user)) {
+      requestsMessagesByUser.set(user, requests[user]);
+      requestsUnreadCounts.set(user, (backup.requestsUnread || {})[user] || 0);
+    }
+  });
+  saveLocalHistory();
+  updateContactsList();
+}
+
+backupToggleBtn?.addEventListener('click', () => {
+  backupPanel.classList.toggle('hidden');
+});
+
+// Download a backup of the whole account
+exportBackupBtn?.addEventListener('click', async () => {
+  const password = backupPassInput.value;
+  if (!password) {
+    alert('Choose a password for the backup');
+    return;
+  }
+  if (password !== backupPassConfirmInput.value) {
+    alert('The passwords do not match');
+    return;
+  }
+  try {
+    const armored = await createBackup(password);
+    downloadTextFile(armored, `${username}-backup.asc`);
+    backupPassInput.value = '';
+    backupPassConfirmInput.value = '';
+    backupPanel.classList.add('hidden');
+  } catch (err) {
+    console.error(err);
+    alert('Error creating backup: ' + err.message);
+  }
+});
+
+// Restore an account from a backup file and log in with its key.  The
+// key's own passphrase, if it has one, is taken from the passphrase field.
+regRestoreBtn?.addEventListener('click', async () => {
+  const file = regBackupFile.files[0];
+  const password = regBackupPass.value;
+  if (!file || !password) {
+    alert('Choose a backup file and enter its password');
+    return;
+  }
+  try {
+    const backup = await readBackup(await file.text(), password);
+    privateKeyArmored = backup.privateKey;
+    regUsernameInput.value = backup.username;
+    if (backup.serverUrl) serverURLInput.value = backup.serverUrl;
+    if (await logIn(backup.username, regPassInput.value, backup)) {
+      regBackupFile.value = '';
+      regBackupPass.value = '';
+      setRegStatus('Backup restored');
+    }
+  } catch (err) {
+    console.error(err);
+    alert('Error restoring backup: ' + err.message);
+  }
+});
+
+/*
+ * Key pinning.  The server tells us which keys a contact has, so a
+ * server that lies could hand us its own key and read along.  The first
+ * time we see a contact we pin the fingerprints of their device keys
+ * (trust on first use) and from then on only encrypt to and verify
+ * signatures with pinned keys.  When the server lists a key we have not
+ * pinned, the new keys are held back in `pendingKeys` and sending to
+ * the contact stops until we accept them, ideally after comparing
+ * safety numbers.  Group members who are not contacts are pinned the
+ * same way, with their keys in `publicKeyCache`, and a group cannot be
+ * written to while one of them has a change pending.  Our own devices
+ * are pinned too (see setOwnDevices).  Pins live in the encrypted local
+ * history store, so they outlast the contact list.
+ *
+ * A safety number is two halves of 30 digits, one per side, each
+ * derived from that side's device fingerprints only.  The halves are
+ * put in a fixed order, so both people see the same 60 digits, and
+ * they match only if each saw the other's real keys.
+ */
+
+const SAFETY_NUMBER_ITERATIONS = 5200;
+
+/**
+ * The keys we hold for `user`: their contact entry, or their entry in
+ * `publicKeyCache` if they are not a contact.
+ * @param {string} user
+ */
+function keyEntryOf(user) {
+  return friends.get(user) || publicKeyCache.get(user) || null;
+}
+
+/**
+ * Whether `user` has keys we have not accepted yet.
+ * @param {string} user
+ */
+function isKeyChangePending(user) {
+  const entry = keyEntryOf(user);
+  return Boolean(entry && entry.pendingKeys);
+}
+
+/**
+ * The users whose key change blocks sending in conversation `chatId`:
+ * the contact, or the members of a group.
+ * @param {string} chatId
+ * @returns {string[]}
+ */
+function pendingKeyChangesIn(chatId) {
+  const users = groups.has(chatId) ? groups.get(chatId).members : [chatId];
+  return users.filter((user) => user !== username && isKeyChangePending(user));
+}
+
+/**
+ * Store the keys the server lists for `user`, checking them against
+ * the pinned fingerprints.  Keys that are pinned are used right away;
+ * if any key is new, all of them wait in `pendingKeys`.  `store` is
+ * `friends` for contacts and `publicKeyCache` for other users.
+ * Returns true when the keys differ from the pin.
+ * @param {string} user
+ * @param {string|null} primaryKey  the key of their primary device
+ * @param {string[]} deviceKeys
+ * @param {Map<string, object>} [store]
+ */
+async function setContactKeys(user, primaryKey, deviceKeys, store = friends) {
+  const fingerprints = await Promise.all(deviceKeys.map((key) => fingerprintOfKey(key)));
+  const entry = store.get(user) || {};
+  const offered = { publicKeyArmored: primaryKey || deviceKeys[0] || null, deviceKeys, fingerprints };
+  // A contact's entry replaces the one kept while they were not
+  if (store === friends) publicKeyCache.delete(user);
+  const pin = keyPins.get(user);
+  if (!pin) {
+    keyPins.set(user, { fingerprints, verified: false, pinnedAt: Date.now(), updatedAt: Date.now() });
+    store.set(user, { ...entry, publicKeyArmored: offered.publicKeyArmored, deviceKeys, pendingKeys: null });
+    saveLocalHistory();
+    return false;
+  }
+  const trusted = deviceKeys.filter((key, i) => pin.fingerprints.includes(fingerprints[i]));
+  const changed = trusted.length < deviceKeys.length;
+  if (!changed) {
+    // Removed devices need no approval
+    pin.fingerprints = fingerprints;
+    saveLocalHistory();
+  }
+  store.set(user, {
+    ...entry,
+    publicKeyArmored: trusted.includes(primaryKey) ? primaryKey : trusted[0] || null,
+    deviceKeys: trusted,
+    pendingKeys: changed ? offered : null,
+  });
+  return changed;
+}
+
+/**
+ * Trust the keys currently offered for `user` and pin them, marking
+ * them as verified or not.
+ * @param {string} user
+ * @param {boolean} verified
+ */
+function acceptContactKeys(user, verified) {
+  const store = friends.has(user) ? friends : publicKeyCache;
+  const entry = store.get(user);
+  if (!entry) return;
+  const pending = entry.pendingKeys;
+  if (pending) {
+    store.set(user, { ...entry, publicKeyArmored: pending.publicKeyArmored, deviceKeys: pending.deviceKeys, pendingKeys: null });
+    keyPins.set(user, { fingerprints: pending.fingerprints, verified, pinnedAt: Date.now(), updatedAt: Date.now() });
+  } else if (keyPins.has(user)) {
+    Object.assign(keyPins.get(user), { verified, updatedAt: Date.now() });
+  }
+  saveLocalHistory();
+  touchContact(user);
+  updateContactsList();
+  if ((currentFriend === user && friends.has(user)) || (groups.has(currentFriend) && groups.get(currentFriend).members.includes(user))) {
+    updateVerificationState();
+    updateChatInputState(currentFriend);
+    if (pending && currentFriend === user) refreshRatchetSessions(user);
+  }
+}
+
+/**
+ * Take the device list the server has for our own account, checking it
+ * against our pinned fingerprints like a contact's keys.  Only pinned
+ * devices go into `myDevices` and get copies of what we send; a device
+ * we have not seen waits in `pendingDevices`, and sending stops until
+ * it is confirmed here (see confirmOwnDevice()) or revoked.  The first
+ * list seen on this browser is pinned as it is, and this device is
+ * always trusted.  Fingerprints are computed from the keys rather than
+ * taken from the server.  Returns true when devices are pending.
+ * @param {Array<{ name: string, publicKey: string, primary: boolean }>} devices
+ */
+async function setOwnDevices(devices) {
+  const listed = (
+    await Promise.all(devices.map(async (device) => ({ ...device, fingerprint: await fingerprintOfKey(device.publicKey) })))
+  ).filter((d) => d.fingerprint);
+  const pin = keyPins.get(username) || { fingerprints: listed.map((d) => d.fingerprint), verified: false, pinnedAt: Date.now() };
+  myDevices = listed.filter((d) => d.fingerprint === myFingerprint || pin.fingerprints.includes(d.fingerprint));
+  pendingDevices = listed.filter((d) => !myDevices.includes(d));
+  // Removed devices need no approval
+  keyPins.set(username, { ...pin, fingerprints: myDevices.map((d) => d.fingerprint), updatedAt: Date.now() });
+  saveLocalHistory();
+  renderDevices();
+  if (friends.has(currentFriend) || groups.has(currentFriend)) updateChatInputState(currentFriend);
+  if (pendingDevices.length > 0) devicesPanel?.classList.remove('hidden');
+  return pendingDevices.length > 0;
+}
+
+/**
+ * Pin one of our own devices, e.g. one added from this browser.
+ * @param {string} fingerprint
+ */
+function pinOwnDevice(fingerprint) {
+  const pin = keyPins.get(username);
+  if (!pin || !fingerprint) return;
+  if (!pin.fingerprints.includes(fingerprint)) pin.fingerprints.push(fingerprint);
+  pin.updatedAt = Date.now();
+}
+
+/**
+ * Confirm a device listed for our account that this browser has not
+ * seen, after checking its fingerprint on the device itself.
+ * @param {{ fingerprint: string, name: string }} device
+ */
+async function confirmOwnDevice(device) {
+  const question =
+    `Confirm device "${device.name}" with fingerprint ${device.fingerprint}?  ` +
+    'Only do this if you added it yourself and its fingerprint matches the one shown on that device.';
+  if (!confirm(question)) return;
+  pinOwnDevice(device.fingerprint);
+  await setOwnDevices(myDevices.concat(pendingDevices));
+  // Let it read the contact list
+  saveContactList();
+}
+
+/**
+ * One side's half of a safety number: 30 digits from an iterated
+ * SHA-512 over the sorted fingerprints of its device keys.
+ * @param {string[]} fingerprints
+ */
+async function safetyNumberHalf(fingerprints) {
+  const input = new TextEncoder().encode(JSON.stringify(['safety-number', fingerprints.slice().sort()]));
+  let hash = new Uint8Array(0);
+  for (let i = 0; i < SAFETY_NUMBER_ITERATIONS; i++) {
+    const data = new Uint8Array(hash.length + input.length);
+    data.set(hash);
+    data.set(input, hash.length);
+    hash = new Uint8Array(await crypto.subtle.digest('SHA-512', data));
+  }
+  const chunks = [];
+  for (let i = 0; i < 30; i += 5) {
+    const value = hash.slice(i, i + 5).reduce((n, b) => n * 256 + b, 0);
+    chunks.push(String(value % 100000).padStart(5, '0'));
+  }
+  return chunks;
+}
+
+/**
+ * The safety number of our conversation with `user` as twelve groups
+ * of five digits.  While a key change is pending it covers the new
+ * keys, so they can be checked before accepting them.
+ * @param {string} user
+ */
+async function safetyNumber(user) {
+  const entry = keyEntryOf(user);
+  const theirs = entry.pendingKeys ? entry.pendingKeys.fingerprints : keyPins.get(user).fingerprints;
+  const ours = myDevices.length ? myDevices.map((d) => d.fingerprint) : [myFingerprint];
+  const halves = await Promise.all([safetyNumberHalf(ours), safetyNumberHalf(theirs)]);
+  halves.sort((a, b) => a.join('').localeCompare(b.join('')));
+  return halves[0].concat(halves[1]);
+}
+
+/**
+ * Show the verification state of the open conversation in the chat
+ * header: the verified badge, the Verify and Nickname buttons and the
+ * key change warning.  In a group the warning names the first member
+ * whose key changed.
+ */
+function updateVerificationState() {
+  const friend = currentFriend;
+  const isContact = Boolean(friend && friends.has(friend));
+  const isGroup = Boolean(friend && groups.has(friend));
+  const changed = isContact || isGroup ? pendingKeyChangesIn(friend)[0] : null;
+  const pin = isContact ? keyPins.get(friend) : null;
+  verifyContactBtn?.classList.toggle('hidden', !isContact);
+  renameContactBtn?.classList.toggle('hidden', !isContact);
+  verifiedIndicator?.classList.toggle('hidden', !(pin && pin.verified && !changed));
+  keyChangeBanner?.classList.toggle('hidden', !changed);
+  if (changed) {
+    keyChangeBanner.dataset.peer = changed;
+    keyChangeText.textContent =
+      `The keys the server lists for ${changed} are not the ones you saw before.  ` +
+      'This happens when they set up a new key or device, but could also mean someone is trying to read your messages.  ' +
+      'Sending is paused until you compare safety numbers or accept the new key.';
+  }
+  if (verifyPanel && verifyPanel.dataset.peer !== friend && verifyPanel.dataset.peer !== changed) {
+    verifyPanel.classList.add('hidden');
+  }
+}
+
+/**
+ * Open the verification panel for `friend`: the current contact, or a
+ * member of the current group whose key changed.
+ * @param {string} [friend]
+ */
+async function openVerifyPanel(friend = currentFriend) {
+  const chatId = currentFriend;
+  if (!friend || !keyEntryOf(friend) || !keyPins.has(friend) || !verifyPanel) return;
+  try {
+    const digits = await safetyNumber(friend);
+    if (currentFriend !== chatId) return;
+    verifyPanel.dataset.peer = friend;
+    verifyPanel.dataset.digits = digits.join('');
+    verifyPeerName.textContent = friend;
+    safetyNumberText.textContent = [0, 4, 8].map((i) => digits.slice(i, i + 4).join(' ')).join('\n');
+    safetyQr.innerHTML = '';
+    if (typeof QRCode !== 'undefined') {
+      new QRCode(safetyQr, { text: digits.join(''), width: 160, height: 160 });
+    }
+    safetyCompareInput.value = '';
+    safetyCompareResult.textContent = '';
+    if (isKeyChangePending(friend)) {
+      markVerifiedBtn.textContent = 'Mark as verified and accept key';
+    } else {
+      markVerifiedBtn.textContent = keyPins.get(friend).verified ? 'Remove verification' : 'Mark as verified';
+    }
+    verifyPanel.classList.remove('hidden');
+  } catch (err) {
+    console.error(err);
+    alert('Error computing safety number: ' + err.message);
+  }
+}
+
+verifyContactBtn?.addEventListener('click', () => openVerifyPanel());
+reviewKeyChangeBtn?.addEventListener('click', () => openVerifyPanel(keyChangeBanner.dataset.peer));
+
+acceptKeyChangeBtn?.addEventListener('click', () => {
+  const friend = keyChangeBanner.dataset.peer;
+  if (!friend || !isKeyChangePending(friend)) return;
+  if (confirm(`Accept the new key for ${friend} without comparing safety numbers?`)) {
+    acceptContactKeys(friend, false);
+  }
+});
+
+// Compare a safety number typed in or read from the other person's QR code
+safetyCompareInput?.addEventListener('input', () => {
+  const entered = safetyCompareInput.value.replace(/\D/g, '');
+  if (!entered) {
+    safetyCompareResult.textContent = '';
+    return;
+  }
+  safetyCompareResult.textContent = entered === verifyPanel.dataset.digits ? '✅ The numbers match' : '⚠️ The numbers do not match';
+});
+
+markVerifiedBtn?.addEventListener('click', () => {
+  const friend = verifyPanel.dataset.peer;
+  if (!friend || (friend !== currentFriend && !pendingKeyChangesIn(currentFriend).includes(friend))) return;
+  const wasVerified = !isKeyChangePending(friend) && keyPins.get(friend).verified;
+  acceptContactKeys(friend, !wasVerified);
+  verifyPanel.classList.add('hidden');
+});
+
+closeVerifyBtn?.addEventListener('click', () => {
+  verifyPanel.classList.add('hidden');
+});
+
+/*
+ * Contact list sync.  The contact list, with each contact's pinned key
+ * fingerprints and local nickname, is saved on the server as an OpenPGP
+ * message encrypted to all our device keys and signed with the key of
+ * the device that saved it.  It is restored at login, so contacts
+ * follow the account to any browser where we import a key.  Entries
+ * carry `updatedAt` so lists saved on two devices at once can be
+ * merged: the server rejects a save that is not based on the latest
+ * version, and the client merges and saves again.
+ *
+ * The plaintext is JSON { contacts: { <username>: { nickname, updatedAt,
+ * pin: { fingerprints, verified, pinnedAt, updatedAt } } } }.
+ */
+
+let contactListVersion = 0;
+let contactListSave = null; // Promise of the save in progress
+let contactListDirty = false;
+
+/**
+ * The name to show for a contact: their nickname if we gave them one.
+ * @param {string} user
+ */
+function displayName(user) {
+  const friend = friends.get(user);
+  return friend && friend.nickname ? `${friend.nickname} (${user})` : user;
+}
+
+/**
+ * Our contact list as saved on the server.
+ */
+function contactListEntries() {
+  const contacts = {};
+  friends.forEach((friend, user) => {
+    contacts[user] = { nickname: friend.nickname || '', updatedAt: friend.updatedAt || 0, pin: keyPins.get(user) || null };
+  });
+  return contacts;
+}
+
+/**
+ * Fetch and decrypt the contact list saved on the server.  Resolves to
+ * { contacts, version }, with an empty list and version 0 when none was
+ * saved yet.  A list that was not signed by one of our devices is
+ * refused.
+ */
+async function fetchContactList() {
+  const res = await fetch(`${serverUrl}/api/users/${encodeURIComponent(username)}/contacts`);
+  const data = await res.json();
+  if (res.status === 404) return { contacts: {}, version: 0 };
+  if (!res.ok) {
+    throw new Error(data.error || 'Failed to fetch contact list');
+  }
+  const decrypted = await openpgp.decrypt({
+    message: await openpgp.message.readArmored(data.contacts),
+    privateKeys: [privateKey],
+    publicKeys: await ownPublicKeys(),
+  });
+  let verified = false;
+  try {
+    verified = decrypted.signatures.length > 0 && (await decrypted.signatures[0].verified);
+  } catch (err) {
+    verified = false;
+  }
+  if (!verified) {
+    throw new Error('the saved contact list is not signed by one of your devices');
+  }
+  return { contacts: JSON.parse(decrypted.data).contacts || {}, version: data.version };
+}
+
+/**
+ * Merge contact entries from the server into `friends` and `keyPins`,
+ * keeping whichever side changed last.  Returns the contacts that are
+ * new or whose pin changed, whose keys need to be fetched again.
+ * @param {object} contacts
+ */
+function mergeContactList(contacts) {
+  const changed = [];
+  Object.keys(contacts).forEach((user) => {
+    const entry = contacts[user];
+    const friend = friends.get(user);
+    if (!friend) {
+      friends.set(user, { publicKeyArmored: null, deviceKeys: [], pendingKeys: null });
+      changed.push(user);
+    }
+    if (!friend || (entry.updatedAt || 0) > (friend.updatedAt || 0)) {
+      friends.set(user, { ...friends.get(user), nickname: entry.nickname || '', updatedAt: entry.updatedAt || 0 });
+    }
+    const pin = keyPins.get(user);
+    if (entry.pin && (!pin || (entry.pin.updatedAt || 0) > (pin.updatedAt || 0))) {
+      keyPins.set(user, entry.pin);
+      if (!changed.includes(user)) changed.push(user);
+    }
+  });
+  return changed;
+}
+
+/**
+ * Fetch a contact's keys from their server and check them against the
+ * pin.  A contact whose keys cannot be fetched keeps no keys, so
+ * nothing is sent to them until this succeeds on a later try.
+ * @param {string} user
+ */
+async function refreshContactKeys(user) {
+  try {
+    const res = await fetch(userRecordUrl(user));
+    const data = await res.json();
+    if (!res.ok) {
+      console.error(`Error fetching the keys of ${user}:`, data.error);
+      return;
+    }
+    await setContactKeys(user, data.publicKey, deviceKeysOf(data));
+  } catch (err) {
+    console.error(`Error fetching the keys of ${user}`, err);
+  }
+}
+
+/**
+ * Apply the contact list from the server, then fetch the keys of the
+ * contacts that changed.
+ * @param {{ contacts: object, version: number }} list
+ */
+async function applyContactList({ contacts, version }) {
+  contactListVersion = Math.max(contactListVersion, version);
+  const changed = mergeContactList(contacts);
+  changed.forEach((user) => {
+    if (!messagesByFriend.has(user)) messagesByFriend.set(user, []);
+  });
+  updateContactsList();
+  await Promise.all(changed.map((user) => refreshContactKeys(user)));
+  updateContactsList();
+  if (changed.length) syncPresenceContacts();
+  if (changed.includes(currentFriend)) {
+    selectFriend(currentFriend);
+  }
+}
+
+/**
+ * Restore the contact list at login.  Accounts that never saved one
+ * get the people they have conversations with in the local history,
+ * which is how contacts were kept before.  Contacts from a restored
+ * backup are merged in and saved.
+ * @param {object|null} [restored]  contact entries from a backup
+ */
+async function restoreContactList(restored = null) {
+  if (!username) return;
+  try {
+    const list = await fetchContactList();
+    if (list.version === 0) {
+      messagesByFriend.forEach((msgs, user) => {
+        if (!isGroupId(user) && user !== username && !friends.has(user)) {
+          list.contacts[user] = { nickname: '', updatedAt: Date.now(), pin: keyPins.get(user) || null };
+        }
+      });
+    }
+    await applyContactList(list);
+    if (restored) await applyContactList({ contacts: restored, version: 0 });
+    if ((list.version === 0 && friends.size > 0) || restored) saveContactList();
+  } catch (err) {
+    console.error('Error restoring contact list', err);
+  }
+}
+
+/**
+ * Encrypt the contact list and save it on the server.  Saves are
+ * serialised; changes made during one are saved once it completes.  A
+ * save that lost a race with another device merges the other list and
+ * tries again.
+ */
+async function flushContactList() {
+  while (contactListDirty && username) {
+    contactListDirty = false;
+    const encrypted = await openpgp.encrypt({
+      message: openpgp.message.fromText(JSON.stringify({ contacts: contactListEntries() })),
+      publicKeys: await ownPublicKeys(),
+      privateKeys: [privateKey],
+    });
+    const { res, data } = await signedRequest('PUT', `/api/users/${encodeURIComponent(username)}/contacts`, 'saveContacts', {
+      contacts: encrypted.data,
+      baseVersion: contactListVersion,
+    });
+    if (res.status === 409) {
+      await applyContactList(await fetchContactList());
+      contactListDirty = true;
+    } else if (!res.ok) {
+      throw new Error(data.error || 'Failed to save contact list');
+    } else {
+      contactListVersion = data.version;
+    }
+  }
+}
+
+function saveContactList() {
+  if (!username || !privateKey) return;
+  contactListDirty = true;
+  if (contactListSave) return;
+  contactListSave = flushContactList()
+    .catch((err) => console.error('Error saving contact list', err))
+    .finally(() => {
+      contactListSave = null;
+    });
+}
+
+/**
+ * Record a change to a contact's entry and save the list.
+ * @param {string} user
+ */
+function touchContact(user) {
+  const friend = friends.get(user);
+  if (!friend) return;
+  friend.updatedAt = Date.now();
+  saveContactList();
+}
+
+/**
+ * Handle `contactsUpdated`: another of our devices saved the contact
+ * list.  Our own saves are announced too and are ignored by version.
+ * @param {{ version: number }} update
+ */
+async function onContactsUpdated(update) {
+  if (!update || update.version <= contactListVersion) return;
+  try {
+    await applyContactList(await fetchContactList());
+  } catch (err) {
+    console.error('Error loading contact list', err);
+  }
+}
+
+renameContactBtn?.addEventListener('click', () => {
+  const user = currentFriend;
+  if (!user || !friends.has(user)) return;
+  const nickname = prompt(`Nickname for ${user} (leave empty to remove it)`, friends.get(user).nickname || '');
+  if (nickname === null) return;
+  friends.get(user).nickname = nickname.trim();
+  touchContact(user);
+  activeChatName.textContent = displayName(user);
+  updateContactsList();
+});
+
+/**
+ * Handle a `keyChanged` event: a contact or group member rotated or
+ * revoked a key, or added or removed a device.  Updates the keys we
+ * encrypt to, or holds them back until accepted if they are not pinned
+ * (see setContactKeys), and leaves a notice in every conversation with
+ * them so the change does not go unnoticed.  Changes to our own account refresh
+ * the device list instead, holding back devices we have not pinned.
+ * @param {object} change  { username, reason, fingerprint, name, revoked, current, devices }
+ */
+async function applyKeyChange(change) {
+  const { username: who, reason, fingerprint, name, revoked, current, devices = [] } = change || {};
+  if (!who) return;
+  if (who === username) {
+    const unconfirmed = pendingDevices.length;
+    await setOwnDevices(devices);
+    if (pendingDevices.length > unconfirmed) {
+      alert('A device you have not confirmed here was added to your account.  Sending is paused until you confirm or revoke it under Devices.');
+    }
+    return;
+  }
+  const deviceKeys = devices.map((d) => d.publicKey);
+  const primary = devices.find((d) => d.primary);
+  let pending = false;
+  if (friends.has(who)) {
+    pending = await setContactKeys(who, primary ? primary.publicKey : null, deviceKeys);
+  } else if (publicKeyCache.has(who)) {
+    pending = await setContactKeys(who, primary ? primary.publicKey : null, deviceKeys, publicKeyCache);
+  }
+  let text;
+  if (reason === 'deviceAdded') {
+    text = `${who} added a device "${name}" with fingerprint ${fingerprint}`;
+  } else if (reason === 'deviceRevoked') {
+    text = `${who} removed a device with fingerprint ${fingerprint}`;
+  } else if (!revoked) {
+    text = `${who} changed their key.  New fingerprint: ${fingerprint}`;
+  } else if (current) {
+    text = `${who} revoked their key ${fingerprint}.  Messages to them are unsafe until they set up a new key.`;
+  } else {
+    text = `${who} revoked an old key ${fingerprint}`;
+  }
+  if (pending) {
+    text = text.replace(/\.$/, '') + '.  Sending to them is paused until you compare safety numbers or accept the new key.';
+  }
+  const notice = { id: `key-${fingerprint}-${Date.now()}`, from: who, type: 'notice', text, timestamp: Date.now() };
+  const chats = [];
+  if (friends.has(who)) chats.push(who);
+  groups.forEach((group, groupId) => {
+    if (group.members.includes(who)) chats.push(groupId);
+  });
+  chats.forEach((chatId) => {
+    if (!messagesByFriend.has(chatId)) {
+      messagesByFriend.set(chatId, []);
+    }
+    messagesByFriend.get(chatId).push({ ...notice });
+  });
+  if (chats.length === 0) return;
+  saveLocalHistory();
+  updateContactsList();
+  updateGroupsList();
+  if (chats.includes(currentFriend)) {
+    renderMessages(currentFriend);
+  }
+  if (chats.includes(currentFriend)) {
+    updateVerificationState();
+    updateChatInputState(currentFriend);
+  }
+}
+
+/**
+ * Fetch our own device list from the server, check it against the pin
+ * and show it.
+ */
+async function loadDevices() {
+  try {
+    const res = await fetch(`${serverUrl}/api/users/${encodeURIComponent(username)}`);
+    const data = await res.json();
+    if (!res.ok) {
+      throw new Error(data.error || 'Failed to load devices');
+    }
+    await setOwnDevices(data.devices || []);
+  } catch (err) {
+    console.error('Error loading devices', err);
+  }
+}
+
+/**
+ * Render our devices in the device management panel.  Every device
+ * except the primary key can be revoked from here, including this one.
+ * Devices not pinned on this browser are listed first and can be
+ * confirmed.
+ */
+function renderDevices() {
+  if (!devicesList) return;
+  devicesList.innerHTML = '';
+  pendingDevices.forEach((device) => {
+    const li = document.createElement('li');
+    li.className = 'flex items-center justify-between p-1 rounded bg-yellow-100 dark:bg-yellow-900';
+    const label = document.createElement('span');
+    label.className = 'truncate';
+    label.textContent = `⚠️ ${device.name} (not confirmed)`;
+    label.title = device.fingerprint;
+    li.appendChild(label);
+    const confirmBtn = document.createElement('button');
+    confirmBtn.textContent = 'Confirm';
+    confirmBtn.className = 'ml-2 text-blue-500 underline';
+    confirmBtn.addEventListener('click', () => confirmOwnDevice(device));
+    li.appendChild(confirmBtn);
+    if (!device.primary) {
+      const revokeBtn = document.createElement('button');
+      revokeBtn.textContent = 'Revoke';
+      revokeBtn.className = 'ml-2 text-red-500 underline';
+      revokeBtn.addEventListener('click', () => revokeDevice(device));
+      li.appendChild(revokeBtn);
+    }
+    devicesList.appendChild(li);
+  });
+  // The primary key is missing from the list once it was revoked
+  const listed = myDevices.concat(pendingDevices);
+  if (listed.length > 0 && !listed.some((d) => d.primary)) {
+    const li = document.createElement('li');
+    li.className = 'flex items-center justify-between p-1 rounded bg-red-100 dark:bg-red-900';
+    const label = document.createElement('span');
+    label.textContent = 'Primary key revoked';
+    li.appendChild(label);
+    const replaceBtn = document.createElement('button');
+    replaceBtn.textContent = 'Replace';
+    replaceBtn.className = 'ml-2 text-blue-500 underline';
+    replaceBtn.addEventListener('click', replaceRevokedPrimaryKey);
+    li.appendChild(replaceBtn);
+    devicesList.appendChild(li);
+  }
+  myDevices.forEach((device) => {
+    const li = document.createElement('li');
+    li.className = 'flex items-center justify-between p-1 rounded bg-gray-200 dark:bg-gray-700';
+    const label = document.createElement('span');
+    label.className = 'truncate';
+    const thisDevice = device.fingerprint === myFingerprint ? ' (this device)' : '';
+    label.textContent = `${device.name}${thisDevice}`;
+    label.title = device.fingerprint;
+    li.appendChild(label);
+    if (!device.primary) {
+      const revokeBtn = document.createElement('button');
+      revokeBtn.textContent = 'Revoke';
+      revokeBtn.className = 'ml-2 text-red-500 underline';
+      revokeBtn.addEventListener('click', () => revokeDevice(device));
+      li.appendChild(revokeBtn);
+    }
+    devicesList.appendChild(li);
+  });
+}
+
+/**
+ * Replace our revoked primary key from this device.  A revoked key can
+ * sign nothing, so the `updateKey` statement is signed with this
+ * device's key and carries `replacePrimary`.  The new key pair is
+ * generated here with this device's passphrase and its private key
+ * downloaded, for use on the browser that held the old primary key.
+ */
+async function replaceRevokedPrimaryKey() {
+  if (!confirm('Generate a new primary key for your account, signed by this device?')) return;
+  try {
+    const keyOptions = {
+      type: 'ecc',
+      curve: 'curve25519',
+      userIds: [{ name: username, email: `${username}@example.com` }],
+    };
+    if (passphrase) {
+      keyOptions.passphrase = passphrase;
+    }
+    const { privateKeyArmored: privArm, publicKeyArmored: pubArm } = await openpgp.generateKey(keyOptions);
+    // Pinned before the server announces it
+    pinOwnDevice(await fingerprintOfKey(pubArm));
+    const { res, data } = await signedRequest('POST', `/api/users/${encodeURIComponent(username)}/key`, 'updateKey', {
+      newPublicKey: pubArm,
+      replacePrimary: true,
+    });
+    if (!res.ok) {
+      alert(data.error || 'Failed to replace the primary key');
+      return;
+    }
+    alert(`Your new primary key is ${data.fingerprint}.  Its private key will now be downloaded: import it where you used the old one.`);
+    downloadTextFile(privArm, `${username}-private-key.asc`);
+    await loadDevices();
+  } catch (err) {
+    console.error(err);
+    alert('Error replacing the primary key: ' + err.message);
+  }
+}
+
+/**
+ * Revoke one of our devices after confirmation.  The server signs out
+ * its sockets and tells our contacts.
+ * @param {{ fingerprint: string, name: string }} device
+ */
+async function revokeDevice(device) {
+  if (!confirm(`Revoke device "${device.name}"?  It will no longer be able to log in or read new messages.`)) return;
+  try {
+    const path = `/api/users/${encodeURIComponent(username)}/devices/${device.fingerprint}`;
+    const { res, data } = await signedRequest('DELETE', path, 'revokeDevice', { fingerprint: device.fingerprint });
+    if (!res.ok) {
+      alert(data.error || 'Failed to revoke device');
+      return;
+    }
+    await setOwnDevices(data);
+  } catch (err) {
+    console.error(err);
+    alert('Error revoking device: ' + err.message);
+  }
+}
+
+devicesToggleBtn?.addEventListener('click', () => {
+  devicesPanel.classList.toggle('hidden');
+});
+
+// Authorize a new device.  Its owner copies the public key shown on the
+// new device's login screen and pastes it here; the request is signed
+// with this device's key.
+authorizeDeviceBtn?.addEventListener('click', async () => {
+  const name = newDeviceName.value.trim();
+  const devicePublicKey = newDeviceKey.value.trim();
+  if (!name || !devicePublicKey) {
+    alert('Enter a device name and paste its public key');
+    return;
+  }
+  try {
+    // Added here, so it needs no confirmation.  Pinned before the
+    // server announces it; a pin the server never lists is dropped.
+    pinOwnDevice(await fingerprintOfKey(devicePublicKey));
+    const { res, data } = await signedRequest('POST', `/api/users/${encodeURIComponent(username)}/devices`, 'addDevice', {
+      name,
+      publicKey: devicePublicKey,
+    });
+    if (!res.ok) {
+      alert(data.error || 'Failed to add device');
+      return;
+    }
+    await setOwnDevices(data);
+    // Let the new device read the contact list
+    saveContactList();
+    newDeviceName.value = '';
+    newDeviceKey.value = '';
+    alert(`Device "${name}" added.  You can now log in on it.`);
+  } catch (err) {
+    console.error(err);
+    alert('Error adding device: ' + err.message);
+  }
+});
+
+// On a new device: copy the public key of the key pair generated or
+// imported here so it can be added from an existing device
+regCopyDeviceKeyBtn?.addEventListener('click', () => {
+  if (!publicKeyArmored) {
+    alert('Generate or import a key pair first');
+    return;
+  }
+  navigator.clipboard.writeText(publicKeyArmored).then(() => {
+    alert('Public key copied.  Add it under Devices on one of your existing devices, then log in here.');
+  }).catch((err) => {
+    console.error(err);
+    alert('Failed to copy public key');
+  });
+});
+
+/**
+ * Replace our copy of the block list with the one from the server and
+ * refresh everything that shows it.
+ * @param {Array<{ username: string }>} list
+ */
+function applyBlockList(list) {
+  if (!Array.isArray(list)) return;
+  blockedUsers.clear();
+  list.forEach((entry) => blockedUsers.add(entry.username));
+  renderBlockedList();
+  updateContactsList();
+  if (currentFriend && friends.has(currentFriend)) {
+    updateChatInputState(currentFriend);
+  }
+}
+
+/**
+ * Render the block list panel with an Unblock button per user.
+ */
+function renderBlockedList() {
+  if (!blockedList) return;
+  blockedList.innerHTML = '';
+  if (blockedUsers.size === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'text-gray-500 dark:text-gray-400';
+    empty.textContent = 'Nobody is blocked';
+    blockedList.appendChild(empty);
+    return;
+  }
+  Array.from(blockedUsers).sort().forEach((blocked) => {
+    const li = document.createElement('li');
+    li.className = 'flex items-center justify-between p-1 rounded bg-gray-200 dark:bg-gray-700';
+    const label = document.createElement('span');
+    label.className = 'truncate';
+    label.textContent = blocked;
+    li.appendChild(label);
+    const unblockBtn = document.createElement('button');
+    unblockBtn.textContent = 'Unblock';
+    unblockBtn.className = 'ml-2 text-blue-500 underline';
+    unblockBtn.addEventListener('click', () => unblockUser(blocked));
+    li.appendChild(unblockBtn);
+    blockedList.appendChild(li);
+  });
+}
+
+/**
+ * Block a user after confirmation.  The server stops storing and
+ * delivering their messages to us; any request thread from them is
+ * removed locally.  Resolves to true if the user was blocked.
+ * @param {string} target
+ */
+async function blockUser(target) {
+  if (!confirm(`Block ${target}?  You will no longer receive their messages.`)) return false;
+  try {
+    const { res, data } = await signedRequest('POST', `/api/users/${encodeURIComponent(username)}/blocks`, 'blockUser', {
+      blocked: target,
+    });
+    if (!res.ok) {
+      alert(data.error || 'Failed to block user');
+      return false;
+    }
+    if (requestsMessagesByUser.has(target)) {
+      requestsMessagesByUser.delete(target);
+      requestsUnreadCounts.delete(target);
+      saveRequests();
+      updateRequestsList();
+    }
+    applyBlockList(data);
+    return true;
+  } catch (err) {
+    console.error(err);
+    alert('Error blocking user: ' + err.message);
+    return false;
+  }
+}
+
+/**
+ * Remove a user from our block list.
+ * @param {string} target
+ */
+async function unblockUser(target) {
+  try {
+    const path = `/api/users/${encodeURIComponent(username)}/blocks/${encodeURIComponent(target)}`;
+    const { res, data } = await signedRequest('DELETE', path, 'unblockUser', { blocked: target });
+    if (!res.ok) {
+      alert(data.error || 'Failed to unblock user');
+      return;
+    }
+    applyBlockList(data);
+  } catch (err) {
+    console.error(err);
+    alert('Error unblocking user: ' + err.message);
+  }
+}
+
+/**
+ * Enable the message input for a contact, or disable it while they are
+ * blocked or their key changed.
+ * @param {string} friend
+ */
+function updateChatInputState(friend) {
+  const blocked = blockedUsers.has(friend);
+  const keyChanged = pendingKeyChangesIn(friend).length > 0;
+  const newDevice = pendingDevices.length > 0;
+  sendChatBtn.disabled = blocked || keyChanged || newDevice;
+  chatInput.disabled = blocked || keyChanged || newDevice;
+  if (blocked) {
+    chatInput.placeholder = 'You blocked this contact';
+  } else if (newDevice) {
+    chatInput.placeholder = 'New device on your account: confirm or revoke it under Devices';
+  } else if (keyChanged) {
+    chatInput.placeholder = 'Key changed: compare safety numbers or accept the new key';
+  } else {
+    chatInput.placeholder = 'Type a message...';
+  }
+}
+
+blockedToggleBtn?.addEventListener('click', () => {
+  blockedPanel.classList.toggle('hidden');
+  renderBlockedList();
+});
+
+blockUserBtn?.addEventListener('click', async () => {
+  const target = localAddress(blockUserInput.value.trim());
+  if (!target) {
+    alert('Enter a username to block');
+    return;
+  }
+  if (await blockUser(target)) {
+    blockUserInput.value = '';
+  }
+});
+
+/**
+ * Handle adding a new contact.  Fetches the friend's public key from
+ * the backend, or from their own server for a user@host address, and
+ * stores it in the `friends` map.  Initializes an empty messages array
+ * for the friend.  Updates the contacts list UI.
+ */
+addContactBtn.addEventListener('click', async () => {
+  const friendUsername = localAddress(addContactInput.value.trim());
+  if (!friendUsername) {
+    alert('Enter a friend username');
+    return;
+  }
+  if (friends.has(friendUsername)) {
+    alert('Contact already added');
+    return;
+  }
+  try {
+    const res = await fetch(userRecordUrl(friendUsername));
+    const data = await res.json();
+    if (!res.ok) {
+      alert(data.error || 'Unable to fetch user');
+      return;
+    }
+    if (await setContactKeys(friendUsername, data.publicKey, deviceKeysOf(data))) {
+      alert(`The keys the server lists for ${friendUsername} differ from the ones you pinned earlier.  Compare safety numbers before sending.`);
+    }
+    if (!messagesByFriend.has(friendUsername)) messagesByFriend.set(friendUsername, []);
+    touchContact(friendUsername);
+    addContactInput.value = '';
+    updateContactsList();
+    syncPresenceContacts();
+    // If this user previously sent a request, merge their request messages
+    if (requestsMessagesByUser.has(friendUsername)) {
+      const reqMsgs = requestsMessagesByUser.get(friendUsername);
+      const existingMsgs = messagesByFriend.get(friendUsername) || [];
+      messagesByFriend.set(friendUsername, existingMsgs.concat(reqMsgs));
+      requestsMessagesByUser.delete(friendUsername);
+      requestsUnreadCounts.delete(friendUsername);
+      updateRequestsList();
+      saveRequests();
+      saveLocalHistory();
+    }
+  } catch (err) {
+    console.error(err);
+    alert('Error adding contact: ' + err.message);
+  }
+});
+
+/**
+ * Send an encrypted message to the currently selected friend.  Uses
+ * the friend's public key and our own to encrypt and the user's
+ * private key to sign.  When a reply was started from a message's menu
+ * the message quotes it.  Stores the plaintext message locally and
+ * updates the UI.
+ */
+sendChatBtn.addEventListener('click', async () => {
+  const text = chatInput.value.trim();
+  if (!currentFriend) {
+    alert('Select a contact to chat with');
+    return;
+  }
+  if (!text) {
+    return;
+  }
+  if (!friends.has(currentFriend) && !groups.has(currentFriend)) {
+    alert('Contact not found');
+    return;
+  }
+  try {
+    const replyTo = replyTarget && replyTarget.chatId === currentFriend ? { id: replyTarget.id, from: replyTarget.from, excerpt: replyTarget.excerpt } : null;
+    const ciphertext = replyTo
+      ? await encryptForChat(currentFriend, replyFallback(replyTo, text), { replyTo })
+      : await encryptForChat(currentFriend, text);
+    // Store plaintext locally with timestamp and mark verified (we trust our own messages)
+    const timestamp = Date.now();
+    const entry = { from: username, text, timestamp, verified: true, status: 'pending' };
+    if (replyTo) entry.replyTo = replyTo;
+    const msgs = messagesByFriend.get(currentFriend) || [];
+    msgs.push(entry);
+    messagesByFriend.set(currentFriend, msgs);
+    // Send via socket
+    emitOutgoingMessage({ to: currentFriend, from: username, ciphertext, type: 'text' }, entry);
+    // Reset unread count for current friend (we are sending)
+    unreadCounts.set(currentFriend, 0);
+    // Persist to the local history
+    saveLocalHistory();
+    // Update UI
+    chatInput.value = '';
+    clearReplyTarget();
+    stopTyping();
+    updateContactsList();
+    renderMessages(currentFriend);
+  } catch (err) {
+    console.error('Error encrypting message', err);
+    alert('Error encrypting message: ' + err.message);
+  }
+});
+
+/**
+ * Send an encrypted message over the socket and link the local history
+ * entry to the server's copy.  The server acknowledges `sendMessage`
+ * with the stored message id; we keep that id on the entry so later
+ * `messageDelivered` and `messageRead` events can find it.  Until the
+ * acknowledgement arrives the entry has status 'pending'; if the server
+ * refuses the message it becomes 'failed'.
+ * @param {object} payload  Fields for the `sendMessage` event
+ * @param {object} entry    Local history entry for this message
+ */
+function emitOutgoingMessage(payload, entry) {
+  const markFailed = (error) => {
+    entry.status = 'failed';
+    entry.error = error;
+    saveLocalHistory();
+    if (currentFriend === payload.to) {
+      renderMessages(currentFriend);
+    }
+    alert('Message not sent: ' + error);
+  };
+  // Don't upload what the server would refuse anyway
+  const maxBytes = serverLimits && messageSizeLimit(payload.type || 'text');
+  if (maxBytes && new Blob([payload.ciphertext]).size > maxBytes) {
+    markFailed(`message is too large (at most ${maxBytes} bytes for ${payload.type || 'text'} messages)`);
+    return;
+  }
+  socket.emit('sendMessage', payload, (res) => {
+    if (!res) return;
+    if (res.error) {
+      // The server refused the message; mark it so the user can see
+      markFailed(res.error);
+      return;
+    }
+    if (!res.id) return;
+    entry.id = res.id;
+    entry.status = res.status || 'sent';
+    saveLocalHistory();
+    if (currentFriend === payload.to) {
+      renderMessages(currentFriend);
+    }
+  });
+}
+
+/**
+ * Replace the text of a message we sent in `chatId`.  The new text is
+ * encrypted like a new message and sent with a signed `editMessage`
+ * request; the server replaces its copy and passes the edit on to the
+ * other side (see readMessageChange()).
+ * @param {string} chatId
+ * @param {object} entry
+ */
+async function editOwnMessage(chatId, entry) {
+  const input = prompt('Edit message', entry.text || '');
+  const text = input === null ? '' : input.trim();
+  if (!text || text === entry.text) return;
+  try {
+    const ciphertext = entry.replyTo
+      ? await encryptForChat(chatId, replyFallback(entry.replyTo, text), { replyTo: entry.replyTo })
+      : await encryptForChat(chatId, text);
+    const { res, data, statement } = await signedRequest('PUT', `/api/messages/${encodeURIComponent(entry.id)}`, 'editMessage', {
+      id: entry.id,
+      ciphertext,
+    });
+    if (!res.ok) {
+      alert(data.error || 'Unable to edit the message');
+      return;
+    }
+    applyMessageChange(chatId, {
+      id: data.id,
+      from: username,
+      type: 'edit',
+      target: entry.id,
+      text,
+      timestamp: data.timestamp,
+      signedAt: statement.timestamp,
+      verified: true,
+    });
+    saveLocalHistory();
+    updateContactsList();
+    updateGroupsList();
+    if (currentFriend === chatId) renderMessages(chatId);
+  } catch (err) {
+    console.error(err);
+    alert('Error editing message: ' + err.message);
+  }
+}
+
+/**
+ * Delete a message we sent in `chatId` for everyone, with a signed
+ * `deleteMessage` request.  The server keeps a tombstone in its place.
+ * The attachment of a file message is deleted too.
+ * @param {string} chatId
+ * @param {object} entry
+ */
+async function deleteOwnMessage(chatId, entry) {
+  if (!confirm('Delete this message for everyone?')) return;
+  const file = entry.type === 'file' ? entry.file : null;
+  try {
+    const { res, data } = await signedRequest('DELETE', `/api/messages/${encodeURIComponent(entry.id)}`, 'deleteMessage', {
+      id: entry.id,
+    });
+    if (!res.ok) {
+      alert(data.error || 'Unable to delete the message');
+      return;
+    }
+    applyMessageChange(chatId, { id: data.id, from: username, type: 'delete', target: entry.id, text: null, timestamp: data.timestamp, verified: true });
+    saveLocalHistory();
+    updateContactsList();
+    updateGroupsList();
+    if (currentFriend === chatId) renderMessages(chatId);
+  } catch (err) {
+    console.error(err);
+    alert('Error deleting message: ' + err.message);
+    return;
+  }
+  if (file) {
+    try {
+      await signedRequest('DELETE', `/api/blobs/${encodeURIComponent(file.blobId)}`, 'deleteBlob', { blobId: file.blobId });
+    } catch (err) {
+      console.error('Error deleting attachment', err);
+    }
+  }
+}
+
+/**
+ * Start a reply to `entry`: the next message sent in `chatId` quotes it.
+ * @param {string} chatId
+ * @param {object} entry
+ */
+function setReplyTarget(chatId, entry) {
+  replyTarget = { chatId, id: entry.id, from: entry.from, excerpt: messageExcerpt(entry) };
+  replyPreview.textContent = `Replying to ${displayName(entry.from)}: ${replyTarget.excerpt}`;
+  replyBar.classList.remove('hidden');
+  chatInput.focus();
+}
+
+function clearReplyTarget() {
+  replyTarget = null;
+  replyPreview.textContent = '';
+  replyBar.classList.add('hidden');
+}
+
+cancelReplyBtn?.addEventListener('click', clearReplyTarget);
+
+/**
+ * React to `entry` in `chatId` with `emoji`, or take the reaction back
+ * if we already reacted with it.  The reaction is sent as a `reaction`
+ * message and applied to our copy once the server has stored it.
+ * @param {string} chatId
+ * @param {object} entry
+ * @param {string} emoji
+ */
+async function sendReaction(chatId, entry, emoji) {
+  const remove = ((entry.reactions || {})[emoji] || []).includes(username);
+  const excerpt = messageExcerpt(entry);
+  const text = remove ? `Took back ${emoji} on “${excerpt}”` : `Reacted ${emoji} to “${excerpt}”`;
+  try {
+    const ciphertext = await encryptForChat(chatId, text, { reaction: { to: entry.id, emoji, remove } });
+    socket.emit('sendMessage', { to: chatId, from: username, ciphertext, type: 'reaction' }, (res) => {
+      if (!res) return;
+      if (res.error) {
+        alert('Reaction not sent: ' + res.error);
+        return;
+      }
+      if (!res.id) return;
+      applyMessageChange(chatId, { id: res.id, from: username, type: 'reaction', target: entry.id, emoji, remove, timestamp: res.timestamp, verified: true });
+      saveLocalHistory();
+      if (currentFriend === chatId) renderMessages(chatId);
+    });
+  } catch (err) {
+    console.error(err);
+    alert('Error sending reaction: ' + err.message);
+  }
+}
+
+/**
+ * Open the context menu of a message at (x, y): reactions, reply and,
+ * for messages we sent, edit and delete.
+ * @param {string} chatId
+ * @param {object} entry
+ * @param {number} x
+ * @param {number} y
+ */
+function openMessageMenu(chatId, entry, x, y) {
+  messageMenu.innerHTML = '';
+  const emojiRow = document.createElement('div');
+  emojiRow.className = 'flex px-2 pb-1 space-x-1 text-lg';
+  REACTION_EMOJIS.forEach((emoji) => {
+    const button = document.createElement('button');
+    button.textContent = emoji;
+    button.title = 'React with ' + emoji;
+    button.className = 'px-1 rounded hover:bg-gray-100 dark:hover:bg-gray-700';
+    if (((entry.reactions || {})[emoji] || []).includes(username)) {
+      button.classList.add('bg-blue-100', 'dark:bg-blue-900');
+    }
+    button.addEventListener('click', () => {
+      closeMessageMenu();
+      sendReaction(chatId, entry, emoji);
+    });
+    emojiRow.appendChild(button);
+  });
+  messageMenu.appendChild(emojiRow);
+  const addItem = (label, onClick) => {
+    const item = document.createElement('button');
+    item.textContent = label;
+    item.className = 'px-3 py-1 text-left hover:bg-gray-100 dark:hover:bg-gray-700';
+    item.addEventListener('click', () => {
+      closeMessageMenu();
+      onClick();
+    });
+    messageMenu.appendChild(item);
+  };
+  addItem('Reply', () => setReplyTarget(chatId, entry));
+  if (entry.from === username) {
+    if (entry.type === 'text' && !entry.placeholder) addItem('Edit', () => editOwnMessage(chatId, entry));
+    addItem('Delete', () => deleteOwnMessage(chatId, entry));
+  }
+  messageMenu.classList.remove('hidden');
+  // Keep the menu inside the window
+  const { width, height } = messageMenu.getBoundingClientRect();
+  messageMenu.style.left = `${Math.max(0, Math.min(x, window.innerWidth - width - 8))}px`;
+  messageMenu.style.top = `${Math.max(0, Math.min(y, window.innerHeight - height - 8))}px`;
+}
+
+function closeMessageMenu() {
+  messageMenu.classList.add('hidden');
+}
+
+document.addEventListener('click', (e) => {
+  if (!messageMenu.contains(e.target)) closeMessageMenu();
+});
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') closeMessageMenu();
+});
+chatMessages.addEventListener('scroll', closeMessageMenu);
+
+/**
+ * Scroll the open conversation to the message with `id` and highlight
+ * it for a moment.  Returns false if the message is not shown, e.g.
+ * because it is on a page that has not been loaded.
+ * @param {string} id
+ */
+function scrollToMessage(id) {
+  const wrapper = chatMessages.querySelector(`[data-message-id="${CSS.escape(id)}"]`);
+  if (!wrapper) return false;
+  wrapper.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  wrapper.classList.add('bg-yellow-100', 'dark:bg-yellow-900', 'rounded');
+  setTimeout(() => wrapper.classList.remove('bg-yellow-100', 'dark:bg-yellow-900', 'rounded'), 1500);
+  return true;
+}
+
+/**
+ * Fetch the message size limits of the server.  Older servers have no
+ * such endpoint, in which case only the server's own checks apply.
+ */
+async function loadServerLimits() {
+  try {
+    const res = await fetch(`${serverUrl}/api/limits`);
+    serverLimits = res.ok ? await res.json() : null;
+  } catch (err) {
+    serverLimits = null;
+  }
+}
+
+/**
+ * Find out whether the server federates with other servers and under
+ * which host.  When it does, our full address is shown next to the
+ * username.
+ */
+async function loadFederation() {
+  federationHost = null;
+  try {
+    const res = await fetch(`${serverUrl}/api/federation`);
+    const data = res.ok ? await res.json() : null;
+    if (data && data.enabled) federationHost = data.host;
+  } catch (err) {
+    // Older servers do not federate
+  }
+  if (federationHost) {
+    userInfo.textContent = `${username}@${federationHost}`;
+    userInfo.title = 'Your address for users of other servers';
+  }
+}
+
+/**
+ * Split a `user@host` address of a user on another server into
+ * { username, host }.  Returns null for plain usernames and for
+ * addresses on our own server.
+ * @param {string} address
+ */
+function remoteAddress(address) {
+  const at = address.lastIndexOf('@');
+  if (at <= 0) return null;
+  const host = address.slice(at + 1).toLowerCase();
+  if (!host || host === federationHost) return null;
+  return { username: address.slice(0, at), host };
+}
+
+/**
+ * Turn an address on our own server into the plain username.
+ * @param {string} address
+ */
+function localAddress(address) {
+  const at = address.lastIndexOf('@');
+  return at > 0 && federationHost && address.slice(at + 1).toLowerCase() === federationHost ? address.slice(0, at) : address;
+}
+
+/**
+ * URL of a user's record (`/api/users/:username`).  Users of other
+ * servers are looked up on their own server, which is reached over
+ * plain HTTP for onion services and the local machine and over HTTPS
+ * otherwise.
+ * @param {string} user  Username or user@host
+ */
+function userRecordUrl(user) {
+  const remote = remoteAddress(user);
+  if (!remote) return `${serverUrl}/api/users/${encodeURIComponent(user)}`;
+  const name = remote.host.replace(/:\d+$/, '');
+  const plain = name.endsWith('.onion') || name === 'localhost' || name.startsWith('127.') || name === '[::1]';
+  return `${plain ? 'http' : 'https'}://${remote.host}/api/users/${encodeURIComponent(remote.username)}`;
+}
+
+/**
+ * Largest ciphertext the server accepts for a message of `type`.
+ * @param {string} type
+ */
+function messageSizeLimit(type) {
+  const sizes = serverLimits.maxCiphertextBytes || {};
+  return sizes[type] || sizes.other || null;
+}
+
+/**
+ * Apply a delivery or read receipt to our local copy of a sent
+ * message.  Statuses only move forward (pending → sent → delivered →
+ * read) so a late delivery receipt never hides a read one.
+ * @param {string} friend  Recipient of the message
+ * @param {string} id      Server message id
+ * @param {'delivered'|'read'} status
+ */
+function updateLocalMessageStatus(friend, id, status) {
+  const order = ['pending', 'sent', 'delivered', 'read'];
+  const msgs = messagesByFriend.get(friend) || [];
+  const entry = msgs.find((m) => m.id === id && m.from === username);
+  if (!entry) return;
+  if (order.indexOf(status) <= order.indexOf(entry.status || 'sent')) return;
+  entry.status = status;
+  saveLocalHistory();
+  if (currentFriend === friend) {
+    renderMessages(friend);
+  }
+}
+
+/**
+ * Tell the server that we have read the given received messages so
+ * it can notify their senders.  Does nothing when the user has turned
+ * read receipts off.
+ * @param {string[]} ids
+ */
+function sendReadReceipts(ids) {
+  if (!settings.readReceipts || !socket || ids.length === 0) return;
+  socket.emit('messagesRead', { ids });
+}
+
+/**
+ * Update the contacts list UI.  Renders each friend as a clickable
+ * list item.  Highlights the currently active chat.  Clicking a
+ * contact will select it, display their name in the chat header
+ * and render the message history for that contact.
+ */
+function updateContactsList() {
+  contactsList.innerHTML = '';
+  const query = (contactSearchInput?.value || '').toLowerCase();
+  // Create sortable array of [username, info] pairs
+  const sortable = [];
+  friends.forEach((info, uname) => {
+    sortable.push([uname, info]);
+  });
+  // Sort by last message timestamp (descending)
+  sortable.sort((a, b) => {
+    const [ua] = a;
+    const [ub] = b;
+    const msgsA = messagesByFriend.get(ua) || [];
+    const msgsB = messagesByFriend.get(ub) || [];
+    const tsA = msgsA.length ? (msgsA[msgsA.length - 1].timestamp || 0) : 0;
+    const tsB = msgsB.length ? (msgsB[msgsB.length - 1].timestamp || 0) : 0;
+    return tsB - tsA;
+  });
+  for (const [uname, info] of sortable) {
+    if (query && !displayName(uname).toLowerCase().includes(query)) continue;
+    const li = document.createElement('li');
+    li.className = 'p-2 rounded cursor-pointer hover:bg-gray-200 dark:hover:bg-gray-700 flex flex-col';
+    // Highlight active friend
+    if (currentFriend === uname) {
+      li.classList.add('bg-blue-100', 'dark:bg-blue-900');
+    }
+    // Top row: name and time/unread
+    const topRow = document.createElement('div');
+    topRow.className = 'flex justify-between items-center';
+    const nameSpan = document.createElement('span');
+    const blocked = blockedUsers.has(uname);
+    nameSpan.textContent = blocked ? `🚫 ${displayName(uname)}` : displayName(uname);
+    nameSpan.className = blocked ? 'font-medium text-gray-500 dark:text-gray-400' : 'font-medium';
+    // Key state: changed and waiting for approval, or verified
+    const pin = keyPins.get(uname);
+    if (isKeyChangePending(uname) || (pin && pin.verified)) {
+      const keyBadge = document.createElement('span');
+      keyBadge.className = 'ml-1 text-xs';
+      keyBadge.textContent = isKeyChangePending(uname) ? '⚠️' : '✔';
+      keyBadge.title = isKeyChangePending(uname) ? 'Key changed' : 'Verified';
+      nameSpan.appendChild(keyBadge);
+    }
+    // Presence dot: green when online, grey when offline
+    const presence = presenceByUser.get(uname);
+    if (presence && presence.status !== 'hidden') {
+      const dot = document.createElement('span');
+      dot.className = 'inline-block w-2 h-2 rounded-full mr-2 ' + (presence.status === 'online' ? 'bg-green-500' : 'bg-gray-400');
+      dot.title = describePresence(uname);
+      nameSpan.prepend(dot);
+    }
+    topRow.appendChild(nameSpan);
+    const rightInfo = document.createElement('div');
+    rightInfo.className = 'flex items-center space-x-2';
+    // Block or unblock without opening the conversation
+    const blockBtn = document.createElement('button');
+    blockBtn.textContent = blocked ? 'Unblock' : 'Block';
+    blockBtn.className = 'text-xs text-gray-500 dark:text-gray-400 underline';
+    blockBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (blocked) {
+        unblockUser(uname);
+      } else {
+        blockUser(uname);
+      }
+    });
+    rightInfo.appendChild(blockBtn);
     // Last message time
     const msgs = messagesByFriend.get(uname) || [];
     if (msgs.length > 0) {
@@ -672,12 +4301,21 @@ function updateContactsList() {
     }
     topRow.appendChild(rightInfo);
     li.appendChild(topRow);
-    // Second row: last message snippet
-    if (msgs.length > 0) {
+    // Second row: typing indicator or last message snippet
+    if (typingUsers.has(uname)) {
+      const typingSpan = document.createElement('span');
+      typingSpan.textContent = 'typing…';
+      typingSpan.className = 'text-xs italic text-green-600 dark:text-green-400 mt-1';
+      li.appendChild(typingSpan);
+    } else if (msgs.length > 0) {
       const last = msgs[msgs.length - 1];
       let snippet;
-      if (last.type === 'image') {
+      if (last.deleted) {
+        snippet = '🚫 Message deleted';
+      } else if (last.type === 'image') {
         snippet = '📷 Image';
+      } else if (last.type === 'file') {
+        snippet = '📎 ' + ((last.file && last.file.name) || 'File');
       } else {
         snippet = last.text || '';
         if (snippet.length > 40) snippet = snippet.slice(0, 37) + '...';
@@ -694,10 +4332,372 @@ function updateContactsList() {
     });
     contactsList.appendChild(li);
   }
-  // Also refresh the requests list to keep badge and highlights in sync
+  // Also refresh the requests and groups lists to keep badges and highlights in sync
   updateRequestsList();
+  updateGroupsList();
+  updateChatStatus();
+}
+
+/**
+ * Describe a contact's presence for display: 'typing…', 'online',
+ * 'last seen …' or an empty string when it is unknown or hidden.
+ * @param {string} user
+ */
+function describePresence(user) {
+  if (typingUsers.has(user)) return 'typing…';
+  const presence = presenceByUser.get(user);
+  if (!presence) return '';
+  if (presence.status === 'online') return 'online';
+  if (presence.status === 'offline' && presence.lastSeen) {
+    const seen = new Date(presence.lastSeen);
+    const sameDay = seen.toDateString() === new Date().toDateString();
+    const time = seen.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return `last seen ${sameDay ? 'today' : seen.toLocaleDateString()} at ${time}`;
+  }
+  return presence.status === 'offline' ? 'offline' : '';
+}
+
+/**
+ * Show the selected contact's presence under their name in the chat
+ * header.  Groups and requests have no status line.
+ */
+function updateChatStatus() {
+  if (!activeChatStatus) return;
+  activeChatStatus.textContent = currentFriend && friends.has(currentFriend) ? describePresence(currentFriend) : '';
+}
+
+/**
+ * Record a presence update from the server and refresh the contacts
+ * list and chat header.
+ * @param {{ username: string, status: string, lastSeen: number|null }} presence
+ */
+function applyPresence(presence) {
+  if (!presence || !presence.username) return;
+  presenceByUser.set(presence.username, { status: presence.status, lastSeen: presence.lastSeen });
+  if (presence.status !== 'online') clearTyping(presence.username);
+  updateContactsList();
+}
+
+/**
+ * Show or clear a contact's typing indicator.  The indicator expires
+ * by itself if the contact stops sending typing events.
+ * @param {string} user
+ * @param {boolean} typing
+ */
+function setTyping(user, typing) {
+  clearTyping(user);
+  if (typing) {
+    typingUsers.set(user, setTimeout(() => {
+      typingUsers.delete(user);
+      updateContactsList();
+    }, TYPING_TIMEOUT_MS));
+  }
+  updateContactsList();
+}
+
+/**
+ * Remove a contact's typing indicator without refreshing the UI.
+ * @param {string} user
+ */
+function clearTyping(user) {
+  clearTimeout(typingUsers.get(user));
+  typingUsers.delete(user);
+}
+
+/**
+ * Tell the server which users we accepted as contacts so it shares
+ * presence with them, and record the presence it returns.
+ */
+function syncPresenceContacts() {
+  if (!socket || !socket.connected) return;
+  socket.emit('setContacts', { contacts: Array.from(friends.keys()) }, (list) => {
+    if (!Array.isArray(list)) {
+      console.error('Error sharing contacts for presence', list && list.error);
+      return;
+    }
+    list.forEach(applyPresence);
+  });
+}
+
+/**
+ * Called on every keystroke in the message input.  Tells the current
+ * contact that we are typing, repeating the event every
+ * TYPING_REPEAT_MS, and schedules a stop event once we pause.
+ */
+function notifyTyping() {
+  if (!socket || presenceHidden || !currentFriend || !friends.has(currentFriend)) return;
+  if (!chatInput.value) {
+    stopTyping();
+    return;
+  }
+  const now = Date.now();
+  if (typingTarget !== currentFriend || now - typingSentAt >= TYPING_REPEAT_MS) {
+    if (typingTarget && typingTarget !== currentFriend) stopTyping();
+    socket.emit('typing', { to: currentFriend, typing: true });
+    typingTarget = currentFriend;
+    typingSentAt = now;
+  }
+  clearTimeout(typingIdleTimer);
+  typingIdleTimer = setTimeout(stopTyping, TYPING_IDLE_MS);
+}
+
+/**
+ * Tell the contact we were typing to that we stopped.
+ */
+function stopTyping() {
+  clearTimeout(typingIdleTimer);
+  typingIdleTimer = null;
+  if (!typingTarget) return;
+  if (socket) socket.emit('typing', { to: typingTarget, typing: false });
+  typingTarget = null;
+  typingSentAt = 0;
+}
+
+// Hide or show our presence.  The server stores the choice and tells
+// our contacts, so the toggle is only updated once it confirms.
+hidePresenceToggle?.addEventListener('change', () => {
+  const hidden = hidePresenceToggle.checked;
+  if (!socket || !socket.connected) {
+    hidePresenceToggle.checked = presenceHidden;
+    alert('Not connected to the server');
+    return;
+  }
+  if (hidden) stopTyping();
+  socket.emit('setPresenceHidden', { hidden }, (result) => {
+    if (!result || result.error) {
+      hidePresenceToggle.checked = presenceHidden;
+      alert((result && result.error) || 'Failed to change presence setting');
+      return;
+    }
+    presenceHidden = result.hidden;
+  });
+});
+
+/**
+ * Fetch the groups this user belongs to from the server and refresh
+ * the groups list.
+ */
+async function loadGroups() {
+  if (!username) return;
+  try {
+    const res = await fetch(`${serverUrl}/api/groups?username=${encodeURIComponent(username)}`);
+    const data = await res.json();
+    if (!res.ok) {
+      console.error(data.error);
+      return;
+    }
+    groups.clear();
+    data.forEach((group) => groups.set(group.id, group));
+    updateGroupsList();
+    updateGroupHeader();
+  } catch (err) {
+    console.error('Error loading groups', err);
+  }
+}
+
+/**
+ * Apply a `groupUpdated` event from the server.  If we are no longer a
+ * member the group is dropped from the list (its history stays in
+ * the local history); otherwise its details are replaced.
+ * @param {{ id: string, members: string[] }} group
+ */
+function applyGroupUpdate(group) {
+  if (!group || !group.id) return;
+  if (group.members.includes(username)) {
+    groups.set(group.id, group);
+  } else {
+    groups.delete(group.id);
+    if (currentFriend === group.id) {
+      currentFriend = null;
+      activeChatName.textContent = '';
+      chatMessages.innerHTML = '';
+      sendChatBtn.disabled = true;
+      chatInput.disabled = true;
+      chatInput.placeholder = '';
+    }
+  }
+  updateGroupsList();
+  updateGroupHeader();
+}
+
+/**
+ * Update the groups list UI.  Renders each group like a contact, with
+ * the unread count and the last message snippet.  Clicking a group
+ * opens its conversation.
+ */
+function updateGroupsList() {
+  updateUnreadIndicators();
+  if (!groupsList) return;
+  groupsList.innerHTML = '';
+  const query = (contactSearchInput?.value || '').toLowerCase();
+  groups.forEach((group, groupId) => {
+    if (query && !group.name.toLowerCase().includes(query)) return;
+    const li = document.createElement('li');
+    li.className = 'p-2 rounded cursor-pointer hover:bg-gray-200 dark:hover:bg-gray-700 flex flex-col';
+    if (currentFriend === groupId) {
+      li.classList.add('bg-blue-100', 'dark:bg-blue-900');
+    }
+    const topRow = document.createElement('div');
+    topRow.className = 'flex justify-between items-center';
+    const nameSpan = document.createElement('span');
+    nameSpan.textContent = '👥 ' + group.name;
+    nameSpan.className = 'font-medium';
+    topRow.appendChild(nameSpan);
+    const unread = unreadCounts.get(groupId) || 0;
+    if (unread > 0) {
+      const badge = document.createElement('span');
+      badge.textContent = unread;
+      badge.className = 'inline-block px-2 py-0.5 text-xs rounded-full bg-red-500 text-white';
+      topRow.appendChild(badge);
+    }
+    li.appendChild(topRow);
+    const msgs = messagesByFriend.get(groupId) || [];
+    if (msgs.length > 0) {
+      const last = msgs[msgs.length - 1];
+      let snippet;
+      if (last.deleted) {
+        snippet = '🚫 Message deleted';
+      } else if (last.type === 'image') {
+        snippet = '📷 Image';
+      } else if (last.type === 'file') {
+        snippet = '📎 ' + ((last.file && last.file.name) || 'File');
+      } else {
+        snippet = last.type === 'system' || last.type === 'notice' ? last.text : `${last.from}: ${last.text || ''}`;
+        if (snippet.length > 40) snippet = snippet.slice(0, 37) + '...';
+      }
+      const snippetSpan = document.createElement('span');
+      snippetSpan.textContent = snippet;
+      snippetSpan.className = 'text-xs text-gray-600 dark:text-gray-400 truncate mt-1';
+      li.appendChild(snippetSpan);
+    }
+    li.addEventListener('click', () => {
+      unreadCounts.set(groupId, 0);
+      selectFriend(groupId);
+    });
+    groupsList.appendChild(li);
+  });
+}
+
+/**
+ * Show or hide the group controls in the chat header depending on
+ * whether a group is selected.  For a group the header shows its name
+ * and the member list; the owner gets a remove button on each member.
+ */
+function updateGroupHeader() {
+  const group = groups.get(currentFriend);
+  if (!group) {
+    if (groupActions) groupActions.classList.add('hidden');
+    if (groupMembersBar) groupMembersBar.classList.add('hidden');
+    return;
+  }
+  activeChatName.textContent = '👥 ' + group.name;
+  if (groupActions) groupActions.classList.remove('hidden');
+  if (!groupMembersBar) return;
+  groupMembersBar.classList.remove('hidden');
+  groupMembersBar.innerHTML = '';
+  group.members.forEach((member) => {
+    const chip = document.createElement('span');
+    chip.className = 'px-2 py-0.5 rounded-full bg-gray-200 dark:bg-gray-700 flex items-center space-x-1';
+    const label = document.createElement('span');
+    label.textContent = member === group.owner ? `${member} (owner)` : member;
+    chip.appendChild(label);
+    if (group.owner === username && member !== username) {
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = '✕';
+      removeBtn.title = `Remove ${member}`;
+      removeBtn.className = 'text-red-500 hover:text-red-700';
+      removeBtn.addEventListener('click', () => removeGroupMember(group.id, member));
+      chip.appendChild(removeBtn);
+    }
+    groupMembersBar.appendChild(chip);
+  });
+}
+
+/**
+ * Remove `member` from a group (or leave it, when `member` is us).  The
+ * request is signed so the change can be attributed to us in the chat.
+ * @param {string} groupId
+ * @param {string} member
+ */
+async function removeGroupMember(groupId, member) {
+  const question = member === username ? 'Leave this group?' : `Remove ${member} from the group?`;
+  if (!confirm(question)) return;
+  try {
+    const { res, data } = await signedRequest(
+      'DELETE',
+      `/api/groups/${encodeURIComponent(groupId)}/members/${encodeURIComponent(member)}`,
+      'removeGroupMember',
+      { groupId, member }
+    );
+    if (!res.ok) {
+      alert(data.error || 'Failed to remove member');
+      return;
+    }
+    applyGroupUpdate(data);
+  } catch (err) {
+    console.error('Error removing group member', err);
+    alert('Error removing group member: ' + err.message);
+  }
 }
 
+// Create a new group with the listed members
+createGroupBtn?.addEventListener('click', async () => {
+  const name = newGroupName.value.trim();
+  const members = newGroupMembers.value
+    .split(',')
+    .map((m) => m.trim())
+    .filter((m) => m && m !== username);
+  if (!name) {
+    alert('Enter a group name');
+    return;
+  }
+  try {
+    const { res, data } = await signedRequest('POST', '/api/groups', 'createGroup', { name, members });
+    if (!res.ok) {
+      alert(data.error || 'Failed to create group');
+      return;
+    }
+    newGroupName.value = '';
+    newGroupMembers.value = '';
+    groups.set(data.id, data);
+    selectFriend(data.id);
+  } catch (err) {
+    console.error('Error creating group', err);
+    alert('Error creating group: ' + err.message);
+  }
+});
+
+// Add a member to the current group
+groupAddMemberBtn?.addEventListener('click', async () => {
+  const groupId = currentFriend;
+  const member = groupAddMemberInput.value.trim();
+  if (!groups.has(groupId) || !member) return;
+  try {
+    const { res, data } = await signedRequest(
+      'POST',
+      `/api/groups/${encodeURIComponent(groupId)}/members`,
+      'addGroupMember',
+      { groupId, member }
+    );
+    if (!res.ok) {
+      alert(data.error || 'Failed to add member');
+      return;
+    }
+    groupAddMemberInput.value = '';
+    applyGroupUpdate(data);
+  } catch (err) {
+    console.error('Error adding group member', err);
+    alert('Error adding group member: ' + err.message);
+  }
+});
+
+// Leave the current group
+groupLeaveBtn?.addEventListener('click', () => {
+  if (groups.has(currentFriend)) {
+    removeGroupMember(currentFriend, username);
+  }
+});
+
 /**
  * Update the requests list UI.  Renders each unknown sender as a clickable
  * list item.  Shows the number of pending senders in the badge.  Clicking
@@ -705,6 +4705,7 @@ function updateContactsList() {
  * accept/decline actions.
  */
 function updateRequestsList() {
+  updateUnreadIndicators();
   // Determine if there are any requests
   const numRequests = requestsMessagesByUser.size;
   if (numRequests === 0) {
@@ -772,8 +4773,12 @@ function updateRequestsList() {
     if (msgs.length > 0) {
       const last = msgs[msgs.length - 1];
       let snippet;
-      if (last.type === 'image') {
+      if (last.deleted) {
+        snippet = '🚫 Message deleted';
+      } else if (last.type === 'image') {
         snippet = '📷 Image';
+      } else if (last.type === 'file') {
+        snippet = '📎 ' + ((last.file && last.file.name) || 'File');
       } else {
         snippet = last.text || '';
         if (snippet.length > 40) snippet = snippet.slice(0, 37) + '...';
@@ -788,8 +4793,10 @@ function updateRequestsList() {
       requestsUnreadCounts.set(uname, 0);
       currentFriend = uname;
       activeChatName.textContent = uname;
+      updateChatStatus();
       // Show accept/decline buttons and disable input
       if (requestActions) requestActions.classList.remove('hidden');
+      updateGroupHeader();
       sendChatBtn.disabled = true;
       chatInput.disabled = true;
       chatInput.placeholder = 'Accept request to reply';
@@ -800,22 +4807,203 @@ function updateRequestsList() {
   });
 }
 
+/**
+ * Fetch one page of the server-side history with `friend` (a username
+ * or group id).  Without a
+ * cursor the newest page is returned; with `before` the page of
+ * messages just older than that message id.  Resolves to the response
+ * body { messages, total, hasMore } or null on failure.
+ * @param {string} friend
+ * @param {string|null} before
+ */
+async function fetchHistoryPage(friend, before) {
+  const params = new URLSearchParams({ limit: String(HISTORY_PAGE_SIZE) });
+  if (before) params.set('before', before);
+  let url;
+  if (isGroupId(friend)) {
+    url = `${serverUrl}/api/groups/${encodeURIComponent(friend)}/messages?${params}`;
+  } else {
+    params.set('user1', username);
+    params.set('user2', friend);
+    url = `${serverUrl}/api/messages?${params}`;
+  }
+  const res = await fetch(url);
+  const data = await res.json();
+  if (!res.ok) {
+    console.error(data.error);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Turn a page of server messages into local history entries.  Messages
+ * we already hold locally (matched by id) are reused instead of being
+ * decrypted again; only their delivery status and deletion are
+ * refreshed, unless the sender edited them since.  Messages
+ * this user sent are encrypted to our own key as well and decrypt like
+ * any other; older ones that were encrypted only for the recipient are
+ * shown as a placeholder, as are ratcheted messages whose keys this
+ * device no longer has.  Also returns the ids of received messages
+ * that have not been marked read yet, and the page's edits, deletions
+ * and reactions for applyHistoryChanges().
+ * @param {string} friend
+ * @param {Array} pageMessages
+ */
+async function decryptHistoryPage(friend, pageMessages) {
+  const known = new Map();
+  (messagesByFriend.get(friend) || []).forEach((m) => {
+    if (m.id) known.set(m.id, m);
+  });
+  const entries = [];
+  const unreadIds = [];
+  const changes = [];
+  for (const msg of pageMessages) {
+    const { id, timestamp, status } = msg;
+    if (MESSAGE_CHANGE_TYPES.includes(msg.type)) {
+      changes.push(msg);
+      continue;
+    }
+    if (msg.from !== username && status !== 'read' && !isGroupId(msg.to)) {
+      unreadIds.push(id);
+    }
+    const existing = known.get(id);
+    // A local copy is stale if the sender edited the message since
+    const stale = existing && msg.editedAt && !msg.deletedAt && msg.editedAt > (existing.editedAt || 0);
+    if (existing && !existing.placeholder && !stale) {
+      if (msg.from === username && status) existing.status = status;
+      if (msg.deletedAt && !existing.deleted) markMessageDeleted(existing, msg.deletedAt);
+      entries.push(existing);
+      continue;
+    }
+    try {
+      const entry = await decryptMessageEntry(msg);
+      if (msg.from === username) entry.status = status;
+      if (stale) {
+        // Keep the reactions and changes applied to the local copy
+        if (existing.reactions) entry.reactions = existing.reactions;
+        if (existing.changeIds) entry.changeIds = existing.changeIds;
+      }
+      entries.push(entry);
+    } catch (err) {
+      if (msg.from === username) {
+        // Sent before messages were also encrypted to the sender, or ratcheted
+        entries.push({ id, from: username, text: '(sent message)', timestamp, status, placeholder: true });
+      } else if (parseRatchetEnvelope(msg.ciphertext)) {
+        // Its message key was used up when it first arrived, possibly on another device
+        entries.push({ id, from: msg.from, text: '(message protected by forward secrecy)', timestamp, placeholder: true });
+      } else {
+        console.error('Error decrypting message from history', err);
+      }
+    }
+  }
+  return { entries, unreadIds, changes };
+}
+
+/**
+ * Apply the edits, deletions and reactions found in a page of history,
+ * once the page has been merged into the conversation with `friend`.
+ * Changes that were already applied are not read again.
+ * @param {string} friend
+ * @param {Array} changes  `edit`, `delete` and `reaction` messages of the page
+ */
+async function applyHistoryChanges(friend, changes) {
+  let changed = false;
+  for (const msg of changes) {
+    if (hasReceivedMessage(friend, msg.id)) continue;
+    try {
+      if (applyMessageChange(friend, await readMessageChange(msg))) changed = true;
+    } catch (err) {
+      // A change whose ratchet key was used up when it first arrived
+    }
+  }
+  if (changed) saveLocalHistory();
+}
+
+/**
+ * Merge history entries fetched from the server into the local history
+ * with `friend`.  Entries replace local copies with the same id, except
+ * that a placeholder never replaces a message we could read; local
+ * entries the server did not return (older pages not loaded yet, or
+ * messages still being sent) are kept.  The result is ordered by
+ * timestamp.
+ * @param {string} friend
+ * @param {Array} entries
+ */
+function mergeHistory(friend, entries) {
+  const readable = new Set((messagesByFriend.get(friend) || []).filter((m) => m.id && !m.placeholder).map((m) => m.id));
+  entries = entries.filter((e) => !e.placeholder || !readable.has(e.id));
+  const ids = new Set(entries.map((e) => e.id));
+  const local = (messagesByFriend.get(friend) || []).filter((m) => !m.id || !ids.has(m.id));
+  const merged = local.concat(entries);
+  merged.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+  messagesByFriend.set(friend, merged);
+}
+
+/**
+ * Load the next older page of history for `friend` and prepend it to
+ * the chat, keeping the current scroll position.  Called when the user
+ * scrolls to the top of the conversation.
+ * @param {string} friend
+ */
+async function loadOlderMessages(friend) {
+  const paging = historyPaging.get(friend);
+  if (!paging || !paging.hasMore || paging.loading || !paging.oldestId) return;
+  paging.loading = true;
+  try {
+    const data = await fetchHistoryPage(friend, paging.oldestId);
+    if (!data) return;
+    const { entries, unreadIds, changes } = await decryptHistoryPage(friend, data.messages);
+    mergeHistory(friend, entries);
+    await applyHistoryChanges(friend, changes);
+    if (data.messages.length) paging.oldestId = data.messages[0].id;
+    paging.hasMore = data.hasMore;
+    paging.total = data.total;
+    if (currentFriend === friend) {
+      // Keep the messages the user was looking at in place
+      const prevHeight = chatMessages.scrollHeight;
+      const prevTop = chatMessages.scrollTop;
+      renderMessages(friend);
+      chatMessages.scrollTop = chatMessages.scrollHeight - prevHeight + prevTop;
+      sendReadReceipts(unreadIds);
+    }
+  } catch (err) {
+    console.error('Error loading older messages', err);
+  } finally {
+    paging.loading = false;
+  }
+}
+
+// Fetch older history when the user scrolls to the top of the chat
+chatMessages.addEventListener('scroll', () => {
+  if (chatMessages.scrollTop < 40 && currentFriend && (friends.has(currentFriend) || groups.has(currentFriend))) {
+    loadOlderMessages(currentFriend);
+  }
+});
+
 /**
  * Select a friend as the active chat.  Updates the current
- * conversation, loads any persisted messages from the server and
- * renders them.  If the conversation includes messages that this
- * user sent, they cannot be decrypted (because they were encrypted
- * for the recipient).  These will be displayed as a placeholder.
+ * conversation, renders the local history immediately and then loads
+ * the newest page of persisted messages from the server.  Older pages
+ * are fetched by loadOlderMessages() as the user scrolls up.  `friend`
+ * may also be a group id, in which case the group's history is used.
  * @param {string} friend
  */
 async function selectFriend(friend) {
+  if (typingTarget && typingTarget !== friend) stopTyping();
   currentFriend = friend;
-  activeChatName.textContent = friend;
-  // Determine if this is a known friend or a request
-  const isFriend = friends.has(friend);
+  if (replyTarget && replyTarget.chatId !== friend) clearReplyTarget();
+  closeMessageMenu();
+  activeChatName.textContent = displayName(friend);
+  // Determine if this is a known friend, a group or a request
+  const isGroup = groups.has(friend);
+  const isFriend = friends.has(friend) || isGroup;
   // Update UI for contacts and requests accordingly
   updateContactsList();
   updateRequestsList();
+  updateGroupHeader();
+  updateRatchetIndicator();
+  updateVerificationState();
   if (!isFriend) {
     // Request: show accept/decline buttons, disable sending
     if (requestActions) requestActions.classList.remove('hidden');
@@ -827,211 +5015,1073 @@ async function selectFriend(friend) {
   }
   // Friend: hide request actions and enable sending
   if (requestActions) requestActions.classList.add('hidden');
-  sendChatBtn.disabled = false;
-  chatInput.disabled = false;
-  chatInput.placeholder = 'Type a message...';
-  // Fetch conversation history from the server
+  updateChatInputState(friend);
+  if (!isGroup) refreshRatchetSessions(friend);
+  // Show what we have locally right away; the server copy follows
+  renderMessages(friend);
+  // Fetch the newest page of conversation history from the server
   try {
-    const res = await fetch(
-      `${serverUrl}/api/messages?user1=${encodeURIComponent(username)}&user2=${encodeURIComponent(friend)}`
-    );
-    const data = await res.json();
-    if (!res.ok) {
-      console.error(data.error);
-      // Even if the request fails, render any local messages
+    const data = await fetchHistoryPage(friend, null);
+    if (!data) return;
+    const { entries, unreadIds, changes } = await decryptHistoryPage(friend, data.messages);
+    mergeHistory(friend, entries);
+    await applyHistoryChanges(friend, changes);
+    historyPaging.set(friend, {
+      oldestId: data.messages.length ? data.messages[0].id : null,
+      hasMore: data.hasMore,
+      total: data.total,
+      loading: false,
+    });
+    if (currentFriend === friend) {
       renderMessages(friend);
+      // Opening the conversation counts as reading it
+      sendReadReceipts(unreadIds);
+    }
+  } catch (err) {
+    console.error('Error fetching conversation', err);
+  }
+}
+
+/**
+ * Render the conversation with a given friend.  Clears the chat
+ * messages container and displays each message as a styled bubble.
+ * Incoming messages appear on the left; outgoing messages on the right.
+ * @param {string} friend
+ */
+function renderMessages(friend) {
+  chatMessages.innerHTML = '';
+  // Use messages from friends map or requests map depending on relationship
+  let msgs;
+  if (friends.has(friend) || groups.has(friend)) {
+    msgs = messagesByFriend.get(friend) || [];
+  } else {
+    msgs = requestsMessagesByUser.get(friend) || [];
+  }
+  const isGroup = isGroupId(friend);
+  msgs.forEach((msg) => {
+    const { from, type = 'text', text = '', dataUrl = '', filename = '', timestamp, verified, status } = msg;
+    if (type === 'notice') {
+      // Local notices, e.g. a contact changed or revoked their key
+      const line = document.createElement('div');
+      line.classList.add('w-full', 'text-center', 'text-xs', 'text-amber-600', 'dark:text-amber-400', 'font-medium');
+      line.textContent = '🔑 ' + text;
+      chatMessages.appendChild(line);
       return;
     }
-    const history = [];
-    for (const msg of data) {
-      if (msg.from === username) {
-        history.push({ from: username, text: '(sent message)' });
-        continue;
+    if (type === 'system') {
+      // Group membership changes are shown centred, with their signature state
+      const line = document.createElement('div');
+      line.classList.add('w-full', 'text-center', 'text-xs', 'text-gray-500', 'dark:text-gray-400', 'italic');
+      line.textContent = (verified ? '✅ ' : '⚠️ ') + text;
+      line.title = verified ? 'Signed by ' + from : 'Signature could not be verified';
+      chatMessages.appendChild(line);
+      return;
+    }
+    // Container for each message to align timestamp and bubble
+    const wrapper = document.createElement('div');
+    wrapper.classList.add('flex', 'flex-col', 'w-full');
+    if (msg.id) wrapper.dataset.messageId = msg.id;
+    if (from === username) {
+      wrapper.classList.add('items-end');
+    } else {
+      wrapper.classList.add('items-start');
+    }
+    // In groups, name the sender of incoming messages
+    if (isGroup && from !== username) {
+      const senderLabel = document.createElement('span');
+      senderLabel.textContent = from;
+      senderLabel.classList.add('text-xs', 'font-medium', 'text-gray-600', 'dark:text-gray-300', 'mb-0.5');
+      wrapper.appendChild(senderLabel);
+    }
+    // Message bubble
+    const bubble = document.createElement('div');
+    // Message bubble styling: larger padding, rounded corners
+    bubble.classList.add('px-4', 'py-3', 'max-w-md', 'rounded-2xl', 'break-words');
+    if (from === username) {
+      bubble.classList.add('bg-blue-500', 'text-white');
+    } else {
+      bubble.classList.add('bg-gray-200', 'dark:bg-gray-700', 'text-gray-900', 'dark:text-gray-100');
+    }
+    if (msg.replyTo && !msg.deleted) {
+      // Quote of the message this one replies to; click to jump there
+      const original = msgs.find((m) => m.id === msg.replyTo.id);
+      const quote = document.createElement('div');
+      quote.textContent = `${displayName(msg.replyTo.from)}: ${original ? messageExcerpt(original) : msg.replyTo.excerpt}`;
+      quote.title = 'Show the original message';
+      quote.classList.add('mb-1', 'pl-2', 'border-l-4', 'text-xs', 'opacity-80', 'cursor-pointer', 'truncate');
+      quote.classList.add(from === username ? 'border-blue-200' : 'border-gray-400');
+      quote.addEventListener('click', () => scrollToMessage(msg.replyTo.id));
+      bubble.appendChild(quote);
+    }
+    if (msg.deleted) {
+      bubble.textContent = from === username ? 'You deleted this message' : 'This message was deleted';
+      bubble.classList.add('italic', 'opacity-75');
+    } else if (type === 'image') {
+      // Display image in bubble
+      const img = document.createElement('img');
+      img.src = dataUrl;
+      img.alt = filename || 'Image';
+      img.classList.add('max-w-full', 'rounded-lg');
+      bubble.appendChild(img);
+    } else if (type === 'file' && msg.file) {
+      bubble.appendChild(renderAttachmentCard(msg.file, from === username ? status : null));
+    } else {
+      bubble.appendChild(document.createTextNode(text));
+    }
+    // Metadata row
+    const meta = document.createElement('div');
+    meta.classList.add('mt-1', 'flex', 'items-center', 'space-x-1', 'text-xs');
+    const timeSpan = document.createElement('span');
+    const date = timestamp ? new Date(timestamp) : new Date();
+    timeSpan.textContent = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    timeSpan.classList.add('text-gray-500', 'dark:text-gray-400');
+    meta.appendChild(timeSpan);
+    if (msg.editedAt && !msg.deleted) {
+      const editedSpan = document.createElement('span');
+      editedSpan.textContent = 'edited';
+      editedSpan.title = 'Edited ' + new Date(msg.editedAt).toLocaleString();
+      editedSpan.classList.add('italic', 'text-gray-500', 'dark:text-gray-400');
+      meta.appendChild(editedSpan);
+    }
+    // Verification indicator
+    if (from !== username) {
+      const verSpan = document.createElement('span');
+      if (verified === false) {
+        verSpan.textContent = '⚠️';
+        verSpan.title = 'Signature could not be verified';
+      } else {
+        verSpan.textContent = '✅';
+        verSpan.title = 'Signature verified';
       }
-      try {
-        const messageObj = await openpgp.message.readArmored(msg.ciphertext);
-        const decrypted = await openpgp.decrypt({
-          message: messageObj,
-          privateKeys: [privateKey],
-        });
-        history.push({ from: msg.from, text: decrypted.data });
-      } catch (err) {
-        console.error('Error decrypting message from history', err);
+      meta.appendChild(verSpan);
+    } else if (status) {
+      // Delivery state of our own messages
+      const tickSpan = document.createElement('span');
+      if (status === 'pending') {
+        tickSpan.textContent = '🕓';
+        tickSpan.title = 'Sending';
+        tickSpan.classList.add('text-gray-500', 'dark:text-gray-400');
+      } else if (status === 'sent') {
+        tickSpan.textContent = '✓';
+        tickSpan.title = 'Sent';
+        tickSpan.classList.add('text-gray-500', 'dark:text-gray-400');
+      } else if (status === 'delivered') {
+        tickSpan.textContent = '✓✓';
+        tickSpan.title = 'Delivered';
+        tickSpan.classList.add('text-gray-500', 'dark:text-gray-400');
+      } else if (status === 'read') {
+        tickSpan.textContent = '✓✓';
+        tickSpan.title = 'Read';
+        tickSpan.classList.add('text-blue-500');
+      } else if (status === 'failed') {
+        tickSpan.textContent = '❗';
+        tickSpan.title = 'Not sent: ' + (msg.error || 'refused by server');
       }
+      meta.appendChild(tickSpan);
     }
-    messagesByFriend.set(friend, history);
-    renderMessages(friend);
+    // Messages the server has can be replied to and reacted to, and
+    // edited or deleted if we sent them
+    if (msg.id && !msg.deleted && (friends.has(friend) || groups.has(friend))) {
+      const menuBtn = document.createElement('button');
+      menuBtn.textContent = '⋯';
+      menuBtn.title = 'Reply, react and more';
+      menuBtn.classList.add('px-1', 'text-gray-500', 'dark:text-gray-400', 'hover:text-gray-700', 'dark:hover:text-gray-200');
+      menuBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const rect = menuBtn.getBoundingClientRect();
+        openMessageMenu(friend, msg, rect.left, rect.bottom);
+      });
+      meta.appendChild(menuBtn);
+      bubble.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        openMessageMenu(friend, msg, e.clientX, e.clientY);
+      });
+    }
+    wrapper.appendChild(bubble);
+    const reactions = Object.entries(msg.reactions || {});
+    if (reactions.length > 0 && !msg.deleted) {
+      // Reactions grouped by emoji; clicking one adds or takes back ours
+      const reactionRow = document.createElement('div');
+      reactionRow.classList.add('mt-1', 'flex', 'flex-wrap', 'gap-1');
+      reactions.forEach(([emoji, users]) => {
+        const chip = document.createElement('button');
+        chip.textContent = `${emoji} ${users.length}`;
+        chip.title = users.map(displayName).join(', ');
+        chip.classList.add('px-2', 'py-0.5', 'rounded-full', 'text-xs', 'border', 'border-gray-300', 'dark:border-gray-600');
+        if (users.includes(username)) chip.classList.add('bg-blue-100', 'dark:bg-blue-900');
+        chip.addEventListener('click', () => sendReaction(friend, msg, emoji));
+        reactionRow.appendChild(chip);
+      });
+      wrapper.appendChild(reactionRow);
+    }
+    wrapper.appendChild(meta);
+    chatMessages.appendChild(wrapper);
+  });
+  // Scroll to bottom after rendering
+  chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+/**
+ * Check whether a message with the given server id is already in the
+ * conversation `chatId` (a contact, group or pending request), or was
+ * applied there as an edit or deletion.
+ * @param {string} chatId
+ * @param {string} id
+ * @returns {boolean}
+ */
+function hasReceivedMessage(chatId, id) {
+  if (!id) return false;
+  const msgs = (messagesByFriend.get(chatId) || []).concat(requestsMessagesByUser.get(chatId) || []);
+  return msgs.some((m) => m.id === id || (m.changeIds && m.changeIds.includes(id)));
+}
+
+/**
+ * Remember the newest server timestamp we have received so a later
+ * reconnect only asks for messages after it.
+ * @param {number} timestamp
+ */
+function updateLastSeen(timestamp) {
+  if (!username || !timestamp) return;
+  if (lastSeenTimestamp !== null && timestamp <= lastSeenTimestamp) return;
+  lastSeenTimestamp = timestamp;
+  try {
+    localStorage.setItem(`pgpLastSeen_${username}`, String(timestamp));
+  } catch (err) {
+    console.error('Error saving last seen timestamp', err);
+  }
+}
+
+/**
+ * Restore the last seen timestamp for the current user.  Called before
+ * the socket connects so the first `registerUsername` carries it.
+ */
+function loadLastSeen() {
+  lastSeenTimestamp = null;
+  if (!username) return;
+  const stored = Number(localStorage.getItem(`pgpLastSeen_${username}`));
+  if (stored > 0) {
+    lastSeenTimestamp = stored;
+  }
+}
+
+/**
+ * Persist the user's preferences to local storage under a key specific
+ * to the current user.
+ */
+function saveSettings() {
+  if (!username) return;
+  try {
+    localStorage.setItem(`pgpSettings_${username}`, JSON.stringify(settings));
+  } catch (err) {
+    console.error('Error saving settings', err);
+  }
+}
+
+/**
+ * Load the user's preferences from local storage, falling back to the
+ * defaults for anything not saved yet, and reflect them in the UI.
+ */
+function loadSettings() {
+  settings = { ...defaultSettings };
+  if (!username) return;
+  try {
+    const dataStr = localStorage.getItem(`pgpSettings_${username}`);
+    if (dataStr) {
+      settings = { ...defaultSettings, ...JSON.parse(dataStr) };
+    }
+  } catch (err) {
+    console.error('Error loading settings', err);
+  }
+  if (readReceiptsToggle) readReceiptsToggle.checked = settings.readReceipts;
+  if (forwardSecrecyToggle) forwardSecrecyToggle.checked = settings.forwardSecrecy;
+  if (notificationsToggle) {
+    notificationsToggle.checked = settings.notifications && typeof Notification !== 'undefined' && Notification.permission === 'granted';
+  }
+  if (notificationPreviewSelect) notificationPreviewSelect.value = settings.notificationPreview;
+}
+
+// Toggle whether we send read receipts to our contacts
+readReceiptsToggle?.addEventListener('change', () => {
+  settings.readReceipts = readReceiptsToggle.checked;
+  saveSettings();
+});
+
+// Toggle forward secrecy: publish or withdraw this device's prekeys
+forwardSecrecyToggle?.addEventListener('change', async () => {
+  const enabled = forwardSecrecyToggle.checked;
+  if (enabled && (!window.crypto || !window.crypto.subtle)) {
+    forwardSecrecyToggle.checked = false;
+    alert('Forward secrecy needs a secure context (https, localhost or an onion service)');
+    return;
+  }
+  settings.forwardSecrecy = enabled;
+  saveSettings();
+  try {
+    if (enabled) {
+      await setupRatchet();
+    } else {
+      await withdrawPrekeys();
+    }
+  } catch (err) {
+    console.error('Error changing forward secrecy', err);
+    alert('Error changing forward secrecy: ' + err.message);
+  }
+  updateRatchetIndicator();
+});
+
+/*
+ * Notifications and unread indicators.  While the app is in the
+ * background, new messages and message requests raise a desktop
+ * notification if the user turned them on.  What a notification shows
+ * follows settings.notificationPreview: 'full' shows the sender and the
+ * start of the message, 'sender' only who wrote, and 'none' neither, for
+ * screens other people can see.  The tab title and favicon carry the
+ * number of unread messages.
+ *
+ * The service worker (sw.js) keeps the app shell available offline and
+ * shows notifications on browsers that only allow them from a worker.
+ */
+
+const baseTitle = document.title;
+const FAVICON_URL = 'icon.svg';
+let swRegistration = null;
+let faviconImage = null;
+let shownUnread = 0;
+
+/**
+ * Register the service worker.  It needs a secure context, so the app
+ * still works without it when served over plain http.
+ */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+  navigator.serviceWorker
+    .register('sw.js')
+    .then((registration) => {
+      swRegistration = registration;
+    })
+    .catch((err) => console.error('Error registering service worker', err));
+  // A notification shown by the worker was clicked
+  navigator.serviceWorker.addEventListener('message', (e) => {
+    if (e.data && e.data.type === 'openChat' && typeof e.data.chatId === 'string' && username) {
+      openChat(e.data.chatId);
+    }
+  });
+}
+
+/**
+ * Open a conversation from outside the lists (a notification or a
+ * search result), clearing its unread count.
+ * @param {string} chatId
+ * @returns {Promise} settles once selectFriend() has finished
+ */
+function openChat(chatId) {
+  if (friends.has(chatId) || groups.has(chatId)) {
+    unreadCounts.set(chatId, 0);
+  } else {
+    requestsUnreadCounts.set(chatId, 0);
+  }
+  return selectFriend(chatId);
+}
+
+/**
+ * Show a notification for a message that just arrived, unless
+ * notifications are off or the user is looking at the app.
+ * @param {string} chatId  the conversation the message belongs to
+ * @param {object} entry   its decrypted history entry
+ * @param {boolean} isRequest  whether it is a message request
+ */
+function notifyIncomingMessage(chatId, entry, isRequest) {
+  if (!settings.notifications || typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+  if (document.visibilityState === 'visible' && document.hasFocus()) return;
+  let title;
+  let body = '';
+  if (settings.notificationPreview === 'none') {
+    title = isRequest ? 'New message request' : 'New message';
+  } else {
+    const sender = displayName(entry.from);
+    const group = groups.get(chatId);
+    title = isRequest ? `Message request from ${sender}` : group ? `${sender} in ${group.name}` : sender;
+    if (settings.notificationPreview === 'full') body = messageExcerpt(entry);
+  }
+  // One notification per conversation, replaced by the next message
+  const options = { body, tag: chatId, icon: FAVICON_URL, data: { chatId } };
+  try {
+    const notification = new Notification(title, options);
+    notification.onclick = () => {
+      notification.close();
+      window.focus();
+      openChat(chatId);
+    };
+  } catch (err) {
+    // Mobile browsers only show notifications through a service worker
+    if (!swRegistration) return;
+    swRegistration.showNotification(title, options).catch((error) => console.error('Error showing notification', error));
+  }
+}
+
+/**
+ * Show the total of unread messages and requests in the tab title and
+ * favicon.  Called whenever the lists are redrawn.
+ */
+function updateUnreadIndicators() {
+  let unread = 0;
+  unreadCounts.forEach((count) => {
+    unread += count;
+  });
+  requestsUnreadCounts.forEach((count) => {
+    unread += count;
+  });
+  if (unread === shownUnread) return;
+  shownUnread = unread;
+  document.title = unread > 0 ? `(${unread}) ${baseTitle}` : baseTitle;
+  drawFavicon();
+}
+
+/**
+ * Draw the favicon with a badge for the current unread count, or
+ * restore the plain icon when there is nothing unread.
+ */
+function drawFavicon() {
+  const link = document.getElementById('favicon');
+  if (!link) return;
+  if (shownUnread === 0) {
+    link.href = FAVICON_URL;
+    return;
+  }
+  if (!faviconImage) {
+    faviconImage = new Image();
+    faviconImage.onload = drawFavicon;
+    faviconImage.src = FAVICON_URL;
+    return;
+  }
+  if (!faviconImage.complete) return;
+  const canvas = document.createElement('canvas');
+  canvas.width = 64;
+  canvas.height = 64;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(faviconImage, 0, 0, 64, 64);
+  ctx.fillStyle = '#ef4444';
+  ctx.beginPath();
+  ctx.arc(44, 20, 20, 0, 2 * Math.PI);
+  ctx.fill();
+  ctx.fillStyle = '#ffffff';
+  ctx.font = 'bold 26px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(shownUnread > 9 ? '9+' : String(shownUnread), 44, 21);
+  link.href = canvas.toDataURL('image/png');
+}
+
+// Turn desktop notifications on or off; turning them on asks the
+// browser for permission
+notificationsToggle?.addEventListener('change', async () => {
+  if (notificationsToggle.checked) {
+    if (typeof Notification === 'undefined') {
+      notificationsToggle.checked = false;
+      alert('This browser does not support notifications');
+      return;
+    }
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+      notificationsToggle.checked = false;
+      alert('Notifications are blocked for this site; allow them in the browser settings and try again');
+      return;
+    }
+  }
+  settings.notifications = notificationsToggle.checked;
+  saveSettings();
+});
+
+notificationPreviewSelect?.addEventListener('change', () => {
+  settings.notificationPreview = notificationPreviewSelect.value;
+  saveSettings();
+});
+
+registerServiceWorker();
+
+/*
+ * Local history store.  Decrypted conversations and message requests
+ * are cached in IndexedDB so they survive a reload, which matters most
+ * for ratcheted messages that cannot be decrypted from the server copy
+ * again.  The cache is encrypted with AES-256-GCM under a random key,
+ * and that key is stored next to it encrypted with our OpenPGP key, so
+ * the profile on disk holds nothing readable without the private key
+ * and its passphrase.  The key is unwrapped at login and dropped on
+ * logout.
+ *
+ * Each user has one record { wrappedKey, iv, data } in the `history`
+ * object store, plus the device's ratchet state { iv, data } under
+ * [username, 'ratchet'], encrypted with the same key (see
+ * loadRatchetStore()); `data` is the ciphertext of
+ * { history, requests, requestsUnread, pins, searchIndex }, where
+ * `pins` holds the pinned key fingerprints of contacts and
+ * `searchIndex` the message search index (see searchIndexContents()).
+ * Older versions kept the same maps, and the ratchet state, in
+ * plaintext in localStorage; they are moved into the store and removed
+ * the first time it is unlocked.
+ */
+
+const LOCAL_DB_NAME = 'pgpMessenger';
+const LOCAL_DB_STORE = 'history';
+
+let localDb = null; // Promise<IDBDatabase>
+let localStore = null; // { key: CryptoKey, wrappedKey: string } while unlocked
+let localStoreWrite = null; // Promise of the write in progress
+let localStoreDirty = false;
+
+/**
+ * Wrap an IndexedDB request in a promise.
+ * @param {IDBRequest} request
+ */
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openLocalDb() {
+  if (!localDb) {
+    const request = indexedDB.open(LOCAL_DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(LOCAL_DB_STORE);
+    localDb = idbRequest(request);
+  }
+  return localDb;
+}
+
+async function readLocalRecord() {
+  const db = await openLocalDb();
+  return idbRequest(db.transaction(LOCAL_DB_STORE).objectStore(LOCAL_DB_STORE).get(username));
+}
+
+async function writeLocalRecord(record) {
+  const db = await openLocalDb();
+  return idbRequest(db.transaction(LOCAL_DB_STORE, 'readwrite').objectStore(LOCAL_DB_STORE).put(record, username));
+}
+
+/**
+ * Create a fresh store key, wrapped with our current OpenPGP key.
+ */
+async function createLocalStoreKey() {
+  const raw = crypto.getRandomValues(new Uint8Array(32));
+  const encrypted = await openpgp.encrypt({
+    message: openpgp.message.fromText(bytesToBase64(raw)),
+    publicKeys: [privateKey.toPublic()],
+  });
+  const key = await crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+  return { key, wrappedKey: encrypted.data };
+}
+
+/**
+ * Unwrap the store key of a record with our private key.
+ * @param {string} wrappedKey
+ */
+async function unwrapLocalStoreKey(wrappedKey) {
+  const decrypted = await openpgp.decrypt({
+    message: await openpgp.message.readArmored(wrappedKey),
+    privateKeys: [privateKey],
+  });
+  const key = await crypto.subtle.importKey('raw', base64ToBytes(decrypted.data), 'AES-GCM', false, ['encrypt', 'decrypt']);
+  return { key, wrappedKey };
+}
+
+/**
+ * Read the plaintext history older versions kept in localStorage, or
+ * null when there is none.
+ */
+function readLegacyHistory() {
+  const keys = [`pgpHistory_${username}`, `pgpRequests_${username}`, `pgpRequestsUnread_${username}`];
+  const [history, requests, requestsUnread] = keys.map((key) => localStorage.getItem(key));
+  if (history === null && requests === null && requestsUnread === null) return null;
+  return {
+    keys,
+    contents: {
+      history: history ? JSON.parse(history) : {},
+      requests: requests ? JSON.parse(requests) : {},
+      requestsUnread: requestsUnread ? JSON.parse(requestsUnread) : {},
+    },
+  };
+}
+
+/**
+ * Unlock the local store for the user who just logged in and return
+ * its contents.  A store that was written with a key we no longer hold
+ * (e.g. a different device key on a shared browser), or that is
+ * damaged, can be replaced with an empty one; if the user declines,
+ * history is not saved for this session, so the old store is left as
+ * it is.
+ */
+async function unlockLocalStore() {
+  const empty = { history: {}, requests: {}, requestsUnread: {}, pins: {} };
+  const record = await readLocalRecord();
+  if (!record) {
+    localStore = await createLocalStoreKey();
+    return empty;
+  }
+  let problem = 'was locked with a different key';
+  try {
+    localStore = await unwrapLocalStoreKey(record.wrappedKey);
+    problem = 'is damaged';
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: record.iv }, localStore.key, record.data);
+    return JSON.parse(new TextDecoder().decode(plaintext));
   } catch (err) {
-    console.error('Error fetching conversation', err);
-    renderMessages(friend);
+    console.error('Error unlocking local history', err);
+    // Nothing may be written over the store unless the user agrees
+    localStore = null;
+    const replace = confirm(
+      `The message history saved in this browser ${problem} and cannot be opened.  ` +
+        'Replace it with an empty history?  If you cancel, messages from this session are not saved locally.'
+    );
+    if (replace) localStore = await createLocalStoreKey();
+    return empty;
   }
 }
 
 /**
- * Render the conversation with a given friend.  Clears the chat
- * messages container and displays each message as a styled bubble.
- * Incoming messages appear on the left; outgoing messages on the right.
- * @param {string} friend
+ * Encrypt the current history and requests and write them to the
+ * store.  Writes are serialised; changes made while one is in progress
+ * are written once it completes.
  */
-function renderMessages(friend) {
-  chatMessages.innerHTML = '';
-  // Use messages from friends map or requests map depending on relationship
-  let msgs;
-  if (friends.has(friend)) {
-    msgs = messagesByFriend.get(friend) || [];
-  } else {
-    msgs = requestsMessagesByUser.get(friend) || [];
+async function flushLocalStore() {
+  while (localStoreDirty && localStore) {
+    localStoreDirty = false;
+    const { key, wrappedKey } = localStore;
+    const contents = {
+      history: Object.fromEntries(messagesByFriend),
+      requests: Object.fromEntries(requestsMessagesByUser),
+      requestsUnread: Object.fromEntries(requestsUnreadCounts),
+      pins: Object.fromEntries(keyPins),
+      searchIndex: searchIndexContents(),
+    };
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(contents)));
+    await writeLocalRecord({ wrappedKey, iv, data });
   }
-  msgs.forEach((msg) => {
-    const { from, type = 'text', text = '', dataUrl = '', filename = '', timestamp, verified } = msg;
-    // Container for each message to align timestamp and bubble
-    const wrapper = document.createElement('div');
-    wrapper.classList.add('flex', 'flex-col', 'w-full');
-    if (from === username) {
-      wrapper.classList.add('items-end');
-    } else {
-      wrapper.classList.add('items-start');
-    }
-    // Message bubble
-    const bubble = document.createElement('div');
-    // Message bubble styling: larger padding, rounded corners
-    bubble.classList.add('px-4', 'py-3', 'max-w-md', 'rounded-2xl', 'break-words');
-    if (from === username) {
-      bubble.classList.add('bg-blue-500', 'text-white');
-    } else {
-      bubble.classList.add('bg-gray-200', 'dark:bg-gray-700', 'text-gray-900', 'dark:text-gray-100');
-    }
-    if (type === 'image') {
-      // Display image in bubble
-      const img = document.createElement('img');
-      img.src = dataUrl;
-      img.alt = filename || 'Image';
-      img.classList.add('max-w-full', 'rounded-lg');
-      bubble.appendChild(img);
-    } else {
-      bubble.textContent = text;
-    }
-    // Metadata row
-    const meta = document.createElement('div');
-    meta.classList.add('mt-1', 'flex', 'items-center', 'space-x-1', 'text-xs');
-    const timeSpan = document.createElement('span');
-    const date = timestamp ? new Date(timestamp) : new Date();
-    timeSpan.textContent = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-    timeSpan.classList.add('text-gray-500', 'dark:text-gray-400');
-    meta.appendChild(timeSpan);
-    // Verification indicator
-    if (from !== username) {
-      const verSpan = document.createElement('span');
-      if (verified === false) {
-        verSpan.textContent = '⚠️';
-        verSpan.title = 'Signature could not be verified';
-      } else {
-        verSpan.textContent = '✅';
-        verSpan.title = 'Signature verified';
-      }
-      meta.appendChild(verSpan);
-    }
-    wrapper.appendChild(bubble);
-    wrapper.appendChild(meta);
-    chatMessages.appendChild(wrapper);
-  });
-  // Scroll to bottom after rendering
-  chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+function writeLocalStore() {
+  if (!username || !localStore) return;
+  localStoreDirty = true;
+  if (localStoreWrite) return;
+  localStoreWrite = flushLocalStore()
+    .catch((err) => console.error('Error saving local history', err))
+    .finally(() => {
+      localStoreWrite = null;
+    });
+}
+
+/**
+ * Lock the local store: finish any pending write and forget the key.
+ */
+async function lockLocalStore() {
+  if (localStoreWrite) await localStoreWrite;
+  localStore = null;
+  localStoreDirty = false;
+}
+
+/**
+ * Re-encrypt the local store under a new key wrapped with our current
+ * OpenPGP key.  Called after rotating keys, since the old key no longer
+ * logs in.
+ */
+async function rekeyLocalStore() {
+  if (!localStore) return;
+  if (localStoreWrite) await localStoreWrite;
+  localStore = await createLocalStoreKey();
+  writeLocalStore();
 }
 
 /**
- * Persist the current message history to local storage.  Saves
- * conversations under a key specific to the current user.  Only
+ * Persist the current message history to the local store.  Only
  * messagesByFriend is persisted (excluding public keys and other
- * state).  Timestamps and verification flags are included.
+ * state), together with message requests.  Timestamps and verification
+ * flags are included.
  */
 function saveLocalHistory() {
-  if (!username) return;
-  const obj = {};
-  messagesByFriend.forEach((msgs, friend) => {
-    obj[friend] = msgs;
-  });
-  try {
-    localStorage.setItem(`pgpHistory_${username}`, JSON.stringify(obj));
-  } catch (err) {
-    console.error('Error saving local history', err);
-  }
-  saveRequests();
+  if (updateSearchIndex()) renderSearchResults();
+  writeLocalStore();
 }
 
 /**
- * Load message history from local storage into messagesByFriend.
- * Unread counts are reset.  Should be called after a successful
- * registration or login.  If no history exists, nothing happens.
+ * Unlock the local store and load message history into
+ * messagesByFriend and requests into requestsMessagesByUser.  Unread
+ * counts are reset.  Should be awaited after a successful registration
+ * or login, before connecting the socket.  Plaintext history left in
+ * localStorage by older versions is moved into the store.
  */
-function loadLocalHistory() {
+async function loadLocalHistory() {
   if (!username) return;
   try {
-    const dataStr = localStorage.getItem(`pgpHistory_${username}`);
-    if (dataStr) {
-      const data = JSON.parse(dataStr);
-      for (const friend in data) {
-        messagesByFriend.set(friend, data[friend]);
-        unreadCounts.set(friend, 0);
-      }
-      updateContactsList();
+    const contents = await unlockLocalStore();
+    const legacy = readLegacyHistory();
+    if (legacy && localStore) {
+      // Entries already in the store are newer than the plaintext copy
+      contents.history = { ...legacy.contents.history, ...contents.history };
+      contents.requests = { ...legacy.contents.requests, ...contents.requests };
+      contents.requestsUnread = { ...legacy.contents.requestsUnread, ...contents.requestsUnread };
+    }
+    for (const friend in contents.history) {
+      messagesByFriend.set(friend, contents.history[friend]);
+      unreadCounts.set(friend, 0);
+    }
+    for (const user in contents.requests) {
+      requestsMessagesByUser.set(user, contents.requests[user]);
+    }
+    for (const user in contents.requestsUnread) {
+      requestsUnreadCounts.set(user, contents.requestsUnread[user]);
+    }
+    for (const user in contents.pins || {}) {
+      keyPins.set(user, contents.pins[user]);
+    }
+    loadSearchIndex(contents.searchIndex);
+    if (legacy && localStore) {
+      localStoreDirty = true;
+      await flushLocalStore();
+      legacy.keys.forEach((key) => localStorage.removeItem(key));
     }
   } catch (err) {
     console.error('Error loading local history', err);
   }
-  loadRequests();
+  updateContactsList();
+  updateRequestsList();
 }
 
 /**
- * Persist request messages and unread counts to local storage.  Requests are
- * stored separately from normal message history under keys specific to the
- * current user.  This is called automatically from saveLocalHistory().
+ * Persist request messages and unread counts.  Requests are kept in
+ * the same store as normal message history.
  */
 function saveRequests() {
-  if (!username) return;
-  const obj = {};
-  requestsMessagesByUser.forEach((msgs, user) => {
-    obj[user] = msgs;
+  if (updateSearchIndex()) renderSearchResults();
+  writeLocalStore();
+}
+
+/*
+ * Message search.  The server only holds ciphertext, so conversations
+ * are searched on this device.  An inverted index maps every word of
+ * the decrypted messages in messagesByFriend and requestsMessagesByUser
+ * (text, and the names of images and files) to the messages containing
+ * it.  The index follows the history: whenever history is saved,
+ * messages that are new or were edited since the last pass are indexed
+ * and deleted ones dropped, and the index is written to the encrypted
+ * local store with the history it was built from.
+ *
+ * Words are compared in lower case and without diacritics.  Every word
+ * of a query has to occur in a message, and the last one also matches
+ * the start of a word so results follow what is being typed.  Results
+ * are ranked with BM25: rare words count for more than common ones,
+ * and short messages with several hits beat long ones with one.
+ */
+
+const SEARCH_INDEX_VERSION = 1;
+const MAX_SEARCH_RESULTS = 50;
+// Characters of context shown before the first hit in a snippet
+const SNIPPET_CONTEXT = 40;
+const SNIPPET_LENGTH = 120;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const SEARCH_WORD = /[\p{L}\p{N}\p{M}]+/gu;
+
+const searchDocs = new Map(); // chatId + '\n' + message id -> { chatId, id, timestamp, stamp, terms, length }
+const searchPostings = new Map(); // term -> Set of keys of searchDocs
+let searchTotalLength = 0;
+
+/**
+ * Normalise a word for the index: lower case, without diacritics.
+ * @param {string} word
+ */
+function normalizeSearchTerm(word) {
+  return word.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * The normalised words of `text`, in order.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function searchTerms(text) {
+  return Array.from(text.matchAll(SEARCH_WORD), (m) => normalizeSearchTerm(m[0])).filter(Boolean);
+}
+
+/**
+ * The text of a history entry that is searched, or null for entries
+ * that are not indexed: notices, deleted and undecryptable messages,
+ * and our own messages the server has not acknowledged yet.
+ * @param {object} entry
+ */
+function searchableText(entry) {
+  if (!entry.id || entry.deleted || entry.placeholder) return null;
+  const type = entry.type || 'text';
+  if (type === 'text') return entry.text || null;
+  if (type === 'file') return (entry.file && entry.file.name) || null;
+  if (type === 'image') return entry.filename || null;
+  return null;
+}
+
+function addSearchDoc(key, doc) {
+  searchDocs.set(key, doc);
+  searchTotalLength += doc.length;
+  Object.keys(doc.terms).forEach((term) => {
+    if (!searchPostings.has(term)) searchPostings.set(term, new Set());
+    searchPostings.get(term).add(key);
   });
-  try {
-    localStorage.setItem(`pgpRequests_${username}`, JSON.stringify(obj));
-    const counts = {};
-    requestsUnreadCounts.forEach((count, user) => {
-      counts[user] = count;
+}
+
+function removeSearchDoc(key) {
+  const doc = searchDocs.get(key);
+  searchDocs.delete(key);
+  searchTotalLength -= doc.length;
+  Object.keys(doc.terms).forEach((term) => {
+    const postings = searchPostings.get(term);
+    postings.delete(key);
+    if (postings.size === 0) searchPostings.delete(term);
+  });
+}
+
+/**
+ * Bring the index in line with the history: index messages that are
+ * new or were edited since the last pass, and drop those that were
+ * deleted or are no longer in the history.  Returns true if anything
+ * changed.
+ */
+function updateSearchIndex() {
+  const seen = new Set();
+  let changed = false;
+  const visit = (chatId, entries) => {
+    entries.forEach((entry) => {
+      const text = searchableText(entry);
+      if (text === null) return;
+      const key = `${chatId}\n${entry.id}`;
+      // Text only changes through edits, which set editedAt
+      const stamp = `${text.length}:${entry.editedAt || 0}`;
+      seen.add(key);
+      const doc = searchDocs.get(key);
+      if (doc && doc.stamp === stamp) return;
+      if (doc) removeSearchDoc(key);
+      const words = searchTerms(text);
+      const terms = {};
+      words.forEach((term) => {
+        terms[term] = (terms[term] || 0) + 1;
+      });
+      addSearchDoc(key, { chatId, id: entry.id, timestamp: entry.timestamp, stamp, terms, length: words.length });
+      changed = true;
     });
-    localStorage.setItem(`pgpRequestsUnread_${username}`, JSON.stringify(counts));
-  } catch (err) {
-    console.error('Error saving request history', err);
+  };
+  messagesByFriend.forEach((entries, chatId) => visit(chatId, entries));
+  requestsMessagesByUser.forEach((entries, user) => visit(user, entries));
+  Array.from(searchDocs.keys()).forEach((key) => {
+    if (!seen.has(key)) {
+      removeSearchDoc(key);
+      changed = true;
+    }
+  });
+  return changed;
+}
+
+/**
+ * The index as saved in the local store.
+ */
+function searchIndexContents() {
+  return { version: SEARCH_INDEX_VERSION, docs: Array.from(searchDocs) };
+}
+
+/**
+ * Load the index saved in the local store and catch it up with the
+ * history.  An index from another version is rebuilt.
+ * @param {object|undefined} saved
+ */
+function loadSearchIndex(saved) {
+  searchDocs.clear();
+  searchPostings.clear();
+  searchTotalLength = 0;
+  if (saved && saved.version === SEARCH_INDEX_VERSION && Array.isArray(saved.docs)) {
+    saved.docs.forEach(([key, doc]) => addSearchDoc(key, doc));
   }
+  updateSearchIndex();
 }
 
 /**
- * Load request messages and unread counts from local storage.  Called after
- * registration or login to restore any pending message requests.
+ * Split a query into its normalised words.  `prefix` is set when the
+ * last word may still be incomplete, i.e. the query does not end in a
+ * space.
+ * @param {string} query
+ * @returns {{ terms: string[], prefix: boolean }}
  */
-function loadRequests() {
-  if (!username) return;
-  try {
-    const dataStr = localStorage.getItem(`pgpRequests_${username}`);
-    if (dataStr) {
-      const data = JSON.parse(dataStr);
-      for (const user in data) {
-        requestsMessagesByUser.set(user, data[user]);
-      }
+function parseSearchQuery(query) {
+  return { terms: searchTerms(query), prefix: !/\s$/.test(query) };
+}
+
+/**
+ * Find the messages matching a parsed query in the index.  Returns up
+ * to MAX_SEARCH_RESULTS { chatId, entry }, best first and newest first
+ * among equals.
+ * @param {{ terms: string[], prefix: boolean }} query
+ */
+function searchMessages({ terms, prefix }) {
+  if (terms.length === 0 || searchDocs.size === 0) return [];
+  const averageLength = searchTotalLength / searchDocs.size || 1;
+  let scores = null; // key -> score, of messages matching every word so far
+  for (let i = 0; i < terms.length; i += 1) {
+    const candidates =
+      prefix && i === terms.length - 1
+        ? Array.from(searchPostings.keys()).filter((term) => term.startsWith(terms[i]))
+        : [terms[i]].filter((term) => searchPostings.has(term));
+    // Score of this query word per message: its best matching term
+    const wordScores = new Map();
+    candidates.forEach((term) => {
+      const postings = searchPostings.get(term);
+      const idf = Math.log(1 + (searchDocs.size - postings.size + 0.5) / (postings.size + 0.5));
+      postings.forEach((key) => {
+        const doc = searchDocs.get(key);
+        const tf = doc.terms[term];
+        const norm = BM25_K1 * (1 - BM25_B + (BM25_B * doc.length) / averageLength);
+        const score = (idf * tf * (BM25_K1 + 1)) / (tf + norm);
+        wordScores.set(key, Math.max(wordScores.get(key) || 0, score));
+      });
+    });
+    if (scores === null) {
+      scores = wordScores;
+    } else {
+      const combined = new Map();
+      scores.forEach((score, key) => {
+        if (wordScores.has(key)) combined.set(key, score + wordScores.get(key));
+      });
+      scores = combined;
     }
-    const countsStr = localStorage.getItem(`pgpRequestsUnread_${username}`);
-    if (countsStr) {
-      const counts = JSON.parse(countsStr);
-      for (const user in counts) {
-        requestsUnreadCounts.set(user, counts[user]);
-      }
+    if (scores.size === 0) return [];
+  }
+  const results = [];
+  Array.from(scores)
+    .sort(([a, scoreA], [b, scoreB]) => scoreB - scoreA || (searchDocs.get(b).timestamp || 0) - (searchDocs.get(a).timestamp || 0))
+    .some(([key]) => {
+      const { chatId, id } = searchDocs.get(key);
+      const history = messagesByFriend.get(chatId) || requestsMessagesByUser.get(chatId) || [];
+      const entry = history.find((m) => m.id === id);
+      if (entry) results.push({ chatId, entry });
+      return results.length === MAX_SEARCH_RESULTS;
+    });
+  return results;
+}
+
+/**
+ * A snippet of `text` from just before the first word matching the
+ * query, with the matching words highlighted.
+ * @param {string} text
+ * @param {{ terms: string[], prefix: boolean }} query
+ * @returns {DocumentFragment}
+ */
+function searchSnippet(text, { terms, prefix }) {
+  const last = terms.length - 1;
+  const hits = [];
+  for (const match of text.matchAll(SEARCH_WORD)) {
+    const word = normalizeSearchTerm(match[0]);
+    if (terms.some((term, i) => word === term || (prefix && i === last && word.startsWith(term)))) {
+      hits.push([match.index, match.index + match[0].length]);
     }
-    updateRequestsList();
-  } catch (err) {
-    console.error('Error loading request history', err);
   }
+  const start = hits.length > 0 ? Math.max(0, hits[0][0] - SNIPPET_CONTEXT) : 0;
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const fragment = document.createDocumentFragment();
+  if (start > 0) fragment.append('…');
+  let pos = start;
+  hits
+    .filter(([from, to]) => from >= start && to <= end)
+    .forEach(([from, to]) => {
+      fragment.append(text.slice(pos, from));
+      const mark = document.createElement('mark');
+      mark.textContent = text.slice(from, to);
+      mark.className = 'rounded bg-yellow-200 dark:bg-yellow-700 dark:text-white';
+      fragment.append(mark);
+      pos = to;
+    });
+  fragment.append(text.slice(pos, end));
+  if (end < text.length) fragment.append('…');
+  return fragment;
+}
+
+/**
+ * Show the results for the query in the message search box, or hide
+ * the results list when it is empty.  Called as the query is typed
+ * and whenever the index changes.
+ */
+function renderSearchResults() {
+  if (!messageSearchInput || !searchResults) return;
+  searchResults.innerHTML = '';
+  const query = parseSearchQuery(messageSearchInput.value);
+  if (query.terms.length === 0) {
+    searchResults.classList.add('hidden');
+    return;
+  }
+  searchResults.classList.remove('hidden');
+  const results = searchMessages(query);
+  if (results.length === 0) {
+    const li = document.createElement('li');
+    li.textContent = 'No messages found';
+    li.className = 'p-2 text-sm text-gray-500 dark:text-gray-400';
+    searchResults.appendChild(li);
+    return;
+  }
+  results.forEach(({ chatId, entry }) => {
+    const li = document.createElement('li');
+    li.className = 'p-2 rounded cursor-pointer hover:bg-gray-200 dark:hover:bg-gray-700 flex flex-col';
+    const topRow = document.createElement('div');
+    topRow.className = 'flex justify-between items-center text-sm';
+    const nameSpan = document.createElement('span');
+    if (groups.has(chatId)) {
+      nameSpan.textContent = '👥 ' + groups.get(chatId).name;
+    } else {
+      nameSpan.textContent = displayName(chatId) + (friends.has(chatId) ? '' : ' (request)');
+    }
+    nameSpan.className = 'font-medium truncate';
+    topRow.appendChild(nameSpan);
+    const dateSpan = document.createElement('span');
+    dateSpan.textContent = new Date(entry.timestamp).toLocaleDateString();
+    dateSpan.className = 'ml-2 text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap';
+    topRow.appendChild(dateSpan);
+    li.appendChild(topRow);
+    const snippetSpan = document.createElement('span');
+    snippetSpan.className = 'text-xs text-gray-600 dark:text-gray-400 mt-1 break-words';
+    if (entry.from === username) {
+      snippetSpan.append('You: ');
+    } else if (groups.has(chatId)) {
+      snippetSpan.append(`${displayName(entry.from)}: `);
+    }
+    snippetSpan.appendChild(searchSnippet(searchableText(entry), query));
+    li.appendChild(snippetSpan);
+    li.addEventListener('click', () => openSearchResult(chatId, entry.id));
+    searchResults.appendChild(li);
+  });
+}
+
+/**
+ * Open the conversation of a search result and scroll to the message.
+ * It is shown from local history at once; once the newest page from
+ * the server has been merged and the conversation re-rendered we
+ * scroll to it again.
+ * @param {string} chatId
+ * @param {string} id
+ */
+async function openSearchResult(chatId, id) {
+  const opened = openChat(chatId);
+  scrollToMessage(id);
+  await opened;
+  if (currentFriend === chatId) scrollToMessage(id);
 }
 
+// Pages of history loaded from the server are indexed when searched
+messageSearchInput?.addEventListener('input', () => {
+  updateSearchIndex();
+  renderSearchResults();
+});
+messageSearchInput?.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') {
+    messageSearchInput.value = '';
+    renderSearchResults();
+  }
+});
+
+// Let the current contact know while we are typing
+chatInput.addEventListener('input', notifyTyping);
+
 // Allow pressing Enter in the message input to send
 chatInput.addEventListener('keyup', (e) => {
   if (e.key === 'Enter' && !e.shiftKey) {
@@ -1046,14 +6096,16 @@ acceptRequestBtn?.addEventListener('click', async () => {
   if (!requester) return;
   try {
     // Fetch the sender's public key from the server
-    const res = await fetch(`${serverUrl}/api/users/${encodeURIComponent(requester)}`);
+    const res = await fetch(userRecordUrl(requester));
     const data = await res.json();
     if (!res.ok) {
       alert(data.error || 'Failed to fetch user info');
       return;
     }
     // Add to friends and messages
-    friends.set(requester, { publicKeyArmored: data.publicKey });
+    await setContactKeys(requester, data.publicKey, deviceKeysOf(data));
+    touchContact(requester);
+    syncPresenceContacts();
     // Move messages from requests to normal history
     const reqMsgs = requestsMessagesByUser.get(requester) || [];
     messagesByFriend.set(requester, reqMsgs);
@@ -1065,9 +6117,8 @@ acceptRequestBtn?.addEventListener('click', async () => {
     currentFriend = requester;
     // Update UI
     if (requestActions) requestActions.classList.add('hidden');
-    sendChatBtn.disabled = false;
-    chatInput.disabled = false;
-    chatInput.placeholder = 'Type a message...';
+    updateChatInputState(requester);
+    updateVerificationState();
     updateContactsList();
     updateRequestsList();
     renderMessages(requester);
@@ -1081,6 +6132,24 @@ acceptRequestBtn?.addEventListener('click', async () => {
 declineRequestBtn?.addEventListener('click', () => {
   const requester = currentFriend;
   if (!requester) return;
+  closeRequest(requester);
+});
+
+// Block the sender of a request: the server refuses their messages from
+// now on, so the same person cannot simply write again
+blockRequestBtn?.addEventListener('click', async () => {
+  const requester = currentFriend;
+  if (!requester) return;
+  if (await blockUser(requester)) {
+    closeRequest(requester);
+  }
+});
+
+/**
+ * Forget a request thread and clear the chat pane.
+ * @param {string} requester
+ */
+function closeRequest(requester) {
   // Remove request messages and counts
   requestsMessagesByUser.delete(requester);
   requestsUnreadCounts.delete(requester);
@@ -1095,7 +6164,41 @@ declineRequestBtn?.addEventListener('click', () => {
   chatInput.disabled = true;
   chatInput.placeholder = '';
   updateRequestsList();
-});
+}
+
+/**
+ * Update the server status indicator in the header.  `state` selects
+ * the dot colour: 'online' is green, 'connecting' is yellow and
+ * 'offline' or 'error' are red.  The label is shown next to the dot,
+ * which is also where authentication errors are surfaced.
+ * @param {'online'|'connecting'|'offline'|'error'} state
+ * @param {string} label
+ */
+function setServerStatus(state, label) {
+  if (!statusDot || !statusLabel) return;
+  statusDot.classList.remove('bg-red-500', 'bg-yellow-400', 'bg-green-500');
+  if (state === 'online') {
+    statusDot.classList.add('bg-green-500');
+  } else if (state === 'connecting') {
+    statusDot.classList.add('bg-yellow-400');
+  } else {
+    statusDot.classList.add('bg-red-500');
+  }
+  statusLabel.textContent = label;
+}
+
+/**
+ * Whether `challenge` is a socket authentication challenge for our
+ * account, `pgp-messenger-auth:<username>:<64 hex digits>`, as the
+ * server builds them.  Signed statements and group changes are
+ * verified with the same key, so anything else the server asks us to
+ * sign could be one of those and is refused.
+ * @param {*} challenge
+ */
+function isAuthChallenge(challenge) {
+  const prefix = `pgp-messenger-auth:${username}:`;
+  return typeof challenge === 'string' && challenge.startsWith(prefix) && /^[0-9a-f]{64}$/.test(challenge.slice(prefix.length));
+}
 
 /**
  * Establish a Socket.IO connection to the configured server and set
@@ -1113,87 +6216,128 @@ function connectSocket() {
     }
   }
   // Indicate connecting status
-  if (statusDot && statusLabel) {
-    statusDot.classList.remove('bg-red-500', 'bg-green-500');
-    statusDot.classList.add('bg-yellow-400');
-    statusLabel.textContent = 'Connecting…';
-  }
+  setServerStatus('connecting', 'Connecting…');
   socket = io(serverUrl);
   socket.on('connect', () => {
     console.log('Socket connected');
-    if (statusDot && statusLabel) {
-      statusDot.classList.remove('bg-red-500', 'bg-yellow-400');
-      statusDot.classList.add('bg-green-500');
-      statusLabel.textContent = 'Online';
-    }
-    socket.emit('registerUsername', username);
+    // The socket only counts as online once the server has accepted
+    // our signed answer to its authentication challenge.
+    setServerStatus('connecting', 'Authenticating…');
+    socket.emit('registerUsername', { username, since: lastSeenTimestamp });
   });
-  socket.on('disconnect', () => {
-    console.log('Socket disconnected');
-    if (statusDot && statusLabel) {
-      statusDot.classList.remove('bg-green-500', 'bg-yellow-400');
-      statusDot.classList.add('bg-red-500');
-      statusLabel.textContent = 'Offline';
+  socket.on('authChallenge', async ({ challenge } = {}) => {
+    if (!isAuthChallenge(challenge)) {
+      console.error('Refusing to sign an authentication challenge in an unexpected format', challenge);
+      setServerStatus('error', 'Auth failed: unexpected challenge');
+      return;
+    }
+    try {
+      const { signature } = await openpgp.sign({
+        message: openpgp.message.fromText(challenge),
+        privateKeys: [privateKey],
+        detached: true,
+      });
+      socket.emit('authResponse', { signature });
+    } catch (err) {
+      console.error('Error signing authentication challenge', err);
+      setServerStatus('error', 'Auth failed: could not sign challenge');
     }
   });
+  socket.on('authenticated', ({ presenceHidden: hidden } = {}) => {
+    console.log('Socket authenticated');
+    setServerStatus('online', 'Online');
+    presenceHidden = Boolean(hidden);
+    if (hidePresenceToggle) hidePresenceToggle.checked = presenceHidden;
+    // The block list is private, so it is fetched over the authenticated socket
+    socket.emit('listBlocks', (list) => applyBlockList(list));
+    syncPresenceContacts();
+  });
+  socket.on('authError', ({ error } = {}) => {
+    console.error('Socket authentication error', error);
+    setServerStatus('error', 'Auth failed: ' + (error || 'unknown error'));
+  });
+  socket.on('disconnect', (reason) => {
+    console.log('Socket disconnected', reason);
+    // A server-side disconnect follows an authError (e.g. a suspended
+    // account), whose message should stay visible
+    if (reason !== 'io server disconnect') setServerStatus('offline', 'Offline');
+    // Presence is stale until the server sends it again
+    presenceByUser.clear();
+    typingUsers.forEach((timer) => clearTimeout(timer));
+    typingUsers.clear();
+    typingTarget = null;
+    updateContactsList();
+  });
   socket.on('connect_error', () => {
     console.log('Socket connection error');
-    if (statusDot && statusLabel) {
-      statusDot.classList.remove('bg-green-500', 'bg-yellow-400');
-      statusDot.classList.add('bg-red-500');
-      statusLabel.textContent = 'Offline';
-    }
+    setServerStatus('offline', 'Offline');
   });
-  socket.on('message', async (msg) => {
+  socket.on('message', async (msg, ack) => {
     try {
       const from = msg.from;
-      const msgType = msg.type || 'text';
-      const timestamp = msg.timestamp || Date.now();
+      // Group messages belong to the group's conversation.  Messages we
+      // sent from another of our devices belong to their recipient's.
+      let chatId = from;
+      if (isGroupId(msg.to) || from === username) chatId = msg.to;
+      // Messages can arrive twice when the server replays missed
+      // messages after a reconnect; ignore the ones we already have.
+      if (hasReceivedMessage(chatId, msg.id)) {
+        updateLastSeen(msg.timestamp);
+        return;
+      }
+      if (MESSAGE_CHANGE_TYPES.includes(msg.type)) {
+        const change = await readMessageChange(msg);
+        updateLastSeen(change.timestamp);
+        if (applyMessageChange(chatId, change)) {
+          saveLocalHistory();
+          updateContactsList();
+          updateGroupsList();
+          updateRequestsList();
+          if (currentFriend === chatId) renderMessages(chatId);
+        }
+        return;
+      }
       // Read and decrypt the message
-      const messageObj = await openpgp.message.readArmored(msg.ciphertext);
-      const opts = { message: messageObj, privateKeys: [privateKey] };
-      // If the sender is a known friend, include their public key for signature verification
-      if (friends.has(from)) {
-        const senderInfo = friends.get(from);
-        if (senderInfo && senderInfo.publicKeyArmored) {
-          try {
-            const senderPubKeys = (await openpgp.key.readArmored(senderInfo.publicKeyArmored)).keys;
-            opts.publicKeys = senderPubKeys;
-          } catch (e) {
-            // ignore failure to parse sender key
-          }
+      const entry = await decryptMessageEntry(msg);
+      updateLastSeen(entry.timestamp);
+      if (isGroupId(chatId)) {
+        if (!groups.has(chatId)) {
+          await loadGroups();
+        }
+        if (!messagesByFriend.has(chatId)) {
+          messagesByFriend.set(chatId, []);
+        }
+        messagesByFriend.get(chatId).push(entry);
+        if (currentFriend !== chatId && from !== username) {
+          unreadCounts.set(chatId, (unreadCounts.get(chatId) || 0) + 1);
+        }
+        if (from !== username && entry.type !== 'system') notifyIncomingMessage(chatId, entry, false);
+        saveLocalHistory();
+        updateGroupsList();
+        if (currentFriend === chatId) {
+          renderMessages(chatId);
         }
+        return;
       }
-      const decrypted = await openpgp.decrypt(opts);
-      const plaintext = decrypted.data;
-      let verified = true;
-      if (decrypted.signatures && decrypted.signatures.length > 0) {
-        try {
-          const sigResult = decrypted.signatures[0];
-          if (sigResult.verified) {
-            verified = await sigResult.verified;
-          }
-        } catch (err) {
-          verified = false;
+      if (from === username) {
+        // Sent from another of our devices
+        if (!friends.has(chatId)) return;
+        if (!messagesByFriend.has(chatId)) {
+          messagesByFriend.set(chatId, []);
+        }
+        messagesByFriend.get(chatId).push({ ...entry, status: msg.status });
+        saveLocalHistory();
+        updateContactsList();
+        if (currentFriend === chatId) {
+          renderMessages(chatId);
         }
+        return;
       }
+      // Blocked senders are filtered by the server; drop anything that
+      // slips through, e.g. sent just before we blocked them
+      if (blockedUsers.has(from)) return;
       // Determine whether this is a friend or a request
       const isFriend = friends.has(from);
-      let entry;
-      if (msgType === 'image') {
-        // Parse the JSON payload for image
-        let imageData = null;
-        try {
-          imageData = JSON.parse(plaintext);
-        } catch (e) {
-          console.error('Failed to parse image payload', e);
-        }
-        const { dataUrl = '', filename = '' } = imageData || {};
-        entry = { from, type: 'image', dataUrl, filename, timestamp, verified };
-      } else {
-        // Plain text message
-        entry = { from, type: 'text', text: plaintext, timestamp, verified };
-      }
       if (isFriend) {
         // Existing friend: append to friend history
         if (!messagesByFriend.has(from)) {
@@ -1204,10 +6348,13 @@ function connectSocket() {
           const count = unreadCounts.get(from) || 0;
           unreadCounts.set(from, count + 1);
         }
+        notifyIncomingMessage(from, entry, false);
         saveLocalHistory();
         updateContactsList();
         if (currentFriend === from) {
           renderMessages(currentFriend);
+          // The conversation is open, so the message is read right away
+          sendReadReceipts([msg.id]);
         }
       } else {
         // Unknown sender: treat as request
@@ -1219,6 +6366,7 @@ function connectSocket() {
           const c = requestsUnreadCounts.get(from) || 0;
           requestsUnreadCounts.set(from, c + 1);
         }
+        notifyIncomingMessage(from, entry, true);
         saveRequests();
         updateRequestsList();
         if (currentFriend === from) {
@@ -1227,6 +6375,62 @@ function connectSocket() {
       }
     } catch (err) {
       console.error('Error handling incoming message', err);
+    } finally {
+      // Acknowledge receipt so the server can tell the sender it was delivered
+      if (typeof ack === 'function') ack();
+    }
+  });
+  // Receipts for messages we sent
+  socket.on('messageDelivered', ({ id, to }) => {
+    updateLocalMessageStatus(to, id, 'delivered');
+  });
+  socket.on('messageRead', ({ id, to }) => {
+    updateLocalMessageStatus(to, id, 'read');
+  });
+  // A message to another server could not be relayed there
+  socket.on('messageFailed', ({ id, to, error }) => {
+    const entry = (messagesByFriend.get(to) || []).find((m) => m.id === id && m.from === username);
+    if (!entry) return;
+    entry.status = 'failed';
+    entry.error = error;
+    saveLocalHistory();
+    if (currentFriend === to) {
+      renderMessages(to);
     }
   });
+  // The server refused an event because of a rate or size limit
+  socket.on('limitError', ({ error } = {}) => {
+    console.error('Rate limit', error);
+    alert('The server refused a request: ' + (error || 'limit reached'));
+  });
+  // A contact came online, went offline or hid their presence
+  socket.on('presence', (presence) => {
+    applyPresence(presence);
+  });
+  // A contact started or stopped typing to us
+  socket.on('typing', ({ from, typing } = {}) => {
+    if (!from || !friends.has(from)) return;
+    setTyping(from, Boolean(typing));
+  });
+  // We changed our presence setting on another device
+  socket.on('presenceSettings', ({ hidden } = {}) => {
+    presenceHidden = Boolean(hidden);
+    if (hidePresenceToggle) hidePresenceToggle.checked = presenceHidden;
+  });
+  // Our block list changed, possibly on another of our devices
+  socket.on('blocksUpdated', (list) => {
+    applyBlockList(list);
+  });
+  // Another of our devices saved the contact list
+  socket.on('contactsUpdated', (update) => {
+    onContactsUpdated(update);
+  });
+  // Membership of one of our groups changed
+  socket.on('groupUpdated', (group) => {
+    applyGroupUpdate(group);
+  });
+  // A contact or group member rotated or revoked their key
+  socket.on('keyChanged', (change) => {
+    applyKeyChange(change).catch((err) => console.error('Error applying key change', err));
+  });
 }
\ No newline at end of file
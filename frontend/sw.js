@@ -0,0 +1,103 @@
+/*
+ * Service worker of the messenger.  It keeps a copy of the app shell
+ * (index.html, app.js, the icon and manifest, and the libraries the
+ * page loads) so the app opens without a network connection and can be
+ * installed as an app.  Those files are fetched from the network first,
+ * so a new version shows up on the next load, and are served from the
+ * cache when the network fails.  Nothing else goes through the cache:
+ * API calls, socket.io traffic and attachments always go to the server,
+ * and no message or key is ever stored here.
+ *
+ * It also brings the app to the front when a notification shown through
+ * it is clicked (see notifyIncomingMessage() in app.js).
+ */
+
+const CACHE_NAME = 'pgp-messenger-v1';
+
+// The page itself; the server answers every other path with it too
+const SHELL_PAGE = new URL('./', self.location).href;
+
+const APP_SHELL = ['./', 'index.html', 'app.js', 'manifest.webmanifest', 'icon.svg', '/socket.io/socket.io.js'].map(
+  (path) => new URL(path, self.location).href
+);
+
+// Loaded by script tags without CORS, so they are cached as opaque responses
+const LIBRARIES = [
+  'https://cdn.tailwindcss.com/',
+  'https://cdn.jsdelivr.net/npm/openpgp@4.10.10/dist/openpgp.min.js',
+  'https://cdn.jsdelivr.net/npm/qrcodejs@1.0.0/qrcode.min.js',
+];
+
+const CACHED_URLS = new Set(APP_SHELL.concat(LIBRARIES));
+
+/**
+ * Fetch `url` and store the response in `cache`.  Failures are logged
+ * rather than thrown, so one missing file does not stop the others
+ * from being cached.
+ * @param {Cache} cache
+ * @param {string} url
+ */
+function precache(cache, url) {
+  const request = LIBRARIES.includes(url) ? new Request(url, { mode: 'no-cors' }) : url;
+  return fetch(request)
+    .then((response) => {
+      if (!response.ok && response.type !== 'opaque') throw new Error(`HTTP ${response.status}`);
+      return cache.put(url, response);
+    })
+    .catch((err) => console.warn(`Not cached for offline use: ${url}`, err));
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => Promise.all(Array.from(CACHED_URLS, (url) => precache(cache, url))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) => Promise.all(names.filter((name) => name !== CACHE_NAME).map((name) => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const navigation = request.mode === 'navigate';
+  if (!navigation && !CACHED_URLS.has(request.url)) return;
+  event.respondWith(
+    fetch(request)
+      .then((response) => {
+        // Keep the cached copy current, but never cache what the server
+        // answers for other pages under the page's name
+        if (CACHED_URLS.has(request.url) && (response.ok || response.type === 'opaque')) {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then((cache) => cache.put(request.url, copy));
+        }
+        return response;
+      })
+      .catch(async (err) => {
+        const cached = await caches.match(navigation ? SHELL_PAGE : request.url);
+        if (cached) return cached;
+        throw err;
+      })
+  );
+});
+
+// Focus the app, or open it if no window is left, and tell it which
+// conversation the notification was about
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const { chatId } = event.notification.data || {};
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      if (windows.length === 0) return self.clients.openWindow(SHELL_PAGE);
+      return windows[0].focus().then((client) => client.postMessage({ type: 'openChat', chatId }));
+    })
+  );
+});